@@ -6,410 +6,154 @@ import React, {
   useMemo,
 } from "react";
 import {
-  SiReact,
-  SiPython,
-  SiJavascript,
-  SiTypescript,
-  SiCss3,
-} from "react-icons/si";
-import { AiOutlineApi, AiOutlineBug, AiOutlineRocket } from "react-icons/ai";
-import { MdInfo, MdVolumeUp } from "react-icons/md";
+  MdAttachFile,
+  MdAutoFixHigh,
+  MdChevronLeft,
+  MdChevronRight,
+  MdCloudOff,
+  MdCompareArrows,
+  MdDownload,
+  MdEdit,
+  MdFolderZip,
+  MdInstallDesktop,
+  MdLibraryBooks,
+  MdMenu,
+  MdRecordVoiceOver,
+  MdPlayArrow,
+  MdRefresh,
+  MdSchedule,
+  MdSearch,
+  MdStop,
+  MdSystemUpdateAlt,
+  MdTune,
+  MdVisibility,
+  MdVolumeUp,
+} from "react-icons/md";
 import "./App.css";
 import "./index.css";
 
 import Logo from "./Logo.png";
 
-// Import voice components (only for text-to-speech)
+// Speech: dictation, reading answers aloud and voice conversations
 import useVoiceAssistant from "./hooks/useVoiceAssistant";
 import VoiceButton from "./components/VoiceButton";
-
-// Production-ready API Configuration from environment variables
-const ENV_CONFIG = {
-  PUTER_API_KEY: process.env.REACT_APP_PUTER_API_KEY,
-  PUTER_API_URL:
-    process.env.REACT_APP_PUTER_API_URL || "https://api.puter.com/v2",
-  PUTER_MODEL: process.env.REACT_APP_PUTER_MODEL || "gpt-4.1-nano",
-  PUTER_SCRIPT_URL: process.env.REACT_APP_API_URL || "https://js.puter.com/v2/",
-  PUTER_TIMEOUT: parseInt(process.env.REACT_APP_PUTER_TIMEOUT) || 30000,
-  PUTER_MAX_RETRIES: parseInt(process.env.REACT_APP_PUTER_MAX_RETRIES) || 3,
-  PUTER_RETRY_DELAY: parseInt(process.env.REACT_APP_PUTER_RETRY_DELAY) || 1000,
-  USE_DIRECT_API: process.env.REACT_APP_USE_DIRECT_API === "true",
-
-  MAX_INPUT_LENGTH: parseInt(process.env.REACT_APP_MAX_INPUT_LENGTH) || 4000,
-  STREAMING_DELAY: parseInt(process.env.REACT_APP_STREAMING_DELAY) || 30,
-  ENABLE_ANALYTICS: process.env.REACT_APP_ENABLE_ANALYTICS === "true",
-  ENVIRONMENT: process.env.REACT_APP_ENVIRONMENT || "Live",
-
-  VOICE_LANGUAGE: process.env.REACT_APP_VOICE_LANGUAGE || "en-US",
-  VOICE_RATE: parseFloat(process.env.REACT_APP_VOICE_RATE) || 1,
-  VOICE_PITCH: parseFloat(process.env.REACT_APP_VOICE_PITCH) || 1,
-  VOICE_VOLUME: parseFloat(process.env.REACT_APP_VOICE_VOLUME) || 1,
+import useVoiceConversation from "./hooks/useVoiceConversation";
+import VoiceConversationBar from "./components/VoiceConversationBar";
+import useSpeechReader from "./hooks/useSpeechReader";
+import SpeechPlayer from "./components/SpeechPlayer";
+
+import useConversations from "./hooks/useConversations";
+import ConversationSidebar from "./components/ConversationSidebar";
+import ExportMenu, { EXPORT_CHOICES } from "./components/ExportMenu";
+import CommandPalette from "./components/CommandPalette";
+import SlashCommandMenu from "./components/SlashCommandMenu";
+import useSlashCommands from "./hooks/useSlashCommands";
+import SearchPalette from "./components/SearchPalette";
+
+import useAIProvider from "./hooks/useAIProvider";
+import SettingsDrawer from "./components/SettingsDrawer";
+import usePersonas from "./hooks/usePersonas";
+import PersonaManager from "./components/PersonaManager";
+import useTemplates from "./hooks/useTemplates";
+import TemplateLibrary from "./components/TemplateLibrary";
+import TemplateForm from "./components/TemplateForm";
+import TemplateIcon from "./components/TemplateIcon";
+import MarkdownMessage from "./components/MarkdownMessage";
+import CodeHighlighter from "./components/CodeHighlighter";
+import LanguageSwitcher from "./components/LanguageSwitcher";
+import useAttachments from "./hooks/useAttachments";
+import useCodeRunner from "./hooks/useCodeRunner";
+import useResponseCache from "./hooks/useResponseCache";
+import useOnlineStatus from "./hooks/useOnlineStatus";
+import useInstallPrompt from "./hooks/useInstallPrompt";
+import useAppUpdate from "./hooks/useAppUpdate";
+import CodeRunOutput from "./components/CodeRunOutput";
+import CodePreview from "./components/CodePreview";
+import CodeEditor from "./components/CodeEditor";
+import CodeDiff from "./components/CodeDiff";
+import AttachmentChips from "./components/AttachmentChips";
+import { useI18n } from "./i18n";
+
+import { buildChatHistory, HistoryErrors } from "./utils/chatHistory";
+import { findSlashCommand } from "./utils/slashCommands";
+import { resolveTemplate, templateFields } from "./utils/promptTemplates";
+import { imageAttachments, promptLength } from "./utils/attachments";
+import { describeRun, isRunnable } from "./utils/codeRunner";
+import { previewKind } from "./utils/codePreview";
+import {
+  extensionFor,
+  extractCodeBlocks,
+  findPreviousVersion,
+  projectFiles,
+} from "./utils/codeBlocks";
+import { createZip } from "./utils/zip";
+import {
+  baseLanguage,
+  languageName,
+  loadVoicePreferences,
+  pickVoice,
+  saveVoicePreferences,
+  voiceLanguages,
+} from "./utils/speechVoices";
+import { ENV_CONFIG, ErrorTypes } from "./config";
+import { getProvider } from "./providers";
+import { abortedError } from "./providers/http";
+import {
+  loadLastUsedSettings,
+  normalizeSettings,
+  saveLastUsedSettings,
+} from "./utils/generationSettings";
+
+// Time of day for today's messages, otherwise the date as well
+const formatMessageTime = (timestamp, locale) => {
+  const date = new Date(timestamp);
+  const time = { hour: "2-digit", minute: "2-digit" };
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString(locale, time)
+    : date.toLocaleString(locale, { month: "short", day: "numeric", ...time });
 };
 
-// Error types for better error handling
-const ErrorTypes = {
-  NETWORK: "NETWORK_ERROR",
-  TIMEOUT: "TIMEOUT_ERROR",
-  AUTH: "AUTHENTICATION_ERROR",
-  RATE_LIMIT: "RATE_LIMIT_ERROR",
-  SERVER: "SERVER_ERROR",
-  UNKNOWN: "UNKNOWN_ERROR",
+const downloadFile = (content, mimeType, filename) => {
+  const blob =
+    content instanceof Blob
+      ? content
+      : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Firefox and older Safari cancel the download when the URL is revoked
+  // in the same task as the click
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 };
 
-// Custom hook for Puter.ai API with production-ready features
-const usePuterAI = () => {
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [isPuterLoaded, setIsPuterLoaded] = useState(false);
-  const [scriptLoadAttempted, setScriptLoadAttempted] = useState(false);
-  const [apiHealth, setApiHealth] = useState("checking");
-
-  useEffect(() => {
-    if (ENV_CONFIG.USE_DIRECT_API || scriptLoadAttempted) return;
-
-    let retryCount = 0;
-    const maxRetries = 3;
-
-    const loadPuterScript = () => {
-      return new Promise((resolve, reject) => {
-        if (document.querySelector('script[src*="puter.com"]')) {
-          console.log("✅ Puter.ai script already loaded");
-          setIsPuterLoaded(true);
-          setApiHealth("healthy");
-          resolve(true);
-          return;
-        }
-
-        const script = document.createElement("script");
-        script.src = ENV_CONFIG.PUTER_SCRIPT_URL;
-        script.async = true;
-
-        script.onload = () => {
-          console.log("✅ Puter.ai script loaded successfully");
-          setIsPuterLoaded(true);
-          setApiHealth("healthy");
-          resolve(true);
-        };
-
-        script.onerror = (error) => {
-          console.error(
-            `❌ Failed to load Puter.ai script (attempt ${retryCount + 1}/${maxRetries}):`,
-            error,
-          );
-
-          if (retryCount < maxRetries) {
-            retryCount++;
-            console.log(
-              `🔄 Retrying script load... (${retryCount}/${maxRetries})`,
-            );
-            setTimeout(() => {
-              document.body.removeChild(script);
-              loadPuterScript().then(resolve).catch(reject);
-            }, ENV_CONFIG.PUTER_RETRY_DELAY * retryCount);
-          } else {
-            setApiHealth("unhealthy");
-            reject(
-              new Error(
-                "Failed to load Puter.ai script after multiple attempts",
-              ),
-            );
-          }
-        };
-
-        document.body.appendChild(script);
-        setScriptLoadAttempted(true);
-      });
-    };
-
-    loadPuterScript().catch((err) => {
-      console.warn(
-        "⚠️ Using fallback API due to script load failure:",
-        err.message,
-      );
-      setApiHealth("unhealthy");
-    });
-
-    return () => {};
-  }, [scriptLoadAttempted]);
-
-  const callDirectAPI = useCallback(async (prompt, options = {}) => {
-    const {
-      model = ENV_CONFIG.PUTER_MODEL,
-      timeout = ENV_CONFIG.PUTER_TIMEOUT,
-      temperature = 0.7,
-      max_tokens = 2000,
-    } = options;
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    try {
-      if (!ENV_CONFIG.PUTER_API_KEY) {
-        throw new Error("API key is not configured");
-      }
-
-      const response = await fetch(`${ENV_CONFIG.PUTER_API_URL}/ai/chat`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${ENV_CONFIG.PUTER_API_KEY}`,
-          "X-Environment": ENV_CONFIG.ENVIRONMENT,
-          "X-SDK-Version": "react-1.0.0",
-        },
-        body: JSON.stringify({
-          prompt,
-          model,
-          stream: false,
-          temperature,
-          max_tokens,
-          top_p: 0.95,
-          frequency_penalty: 0,
-          presence_penalty: 0,
-        }),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-
-        switch (response.status) {
-          case 401:
-            throw {
-              type: ErrorTypes.AUTH,
-              message: "Invalid API key",
-              status: 401,
-            };
-          case 429:
-            throw {
-              type: ErrorTypes.RATE_LIMIT,
-              message: "Rate limit exceeded",
-              status: 429,
-            };
-          case 503:
-          case 504:
-            throw {
-              type: ErrorTypes.SERVER,
-              message: "Service unavailable",
-              status: response.status,
-            };
-          default:
-            throw {
-              type: ErrorTypes.UNKNOWN,
-              message: errorData.error || `API Error: ${response.status}`,
-              status: response.status,
-            };
-        }
-      }
-
-      const data = await response.json();
-      return (
-        data.message?.content ||
-        data.response ||
-        data.text ||
-        "No response generated"
-      );
-    } catch (error) {
-      clearTimeout(timeoutId);
-
-      if (error.name === "AbortError" || error.name === "TimeoutError") {
-        throw {
-          type: ErrorTypes.TIMEOUT,
-          message: "Request timeout",
-          status: 408,
-        };
-      }
-
-      if (error instanceof TypeError && error.message.includes("fetch")) {
-        throw {
-          type: ErrorTypes.NETWORK,
-          message: "Network connection failed",
-          status: 0,
-        };
-      }
-
-      throw error;
-    }
-  }, []);
-
-  const callPuterAI = useCallback(
-    async (prompt, options = {}) => {
-      const {
-        retries = ENV_CONFIG.PUTER_MAX_RETRIES,
-        timeout = ENV_CONFIG.PUTER_TIMEOUT,
-        model = ENV_CONFIG.PUTER_MODEL,
-        temperature = 0.7,
-        max_tokens = 2000,
-      } = options;
-
-      setIsLoading(true);
-      setError(null);
-
-      const startTime = Date.now();
-
-      try {
-        if (
-          !ENV_CONFIG.USE_DIRECT_API &&
-          window.puter?.ai?.chat &&
-          isPuterLoaded
-        ) {
-          try {
-            console.log("🤖 Using Puter.ai SDK");
-            const response = await window.puter.ai.chat(prompt, {
-              model,
-              timeout,
-              temperature,
-              max_tokens,
-            });
-
-            const endTime = Date.now();
-            console.log(`✅ SDK response received in ${endTime - startTime}ms`);
-
-            if (typeof response === "string") {
-              return response;
-            } else if (response?.message?.content) {
-              if (Array.isArray(response.message.content)) {
-                return response.message.content[0]?.text || "";
-              }
-              return response.message.content;
-            }
-            throw new Error("Invalid SDK response format");
-          } catch (sdkError) {
-            console.warn(
-              "⚠️ SDK failed, falling back to direct API:",
-              sdkError.message,
-            );
-            return await callDirectAPI(prompt, {
-              model,
-              timeout,
-              temperature,
-              max_tokens,
-            });
-          }
-        }
-
-        if (ENV_CONFIG.PUTER_API_KEY) {
-          console.log("🤖 Using direct Puter.ai API");
-          return await callDirectAPI(prompt, {
-            model,
-            timeout,
-            temperature,
-            max_tokens,
-          });
-        } else {
-          if (ENV_CONFIG.ENVIRONMENT === "development") {
-            console.warn("⚠️ No API key configured, using mock response");
-            await new Promise((resolve) => setTimeout(resolve, 1000));
-            return `This is a mock response from the AI assistant in development mode.\n\nYour prompt was: "${prompt}"\n\nTo use the real API, please add your Puter.ai API key to the .env file.`;
-          }
-          throw { type: ErrorTypes.AUTH, message: "API key is not configured" };
-        }
-      } catch (error) {
-        console.error("❌ API Error:", error);
-
-        const errorType = error.type || ErrorTypes.UNKNOWN;
-        const errorMessage = error.message || "Unknown error occurred";
-
-        if (
-          retries > 0 &&
-          (errorType === ErrorTypes.TIMEOUT ||
-            errorType === ErrorTypes.NETWORK ||
-            errorType === ErrorTypes.SERVER ||
-            errorType === ErrorTypes.RATE_LIMIT)
-        ) {
-          console.log(`🔄 Retrying... (${retries} attempts left)`);
-          await new Promise((resolve) =>
-            setTimeout(resolve, ENV_CONFIG.PUTER_RETRY_DELAY),
-          );
-          return callPuterAI(prompt, { ...options, retries: retries - 1 });
-        }
-
-        let userFriendlyMessage;
-        switch (errorType) {
-          case ErrorTypes.TIMEOUT:
-            userFriendlyMessage = "⏰ Request timed out. Please try again.";
-            break;
-          case ErrorTypes.NETWORK:
-            userFriendlyMessage =
-              "🌐 Network error. Please check your internet connection.";
-            break;
-          case ErrorTypes.AUTH:
-            userFriendlyMessage =
-              "🔑 Authentication failed. Please check your API configuration.";
-            break;
-          case ErrorTypes.RATE_LIMIT:
-            userFriendlyMessage =
-              "⏳ Rate limit exceeded. Please wait a moment and try again.";
-            break;
-          case ErrorTypes.SERVER:
-            userFriendlyMessage =
-              "🔧 Service temporarily unavailable. Please try again later.";
-            break;
-          default:
-            userFriendlyMessage =
-              "⚠️ An unexpected error occurred. Please try again.";
-        }
-
-        setError({ type: errorType, message: userFriendlyMessage });
-        throw new Error(userFriendlyMessage);
-      } finally {
-        setIsLoading(false);
-      }
-    },
-    [isPuterLoaded, callDirectAPI],
-  );
-
-  const checkHealth = useCallback(async () => {
-    try {
-      if (window.puter?.ai?.chat) {
-        setApiHealth("healthy");
-        return true;
-      }
-
-      if (ENV_CONFIG.PUTER_API_KEY) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-        const response = await fetch(`${ENV_CONFIG.PUTER_API_URL}/health`, {
-          signal: controller.signal,
-        }).catch(() => null);
-
-        clearTimeout(timeoutId);
-
-        if (response?.ok) {
-          setApiHealth("healthy");
-          return true;
-        }
-      }
-
-      setApiHealth("unhealthy");
-      return false;
-    } catch {
-      setApiHealth("unhealthy");
-      return false;
-    }
-  }, []);
-
-  return {
-    callPuterAI,
-    isLoading,
-    error,
-    isPuterLoaded,
-    apiHealth,
-    checkHealth,
-  };
-};
+// Runs are shared by every copy of a snippet, e.g. in a message and the
+// code modal
+const runKey = (code, language) => `${language}\n${code}`;
 
 function App() {
+  const { t, locale, dir, setLocale, speechLanguage } = useI18n();
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [isTyping, setIsTyping] = useState(false);
   const [streamingMessage, setStreamingMessage] = useState("");
+  // Extra fields of the answer being replayed word by word, e.g. `cached`
+  const [streamingExtra, setStreamingExtra] = useState({});
   const [isStreaming, setIsStreaming] = useState(false);
   const [generatedCode, setGeneratedCode] = useState("");
   const [showCodeModal, setShowCodeModal] = useState(false);
   const [codeLanguage, setCodeLanguage] = useState("javascript");
+  const [isEditingCode, setIsEditingCode] = useState(false);
+  const [showCodePreview, setShowCodePreview] = useState(false);
+  const [originalCode, setOriginalCode] = useState("");
+  const [showCodeDiff, setShowCodeDiff] = useState(false);
+  const [diffBase, setDiffBase] = useState("previous");
+  const [modifyInstruction, setModifyInstruction] = useState("");
+  // Every block of the message the modal was opened from, as
+  // { language, code, filename, named, isTree, original }
+  const [codeTabs, setCodeTabs] = useState([]);
+  const [activeCodeTab, setActiveCodeTab] = useState(0);
   const [copySuccess, setCopySuccess] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(() => {
     const savedTheme = localStorage.getItem("theme");
@@ -420,41 +164,326 @@ function App() {
   const [isMobile, setIsMobile] = useState(false);
   const [apiError, setApiError] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [showSidebar, setShowSidebar] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showPersonaManager, setShowPersonaManager] = useState(false);
+  const [showTemplateLibrary, setShowTemplateLibrary] = useState(false);
+  // Template whose placeholders are being filled in
+  const [templateToFill, setTemplateToFill] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  // Search hit to scroll to and flash: { conversationId, index }
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [lastUsedSettings, setLastUsedSettings] =
+    useState(loadLastUsedSettings);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editDraft, setEditDraft] = useState("");
+  const [isDictating, setIsDictating] = useState(false);
+  const [dictationError, setDictationError] = useState(null);
+  const [autoSendVoice, setAutoSendVoice] = useState(
+    () => localStorage.getItem("voiceAutoSend") === "true",
+  );
+  const [autoReadResponses, setAutoReadResponses] = useState(
+    () => localStorage.getItem("voiceAutoRead") === "true",
+  );
+  const [voicePreferences, setVoicePreferences] =
+    useState(loadVoicePreferences);
+  const [voicePickerLanguage, setVoicePickerLanguage] = useState(() =>
+    baseLanguage(speechLanguage),
+  );
 
   const chatContainerRef = useRef(null);
   const inputRef = useRef(null);
   const streamIntervalRef = useRef(null);
-  const codeRef = useRef(null);
   const abortControllerRef = useRef(null);
-
-  const {
-    callPuterAI,
-    isLoading: isAPILoading,
-    error: apiCallError,
-    apiHealth,
-  } = usePuterAI();
-
-  // Only use text-to-speech functionality, no microphone input
+  const loadedConversationRef = useRef(null);
+  // Earlier answers of the turn being regenerated ({ variants, index })
+  const pendingVariantsRef = useRef(null);
+  // Queued prompts after the one the outbox is sending
+  const outboxRestRef = useRef(null);
+  // Composer text typed before dictation started
+  const dictationBaseRef = useRef("");
+  const sendMessageRef = useRef(null);
+  const requestCompletionRef = useRef(null);
+  const messageCodeBlocksRef = useRef([]);
+
+  // Text-to-speech for responses and speech recognition for dictation
+  const voice = useVoiceAssistant({
+    language: speechLanguage,
+    rate: ENV_CONFIG.VOICE_RATE,
+    pitch: ENV_CONFIG.VOICE_PITCH,
+    volume: ENV_CONFIG.VOICE_VOLUME,
+  });
   const {
     isSpeaking,
     voices,
-    selectedVoice,
     setSelectedVoice,
-    speak,
     stopSpeaking,
     voiceSupported,
-  } = useVoiceAssistant({
-    language: ENV_CONFIG.VOICE_LANGUAGE,
-    rate: ENV_CONFIG.VOICE_RATE,
-    pitch: ENV_CONFIG.VOICE_PITCH,
+    recognitionSupported,
+    isListening,
+    transcript,
+    isFinalTranscript,
+    startListening,
+    stopListening,
+    clearTranscript,
+    clearError: clearVoiceError,
+    error: voiceError,
+    errorCode: voiceErrorCode,
+    errorDetail: voiceErrorDetail,
+    permissionStatus,
+  } = voice;
+
+  // Sentences in another script are read with a voice for that language;
+  // everything else uses the voice chosen for the interface language
+  const resolveVoice = useCallback(
+    (lang) =>
+      pickVoice(voices, voicePreferences, lang || baseLanguage(speechLanguage)),
+    [voices, voicePreferences, speechLanguage],
+  );
+  const reader = useSpeechReader({
+    resolveVoice,
+    rate: 0.9, // Slightly slower for better comprehension
+    pitch: 1,
     volume: ENV_CONFIG.VOICE_VOLUME,
-    // Don't enable speech recognition features
   });
 
+  const sendVoicePrompt = useCallback(
+    (prompt) => sendMessageRef.current(prompt),
+    [],
+  );
+  const voiceConversation = useVoiceConversation({
+    voice,
+    onSend: sendVoicePrompt,
+  });
+
+  const {
+    conversations,
+    activeConversation,
+    activeConversationId,
+    storageError,
+    createConversation,
+    importConversation,
+    selectConversation,
+    renameConversation,
+    deleteConversation,
+    saveMessages,
+    saveSettings,
+    assignPersona,
+  } = useConversations({ newConversationSettings: lastUsedSettings });
+
+  const {
+    personas,
+    storageError: personaStorageError,
+    savePersona,
+    deletePersona,
+    importPersonas,
+    exportPersonas,
+  } = usePersonas();
+
+  const {
+    templates: storedTemplates,
+    storageError: templateStorageError,
+    saveTemplate,
+    deleteTemplate,
+    importTemplates,
+  } = useTemplates();
+
+  const templates = useMemo(
+    () => storedTemplates.map((template) => resolveTemplate(template, t)),
+    [storedTemplates, t],
+  );
+
+  const activePersona =
+    personas.find((p) => p.id === activeConversation?.personaId) || null;
+
+  // The code blocks of every answer, shown as file tabs in the code modal
+  const messageCodeBlocks = useMemo(
+    () =>
+      messages.map((msg) =>
+        msg.sender === "ai" ? extractCodeBlocks(msg.text) : [],
+      ),
+    [messages],
+  );
+  messageCodeBlocksRef.current = messageCodeBlocks;
+
+  // The earlier block this code revises, e.g. the one sent with an
+  // "Ask AI to modify" request
+  const previousVersion = useMemo(
+    () =>
+      showCodeModal
+        ? findPreviousVersion(messages, originalCode, codeLanguage)
+        : null,
+    [showCodeModal, messages, originalCode, codeLanguage],
+  );
+  const diffAgainst =
+    diffBase === "previous" && previousVersion
+      ? {
+          code: previousVersion.code,
+          label: t("code.diff.previous"),
+        }
+      : { code: originalCode, label: t("code.diff.original") };
+
+  // Conversations saved before settings existed follow the last used ones
+  const settings = useMemo(
+    () =>
+      activeConversation?.settings
+        ? normalizeSettings(activeConversation.settings)
+        : lastUsedSettings,
+    [activeConversation, lastUsedSettings],
+  );
+  const { providerId, model } = settings;
+
+  const {
+    callAI,
+    isLoading: isAPILoading,
+    error: apiCallError,
+    apiHealth,
+  } = useAIProvider(providerId);
+
+  const supportsImages = getProvider(providerId).supportsImages(model);
+  const responseCache = useResponseCache();
+  const isOnline = useOnlineStatus();
+  // Offline is reported on its own; this is a reachable network without
+  // a working model provider
+  const isServiceDown = isOnline && apiHealth === "unhealthy";
+  const { canInstall, install } = useInstallPrompt();
+  const { updateAvailable, applyUpdate } = useAppUpdate();
+  const {
+    attachments,
+    errors: attachmentErrors,
+    addFiles,
+    removeAttachment,
+    clearAttachments,
+    clearErrors: clearAttachmentErrors,
+  } = useAttachments({ supportsImages });
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const dragDepthRef = useRef(0);
+  const fileInputRef = useRef(null);
+  const hasDraft = Boolean(input.trim()) || attachments.length > 0;
+
   useEffect(() => {
     setIsInitialized(true);
   }, []);
 
+  // Persist the thread into the conversation it was loaded from. This runs
+  // before the load effect below so a switch never saves the old thread
+  // into the newly selected conversation.
+  useEffect(() => {
+    if (
+      !activeConversationId ||
+      loadedConversationRef.current !== activeConversationId
+    ) {
+      return;
+    }
+    // Prompts held back while the outbox sends an earlier one are still
+    // part of the conversation
+    saveMessages(
+      activeConversationId,
+      outboxRestRef.current
+        ? [...messages, ...outboxRestRef.current]
+        : messages,
+    );
+  }, [messages, activeConversationId, saveMessages]);
+
+  useEffect(() => {
+    if (
+      !activeConversation ||
+      loadedConversationRef.current === activeConversation.id
+    ) {
+      return;
+    }
+    loadedConversationRef.current = activeConversation.id;
+    setMessages(activeConversation.messages);
+    setSelectedSuggestion(null);
+    setApiError(null);
+    setEditingIndex(null);
+  }, [activeConversation]);
+
+  useEffect(() => {
+    saveLastUsedSettings(lastUsedSettings);
+  }, [lastUsedSettings]);
+
+  useEffect(() => {
+    localStorage.setItem("voiceAutoSend", String(autoSendVoice));
+  }, [autoSendVoice]);
+
+  useEffect(() => {
+    localStorage.setItem("voiceAutoRead", String(autoReadResponses));
+  }, [autoReadResponses]);
+
+  useEffect(() => {
+    saveVoicePreferences(voicePreferences);
+  }, [voicePreferences]);
+
+  // The conversation loop speaks with the voice picked for the interface
+  // language
+  useEffect(() => {
+    const preferred = voicePreferences[baseLanguage(speechLanguage)];
+    const voice = voices.find((v) => v.name === preferred);
+    if (voice) setSelectedVoice(voice);
+  }, [voices, voicePreferences, speechLanguage, setSelectedVoice]);
+
+  useEffect(() => {
+    setVoicePickerLanguage(baseLanguage(speechLanguage));
+  }, [speechLanguage]);
+
+  // Messages are read by their index, which means nothing in another chat
+  const stopReading = reader.stop;
+  useEffect(() => {
+    stopReading();
+  }, [activeConversationId, stopReading]);
+
+  // Mirror the dictated words into the composer as they are recognised
+  useEffect(() => {
+    if (!isDictating || !transcript) return;
+
+    const base = dictationBaseRef.current;
+    const text = `${base}${base ? " " : ""}${transcript}`.slice(
+      0,
+      ENV_CONFIG.MAX_INPUT_LENGTH,
+    );
+    setInput(text);
+
+    if (isFinalTranscript) {
+      setIsDictating(false);
+      if (autoSendVoice) {
+        sendMessageRef.current(text);
+      } else {
+        inputRef.current?.focus();
+      }
+    }
+  }, [transcript, isFinalTranscript, isDictating, autoSendVoice]);
+
+  useEffect(() => {
+    if (isDictating && voiceError) {
+      setDictationError({
+        code: voiceErrorCode,
+        detail: voiceErrorDetail,
+        message: voiceError,
+      });
+      setIsDictating(false);
+    }
+  }, [voiceError, voiceErrorCode, voiceErrorDetail, isDictating]);
+
+  // Shown in the interface language when the recognizer gave a known code
+  const dictationErrorText =
+    dictationError &&
+    (dictationError.code
+      ? t(`voice.errors.${dictationError.code}`, {
+          detail: dictationError.detail,
+        })
+      : dictationError.message);
+
+  // Recognition can end without a final result, e.g. when stopped manually
+  const wasListeningRef = useRef(false);
+  useEffect(() => {
+    if (wasListeningRef.current && !isListening) {
+      setIsDictating(false);
+    }
+    wasListeningRef.current = isListening;
+  }, [isListening]);
+
   useEffect(() => {
     localStorage.setItem("theme", isDarkMode ? "dark" : "light");
     document.body.classList.toggle("light-mode", !isDarkMode);
@@ -476,6 +505,41 @@ function App() {
     }
   }, [messages, isTyping, streamingMessage]);
 
+  // Runs after the scroll to the bottom above, once the hit's conversation
+  // has been loaded into the thread
+  useEffect(() => {
+    if (
+      !jumpTarget ||
+      loadedConversationRef.current !== jumpTarget.conversationId
+    ) {
+      return;
+    }
+    chatContainerRef.current
+      ?.querySelector(`[data-message-index="${jumpTarget.index}"]`)
+      ?.scrollIntoView({ block: "center", behavior: "smooth" });
+
+    const timer = setTimeout(() => setJumpTarget(null), 2000);
+    return () => clearTimeout(timer);
+  }, [jumpTarget, messages]);
+
+  // Ctrl/Cmd+K toggles the command palette, Ctrl/Cmd+Shift+F opens search
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === "k" && !e.shiftKey) {
+        e.preventDefault();
+        setShowCommandPalette((open) => !open);
+      } else if (key === "f" && e.shiftKey) {
+        e.preventDefault();
+        setShowSearch(true);
+      }
+    };
+    window.addEventListener("keydown", handleShortcut);
+    return () => window.removeEventListener("keydown", handleShortcut);
+  }, []);
+
   useEffect(() => {
     if (isInitialized) {
       inputRef.current?.focus();
@@ -537,224 +601,744 @@ function App() {
     }
   }, []);
 
-  const extractCode = useCallback((text) => {
-    const codeRegex = /```(\w+)?\n([\s\S]*?)```/g;
-    const matches = [...text.matchAll(codeRegex)];
-    if (matches.length > 0) {
-      const language = matches[0][1] || "javascript";
-      const code = matches[0][2];
-      return { language, code };
-    }
-    return null;
-  }, []);
+  // Show one block of a message in the code modal
+  const loadCodeTab = useCallback(
+    (tab) => {
+      setGeneratedCode(tab.code);
+      setOriginalCode(tab.original);
+      setCodeLanguage(tab.language);
+      setShowCodeDiff(false);
+      setDiffBase("previous");
+      // UI code opens next to its preview where there is room
+      setShowCodePreview(
+        !isMobile && previewKind(tab.code, tab.language) !== null,
+      );
+    },
+    [isMobile],
+  );
 
-  const formatMessage = useCallback(
-    (text) => {
-      const parts = text.split(/(```[\s\S]*?```)/g);
-      return parts.map((part, index) => {
-        if (part.startsWith("```") && part.endsWith("```")) {
-          const firstLine = part.split("\n")[0];
-          const language = firstLine.replace("```", "").trim() || "javascript";
-          const code = part.split("\n").slice(1).join("\n").replace(/```$/, "");
-
-          return (
+  const openCodeModal = useCallback(
+    (blocks, index) => {
+      const tabs = blocks.map((block) => ({ ...block, original: block.code }));
+      setCodeTabs(tabs);
+      setActiveCodeTab(index);
+      loadCodeTab(tabs[index]);
+      setIsEditingCode(false);
+      setModifyInstruction("");
+      setShowCodeModal(true);
+    },
+    [loadCodeTab],
+  );
+
+  // Open a rendered block together with the other blocks of its message
+  const openCodeBlock = useCallback(
+    (code, language) => {
+      const blocks = [...messageCodeBlocksRef.current]
+        .reverse()
+        .find((candidates) => candidates.some((block) => block.code === code));
+      if (blocks) {
+        openCodeModal(
+          blocks,
+          blocks.findIndex((block) => block.code === code),
+        );
+        return;
+      }
+      openCodeModal(
+        [
+          {
+            language,
+            code,
+            filename: `snippet.${extensionFor(language)}`,
+            named: false,
+            isTree: false,
+          },
+        ],
+        0,
+      );
+    },
+    [openCodeModal],
+  );
+
+  // Tabs with the edits made to the open one
+  const currentCodeTabs = codeTabs.map((tab, index) =>
+    index === activeCodeTab ? { ...tab, code: generatedCode } : tab,
+  );
+
+  const selectCodeTab = (index) => {
+    setCodeTabs(currentCodeTabs);
+    setActiveCodeTab(index);
+    loadCodeTab(currentCodeTabs[index]);
+  };
+
+  const downloadCodeFile = () => {
+    const { filename } = currentCodeTabs[activeCodeTab];
+    downloadFile(generatedCode, "text/plain", filename.split("/").pop());
+  };
+
+  // Zip of every file in the message, in the folders the answer gave them
+  const downloadCodeProject = () => {
+    const files = projectFiles(currentCodeTabs);
+    const roots = new Set(files.map(({ path }) => path.split("/")[0]));
+    const [root] = roots;
+    const name =
+      roots.size === 1 && files.every(({ path }) => path.includes("/"))
+        ? root
+        : `code-${new Date().toISOString().slice(0, 10)}`;
+    downloadFile(createZip(files), "application/zip", `${name}.zip`);
+  };
+
+  const isBusy = isAPILoading || isTyping || isStreaming;
+  const {
+    runs: codeRuns,
+    run: runSnippet,
+    stop: stopSnippet,
+    dismiss: dismissRun,
+  } = useCodeRunner();
+
+  // Ask about a snippet run as a follow-up in the current conversation
+  const sendRunResult = useCallback(
+    (run) => {
+      setShowCodeModal(false);
+      sendMessageRef.current(
+        t("code.run.followUp", {
+          language: run.language,
+          code: run.code.trimEnd(),
+          output: describeRun(run) || t("code.run.noOutput"),
+        }),
+      );
+    },
+    [t],
+  );
+
+  // Send the (possibly edited) modal code back with a change request
+  const askToModify = () => {
+    setShowCodeModal(false);
+    sendMessageRef.current(
+      t("code.modify.prompt", {
+        language: codeLanguage,
+        instruction:
+          modifyInstruction.trim() || t("code.modify.defaultInstruction"),
+        code: generatedCode.trimEnd(),
+      }),
+    );
+  };
+
+  const renderRunButton = useCallback(
+    (code, language, className) => (
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          runSnippet(runKey(code, language), code, language);
+        }}
+        className={className}
+        title={t("code.run.runTitle")}
+      >
+        <MdPlayArrow className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+        <span className="text-xs">{t("code.run.run")}</span>
+      </button>
+    ),
+    [runSnippet, t],
+  );
+
+  const renderRunOutput = useCallback(
+    (code, language, className) => {
+      const key = runKey(code, language);
+      const run = codeRuns[key];
+      if (!run) return null;
+
+      return (
+        <CodeRunOutput
+          run={run}
+          onRerun={() => runSnippet(key, code, language)}
+          onStop={() => stopSnippet(key)}
+          onDismiss={() => dismissRun(key)}
+          onSend={() => sendRunResult(run)}
+          canSend={!isBusy}
+          isDarkMode={isDarkMode}
+          className={className}
+        />
+      );
+    },
+    [
+      codeRuns,
+      runSnippet,
+      stopSnippet,
+      dismissRun,
+      sendRunResult,
+      isBusy,
+      isDarkMode,
+    ],
+  );
+
+  // Code block chrome (language label, copy, run and expand) for fenced
+  // code found by the Markdown renderer
+  const renderCodeBlock = useCallback(
+    (code, language) => (
+      <div
+        className={`code-block-wrapper my-3 md:my-4 group ${!isDarkMode ? "light" : ""}`}
+      >
+        <div
+          className={`flex flex-col sm:flex-row sm:items-center justify-between gap-2 ${
+            isDarkMode
+              ? "bg-gradient-to-r from-[#1E1E1E] to-[#252525] border-white/[0.08]"
+              : "bg-gradient-to-r from-gray-50 to-gray-100 border-gray-200"
+          } border rounded-t-xl px-3 md:px-4 py-2 md:py-2.5`}
+        >
+          <div className="flex items-center gap-2">
             <div
-              key={index}
-              className={`code-block-wrapper my-3 md:my-4 group ${!isDarkMode ? "light" : ""}`}
+              className={`w-5 h-5 rounded ${isDarkMode ? "bg-blue-500/10" : "bg-blue-100"} flex items-center justify-center flex-shrink-0`}
             >
-              <div
-                className={`flex flex-col sm:flex-row sm:items-center justify-between gap-2 ${
-                  isDarkMode
-                    ? "bg-gradient-to-r from-[#1E1E1E] to-[#252525] border-white/[0.08]"
-                    : "bg-gradient-to-r from-gray-50 to-gray-100 border-gray-200"
-                } border rounded-t-xl px-3 md:px-4 py-2 md:py-2.5`}
+              <svg
+                className={`w-3 h-3 ${isDarkMode ? "text-blue-400" : "text-blue-600"}`}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
               >
-                <div className="flex items-center gap-2">
-                  <div
-                    className={`w-5 h-5 rounded ${isDarkMode ? "bg-blue-500/10" : "bg-blue-100"} flex items-center justify-center flex-shrink-0`}
-                  >
-                    <svg
-                      className={`w-3 h-3 ${isDarkMode ? "text-blue-400" : "text-blue-600"}`}
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={1.5}
-                        d="M17.25 6.75L22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3l-4.5 16.5"
-                      />
-                    </svg>
-                  </div>
-                  <span
-                    className={`text-xs font-medium uppercase tracking-wider ${
-                      isDarkMode ? "text-white/70" : "text-gray-600"
-                    }`}
-                  >
-                    {language}
-                  </span>
-                </div>
-                <div className="flex items-center gap-1 ml-auto sm:ml-0">
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      copyToClipboard(code);
-                    }}
-                    className={`flex items-center gap-1.5 px-2 md:px-2.5 py-1.5 rounded-lg transition-all duration-200 ${
-                      isDarkMode
-                        ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
-                        : "bg-gray-200/50 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
-                    }`}
-                    title="Copy code to clipboard"
-                  >
-                    <svg
-                      className="w-3.5 h-3.5"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={1.5}
-                        d="M8.25 7.5V6.108c0-1.135.845-2.098 1.976-2.192.373-.03.748-.057 1.123-.08M15.75 18H9a2.25 2.25 0 01-2.25-2.25V9m12 0h.008v.008h-.008V9z"
-                      />
-                    </svg>
-                    <span className="text-xs">
-                      {copySuccess ? "Copied!" : "Copy"}
-                    </span>
-                  </button>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setGeneratedCode(code);
-                      setCodeLanguage(language);
-                      setShowCodeModal(true);
-                    }}
-                    className={`flex items-center gap-1.5 px-2 md:px-2.5 py-1.5 rounded-lg transition-all duration-200 ${
-                      isDarkMode
-                        ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
-                        : "bg-gray-200/50 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
-                    }`}
-                    title="Expand code view"
-                  >
-                    <svg
-                      className="w-3.5 h-3.5"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={1.5}
-                        d="M3.75 3.75v4.5m0-4.5h4.5m-4.5 0L9 9M20.25 20.25v-4.5m0 4.5h-4.5m4.5 0L15 15"
-                      />
-                    </svg>
-                    <span className="text-xs">Expand</span>
-                  </button>
-                </div>
-              </div>
-              <pre
-                className={`${
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={1.5}
+                  d="M17.25 6.75L22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3l-4.5 16.5"
+                />
+              </svg>
+            </div>
+            <span
+              className={`text-xs font-medium uppercase tracking-wider ${
+                isDarkMode ? "text-white/70" : "text-gray-600"
+              }`}
+            >
+              {language || t("code.plainText")}
+            </span>
+          </div>
+          <div className="flex items-center gap-1 ms-auto sm:ms-0">
+            {isRunnable(language) &&
+              renderRunButton(
+                code,
+                language,
+                `flex items-center gap-1.5 px-2 md:px-2.5 py-1.5 rounded-lg transition-all duration-200 ${
                   isDarkMode
-                    ? "bg-[#0C0C0C] border-white/[0.08] text-white/80"
-                    : "bg-white border-gray-200 text-gray-800"
-                } border-x border-b rounded-b-xl p-3 md:p-4 overflow-x-auto text-xs md:text-sm`}
+                    ? "bg-emerald-500/10 hover:bg-emerald-500/20 text-emerald-400"
+                    : "bg-emerald-100 hover:bg-emerald-200 text-emerald-700"
+                }`,
+              )}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                copyToClipboard(code);
+              }}
+              className={`flex items-center gap-1.5 px-2 md:px-2.5 py-1.5 rounded-lg transition-all duration-200 ${
+                isDarkMode
+                  ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                  : "bg-gray-200/50 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+              }`}
+              title={t("code.copyTitle")}
+            >
+              <svg
+                className="w-3.5 h-3.5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={1.5}
+                  d="M8.25 7.5V6.108c0-1.135.845-2.098 1.976-2.192.373-.03.748-.057 1.123-.08M15.75 18H9a2.25 2.25 0 01-2.25-2.25V9m12 0h.008v.008h-.008V9z"
+                />
+              </svg>
+              <span className="text-xs">
+                {copySuccess ? t("code.copied") : t("code.copy")}
+              </span>
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                openCodeBlock(code, language);
+              }}
+              className={`flex items-center gap-1.5 px-2 md:px-2.5 py-1.5 rounded-lg transition-all duration-200 ${
+                isDarkMode
+                  ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                  : "bg-gray-200/50 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+              }`}
+              title={t("code.expandTitle")}
+            >
+              <svg
+                className="w-3.5 h-3.5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
               >
-                <code className={`language-${language} font-mono`}>{code}</code>
-              </pre>
-            </div>
-          );
-        } else {
-          return <span key={index}>{part}</span>;
-        }
-      });
-    },
-    [isDarkMode, copySuccess, copyToClipboard],
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={1.5}
+                  d="M3.75 3.75v4.5m0-4.5h4.5m-4.5 0L9 9M20.25 20.25v-4.5m0 4.5h-4.5m4.5 0L15 15"
+                />
+              </svg>
+              <span className="text-xs">{t("code.expand")}</span>
+            </button>
+          </div>
+        </div>
+        <CodeHighlighter
+          code={code}
+          language={language}
+          className={`${
+            isDarkMode
+              ? "bg-[#0C0C0C] border-white/[0.08] text-white/80"
+              : "bg-white border-gray-200 text-gray-800"
+          } border-x border-b rounded-b-xl p-3 md:p-4 overflow-x-auto text-xs md:text-sm`}
+        />
+        {renderRunOutput(code, language, "mt-2")}
+      </div>
+    ),
+    [
+      isDarkMode,
+      copySuccess,
+      copyToClipboard,
+      openCodeBlock,
+      renderRunButton,
+      renderRunOutput,
+      t,
+    ],
   );
 
-  const simulateStreaming = useCallback((fullText) => {
-    if (streamIntervalRef.current) {
-      clearInterval(streamIntervalRef.current);
+  const formatMessage = useCallback(
+    (text) => <MarkdownMessage text={text} renderCodeBlock={renderCodeBlock} />,
+    [renderCodeBlock],
+  );
+
+  // Add a finished response to the thread. When a turn is regenerated the
+  // earlier answers are kept on the message as browsable variants.
+  const appendAIMessage = useCallback((text, extra = {}) => {
+    const pending = pendingVariantsRef.current;
+    pendingVariantsRef.current = null;
+
+    const timestamp = Date.now();
+    const message = { sender: "ai", text, timestamp, ...extra };
+    if (pending) {
+      message.variants = [...pending.variants, { text, timestamp, ...extra }];
+      message.variantIndex = pending.variants.length;
     }
 
-    setIsStreaming(true);
-    setStreamingMessage("");
+    setMessages((prev) => [...prev, message]);
+  }, []);
 
-    let index = 0;
-    const words = fullText.split(" ");
-    const delay = ENV_CONFIG.STREAMING_DELAY;
+  // Put back the answer that was being regenerated when the new one failed
+  const restorePendingVariants = useCallback(() => {
+    const pending = pendingVariantsRef.current;
+    pendingVariantsRef.current = null;
+    if (!pending) return;
 
-    streamIntervalRef.current = setInterval(() => {
-      if (index < words.length) {
-        setStreamingMessage((prev) => prev + (prev ? " " : "") + words[index]);
-        index++;
-      } else {
+    const active = pending.variants[pending.index];
+    setMessages((prev) => [
+      ...prev,
+      {
+        sender: "ai",
+        ...active,
+        variants: pending.variants,
+        variantIndex: pending.index,
+      },
+    ]);
+  }, []);
+
+  // Fallback for providers that only return the full response at once
+  const simulateStreaming = useCallback(
+    (fullText, extra) => {
+      if (streamIntervalRef.current) {
         clearInterval(streamIntervalRef.current);
-        setIsStreaming(false);
-        setMessages((prev) => [...prev, { sender: "ai", text: fullText }]);
-        setStreamingMessage("");
       }
-    }, delay);
-  }, []);
 
-  const sendMessage = async () => {
-    if (!input.trim()) return;
-    if (input.length > ENV_CONFIG.MAX_INPUT_LENGTH) {
-      alert(
-        `Input is too long. Maximum length is ${ENV_CONFIG.MAX_INPUT_LENGTH} characters.`,
-      );
+      setIsStreaming(true);
+      setStreamingMessage("");
+      setStreamingExtra(extra || {});
+
+      let index = 0;
+      const words = fullText.split(" ");
+      const delay = ENV_CONFIG.STREAMING_DELAY;
+
+      streamIntervalRef.current = setInterval(() => {
+        if (index < words.length) {
+          setStreamingMessage(
+            (prev) => prev + (prev ? " " : "") + words[index],
+          );
+          index++;
+        } else {
+          clearInterval(streamIntervalRef.current);
+          streamIntervalRef.current = null;
+          setIsStreaming(false);
+          appendAIMessage(fullText, extra);
+          setStreamingMessage("");
+          setStreamingExtra({});
+        }
+      }, delay);
+    },
+    [appendAIMessage],
+  );
+
+  // `text` overrides the composer, e.g. for a dictated prompt that is sent
+  // before the input state has caught up
+  const sendMessage = async (text) => {
+    const prompt = typeof text === "string" ? text : input;
+    if (!prompt.trim() && attachments.length === 0) return;
+    // Typed slash commands run instead of being sent
+    if (typeof text !== "string" && runSlashCommand(prompt)) return;
+    if (promptLength(prompt, attachments) > ENV_CONFIG.MAX_INPUT_LENGTH) {
+      alert(t("message.tooLong", { max: ENV_CONFIG.MAX_INPUT_LENGTH }));
+      return;
+    }
+    // The model may have been switched since the images were attached
+    const [image] = imageAttachments(attachments);
+    if (image && !supportsImages) {
+      alert(t("attachments.errors.noVision", { name: image.name }));
       return;
     }
 
-    const userMessage = { sender: "user", text: input };
-    setMessages((prev) => [...prev, userMessage]);
+    const userMessage = {
+      sender: "user",
+      text: prompt,
+      timestamp: Date.now(),
+      ...(attachments.length > 0 && { attachments }),
+    };
     setInput("");
-    setIsTyping(true);
+    clearAttachments();
     setSelectedSuggestion(null);
+
+    if (inputRef.current) {
+      inputRef.current.style.height = "auto";
+    }
+
+    return requestCompletion([...messages, userMessage]);
+  };
+  sendMessageRef.current = sendMessage;
+
+  // Ask the model to answer the last user turn of `thread`, replacing the
+  // visible transcript with it. Resolves to the reply, or to nothing when
+  // the request failed or was stopped. An identical earlier request is
+  // answered from the local cache unless `bypassCache` is set.
+  const requestCompletion = async (thread, { bypassCache = false } = {}) => {
+    setMessages(thread);
+    setIsTyping(true);
     setApiError(null);
 
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
-    abortControllerRef.current = new AbortController();
-
-    if (inputRef.current) {
-      inputRef.current.style.height = "auto";
-    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    let receivedTokens = false;
+    let partialText = "";
+    let isMockResponse = false;
+
+    // Read the reply aloud as it streams in; the voice conversation loop
+    // does its own speaking
+    const autoRead =
+      autoReadResponses && reader.supported && !voiceConversation.isActive;
+    const speechSource = thread.length;
+    if (autoRead) reader.begin(speechSource);
+
+    const params = {
+      temperature: settings.temperature,
+      top_p: settings.top_p,
+      max_tokens: settings.max_tokens,
+      presence_penalty: settings.presence_penalty,
+      frequency_penalty: settings.frequency_penalty,
+    };
 
     try {
-      const aiResponse = await callPuterAI(input, {
+      const history = buildChatHistory(thread, {
+        systemPrompt: activePersona?.systemPrompt,
+        contextWindow: ENV_CONFIG.CONTEXT_WINDOW,
+        reservedTokens: settings.max_tokens,
+      });
+      const cacheRequest = {
+        provider: providerId,
+        model,
+        params,
+        messages: history,
+      };
+      const cached = bypassCache
+        ? null
+        : await responseCache.lookup(cacheRequest);
+      if (controller.signal.aborted) throw abortedError();
+      if (cached) {
+        setIsTyping(false);
+        simulateStreaming(cached.text, { cached: true });
+        if (autoRead) {
+          reader.append(cached.text);
+          reader.end();
+        }
+        return cached.text;
+      }
+      // Without a connection a new prompt waits in the transcript, which
+      // doubles as the outbox, until the connection comes back
+      if (!navigator.onLine && !pendingVariantsRef.current) {
+        setIsTyping(false);
+        if (autoRead) reader.stop();
+        setMessages([
+          ...thread.slice(0, -1),
+          { ...thread[thread.length - 1], queued: true },
+        ]);
+        return;
+      }
+
+      const aiResponse = await callAI(history, {
         retries: ENV_CONFIG.PUTER_MAX_RETRIES,
         timeout: ENV_CONFIG.PUTER_TIMEOUT,
-        model: ENV_CONFIG.PUTER_MODEL,
-        temperature: 0.7,
-        max_tokens: 2000,
+        model,
+        ...params,
+        signal: controller.signal,
+        onToken: (chunk) => {
+          if (!receivedTokens) {
+            receivedTokens = true;
+            setIsTyping(false);
+            setIsStreaming(true);
+          }
+          partialText += chunk;
+          setStreamingMessage((prev) => prev + chunk);
+          if (autoRead) reader.append(chunk);
+        },
+        onStreamReset: () => {
+          receivedTokens = false;
+          partialText = "";
+          if (autoRead) reader.begin(speechSource);
+          setStreamingMessage("");
+          setIsStreaming(false);
+          setIsTyping(true);
+        },
+        onMockResponse: () => {
+          isMockResponse = true;
+        },
       });
 
       setIsTyping(false);
-      simulateStreaming(aiResponse);
+      // Only complete answers from a model are worth replaying
+      if (!isMockResponse && !controller.signal.aborted && aiResponse?.trim()) {
+        responseCache.store(cacheRequest, aiResponse);
+      }
+      if (receivedTokens) {
+        appendAIMessage(aiResponse);
+        setIsStreaming(false);
+        setStreamingMessage("");
+      } else {
+        simulateStreaming(aiResponse);
+        if (autoRead) reader.append(aiResponse);
+      }
+      if (autoRead) reader.end();
+      return aiResponse;
     } catch (err) {
-      console.error("API Error:", err);
       setIsTyping(false);
-      setApiError(err.message);
+      setIsStreaming(false);
+      setStreamingMessage("");
+
+      // Keep whatever arrived before the user pressed Stop
+      if (err.type === ErrorTypes.ABORTED) {
+        appendAIMessage(partialText, { stopped: true });
+        if (autoRead) reader.end();
+        return;
+      }
+      if (autoRead) reader.stop();
+
+      console.error("API Error:", err);
+      // Without a connection only cached answers can be shown
+      let errorMessage = navigator.onLine
+        ? t(`errors.${err.code || ErrorTypes.UNKNOWN}`, err.values)
+        : t("message.offlineMiss");
+      if (err.type === HistoryErrors.PROMPT_TOO_LONG) {
+        errorMessage = t("message.promptTooLong");
+      }
+      setApiError(errorMessage);
+      restorePendingVariants();
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          sender: "ai",
+          text: errorMessage,
+          timestamp: Date.now(),
+          isError: true,
+        },
+      ]);
+    }
+  };
+
+  requestCompletionRef.current = requestCompletion;
+
+  // The outbox is every queued prompt in every conversation; the open one
+  // counts with its live transcript
+  const queuedCount = [
+    messages,
+    ...conversations
+      .filter((conversation) => conversation.id !== activeConversationId)
+      .map((conversation) => conversation.messages),
+  ].reduce((sum, thread) => sum + thread.filter((msg) => msg.queued).length, 0);
+
+  // Once the connection is back the open conversation's outbox is sent one
+  // prompt at a time, oldest first. The prompts after the one being answered
+  // are held back and put back when its answer is in. Other conversations
+  // keep their queued prompts, marked in the sidebar, until they are opened.
+  useEffect(() => {
+    if (!isOnline || isBusy) return;
+    if (loadedConversationRef.current !== activeConversationId) return;
+
+    if (outboxRestRef.current) {
+      const rest = outboxRestRef.current;
+      outboxRestRef.current = null;
+      setMessages((prev) => [...prev, ...rest]);
+      return;
+    }
+
+    const index = messages.findIndex((msg) => msg.queued);
+    if (index !== -1) {
+      const { queued, ...prompt } = messages[index];
+      const rest = messages.slice(index + 1);
+      outboxRestRef.current = rest.length > 0 ? rest : null;
+      requestCompletionRef.current([...messages.slice(0, index), prompt]);
+    }
+  }, [isOnline, isBusy, messages, activeConversationId]);
+
+  const stopGeneration = useCallback(() => {
+    abortControllerRef.current?.abort();
+
+    // The word-by-word replay runs after the request has finished, so it has
+    // to be halted here, keeping the text shown so far
+    if (streamIntervalRef.current) {
+      clearInterval(streamIntervalRef.current);
+      streamIntervalRef.current = null;
+      appendAIMessage(streamingMessage, { ...streamingExtra, stopped: true });
+      setIsStreaming(false);
+      setStreamingMessage("");
+      setStreamingExtra({});
+    }
+  }, [streamingMessage, streamingExtra, appendAIMessage]);
+
+  const regenerateResponse = (index) => {
+    const target = messages[index];
+    if (messages[index - 1]?.sender !== "user") return;
+
+    if (
+      index < messages.length - 1 &&
+      !window.confirm(t("message.confirmRegenerate"))
+    ) {
+      return;
+    }
+
+    // Error bubbles are replaced rather than kept as an alternative
+    if (!target.isError) {
+      pendingVariantsRef.current = target.variants
+        ? { variants: target.variants, index: target.variantIndex }
+        : {
+            variants: [
+              {
+                text: target.text,
+                stopped: target.stopped,
+                cached: target.cached,
+                timestamp: target.timestamp,
+              },
+            ],
+            index: 0,
+          };
+    }
+
+    // Asking again means wanting a fresh answer, not the cached one
+    requestCompletion(messages.slice(0, index), { bypassCache: true });
+  };
+
+  const startEditing = (index) => {
+    setEditingIndex(index);
+    setEditDraft(messages[index].text);
+  };
+
+  const submitEdit = () => {
+    const text = editDraft.trim();
+    if (editingIndex === null) return;
 
-      setMessages((prev) => [...prev, { sender: "ai", text: err.message }]);
+    // An edited prompt keeps its attachments
+    const edited = messages[editingIndex];
+    if (!text && !edited.attachments?.length) return;
+
+    if (promptLength(text, edited.attachments) > ENV_CONFIG.MAX_INPUT_LENGTH) {
+      alert(t("message.tooLong", { max: ENV_CONFIG.MAX_INPUT_LENGTH }));
+      return;
     }
+
+    const thread = [
+      ...messages.slice(0, editingIndex),
+      { ...edited, text, timestamp: Date.now() },
+    ];
+    setEditingIndex(null);
+    requestCompletion(thread);
+  };
+
+  const showVariant = (index, direction) => {
+    setMessages((prev) =>
+      prev.map((msg, i) => {
+        if (i !== index || !msg.variants) return msg;
+
+        const variantIndex = Math.min(
+          Math.max(msg.variantIndex + direction, 0),
+          msg.variants.length - 1,
+        );
+        const variant = msg.variants[variantIndex];
+
+        return {
+          ...msg,
+          text: variant.text,
+          stopped: variant.stopped,
+          cached: variant.cached,
+          timestamp: variant.timestamp,
+          variantIndex,
+        };
+      }),
+    );
   };
 
-  const handleKey = useCallback(
+  const handleKey = useCallback((e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      sendMessageRef.current();
+    }
+  }, []);
+
+  // Files pasted into the composer are attached; plain text pastes as usual
+  const handlePaste = useCallback(
     (e) => {
-      if (e.key === "Enter" && !e.shiftKey) {
-        e.preventDefault();
-        sendMessage();
-      }
+      const files = [...(e.clipboardData?.files || [])];
+      if (files.length === 0) return;
+      e.preventDefault();
+      addFiles(files, input);
     },
-    [input],
+    [addFiles, input],
   );
 
+  // dragenter/dragleave fire for every child, so count the depth
+  const isFileDrag = (e) => e.dataTransfer?.types?.includes("Files");
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (isFileDrag(e)) e.preventDefault();
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFiles(false);
+    addFiles([...e.dataTransfer.files], input);
+  };
+
   const handleInputChange = useCallback(
     (e) => {
       const value = e.target.value;
@@ -767,178 +1351,452 @@ function App() {
     [isMobile],
   );
 
+  // Settings belong to the open conversation and become the starting point
+  // for new ones
+  const changeSettings = useCallback(
+    (changes) => {
+      const next = normalizeSettings({ ...settings, ...changes });
+      if (changes.providerId && changes.providerId !== settings.providerId) {
+        next.model = getProvider(changes.providerId).defaultModel;
+        setApiError(null);
+      }
+      if (activeConversationId) {
+        saveSettings(activeConversationId, next);
+      }
+      setLastUsedSettings(next);
+    },
+    [settings, activeConversationId, saveSettings],
+  );
+
+  // Picking a persona also applies its default model and parameters
+  const choosePersona = useCallback(
+    (personaId) => {
+      if (!activeConversationId) return;
+      const persona = personas.find((p) => p.id === personaId) || null;
+      assignPersona(
+        activeConversationId,
+        persona?.id || null,
+        persona?.settings || null,
+      );
+      setApiError(null);
+    },
+    [personas, activeConversationId, assignPersona],
+  );
+
+  const startDictation = useCallback(() => {
+    dictationBaseRef.current = input.trim();
+    clearTranscript();
+    clearVoiceError();
+    setDictationError(null);
+    setIsDictating(true);
+    startListening();
+  }, [input, clearTranscript, clearVoiceError, startListening]);
+
+  const stopDictation = useCallback(() => {
+    stopListening();
+    setIsDictating(false);
+  }, [stopListening]);
+
   const toggleTheme = useCallback(() => {
     setIsDarkMode((prev) => !prev);
   }, []);
 
   const clearChat = useCallback(() => {
-    if (window.confirm("Are you sure you want to clear the chat history?")) {
+    if (window.confirm(t("message.confirmClear"))) {
       setMessages([]);
       setSelectedSuggestion(null);
       setApiError(null);
     }
-  }, []);
+  }, [t]);
+
+  const handleNewChat = useCallback(() => {
+    createConversation();
+    setInput("");
+    clearAttachments();
+    setShowSidebar(false);
+    inputRef.current?.focus();
+  }, [createConversation, clearAttachments]);
+
+  const jumpToMessage = useCallback(
+    ({ conversationId, index }) => {
+      // A reply being generated would land in the other conversation
+      if (isBusy && conversationId !== activeConversationId) return;
+      selectConversation(conversationId);
+      setShowSearch(false);
+      setShowSidebar(false);
+      setJumpTarget({ conversationId, index });
+    },
+    [isBusy, activeConversationId, selectConversation],
+  );
 
-  const exportChat = useCallback(() => {
-    const chatHistory = messages.map((msg) => ({
-      role: msg.sender,
-      content: msg.text,
-      timestamp: new Date().toISOString(),
-    }));
-
-    const blob = new Blob([JSON.stringify(chatHistory, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `chat-history-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [messages]);
+  const handleSelectConversation = useCallback(
+    (id) => {
+      selectConversation(id);
+      setShowSidebar(false);
+    },
+    [selectConversation],
+  );
 
-  const readResponse = useCallback(
-    (text) => {
-      if (!voiceSupported) {
-        alert("Text-to-speech is not supported in your browser.");
+  // The exporters pull in a server renderer for the HTML output, so they
+  // are only loaded when first used
+  const exportChat = useCallback(
+    async (format) => {
+      if (!activeConversation) return;
+      const { EXPORT_FORMATS, exportConversation, printConversation } =
+        await import("./utils/chatExport");
+      const options = { t, locale, dir };
+
+      if (format === "pdf") {
+        printConversation(activeConversation, messages, options);
         return;
       }
 
-      // Clean text (remove code blocks, markdown, etc.)
-      const cleanText = text
-        .replace(/```[\s\S]*?```/g, "Code block omitted")
-        .replace(/`([^`]+)`/g, "$1")
-        .replace(/#+\s/g, "")
-        .replace(/\*\*/g, "")
-        .replace(/\*/g, "");
-
-      speak(cleanText, {
-        rate: 0.9, // Slightly slower for better comprehension
-        pitch: 1,
-      });
+      const slug =
+        (activeConversation.title || "chat-history")
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-+|-+$/g, "")
+          .slice(0, 40) || "chat-history";
+      const { extension, mimeType } = EXPORT_FORMATS[format];
+      downloadFile(
+        exportConversation(activeConversation, messages, format, options),
+        mimeType,
+        `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`,
+      );
     },
-    [voiceSupported, speak],
+    [messages, activeConversation, t, locale, dir],
   );
 
-  const suggestions = useMemo(
-    () => [
-      {
-        id: 1,
-        title: "React Hook",
-        description: "API fetching hook",
-        icon: <SiReact className="w-4 h-4" />,
-        color: "blue",
-        prompt:
-          "Create a React hook for API fetching with loading states and error handling",
-      },
-      {
-        id: 2,
-        title: "Python",
-        description: "Sort dictionary",
-        icon: <SiPython className="w-4 h-4" />,
-        color: "purple",
-        prompt: "Write a Python function to sort a dictionary by values",
-      },
-      {
-        id: 3,
-        title: "JavaScript",
-        description: "Debounce function",
-        icon: <SiJavascript className="w-4 h-4" />,
-        color: "yellow",
-        prompt: "Create a JavaScript debounce function with immediate option",
-      },
-      {
-        id: 4,
-        title: "API",
-        description: "Express REST API",
-        icon: <AiOutlineApi className="w-4 h-4" />,
-        color: "green",
-        prompt: "Build a REST API with Express.js and MongoDB",
-      },
-      {
-        id: 5,
-        title: "TypeScript",
-        description: "Generic interface",
-        icon: <SiTypescript className="w-4 h-4" />,
-        color: "blue",
-        prompt: "Create a TypeScript generic interface for API responses",
-      },
-      {
-        id: 6,
-        title: "CSS",
-        description: "Glassmorphism",
-        icon: <SiCss3 className="w-4 h-4" />,
-        color: "pink",
-        prompt: "Create a glassmorphism CSS card component",
-      },
-      {
-        id: 7,
-        title: "Explain",
-        description: "Code explanation",
-        icon: <MdInfo className="w-4 h-4" />,
-        color: "indigo",
-        prompt: "Explain this code to me like I'm a beginner",
+  // Restore a JSON export as a new conversation
+  const importChat = useCallback(
+    async (file) => {
+      const { parseConversationImport } = await import("./utils/chatExport");
+      try {
+        importConversation(parseConversationImport(await file.text()));
+        setShowSidebar(false);
+      } catch (err) {
+        console.error("Import failed:", err);
+        alert(
+          t(`export.importErrors.${err.type || "invalid"}`, {
+            name: file.name,
+          }),
+        );
+      }
+    },
+    [importConversation, t],
+  );
+
+  const toggleVoiceConversation = () =>
+    voiceConversation.isActive
+      ? voiceConversation.stop()
+      : voiceConversation.start();
+  const canConverse = recognitionSupported && voiceSupported;
+
+  // Templates with placeholders open the fill-in form; the rest go
+  // straight into the composer
+  const applyTemplate = (template) => {
+    setShowTemplateLibrary(false);
+    if (templateFields(template.prompt).length > 0) {
+      setTemplateToFill(template);
+      return;
+    }
+    setInput(template.prompt);
+    setSelectedSuggestion(template.id);
+    inputRef.current?.focus();
+  };
+
+  const submitTemplate = (prompt, send) => {
+    setSelectedSuggestion(templateToFill?.id || null);
+    setTemplateToFill(null);
+    if (send) {
+      sendMessage(prompt);
+    } else {
+      setInput(prompt);
+      inputRef.current?.focus();
+    }
+  };
+
+  const slashCommands = [
+    { name: "clear", description: t("commands.slash.clear"), run: clearChat },
+    {
+      name: "export",
+      description: t("commands.slash.export"),
+      options: EXPORT_CHOICES.map((format) => ({
+        value: format,
+        label: t(`export.formats.${format}`),
+      })),
+      run: (arg) =>
+        exportChat(
+          EXPORT_CHOICES.find((format) =>
+            format.startsWith(arg.toLowerCase()),
+          ) || "markdown",
+        ),
+    },
+    {
+      name: "model",
+      description: t("commands.slash.model", { model }),
+      options: [...new Set([model, ...getProvider(providerId).models])].map(
+        (name) => ({ value: name, label: name }),
+      ),
+      run: (arg) => arg && changeSettings({ model: arg }),
+    },
+    {
+      name: "persona",
+      description: t("commands.slash.persona"),
+      options: [
+        { value: "none", label: t("settings.defaultPersona") },
+        ...personas.map((p) => ({ value: p.name, label: p.name })),
+      ],
+      run: (arg) => {
+        const name = arg.toLowerCase();
+        const persona = personas.find((p) => p.name.toLowerCase() === name);
+        if (persona || name === "none") choosePersona(persona?.id || null);
       },
-      {
-        id: 8,
-        title: "Debug",
-        description: "Find errors",
-        icon: <AiOutlineBug className="w-4 h-4" />,
-        color: "red",
-        prompt: "Debug this code and fix the errors",
+    },
+    {
+      name: "template",
+      description: t("commands.slash.template"),
+      options: templates.map((template) => ({
+        value: template.title,
+        label: template.title,
+      })),
+      run: (arg) => {
+        const title = arg.toLowerCase();
+        const template = templates.find(
+          (tpl) => tpl.title.toLowerCase() === title,
+        );
+        if (template) applyTemplate(template);
+        else setShowTemplateLibrary(true);
       },
-      {
-        id: 9,
-        title: "Optimize",
-        description: "Performance",
-        icon: <AiOutlineRocket className="w-4 h-4" />,
-        color: "amber",
-        prompt: "Optimize this code for better performance",
+    },
+    {
+      name: "explain",
+      description: t("commands.slash.explain"),
+      takesText: true,
+      // Without a topic the last answer is explained
+      run: (arg) => {
+        if (arg) {
+          sendMessage(t("commands.explainPrompt", { text: arg }));
+        } else if (messages.some((msg) => msg.sender === "ai")) {
+          sendMessage(t("commands.explainLastPrompt"));
+        }
       },
-    ],
-    [],
+    },
+    {
+      name: "theme",
+      description: t("commands.slash.theme"),
+      options: [
+        { value: "dark", label: t("commands.themes.dark") },
+        { value: "light", label: t("commands.themes.light") },
+      ],
+      run: (arg) =>
+        arg === "dark" || arg === "light"
+          ? setIsDarkMode(arg === "dark")
+          : toggleTheme(),
+    },
+    ...(canConverse
+      ? [
+          {
+            name: "voice",
+            description: t("commands.slash.voice"),
+            run: toggleVoiceConversation,
+          },
+        ]
+      : []),
+  ];
+
+  // Run `text` if it is a known slash command
+  const runSlashCommand = (text) => {
+    const found = findSlashCommand(text, slashCommands);
+    if (!found) return false;
+
+    setInput("");
+    found.command.run(found.arg);
+    return true;
+  };
+
+  const slashMenu = useSlashCommands({
+    input,
+    commands: slashCommands,
+    onInsert: (text) => {
+      setInput(text);
+      inputRef.current?.focus();
+    },
+    onRun: runSlashCommand,
+  });
+
+  const modifierKey = /Mac|iPhone|iPad/.test(navigator.platform) ? "⌘" : "Ctrl";
+  const lastIndex = messages.length - 1;
+  const paletteActions = [
+    {
+      id: "new-chat",
+      label: t("commands.actions.newChat"),
+      disabled: isBusy,
+      run: handleNewChat,
+    },
+    {
+      id: "search",
+      label: t("commands.actions.search"),
+      shortcut: `${modifierKey}+Shift+F`,
+      run: () => setShowSearch(true),
+    },
+    {
+      id: "regenerate",
+      label: t("commands.actions.regenerate"),
+      disabled:
+        isBusy ||
+        messages[lastIndex]?.sender !== "ai" ||
+        messages[lastIndex - 1]?.sender !== "user",
+      run: () => regenerateResponse(lastIndex),
+    },
+    {
+      id: "clear",
+      label: t("commands.actions.clear"),
+      disabled: messages.length === 0,
+      run: clearChat,
+    },
+    ...EXPORT_CHOICES.map((format) => ({
+      id: `export-${format}`,
+      label: t("commands.actions.export", {
+        format: t(`export.formats.${format}`),
+      }),
+      disabled: messages.length === 0,
+      run: () => exportChat(format),
+    })),
+    {
+      id: "theme",
+      label: t("commands.actions.toggleTheme"),
+      run: toggleTheme,
+    },
+    {
+      id: "conversations",
+      label: t("commands.actions.conversations"),
+      run: () => setShowSidebar(true),
+    },
+    {
+      id: "settings",
+      label: t("commands.actions.settings"),
+      run: () => setShowSettings(true),
+    },
+    {
+      id: "personas",
+      label: t("commands.actions.personas"),
+      run: () => setShowPersonaManager(true),
+    },
+    {
+      id: "templates",
+      label: t("commands.actions.templates"),
+      run: () => setShowTemplateLibrary(true),
+    },
+    {
+      id: "voice",
+      label: voiceConversation.isActive
+        ? t("commands.actions.stopVoice")
+        : t("commands.actions.startVoice"),
+      disabled: !canConverse || isDictating,
+      run: toggleVoiceConversation,
+    },
+    {
+      id: "focus",
+      label: t("commands.actions.focusComposer"),
+      run: () => inputRef.current?.focus(),
+    },
+    ...(canInstall
+      ? [
+          {
+            id: "install",
+            label: t("commands.actions.install"),
+            run: install,
+          },
+        ]
+      : []),
+  ];
+
+  // Reading the message that is already being read stops it instead
+  const readResponse = useCallback(
+    (index, text) => {
+      if (!reader.supported) {
+        alert(t("voice.ttsUnsupported"));
+        return;
+      }
+
+      if (reader.isActive && reader.sourceId === index) {
+        reader.stop();
+        return;
+      }
+      reader.read(index, text);
+    },
+    [reader, t],
   );
 
   const getApiStatusColor = useCallback(() => {
+    if (!isOnline) return "yellow";
     if (apiError) return "red";
     if (apiHealth === "healthy") return "emerald";
     if (apiHealth === "unhealthy") return "red";
     return "yellow";
-  }, [apiError, apiHealth]);
+  }, [apiError, apiHealth, isOnline]);
 
   const getApiStatusText = useCallback(() => {
-    if (apiError) return "API Error";
+    if (!isOnline) return t("status.offline");
+    if (apiError) return t("status.apiError");
     if (apiHealth === "healthy") return "AURA MIND";
-    if (apiHealth === "unhealthy") return "API Unavailable";
-    return "Connecting...";
-  }, [apiError, apiHealth]);
+    if (apiHealth === "unhealthy") return t("status.apiUnavailable");
+    return t("status.connecting");
+  }, [apiError, apiHealth, isOnline, t]);
 
   const renderVoiceSettings = () => (
     <div className="flex items-center gap-2">
-      {voiceSupported && voices.length > 0 && !isMobile && (
-        <select
-          value={selectedVoice?.name || ""}
-          onChange={(e) => {
-            const voice = voices.find((v) => v.name === e.target.value);
-            setSelectedVoice(voice);
-          }}
-          className={`text-[10px] px-2 py-1 rounded-lg ${
-            isDarkMode
-              ? "bg-white/[0.03] border-white/[0.05] text-white/60"
-              : "bg-gray-100 border-gray-200 text-gray-600"
-          } border`}
-        >
-          {voices
-            .filter((v) => v.lang.includes("en"))
-            .map((voice) => (
-              <option key={voice.name} value={voice.name}>
-                {voice.name.replace("Google ", "").replace("Microsoft ", "")}
+      {reader.supported && voices.length > 0 && !isMobile && (
+        <>
+          <select
+            value={voicePickerLanguage}
+            onChange={(e) => setVoicePickerLanguage(e.target.value)}
+            className={`text-[10px] px-2 py-1 rounded-lg ${
+              isDarkMode
+                ? "bg-white/[0.03] border-white/[0.05] text-white/60"
+                : "bg-gray-100 border-gray-200 text-gray-600"
+            } border`}
+            title={t("voice.voiceLanguage")}
+          >
+            {voiceLanguages(voices).map((lang) => (
+              <option key={lang} value={lang}>
+                {languageName(lang, locale)}
               </option>
             ))}
-        </select>
+          </select>
+          <select
+            value={
+              pickVoice(voices, voicePreferences, voicePickerLanguage)?.name ||
+              ""
+            }
+            onChange={(e) =>
+              setVoicePreferences((prev) => ({
+                ...prev,
+                [voicePickerLanguage]: e.target.value,
+              }))
+            }
+            className={`text-[10px] px-2 py-1 rounded-lg max-w-[10rem] ${
+              isDarkMode
+                ? "bg-white/[0.03] border-white/[0.05] text-white/60"
+                : "bg-gray-100 border-gray-200 text-gray-600"
+            } border`}
+            title={t("voice.voiceFor", {
+              language: languageName(voicePickerLanguage, locale),
+            })}
+          >
+            {voices
+              .filter((v) => baseLanguage(v.lang) === voicePickerLanguage)
+              .map((voice) => (
+                <option key={voice.name} value={voice.name}>
+                  {voice.name.replace("Google ", "").replace("Microsoft ", "")}
+                </option>
+              ))}
+          </select>
+        </>
       )}
 
-      {isSpeaking && (
+      {(isSpeaking || reader.isActive) && (
         <div
           className={`flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] ${
             isDarkMode
@@ -950,7 +1808,7 @@ function App() {
             <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
             <span className="relative inline-flex rounded-full h-2 w-2 bg-green-500"></span>
           </span>
-          Speaking...
+          {t("voice.speaking")}
         </div>
       )}
     </div>
@@ -968,7 +1826,7 @@ function App() {
                 : "hover:bg-gray-100 text-gray-400 hover:text-gray-600"
               : "opacity-0 pointer-events-none"
           }`}
-          title="Clear input"
+          title={t("composer.clearInput")}
           disabled={isAPILoading}
         >
           <svg
@@ -987,21 +1845,100 @@ function App() {
         </button>
       )}
 
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={isAPILoading || isTyping || isStreaming}
+        className={`p-1.5 sm:p-2 rounded-lg border transition-all duration-200 disabled:opacity-40 ${
+          isDarkMode
+            ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80 border-white/[0.05]"
+            : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800 border-gray-200"
+        }`}
+        title={t("attachments.attachTitle")}
+        aria-label={t("attachments.attach")}
+      >
+        <MdAttachFile className={isMobile ? "w-3.5 h-3.5" : "w-4 h-4"} />
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        onChange={(e) => {
+          addFiles([...e.target.files], input);
+          e.target.value = "";
+        }}
+        className="hidden"
+      />
+
+      {recognitionSupported && voiceSupported && (
+        <button
+          onClick={
+            voiceConversation.isActive
+              ? voiceConversation.stop
+              : voiceConversation.start
+          }
+          disabled={isDictating}
+          aria-pressed={voiceConversation.isActive}
+          className={`p-1.5 sm:p-2 rounded-lg border transition-all duration-200 disabled:opacity-40 ${
+            voiceConversation.isActive
+              ? isDarkMode
+                ? "bg-green-500/20 text-green-400 border-green-500/30"
+                : "bg-green-100 text-green-600 border-green-200"
+              : isDarkMode
+                ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80 border-white/[0.05]"
+                : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800 border-gray-200"
+          }`}
+          title={
+            voiceConversation.isActive
+              ? t("voice.endConversation")
+              : t("voice.startConversation")
+          }
+        >
+          <MdRecordVoiceOver className={isMobile ? "w-3.5 h-3.5" : "w-4 h-4"} />
+        </button>
+      )}
+
+      {recognitionSupported && !voiceConversation.isActive && (
+        <VoiceButton
+          onVoiceInput={() => inputRef.current?.focus()}
+          isListening={isDictating && isListening}
+          onStartListening={startDictation}
+          onStopListening={stopDictation}
+          isSpeaking={isSpeaking}
+          onStopSpeaking={stopSpeaking}
+          disabled={isAPILoading || isTyping || isStreaming}
+          isDarkMode={isDarkMode}
+          size={isMobile ? "sm" : "md"}
+          error={dictationErrorText}
+          permissionStatus={permissionStatus}
+        />
+      )}
+
+      {(isAPILoading || isTyping || isStreaming) && (
+        <button
+          onClick={stopGeneration}
+          className={`flex items-center gap-1 p-2 sm:px-3 sm:py-2.5 rounded-lg sm:rounded-xl text-xs font-medium transition-all duration-200 ${
+            isDarkMode
+              ? "bg-red-500/10 border border-red-500/20 text-red-400 hover:bg-red-500/20"
+              : "bg-red-50 border border-red-200 text-red-600 hover:bg-red-100"
+          }`}
+          title={t("composer.stopTitle")}
+        >
+          <MdStop className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+          {!isMobile && <span>{t("composer.stop")}</span>}
+        </button>
+      )}
+
       <button
         onClick={sendMessage}
         disabled={
-          !input.trim() ||
-          isAPILoading ||
-          isTyping ||
-          isStreaming ||
-          apiHealth === "unhealthy"
+          !hasDraft || isAPILoading || isTyping || isStreaming || isServiceDown
         }
         className={`relative group p-2 sm:p-2.5 md:p-3 rounded-lg sm:rounded-xl transition-all duration-300 ${
-          input.trim() &&
+          hasDraft &&
           !isAPILoading &&
           !isTyping &&
           !isStreaming &&
-          apiHealth !== "unhealthy"
+          !isServiceDown
             ? isDarkMode
               ? "bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700 hover:scale-105 hover:shadow-2xl hover:shadow-blue-500/30"
               : "bg-gradient-to-r from-blue-500 to-indigo-500 text-white hover:from-blue-600 hover:to-indigo-600 hover:scale-105 hover:shadow-xl hover:shadow-blue-500/40"
@@ -1009,10 +1946,16 @@ function App() {
               ? "bg-white/[0.03] text-white/20 cursor-not-allowed"
               : "bg-gray-100 text-gray-400 cursor-not-allowed"
         }`}
-        title={apiHealth === "unhealthy" ? "API Unavailable" : "Send message"}
+        title={
+          isServiceDown
+            ? t("status.apiUnavailable")
+            : isOnline
+              ? t("composer.send")
+              : t("composer.sendOffline")
+        }
       >
         <svg
-          className="w-3.5 h-3.5 sm:w-4 sm:h-4 transform transition-transform duration-300 group-hover:translate-x-0.5 group-hover:-translate-y-0.5"
+          className="w-3.5 h-3.5 sm:w-4 sm:h-4 transform transition-transform duration-300 rtl:-scale-x-100 group-hover:translate-x-0.5 rtl:group-hover:-translate-x-0.5 group-hover:-translate-y-0.5"
           fill="none"
           stroke="currentColor"
           viewBox="0 0 24 24"
@@ -1024,18 +1967,84 @@ function App() {
             d="M6 12L3.269 3.126A59.768 59.768 0 0121.485 12 59.77 59.77 0 013.27 20.876L5.999 12zm0 0h7.5"
           />
         </svg>
-        {!isMobile &&
-          input.trim() &&
-          !isAPILoading &&
-          apiHealth !== "unhealthy" && (
-            <span className="absolute -top-1 -right-1 w-2 h-2">
-              <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-blue-400 opacity-75"></span>
-              <span className="relative inline-flex rounded-full h-2 w-2 bg-blue-500"></span>
+        {!isMobile && hasDraft && !isAPILoading && !isServiceDown && (
+          <span className="absolute -top-1 -end-1 w-2 h-2">
+            <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-blue-400 opacity-75"></span>
+            <span className="relative inline-flex rounded-full h-2 w-2 bg-blue-500"></span>
+          </span>
+        )}
+      </button>
+    </div>
+  );
+
+  const renderMessageActions = (msg, idx) => {
+    const isBusy = isAPILoading || isTyping || isStreaming;
+    const actionClass = `p-0.5 rounded transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed ${
+      msg.sender === "user"
+        ? "text-blue-100/60 hover:text-white hover:bg-white/10"
+        : isDarkMode
+          ? "text-white/30 hover:text-white/70 hover:bg-white/[0.06]"
+          : "text-gray-400 hover:text-gray-700 hover:bg-gray-100"
+    }`;
+
+    if (msg.sender === "user") {
+      if (editingIndex === idx) return null;
+      return (
+        <button
+          onClick={() => startEditing(idx)}
+          disabled={isBusy}
+          className={`${actionClass} opacity-0 group-hover:opacity-100 focus:opacity-100`}
+          title={t("message.edit")}
+        >
+          <MdEdit className="w-3 h-3" />
+        </button>
+      );
+    }
+
+    const canRegenerate = messages[idx - 1]?.sender === "user";
+
+    return (
+      <div
+        className={`flex items-center gap-0.5 text-[8px] sm:text-[9px] ${
+          isDarkMode ? "text-white/30" : "text-gray-500"
+        }`}
+      >
+        {msg.variants?.length > 1 && (
+          <>
+            <button
+              onClick={() => showVariant(idx, -1)}
+              disabled={isBusy || msg.variantIndex === 0}
+              className={actionClass}
+              title={t("message.previousAnswer")}
+            >
+              <MdChevronLeft className="w-3 h-3 rtl:-scale-x-100" />
+            </button>
+            <span className="tabular-nums">
+              {msg.variantIndex + 1}/{msg.variants.length}
             </span>
-          )}
-      </button>
-    </div>
-  );
+            <button
+              onClick={() => showVariant(idx, 1)}
+              disabled={isBusy || msg.variantIndex === msg.variants.length - 1}
+              className={actionClass}
+              title={t("message.nextAnswer")}
+            >
+              <MdChevronRight className="w-3 h-3 rtl:-scale-x-100" />
+            </button>
+          </>
+        )}
+        {canRegenerate && (
+          <button
+            onClick={() => regenerateResponse(idx)}
+            disabled={isBusy}
+            className={actionClass}
+            title={msg.isError ? t("message.retry") : t("message.regenerate")}
+          >
+            <MdRefresh className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+    );
+  };
 
   const apiStatusColor = getApiStatusColor();
   const apiStatusText = getApiStatusText();
@@ -1067,6 +2076,18 @@ function App() {
 
           <div className="max-w-6xl mx-auto flex items-center justify-between relative z-10">
             <div className="flex items-center gap-2 sm:gap-4">
+              <button
+                onClick={() => setShowSidebar(true)}
+                className={`p-1.5 sm:p-2 rounded-lg transition-all duration-200 ${
+                  isDarkMode
+                    ? "bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80"
+                    : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                }`}
+                title={t("header.showConversations")}
+              >
+                <MdMenu className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+
               <div className="relative group">
                 <div
                   className={`absolute inset-0 blur-xl sm:blur-2xl opacity-30 animate-pulse rounded-xl sm:rounded-2xl ${
@@ -1082,7 +2103,7 @@ function App() {
                 <div className="relative w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 rounded-lg sm:rounded-xl md:rounded-2xl overflow-hidden shadow-xl sm:shadow-2xl group-hover:scale-110 transition-transform duration-300">
                   <img
                     src={Logo}
-                    alt="AI Assistant Logo"
+                    alt={t("app.logoAlt")}
                     className="w-full h-full object-cover"
                     onError={(e) => {
                       e.target.style.display = "none";
@@ -1102,7 +2123,7 @@ function App() {
                         : "text-gray-900"
                     }`}
                   >
-                    {isMobile ? "AI" : "AI Assistant"}
+                    {isMobile ? t("app.titleShort") : t("app.title")}
                   </h1>
                   <span
                     className={`px-1.5 sm:px-2 py-0.5 text-[8px] sm:text-[10px] font-medium rounded-full uppercase tracking-wider ${
@@ -1112,7 +2133,7 @@ function App() {
                     }`}
                   >
                     {ENV_CONFIG.ENVIRONMENT === "production"
-                      ? "Production"
+                      ? t("app.production")
                       : "Aura Mind"}
                   </span>
                 </div>
@@ -1143,7 +2164,8 @@ function App() {
                         isDarkMode ? "text-white/40" : "text-gray-500"
                       }`}
                     >
-                      {ENV_CONFIG.PUTER_MODEL.split("-").slice(0, 2).join(" ")}
+                      {activePersona && `${activePersona.name} · `}
+                      {model.split("-").slice(0, 2).join(" ")}
                     </span>
                   </div>
                   {!isMobile && (
@@ -1157,8 +2179,8 @@ function App() {
                         className={`text-[8px] sm:text-[10px] ${isDarkMode ? "text-white/40" : "text-gray-500"}`}
                       >
                         {ENV_CONFIG.ENVIRONMENT === "production"
-                          ? "Production Ready"
-                          : "Production"}
+                          ? t("app.productionReady")
+                          : t("app.production")}
                       </span>
                     </>
                   )}
@@ -1167,21 +2189,49 @@ function App() {
             </div>
 
             <div className="flex items-center gap-2 sm:gap-3">
+              <button
+                onClick={() => setShowSearch(true)}
+                className={`p-1.5 sm:p-2 rounded-lg transition-all duration-200 ${
+                  isDarkMode
+                    ? "bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80"
+                    : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                }`}
+                title={t("header.search")}
+              >
+                <MdSearch className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+
+              {canInstall && (
+                <button
+                  onClick={install}
+                  className={`p-1.5 sm:p-2 rounded-lg transition-all duration-200 ${
+                    isDarkMode
+                      ? "bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80"
+                      : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                  }`}
+                  title={t("header.installTitle")}
+                >
+                  <MdInstallDesktop className="w-4 h-4 sm:w-5 sm:h-5" />
+                </button>
+              )}
+
+              <button
+                onClick={() => setShowSettings(true)}
+                className={`p-1.5 sm:p-2 rounded-lg transition-all duration-200 ${
+                  isDarkMode
+                    ? "bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80"
+                    : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                }`}
+                title={t("header.modelSettings")}
+              >
+                <MdTune className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+
               {renderVoiceSettings()}
 
               {!isMobile && messages.length > 0 && (
                 <>
-                  <button
-                    onClick={exportChat}
-                    className={`px-2 sm:px-3 py-1 sm:py-1.5 rounded-lg text-[10px] sm:text-xs font-medium transition-all duration-200 ${
-                      isDarkMode
-                        ? "bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80"
-                        : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
-                    }`}
-                    title="Export chat history"
-                  >
-                    Export
-                  </button>
+                  <ExportMenu onExport={exportChat} isDarkMode={isDarkMode} />
                   <button
                     onClick={clearChat}
                     className={`px-2 sm:px-3 py-1 sm:py-1.5 rounded-lg text-[10px] sm:text-xs font-medium transition-all duration-200 ${
@@ -1189,13 +2239,20 @@ function App() {
                         ? "bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80"
                         : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
                     }`}
-                    title="Clear chat history"
+                    title={t("header.clearTitle")}
                   >
-                    Clear
+                    {t("header.clear")}
                   </button>
                 </>
               )}
 
+              <LanguageSwitcher
+                locale={locale}
+                onChange={setLocale}
+                isDarkMode={isDarkMode}
+                compact={isMobile}
+              />
+
               <button
                 onClick={toggleTheme}
                 className={`relative w-12 sm:w-14 h-6 sm:h-7 rounded-full transition-all duration-500 ${
@@ -1203,7 +2260,7 @@ function App() {
                     ? "bg-gradient-to-r from-blue-600 to-indigo-600"
                     : "bg-gradient-to-r from-yellow-400 to-orange-400"
                 } shadow-lg hover:shadow-xl transform hover:scale-105`}
-                title="Toggle theme"
+                title={t("header.toggleTheme")}
               >
                 <div
                   className={`absolute top-1 left-1 w-4 sm:w-5 h-4 sm:h-5 rounded-full bg-white shadow-md transform transition-transform duration-500 flex items-center justify-center ${
@@ -1239,6 +2296,137 @@ function App() {
           </div>
         </div>
 
+        <ConversationSidebar
+          conversations={conversations}
+          activeConversationId={activeConversationId}
+          onSelect={handleSelectConversation}
+          onCreate={handleNewChat}
+          onRename={renameConversation}
+          onDelete={deleteConversation}
+          onImport={importChat}
+          onClose={() => setShowSidebar(false)}
+          isOpen={showSidebar}
+          disabled={isAPILoading || isTyping || isStreaming}
+          isDarkMode={isDarkMode}
+          storageError={storageError}
+        />
+
+        <SettingsDrawer
+          settings={settings}
+          onChange={changeSettings}
+          onClose={() => setShowSettings(false)}
+          personas={personas}
+          persona={activePersona}
+          onPersonaChange={choosePersona}
+          onManagePersonas={() => setShowPersonaManager(true)}
+          responseCache={responseCache}
+          isOpen={showSettings}
+          disabled={isAPILoading || isTyping || isStreaming}
+          isDarkMode={isDarkMode}
+        />
+
+        {showCommandPalette && (
+          <CommandPalette
+            actions={paletteActions}
+            onClose={() => setShowCommandPalette(false)}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
+        {showSearch && (
+          <SearchPalette
+            conversations={conversations}
+            activeConversationId={activeConversationId}
+            canSwitch={!isBusy}
+            onSelect={jumpToMessage}
+            onClose={() => setShowSearch(false)}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
+        {showPersonaManager && (
+          <PersonaManager
+            personas={personas}
+            activePersonaId={activePersona?.id}
+            currentSettings={settings}
+            onSave={savePersona}
+            onDelete={deletePersona}
+            onImport={importPersonas}
+            onExport={exportPersonas}
+            onUse={(personaId) => {
+              choosePersona(personaId);
+              setShowPersonaManager(false);
+            }}
+            onClose={() => setShowPersonaManager(false)}
+            storageError={personaStorageError}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
+        {showTemplateLibrary && (
+          <TemplateLibrary
+            templates={templates}
+            onSave={saveTemplate}
+            onDelete={deleteTemplate}
+            onImport={importTemplates}
+            onUse={applyTemplate}
+            onClose={() => setShowTemplateLibrary(false)}
+            storageError={templateStorageError}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
+        {templateToFill && (
+          <TemplateForm
+            template={templateToFill}
+            onSubmit={submitTemplate}
+            onClose={() => setTemplateToFill(null)}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
+        {updateAvailable && (
+          <div
+            role="status"
+            className={`flex items-center justify-center gap-2 px-3 py-1.5 border-b text-[10px] sm:text-xs ${
+              isDarkMode
+                ? "bg-blue-500/10 border-blue-500/20 text-blue-300"
+                : "bg-blue-50 border-blue-200 text-blue-800"
+            }`}
+          >
+            <MdSystemUpdateAlt className="w-3.5 h-3.5 flex-shrink-0" />
+            <span>{t("update.available")}</span>
+            <button
+              onClick={applyUpdate}
+              className={`px-2 py-0.5 rounded font-medium ${
+                isDarkMode
+                  ? "bg-blue-500/20 hover:bg-blue-500/30"
+                  : "bg-blue-100 hover:bg-blue-200"
+              }`}
+            >
+              {t("update.reload")}
+            </button>
+          </div>
+        )}
+
+        {(!isOnline || isServiceDown) && (
+          <div
+            role="status"
+            className={`flex items-center justify-center gap-2 px-3 py-1.5 border-b text-[10px] sm:text-xs ${
+              isDarkMode
+                ? "bg-amber-500/10 border-amber-500/20 text-amber-300"
+                : "bg-amber-50 border-amber-200 text-amber-800"
+            }`}
+          >
+            <MdCloudOff className="w-3.5 h-3.5 flex-shrink-0" />
+            <span>
+              {isOnline ? t("offline.serviceDown") : t("offline.banner")}
+              {queuedCount > 0 &&
+                ` · ${t("offline.queued", { count: queuedCount })}`}
+            </span>
+          </div>
+        )}
+
         {/* Chat Container */}
         <div
           ref={chatContainerRef}
@@ -1278,7 +2466,7 @@ function App() {
                   >
                     <img
                       src={Logo}
-                      alt="AI Assistant Logo"
+                      alt={t("app.logoAlt")}
                       className="w-16 h-16 sm:w-20 sm:h-20 md:w-28 md:h-28 object-contain animate-float"
                       onError={(e) => {
                         e.target.style.display = "none";
@@ -1291,16 +2479,16 @@ function App() {
 
                 <div className="space-y-2 sm:space-y-3 md:space-y-4 max-w-2xl px-4">
                   <h2 className="text-2xl sm:text-3xl md:text-4xl lg:text-5xl font-light tracking-tight">
-                    How can I{" "}
+                    {t("welcome.titleBefore")}{" "}
                     <span className="bg-gradient-to-r from-blue-500 via-indigo-500 to-purple-500 bg-clip-text text-transparent animate-gradient relative">
-                      help
+                      {t("welcome.titleHighlight")}
                       <span
-                        className={`absolute -bottom-1 sm:-bottom-2 left-0 w-full h-0.5 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full ${
+                        className={`absolute -bottom-1 sm:-bottom-2 start-0 w-full h-0.5 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full ${
                           isDarkMode ? "opacity-100" : "opacity-70"
                         }`}
                       ></span>
                     </span>{" "}
-                    you today?
+                    {t("welcome.titleAfter")}
                   </h2>
                   <p
                     className={`text-xs sm:text-sm font-light max-w-lg mx-auto leading-relaxed px-2 ${
@@ -1308,8 +2496,8 @@ function App() {
                     }`}
                   >
                     {isMobile
-                      ? "Production-ready AI assistant for coding, debugging & optimization"
-                      : `Production-ready AI assistant powered by Aura Mind— ready to help with coding, debugging, optimization, and complex problem-solving.`}
+                      ? t("welcome.subtitleShort")
+                      : t("welcome.subtitle")}
                   </p>
                 </div>
 
@@ -1358,7 +2546,7 @@ function App() {
                         d="M3 13.125C3 12.504 3.504 12 4.125 12h2.25c.621 0 1.125.504 1.125 1.125v6.75C7.5 20.496 6.996 21 6.375 21h-2.25A1.125 1.125 0 013 19.875v-6.75zM9.75 8.625c0-.621.504-1.125 1.125-1.125h2.25c.621 0 1.125.504 1.125 1.125v11.25c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V8.625zM16.5 4.125c0-.621.504-1.125 1.125-1.125h2.25C20.496 3 21 3.504 21 4.125v15.75c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V4.125z"
                       />
                     </svg>
-                    <span>30+ Languages</span>
+                    <span>{t("welcome.featureLanguages")}</span>
                   </div>
                   <div className="flex items-center gap-1 sm:gap-2">
                     <svg
@@ -1374,7 +2562,7 @@ function App() {
                         d="M11.42 15.17L17.25 21A2.652 2.652 0 0021 17.25l-5.877-5.877M11.42 15.17l2.496-3.03c.317-.384.74-.626 1.208-.766M11.42 15.17l-4.655 5.653a2.548 2.548 0 11-3.586-3.586l6.837-5.63m5.108-.233c.55-.164 1.163-.188 1.743-.14a4.5 4.5 0 004.486-6.336l-3.276 3.277a3.004 3.004 0 01-2.25-2.25l3.276-3.276a4.5 4.5 0 00-6.336 4.486c.091 1.076-.071 2.264-.904 2.95l-.102.085m-1.745 1.437L5.909 7.5H4.5L2.25 3.75l1.5-1.5L7.5 4.5v1.409l4.26 4.26m-1.745 1.437l1.745-1.437m6.615 8.206L15.75 15.75M4.867 19.125h.008v.008h-.008v-.008z"
                       />
                     </svg>
-                    <span>Analysis</span>
+                    <span>{t("welcome.featureAnalysis")}</span>
                   </div>
                   <div className="flex items-center gap-1 sm:gap-2">
                     <svg
@@ -1390,7 +2578,7 @@ function App() {
                         d="M12 9v3.75m9-.75a9 9 0 11-18 0 9 9 0 0118 0zm-9 3.75h.008v.008H12v-.008z"
                       />
                     </svg>
-                    <span>Debug</span>
+                    <span>{t("welcome.featureDebug")}</span>
                   </div>
                   <div className="flex items-center gap-1 sm:gap-2">
                     <svg
@@ -1406,26 +2594,26 @@ function App() {
                         d="M16.5 10.5V6.75a4.5 4.5 0 10-9 0v3.75m-.75 11.25h10.5a2.25 2.25 0 002.25-2.25v-6.75a2.25 2.25 0 00-2.25-2.25H6.75a2.25 2.25 0 00-2.25 2.25v6.75a2.25 2.25 0 002.25 2.25z"
                       />
                     </svg>
-                    <span>Secure</span>
+                    <span>{t("welcome.featureSecure")}</span>
                   </div>
                 </div>
 
                 <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 sm:gap-3 w-full max-w-4xl mt-4 sm:mt-6 md:mt-8 px-2 sm:px-4">
-                  {suggestions.slice(0, isMobile ? 6 : 9).map((suggestion) => (
+                  {templates.slice(0, isMobile ? 6 : 9).map((suggestion) => (
                     <button
                       key={suggestion.id}
-                      onClick={() => {
-                        setInput(suggestion.prompt);
-                        setSelectedSuggestion(suggestion.id);
-                        inputRef.current?.focus();
-                      }}
+                      onClick={() => applyTemplate(suggestion)}
                       disabled={isAPILoading}
                       className={`group relative p-2 sm:p-3 md:p-4 rounded-lg sm:rounded-xl transition-all duration-500 hover:scale-105 hover:shadow-2xl overflow-hidden ${
                         isDarkMode
                           ? `bg-white/[0.02] hover:bg-white/[0.04] border ${selectedSuggestion === suggestion.id ? `border-${suggestion.color}-500/50 bg-${suggestion.color}-500/5` : "border-white/[0.05] hover:border-white/[0.12]"}`
                           : `bg-white hover:bg-gray-50 border ${selectedSuggestion === suggestion.id ? `border-${suggestion.color}-500 bg-${suggestion.color}-50/50` : "border-gray-200 hover:border-gray-300"}`
                       } ${isAPILoading ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}`}
-                      title={!isMobile ? `Generate: ${suggestion.prompt}` : ""}
+                      title={
+                        !isMobile
+                          ? t("welcome.generate", { prompt: suggestion.prompt })
+                          : ""
+                      }
                     >
                       <div
                         className={`absolute inset-0 bg-gradient-to-r from-${suggestion.color}-500/0 via-${suggestion.color}-500/0 to-${suggestion.color}-500/0 group-hover:from-${suggestion.color}-500/5 group-hover:via-${suggestion.color}-500/5 group-hover:to-${suggestion.color}-500/0 transition-all duration-700`}
@@ -1439,7 +2627,7 @@ function App() {
                               : `bg-${suggestion.color}-100 text-${suggestion.color}-600`
                           }`}
                         >
-                          {suggestion.icon}
+                          <TemplateIcon icon={suggestion.icon} />
                         </div>
                         <h3
                           className={`text-xs sm:text-sm font-medium transition-colors duration-300 ${
@@ -1467,12 +2655,25 @@ function App() {
                     </button>
                   ))}
                 </div>
+
+                <button
+                  onClick={() => setShowTemplateLibrary(true)}
+                  className={`flex items-center gap-1.5 mt-3 sm:mt-4 px-3 py-1.5 rounded-lg text-[10px] sm:text-xs transition-all duration-200 ${
+                    isDarkMode
+                      ? "text-white/50 hover:text-white/80 hover:bg-white/[0.04]"
+                      : "text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+                  }`}
+                >
+                  <MdLibraryBooks className="w-3.5 h-3.5" />
+                  {t("welcome.browseTemplates", { count: templates.length })}
+                </button>
               </div>
             ) : (
               <>
                 {messages.map((msg, idx) => (
                   <div
                     key={idx}
+                    data-message-index={idx}
                     className={`flex ${msg.sender === "user" ? "justify-end" : "justify-start"} animate-slideIn px-1 sm:px-0 relative group`}
                   >
                     <div
@@ -1486,14 +2687,19 @@ function App() {
                             : "bg-white backdrop-blur-sm border border-gray-200 text-gray-800 hover:border-gray-300 shadow-sm"
                       } rounded-2xl ${
                         msg.sender === "user"
-                          ? "rounded-tr-none"
-                          : "rounded-tl-none"
+                          ? "rounded-se-none"
+                          : "rounded-ss-none"
+                      } ${
+                        jumpTarget?.index === idx &&
+                        jumpTarget.conversationId === activeConversationId
+                          ? "message-flash"
+                          : ""
                       } transition-all duration-300`}
                     >
                       {msg.sender === "ai" && (
                         <>
                           <div
-                            className={`absolute -left-2 sm:-left-3 top-1/2 -translate-y-1/2 w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 flex items-center justify-center shadow-lg ${
+                            className={`absolute -start-2 sm:-start-3 top-1/2 -translate-y-1/2 w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 flex items-center justify-center shadow-lg ${
                               isDarkMode
                                 ? "shadow-blue-500/30"
                                 : "shadow-blue-500/40"
@@ -1501,7 +2707,7 @@ function App() {
                           >
                             <img
                               src={Logo}
-                              alt="AI"
+                              alt={t("message.aiAvatar")}
                               className="w-4 h-4 sm:w-5 sm:h-5 object-cover"
                               onError={(e) => {
                                 e.target.style.display = "none";
@@ -1512,13 +2718,17 @@ function App() {
                           </div>
                           {voiceSupported && (
                             <button
-                              onClick={() => readResponse(msg.text)}
-                              className={`absolute -right-2 -top-2 p-1.5 rounded-full transition-all duration-200 opacity-0 group-hover:opacity-100 ${
+                              onClick={() => readResponse(idx, msg.text)}
+                              className={`absolute -end-2 -top-2 p-1.5 rounded-full transition-all duration-200 opacity-0 group-hover:opacity-100 ${
                                 isDarkMode
                                   ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80 border border-white/[0.05]"
                                   : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800 border border-gray-200"
                               }`}
-                              title="Listen to this response"
+                              title={
+                                reader.isActive && reader.sourceId === idx
+                                  ? t("message.stopReading")
+                                  : t("message.listen")
+                              }
                             >
                               <MdVolumeUp className="w-3 h-3" />
                             </button>
@@ -1526,8 +2736,64 @@ function App() {
                         </>
                       )}
                       <div className="px-3 sm:px-4 md:px-5 py-2.5 sm:py-3 md:py-4">
-                        <div className="whitespace-pre-wrap break-words text-xs sm:text-sm md:text-[0.95rem] leading-relaxed font-light">
-                          {formatMessage(msg.text)}
+                        <div
+                          className="break-words text-xs sm:text-sm md:text-[0.95rem] leading-relaxed font-light"
+                          data-speech-source={idx}
+                          dir="auto"
+                        >
+                          <AttachmentChips
+                            attachments={msg.attachments}
+                            isDarkMode={isDarkMode}
+                            inverted
+                            className={
+                              msg.text || editingIndex === idx ? "mb-2" : ""
+                            }
+                          />
+                          {editingIndex === idx ? (
+                            <div className="space-y-2">
+                              <textarea
+                                value={editDraft}
+                                onChange={(e) => setEditDraft(e.target.value)}
+                                onKeyDown={(e) => {
+                                  if (e.key === "Enter" && !e.shiftKey) {
+                                    e.preventDefault();
+                                    submitEdit();
+                                  }
+                                  if (e.key === "Escape") setEditingIndex(null);
+                                }}
+                                rows={Math.min(
+                                  editDraft.split("\n").length + 1,
+                                  8,
+                                )}
+                                className="w-full min-w-[12rem] sm:min-w-[20rem] bg-white/10 rounded-lg p-2 resize-y focus:outline-none focus:ring-1 focus:ring-white/40 text-white placeholder-white/50"
+                                autoFocus
+                              />
+                              <div className="flex justify-end gap-2 text-xs">
+                                <button
+                                  onClick={() => setEditingIndex(null)}
+                                  className="px-2.5 py-1 rounded-lg bg-white/10 hover:bg-white/20"
+                                >
+                                  {t("message.cancel")}
+                                </button>
+                                <button
+                                  onClick={submitEdit}
+                                  disabled={
+                                    !editDraft.trim() &&
+                                    !msg.attachments?.length
+                                  }
+                                  className="px-2.5 py-1 rounded-lg bg-white text-blue-600 font-medium hover:bg-blue-50 disabled:opacity-50"
+                                >
+                                  {t("message.saveAndSend")}
+                                </button>
+                              </div>
+                            </div>
+                          ) : msg.stopped && !msg.text ? (
+                            <span className="italic opacity-60">
+                              {t("message.stoppedEmpty")}
+                            </span>
+                          ) : (
+                            formatMessage(msg.text)
+                          )}
                         </div>
                         <div
                           className={`flex items-center justify-between mt-2 sm:mt-3 pt-1.5 sm:pt-2 border-t ${
@@ -1562,37 +2828,91 @@ function App() {
                                 d="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z"
                               />
                             </svg>
-                            {new Date().toLocaleTimeString([], {
-                              hour: "2-digit",
-                              minute: "2-digit",
-                            })}
-                          </div>
-
-                          {msg.sender === "ai" && extractCode(msg.text) && (
-                            <div className="flex items-center gap-2">
+                            {msg.timestamp && (
+                              <time
+                                dateTime={new Date(msg.timestamp).toISOString()}
+                                title={new Date(msg.timestamp).toLocaleString(
+                                  locale,
+                                )}
+                              >
+                                {formatMessageTime(msg.timestamp, locale)}
+                              </time>
+                            )}
+                            {msg.stopped && (
                               <span
-                                className={`text-[8px] sm:text-[9px] flex items-center gap-1 ${
-                                  isDarkMode ? "text-white/30" : "text-gray-500"
+                                className={`ms-1 px-1.5 py-0.5 rounded-full normal-case tracking-normal ${
+                                  isDarkMode
+                                    ? "bg-amber-500/10 text-amber-400"
+                                    : "bg-amber-100 text-amber-700"
                                 }`}
                               >
-                                <svg
-                                  className="w-2 h-2 sm:w-2.5 sm:h-2.5"
-                                  fill="none"
-                                  stroke="currentColor"
-                                  viewBox="0 0 24 24"
-                                >
-                                  <path
-                                    strokeLinecap="round"
-                                    strokeLinejoin="round"
-                                    strokeWidth={1.5}
-                                    d="M8.25 7.5V6.108c0-1.135.845-2.098 1.976-2.192.373-.03.748-.057 1.123-.08M15.75 18H9a2.25 2.25 0 01-2.25-2.25V9m12 0h.008v.008h-.008V9z"
-                                  />
-                                </svg>
-                                {!isMobile && "Code detected"}
-                                {isMobile && "Code"}
+                                {t("message.stopped")}
                               </span>
-                            </div>
-                          )}
+                            )}
+                            {msg.queued && (
+                              <span
+                                className={`ms-1 inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded-full normal-case tracking-normal ${
+                                  isDarkMode
+                                    ? "bg-white/10 text-white/80"
+                                    : "bg-white/20 text-white"
+                                }`}
+                                title={t("message.queuedTitle")}
+                              >
+                                <MdSchedule className="w-2.5 h-2.5" />
+                                {t("message.queued")}
+                              </span>
+                            )}
+                            {msg.cached && (
+                              <span
+                                className={`ms-1 px-1.5 py-0.5 rounded-full normal-case tracking-normal ${
+                                  isDarkMode
+                                    ? "bg-sky-500/10 text-sky-400"
+                                    : "bg-sky-100 text-sky-700"
+                                }`}
+                                title={t("message.cachedTitle")}
+                              >
+                                {t("message.cached")}
+                              </span>
+                            )}
+                          </div>
+
+                          <div className="flex items-center gap-2">
+                            {renderMessageActions(msg, idx)}
+                            {messageCodeBlocks[idx]?.length > 0 && (
+                              <div className="flex items-center gap-2">
+                                <button
+                                  onClick={() =>
+                                    openCodeModal(messageCodeBlocks[idx], 0)
+                                  }
+                                  className={`text-[8px] sm:text-[9px] flex items-center gap-1 transition-colors duration-200 ${
+                                    isDarkMode
+                                      ? "text-white/30 hover:text-white/60"
+                                      : "text-gray-500 hover:text-gray-800"
+                                  }`}
+                                  title={t("message.openCodeTitle")}
+                                >
+                                  <svg
+                                    className="w-2 h-2 sm:w-2.5 sm:h-2.5"
+                                    fill="none"
+                                    stroke="currentColor"
+                                    viewBox="0 0 24 24"
+                                  >
+                                    <path
+                                      strokeLinecap="round"
+                                      strokeLinejoin="round"
+                                      strokeWidth={1.5}
+                                      d="M8.25 7.5V6.108c0-1.135.845-2.098 1.976-2.192.373-.03.748-.057 1.123-.08M15.75 18H9a2.25 2.25 0 01-2.25-2.25V9m12 0h.008v.008h-.008V9z"
+                                    />
+                                  </svg>
+                                  {isMobile
+                                    ? t("message.code")
+                                    : t("message.codeBlocks", {
+                                        count: messageCodeBlocks[idx].length,
+                                      })}
+                                </button>
+                              </div>
+                            )}
+                          </div>
                         </div>
                       </div>
                     </div>
@@ -1602,16 +2922,16 @@ function App() {
                 {isStreaming && (
                   <div className="flex justify-start animate-slideIn px-1 sm:px-0">
                     <div
-                      className={`relative max-w-[90%] sm:max-w-[80%] md:max-w-[70%] backdrop-blur-sm border rounded-2xl rounded-tl-none ${
+                      className={`relative max-w-[90%] sm:max-w-[80%] md:max-w-[70%] backdrop-blur-sm border rounded-2xl rounded-ss-none ${
                         isDarkMode
                           ? "bg-white/[0.03] border-white/[0.05] text-white/90"
                           : "bg-white border-gray-200 text-gray-800"
                       }`}
                     >
-                      <div className="absolute -left-2 sm:-left-3 top-1/2 -translate-y-1/2 w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 flex items-center justify-center shadow-lg shadow-blue-500/30 animate-pulse overflow-hidden">
+                      <div className="absolute -start-2 sm:-start-3 top-1/2 -translate-y-1/2 w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 flex items-center justify-center shadow-lg shadow-blue-500/30 animate-pulse overflow-hidden">
                         <img
                           src={Logo}
-                          alt="AI"
+                          alt={t("message.aiAvatar")}
                           className="w-4 h-4 sm:w-5 sm:h-5 object-cover"
                           onError={(e) => {
                             e.target.style.display = "none";
@@ -1621,9 +2941,13 @@ function App() {
                         />
                       </div>
                       <div className="px-3 sm:px-4 md:px-5 py-2.5 sm:py-3 md:py-4">
-                        <div className="whitespace-pre-wrap break-words text-xs sm:text-sm md:text-[0.95rem] leading-relaxed font-light">
-                          {streamingMessage}
-                          <span className="inline-block w-0.5 h-3 sm:h-4 ml-1 bg-gradient-to-r from-blue-400 to-purple-400 animate-blink"></span>
+                        <div
+                          className="break-words text-xs sm:text-sm md:text-[0.95rem] leading-relaxed font-light"
+                          data-speech-source={messages.length}
+                          dir="auto"
+                        >
+                          {formatMessage(streamingMessage)}
+                          <span className="inline-block w-0.5 h-3 sm:h-4 ms-1 bg-gradient-to-r from-blue-400 to-purple-400 animate-blink"></span>
                         </div>
                         <div
                           className={`flex flex-wrap items-center gap-2 sm:gap-3 mt-2 sm:mt-3 pt-1.5 sm:pt-2 border-t ${
@@ -1653,9 +2977,21 @@ function App() {
                               }`}
                             >
                               {isMobile
-                                ? "AI typing..."
-                                : "Generating response"}
+                                ? t("message.typingShort")
+                                : t("message.generating")}
                             </span>
+                            {streamingExtra.cached && (
+                              <span
+                                className={`px-1.5 py-0.5 rounded-full text-[8px] sm:text-[10px] ${
+                                  isDarkMode
+                                    ? "bg-sky-500/10 text-sky-400"
+                                    : "bg-sky-100 text-sky-700"
+                                }`}
+                                title={t("message.cachedTitle")}
+                              >
+                                {t("message.cached")}
+                              </span>
+                            )}
                           </div>
                           <span
                             className={`text-[8px] sm:text-[9px] flex items-center gap-1 ${
@@ -1675,7 +3011,9 @@ function App() {
                                 d="M16.023 9.348h4.992v-.001M2.985 19.644v-4.992m0 0h4.992m-4.993 0l3.181 3.183a8.25 8.25 0 0013.803-3.7M4.031 9.865a8.25 8.25 0 0113.803-3.7l3.181 3.182m0-4.991v4.99"
                               />
                             </svg>
-                            {streamingMessage.split(" ").length} words
+                            {t("message.words", {
+                              count: streamingMessage.split(" ").length,
+                            })}
                           </span>
                         </div>
                       </div>
@@ -1686,16 +3024,16 @@ function App() {
                 {isTyping && !isStreaming && (
                   <div className="flex justify-start animate-slideIn px-1 sm:px-0">
                     <div
-                      className={`relative backdrop-blur-sm border rounded-2xl rounded-tl-none px-4 sm:px-6 py-3 sm:py-4 ${
+                      className={`relative backdrop-blur-sm border rounded-2xl rounded-ss-none px-4 sm:px-6 py-3 sm:py-4 ${
                         isDarkMode
                           ? "bg-white/[0.02] border-white/[0.05]"
                           : "bg-white border-gray-200"
                       }`}
                     >
-                      <div className="absolute -left-2 sm:-left-3 top-1/2 -translate-y-1/2 w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 flex items-center justify-center shadow-lg shadow-blue-500/30 overflow-hidden">
+                      <div className="absolute -start-2 sm:-start-3 top-1/2 -translate-y-1/2 w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 flex items-center justify-center shadow-lg shadow-blue-500/30 overflow-hidden">
                         <img
                           src={Logo}
-                          alt="AI"
+                          alt={t("message.aiAvatar")}
                           className="w-4 h-4 sm:w-5 sm:h-5 object-cover"
                           onError={(e) => {
                             e.target.style.display = "none";
@@ -1704,7 +3042,7 @@ function App() {
                           }}
                         />
                       </div>
-                      <div className="flex items-center gap-2 sm:gap-4 pl-2 sm:pl-2">
+                      <div className="flex items-center gap-2 sm:gap-4 ps-2 sm:ps-2">
                         <div className="flex gap-1 sm:gap-1.5">
                           <span
                             className="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-blue-400 rounded-full animate-pulse"
@@ -1724,7 +3062,9 @@ function App() {
                             isDarkMode ? "text-white/40" : "text-gray-500"
                           }`}
                         >
-                          {isMobile ? "Thinking..." : "Processing your request"}
+                          {isMobile
+                            ? t("message.thinkingShort")
+                            : t("message.processing")}
                         </span>
                       </div>
                     </div>
@@ -1738,12 +3078,12 @@ function App() {
         {showScrollButton && (
           <button
             onClick={scrollToBottom}
-            className={`fixed bottom-20 sm:bottom-24 md:bottom-28 right-4 sm:right-6 md:right-8 z-40 w-10 h-10 sm:w-11 sm:h-11 md:w-12 md:h-12 rounded-full flex items-center justify-center shadow-2xl transition-all duration-300 hover:scale-110 animate-bounce-slow ${
+            className={`fixed bottom-20 sm:bottom-24 md:bottom-28 end-4 sm:end-6 md:end-8 z-40 w-10 h-10 sm:w-11 sm:h-11 md:w-12 md:h-12 rounded-full flex items-center justify-center shadow-2xl transition-all duration-300 hover:scale-110 animate-bounce-slow ${
               isDarkMode
                 ? "bg-gradient-to-r from-blue-600 to-indigo-600 text-white hover:from-blue-700 hover:to-indigo-700"
                 : "bg-gradient-to-r from-blue-500 to-indigo-500 text-white hover:from-blue-600 hover:to-indigo-600"
             }`}
-            title="Scroll to bottom"
+            title={t("composer.scrollToBottom")}
           >
             <svg
               className="w-5 h-5 sm:w-5.5 sm:h-5.5 md:w-6 md:h-6"
@@ -1763,6 +3103,10 @@ function App() {
 
         {/* Input Area */}
         <div
+          onDragEnter={handleDragEnter}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
           className={`relative border-t transition-colors duration-300 ${
             isDarkMode
               ? "border-white/[0.03] bg-black/40"
@@ -1778,7 +3122,133 @@ function App() {
           ></div>
 
           <div className="max-w-6xl mx-auto px-3 sm:px-4 py-2 sm:py-3 md:py-4 relative z-10">
+            <SpeechPlayer
+              status={reader.status}
+              index={reader.index}
+              total={reader.total}
+              sentence={reader.sentence}
+              onPause={reader.pause}
+              onResume={reader.resume}
+              onSkip={reader.skip}
+              onStop={reader.stop}
+              isDarkMode={isDarkMode}
+            />
+
+            {voiceConversation.isActive && (
+              <VoiceConversationBar
+                phase={voiceConversation.phase}
+                transcript={voiceConversation.transcript}
+                onTalk={voiceConversation.listen}
+                onEnd={voiceConversation.stop}
+                isDarkMode={isDarkMode}
+                isMobile={isMobile}
+              />
+            )}
+
+            {(isDictating || dictationError) && (
+              <div
+                className={`flex items-center justify-between gap-2 mb-1.5 sm:mb-2 px-2.5 py-1.5 rounded-lg text-[10px] sm:text-xs ${
+                  dictationError
+                    ? isDarkMode
+                      ? "bg-red-500/10 text-red-400"
+                      : "bg-red-50 text-red-600"
+                    : isDarkMode
+                      ? "bg-blue-500/10 text-blue-300"
+                      : "bg-blue-50 text-blue-600"
+                }`}
+                role={dictationError ? "alert" : "status"}
+              >
+                {dictationError ? (
+                  <>
+                    <span>🎙️ {dictationErrorText}</span>
+                    <button
+                      onClick={() => setDictationError(null)}
+                      className="flex-shrink-0 underline underline-offset-2 opacity-80 hover:opacity-100"
+                    >
+                      {t("dictation.dismiss")}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <span className="flex items-center gap-1.5">
+                      <span className="relative flex h-2 w-2">
+                        <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-75"></span>
+                        <span className="relative inline-flex rounded-full h-2 w-2 bg-red-500"></span>
+                      </span>
+                      {t("dictation.listening")}{" "}
+                      {autoSendVoice
+                        ? t("dictation.autoSendHint")
+                        : t("dictation.reviewHint")}
+                    </span>
+                    <button
+                      onClick={stopDictation}
+                      className="flex-shrink-0 underline underline-offset-2 opacity-80 hover:opacity-100"
+                    >
+                      {t("dictation.done")}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            {attachmentErrors.length > 0 && (
+              <div
+                className={`flex items-start justify-between gap-2 mb-1.5 sm:mb-2 px-2.5 py-1.5 rounded-lg text-[10px] sm:text-xs ${
+                  isDarkMode
+                    ? "bg-red-500/10 text-red-400"
+                    : "bg-red-50 text-red-600"
+                }`}
+                role="alert"
+              >
+                <ul className="min-w-0 space-y-0.5">
+                  {attachmentErrors.map((error, index) => (
+                    <li key={index} className="truncate">
+                      📎{" "}
+                      {t(`attachments.errors.${error.type}`, {
+                        name: error.name,
+                        max:
+                          error.type === "tooMany"
+                            ? ENV_CONFIG.MAX_ATTACHMENTS
+                            : ENV_CONFIG.MAX_INPUT_LENGTH,
+                      })}
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  onClick={clearAttachmentErrors}
+                  className="flex-shrink-0 underline underline-offset-2 opacity-80 hover:opacity-100"
+                >
+                  {t("attachments.dismiss")}
+                </button>
+              </div>
+            )}
+
+            <AttachmentChips
+              attachments={attachments}
+              onRemove={removeAttachment}
+              isDarkMode={isDarkMode}
+              className="mb-1.5 sm:mb-2"
+            />
+
             <div className="relative">
+              <SlashCommandMenu
+                suggestions={slashMenu.suggestions}
+                activeIndex={slashMenu.activeIndex}
+                onHover={slashMenu.setActiveIndex}
+                onChoose={slashMenu.choose}
+                isDarkMode={isDarkMode}
+              />
+              {isDraggingFiles && (
+                <div
+                  className={`absolute inset-0 z-10 flex items-center justify-center rounded-xl sm:rounded-2xl border-2 border-dashed pointer-events-none text-xs sm:text-sm ${
+                    isDarkMode
+                      ? "bg-blue-500/10 border-blue-400/50 text-blue-300"
+                      : "bg-blue-50/90 border-blue-400 text-blue-600"
+                  }`}
+                >
+                  {t("attachments.drop")}
+                </div>
+              )}
               <div
                 className={`relative flex items-end gap-2 sm:gap-3 rounded-xl sm:rounded-2xl border transition-all duration-300 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 ${
                   isDarkMode
@@ -1794,13 +3264,28 @@ function App() {
                       : "text-gray-900 placeholder-gray-400"
                   }`}
                   rows={1}
+                  dir="auto"
                   value={input}
                   onChange={handleInputChange}
-                  onKeyDown={handleKey}
+                  onKeyDown={(e) => {
+                    if (!slashMenu.handleKeyDown(e)) handleKey(e);
+                  }}
+                  aria-autocomplete="list"
+                  aria-controls={
+                    slashMenu.suggestions.length > 0
+                      ? "slash-commands"
+                      : undefined
+                  }
+                  aria-activedescendant={
+                    slashMenu.suggestions.length > 0
+                      ? `slash-command-${slashMenu.activeIndex}`
+                      : undefined
+                  }
+                  onPaste={handlePaste}
                   placeholder={
                     isMobile
-                      ? "Ask anything..."
-                      : "Ask me anything — code, explain, debug, optimize..."
+                      ? t("composer.placeholderShort")
+                      : t("composer.placeholder")
                   }
                   disabled={isAPILoading || isTyping || isStreaming}
                   style={{
@@ -1833,14 +3318,48 @@ function App() {
                         d="M3 9.75v6.75m3-6.75v6.75m3-6.75v6.75M9 9.75h7.5M9 12h7.5M9 15h7.5M3 18h18M3 6h18"
                       />
                     </svg>
-                    {!isMobile && <span>⏎ Send · </span>}
+                    {!isMobile && <span>{t("composer.sendHint")}</span>}
                     <span
                       className={isDarkMode ? "text-white/50" : "text-gray-600"}
                     >
-                      {isMobile ? "↵" : "⇧+⏎ New line"}
+                      {isMobile ? "↵" : t("composer.newLineHint")}
                     </span>
                   </span>
 
+                  {recognitionSupported && (
+                    <label
+                      className={`text-[8px] sm:text-[9px] md:text-[10px] flex items-center gap-1 cursor-pointer select-none ${
+                        isDarkMode ? "text-white/30" : "text-gray-500"
+                      }`}
+                      title={t("composer.autoSendVoiceTitle")}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={autoSendVoice}
+                        onChange={(e) => setAutoSendVoice(e.target.checked)}
+                        className="w-2.5 h-2.5 accent-blue-500"
+                      />
+                      {t("composer.autoSendVoice")}
+                    </label>
+                  )}
+
+                  {reader.supported && (
+                    <label
+                      className={`text-[8px] sm:text-[9px] md:text-[10px] flex items-center gap-1 cursor-pointer select-none ${
+                        isDarkMode ? "text-white/30" : "text-gray-500"
+                      }`}
+                      title={t("composer.autoReadTitle")}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={autoReadResponses}
+                        onChange={(e) => setAutoReadResponses(e.target.checked)}
+                        className="w-2.5 h-2.5 accent-blue-500"
+                      />
+                      {t("composer.autoRead")}
+                    </label>
+                  )}
+
                   {!isMobile && (
                     <span
                       className={`text-[8px] sm:text-[9px] md:text-[10px] flex items-center gap-1 sm:gap-1.5 ${
@@ -1860,7 +3379,7 @@ function App() {
                           d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126zM12 15.75h.007v.008H12v-.008z"
                         />
                       </svg>
-                      <span>AI may make mistakes</span>
+                      <span>{t("composer.disclaimer")}</span>
                     </span>
                   )}
                 </div>
@@ -1886,7 +3405,8 @@ function App() {
                     </svg>
                     <span
                       className={
-                        input.length > ENV_CONFIG.MAX_INPUT_LENGTH * 0.875
+                        promptLength(input, attachments) >
+                        ENV_CONFIG.MAX_INPUT_LENGTH * 0.875
                           ? isDarkMode
                             ? "text-yellow-500/70"
                             : "text-yellow-600"
@@ -1895,9 +3415,7 @@ function App() {
                             : "text-gray-500"
                       }
                     >
-                      {isMobile
-                        ? `${input.length}/${ENV_CONFIG.MAX_INPUT_LENGTH}`
-                        : `${input.length}/${ENV_CONFIG.MAX_INPUT_LENGTH}`}
+                      {`${promptLength(input, attachments)}/${ENV_CONFIG.MAX_INPUT_LENGTH}`}
                     </span>
                   </span>
                 </div>
@@ -1917,7 +3435,7 @@ function App() {
           <div className="max-w-6xl mx-auto px-3 sm:px-4 py-2 sm:py-2.5 relative z-10">
             <div className="flex flex-wrap items-center justify-center gap-x-2 gap-y-1 text-[10px] sm:text-xs">
               <span className={isDarkMode ? "text-white/50" : "text-gray-500"}>
-                Developed by Abishek Sathiyan
+                {t("footer.developedBy", { name: "Abishek Sathiyan" })}
               </span>
 
               <span
@@ -1945,7 +3463,7 @@ function App() {
                   <line x1="12" y1="16" x2="12" y2="20" />
                 </svg>
 
-                <span>Portfolio</span>
+                <span>{t("footer.portfolio")}</span>
               </a>
 
               <a
@@ -2028,7 +3546,7 @@ function App() {
                 isDarkMode
                   ? "bg-gradient-to-b from-[#0C0C0C] to-[#0A0A0A] border-white/[0.08] shadow-blue-500/5"
                   : "bg-gradient-to-b from-white to-gray-50 border-gray-200 shadow-xl"
-              } border rounded-xl sm:rounded-2xl w-full max-w-full sm:max-w-5xl max-h-[90vh] sm:max-h-[85vh] flex flex-col animate-slideUp mx-2 sm:mx-0`}
+              } border rounded-xl sm:rounded-2xl w-full max-w-full ${showCodePreview ? "sm:max-w-7xl" : "sm:max-w-5xl"} max-h-[90vh] sm:max-h-[85vh] flex flex-col animate-slideUp mx-2 sm:mx-0`}
             >
               <div
                 className={`flex flex-col sm:flex-row sm:items-center justify-between px-3 sm:px-4 md:px-6 py-2.5 sm:py-3 md:py-4 border-b gap-2 sm:gap-0 ${
@@ -2055,7 +3573,7 @@ function App() {
                       <h3
                         className={`text-sm sm:text-base font-medium ${isDarkMode ? "text-white/90" : "text-gray-900"}`}
                       >
-                        {isMobile ? "Code" : "Code Preview"}
+                        {isMobile ? t("code.previewShort") : t("code.preview")}
                       </h3>
                       <span
                         className={`px-1.5 sm:px-2 py-0.5 text-[8px] sm:text-[9px] font-medium rounded-full uppercase tracking-wider ${
@@ -2064,20 +3582,121 @@ function App() {
                             : "bg-blue-100 border border-blue-200 text-blue-600"
                         }`}
                       >
-                        {codeLanguage}
+                        {codeLanguage || t("code.plainText")}
                       </span>
                     </div>
                     {!isMobile && (
                       <p
                         className={`text-[9px] sm:text-[10px] mt-0.5 ${isDarkMode ? "text-white/40" : "text-gray-500"}`}
                       >
-                        Full screen code view with syntax highlighting
+                        {codeTabs[activeCodeTab]?.named ? (
+                          <span className="font-mono" dir="ltr">
+                            {codeTabs[activeCodeTab].filename}
+                          </span>
+                        ) : (
+                          t("code.previewHint")
+                        )}
                       </p>
                     )}
                   </div>
                 </div>
 
-                <div className="flex items-center gap-1 sm:gap-2 self-end sm:self-auto">
+                <div className="flex flex-wrap justify-end items-center gap-1 sm:gap-2 self-end sm:self-auto">
+                  <button
+                    onClick={() => setIsEditingCode((editing) => !editing)}
+                    className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 text-xs font-medium ${
+                      isEditingCode
+                        ? isDarkMode
+                          ? "bg-blue-500/15 text-blue-400"
+                          : "bg-blue-100 text-blue-700"
+                        : isDarkMode
+                          ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                          : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                    }`}
+                    title={t("code.editTitle")}
+                    aria-pressed={isEditingCode}
+                  >
+                    <MdEdit className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                    {t("code.edit")}
+                  </button>
+                  {(previousVersion || generatedCode !== originalCode) && (
+                    <button
+                      onClick={() => setShowCodeDiff((shown) => !shown)}
+                      className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 text-xs font-medium ${
+                        showCodeDiff
+                          ? isDarkMode
+                            ? "bg-amber-500/15 text-amber-400"
+                            : "bg-amber-100 text-amber-700"
+                          : isDarkMode
+                            ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                            : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                      }`}
+                      title={t("code.diff.toggleTitle")}
+                      aria-pressed={showCodeDiff}
+                    >
+                      <MdCompareArrows className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                      {t("code.diff.toggle")}
+                    </button>
+                  )}
+                  {previewKind(generatedCode, codeLanguage) && (
+                    <button
+                      onClick={() => setShowCodePreview((shown) => !shown)}
+                      className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 text-xs font-medium ${
+                        showCodePreview
+                          ? isDarkMode
+                            ? "bg-purple-500/15 text-purple-400"
+                            : "bg-purple-100 text-purple-700"
+                          : isDarkMode
+                            ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                            : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                      }`}
+                      title={t("code.livePreview.toggleTitle")}
+                      aria-pressed={showCodePreview}
+                    >
+                      <MdVisibility className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                      {t("code.livePreview.toggle")}
+                    </button>
+                  )}
+                  {isRunnable(codeLanguage) &&
+                    renderRunButton(
+                      generatedCode,
+                      codeLanguage,
+                      `flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 font-medium ${
+                        isDarkMode
+                          ? "bg-emerald-500/10 hover:bg-emerald-500/20 text-emerald-400"
+                          : "bg-emerald-100 hover:bg-emerald-200 text-emerald-700"
+                      }`,
+                    )}
+                  <button
+                    onClick={downloadCodeFile}
+                    className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 text-xs font-medium ${
+                      isDarkMode
+                        ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                        : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                    }`}
+                    title={t("code.downloadTitle", {
+                      filename: codeTabs[activeCodeTab]?.filename,
+                    })}
+                    aria-label={t("code.download")}
+                  >
+                    <MdDownload className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                    {!isMobile && t("code.download")}
+                  </button>
+                  {codeTabs.length > 1 && (
+                    <button
+                      onClick={downloadCodeProject}
+                      className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 text-xs font-medium ${
+                        isDarkMode
+                          ? "bg-white/[0.05] hover:bg-white/[0.1] text-white/60 hover:text-white/80"
+                          : "bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800"
+                      }`}
+                      title={t("code.downloadAllTitle")}
+                      aria-label={t("code.downloadAll")}
+                    >
+                      <MdFolderZip className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                      {!isMobile && t("code.downloadAll")}
+                    </button>
+                  )}
                   <button
                     onClick={() => copyToClipboard(generatedCode)}
                     className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 md:px-4 py-1.5 sm:py-2 rounded-lg sm:rounded-xl transition-all duration-200 group ${
@@ -2085,7 +3704,7 @@ function App() {
                         ? "bg-white/[0.05] hover:bg-white/[0.1]"
                         : "bg-gray-100 hover:bg-gray-200"
                     }`}
-                    title="Copy code to clipboard"
+                    title={t("code.copyTitle")}
                   >
                     <svg
                       className={`w-3.5 h-3.5 sm:w-4 sm:h-4 ${
@@ -2112,10 +3731,10 @@ function App() {
                       }`}
                     >
                       {copySuccess
-                        ? "Copied!"
+                        ? t("code.copied")
                         : isMobile
-                          ? "Copy"
-                          : "Copy Code"}
+                          ? t("code.copy")
+                          : t("code.copyCode")}
                     </span>
                   </button>
                   <button
@@ -2123,7 +3742,7 @@ function App() {
                     className={`p-1.5 sm:p-2 rounded-lg sm:rounded-xl transition-all duration-200 ${
                       isDarkMode ? "hover:bg-white/[0.05]" : "hover:bg-gray-100"
                     }`}
-                    title="Close modal"
+                    title={t("code.close")}
                   >
                     <svg
                       className={`w-4 h-4 sm:w-5 sm:h-5 ${isDarkMode ? "text-white/60" : "text-gray-600"}`}
@@ -2142,26 +3761,168 @@ function App() {
                 </div>
               </div>
 
+              {codeTabs.length > 1 && (
+                <div
+                  role="tablist"
+                  aria-label={t("code.files")}
+                  className={`flex gap-1 overflow-x-auto px-3 sm:px-4 md:px-6 pt-2 border-b ${
+                    isDarkMode ? "border-white/[0.05]" : "border-gray-200"
+                  }`}
+                  dir="ltr"
+                >
+                  {currentCodeTabs.map((tab, index) => (
+                    <button
+                      key={index}
+                      role="tab"
+                      aria-selected={index === activeCodeTab}
+                      onClick={() => selectCodeTab(index)}
+                      title={tab.filename}
+                      className={`flex-shrink-0 px-3 py-1.5 rounded-t-lg border-b-2 font-mono text-[11px] sm:text-xs transition-all duration-200 ${
+                        index === activeCodeTab
+                          ? isDarkMode
+                            ? "border-blue-400 bg-white/[0.05] text-white/90"
+                            : "border-blue-500 bg-white text-gray-900"
+                          : isDarkMode
+                            ? "border-transparent text-white/50 hover:text-white/80"
+                            : "border-transparent text-gray-500 hover:text-gray-800"
+                      }`}
+                    >
+                      {tab.filename.split("/").pop()}
+                      {tab.code !== tab.original && (
+                        <span
+                          className="ms-1 text-amber-500"
+                          aria-label={t("code.modified")}
+                        >
+                          •
+                        </span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               <div
                 className={`flex-1 overflow-y-auto p-3 sm:p-4 md:p-6 ${isDarkMode ? "bg-[#0A0A0A]/50" : "bg-gray-50/50"}`}
               >
-                <pre
-                  className={`rounded-lg sm:rounded-xl p-3 sm:p-4 md:p-6 overflow-x-auto border text-xs sm:text-sm ${
+                <div
+                  className={
+                    showCodePreview && previewKind(generatedCode, codeLanguage)
+                      ? "grid grid-cols-1 lg:grid-cols-2 gap-3"
+                      : ""
+                  }
+                >
+                  {showCodeDiff ? (
+                    <div className="flex flex-col gap-2 min-w-0">
+                      {previousVersion && generatedCode !== originalCode && (
+                        <label
+                          className={`flex items-center gap-2 text-xs ${isDarkMode ? "text-white/60" : "text-gray-600"}`}
+                        >
+                          {t("code.diff.compareWith")}
+                          <select
+                            value={diffBase}
+                            onChange={(e) => setDiffBase(e.target.value)}
+                            className={`rounded-md border px-2 py-1 text-xs focus:outline-none ${
+                              isDarkMode
+                                ? "bg-[#1A1A1A] border-white/[0.08] text-white/80"
+                                : "bg-white border-gray-200 text-gray-800"
+                            }`}
+                          >
+                            <option value="previous">
+                              {t("code.diff.previous")}
+                            </option>
+                            <option value="original">
+                              {t("code.diff.original")}
+                            </option>
+                          </select>
+                        </label>
+                      )}
+                      <CodeDiff
+                        before={diffAgainst.code}
+                        after={generatedCode}
+                        beforeLabel={diffAgainst.label}
+                        afterLabel={
+                          generatedCode === originalCode
+                            ? t("code.diff.current")
+                            : t("code.diff.edited")
+                        }
+                        isDarkMode={isDarkMode}
+                      />
+                    </div>
+                  ) : isEditingCode ? (
+                    <CodeEditor
+                      value={generatedCode}
+                      onChange={setGeneratedCode}
+                      language={codeLanguage}
+                      onRevert={
+                        generatedCode !== originalCode
+                          ? () => setGeneratedCode(originalCode)
+                          : undefined
+                      }
+                      isDarkMode={isDarkMode}
+                      className="code-modal-body min-h-[18rem] sm:min-h-[24rem]"
+                    />
+                  ) : (
+                    <CodeHighlighter
+                      code={generatedCode}
+                      language={codeLanguage}
+                      wrapLongLines
+                      className={`code-modal-body rounded-lg sm:rounded-xl p-3 sm:p-4 md:p-6 overflow-x-auto border text-xs sm:text-sm leading-relaxed ${
+                        isDarkMode
+                          ? "bg-gradient-to-b from-[#1E1E1E] to-[#1A1A1A] border-white/[0.05] text-white/80"
+                          : "bg-gradient-to-b from-white to-gray-50 border-gray-200 text-gray-800"
+                      }`}
+                    />
+                  )}
+                  {showCodePreview &&
+                    previewKind(generatedCode, codeLanguage) && (
+                      <CodePreview
+                        code={generatedCode}
+                        language={codeLanguage}
+                        isDarkMode={isDarkMode}
+                        className="min-h-[20rem] lg:min-h-[24rem]"
+                      />
+                    )}
+                </div>
+                {renderRunOutput(generatedCode, codeLanguage, "mt-3")}
+              </div>
+
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  askToModify();
+                }}
+                className={`flex items-center gap-2 p-3 sm:px-4 md:px-6 border-t ${
+                  isDarkMode ? "border-white/[0.05]" : "border-gray-200"
+                }`}
+              >
+                <input
+                  type="text"
+                  value={modifyInstruction}
+                  onChange={(e) => setModifyInstruction(e.target.value)}
+                  placeholder={t("code.modify.placeholder")}
+                  aria-label={t("code.modify.placeholder")}
+                  className={`flex-1 min-w-0 rounded-lg sm:rounded-xl border px-3 py-2 text-xs sm:text-sm focus:outline-none ${
+                    isDarkMode
+                      ? "bg-white/[0.03] border-white/[0.08] text-white/90 placeholder-white/30 focus:border-blue-500/40"
+                      : "bg-white border-gray-200 text-gray-900 placeholder-gray-400 focus:border-blue-400"
+                  }`}
+                />
+                <button
+                  type="submit"
+                  disabled={isBusy}
+                  className={`flex items-center gap-1 sm:gap-2 px-3 md:px-4 py-2 rounded-lg sm:rounded-xl text-xs font-medium transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
                     isDarkMode
-                      ? "bg-gradient-to-b from-[#1E1E1E] to-[#1A1A1A] border-white/[0.05]"
-                      : "bg-gradient-to-b from-white to-gray-50 border-gray-200"
+                      ? "bg-blue-500/15 hover:bg-blue-500/25 text-blue-400"
+                      : "bg-blue-100 hover:bg-blue-200 text-blue-700"
                   }`}
+                  title={t("code.modify.title")}
                 >
-                  <code
-                    ref={codeRef}
-                    className={`language-${codeLanguage} font-mono whitespace-pre-wrap leading-relaxed ${
-                      isDarkMode ? "text-white/80" : "text-gray-800"
-                    }`}
-                  >
-                    {generatedCode}
-                  </code>
-                </pre>
-              </div>
+                  <MdAutoFixHigh className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                  {isMobile
+                    ? t("code.modify.buttonShort")
+                    : t("code.modify.button")}
+                </button>
+              </form>
             </div>
           </div>
         )}
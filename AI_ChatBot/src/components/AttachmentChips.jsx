@@ -0,0 +1,79 @@
+import React from 'react';
+import { MdClose, MdInsertDriveFile } from 'react-icons/md';
+import { formatBytes } from '../utils/attachments';
+import { useI18n } from '../i18n';
+
+// Attached files as small chips. Without `onRemove` they are read-only, as
+// on a sent message; `inverted` suits the blue user bubble.
+const AttachmentChips = ({
+  attachments = [],
+  onRemove,
+  isDarkMode = true,
+  inverted = false,
+  className = '',
+}) => {
+  const { t } = useI18n();
+  if (attachments.length === 0) return null;
+
+  const chipClass = inverted
+    ? 'bg-white/10 border-white/20 text-white'
+    : isDarkMode
+      ? 'bg-white/[0.04] border-white/[0.08] text-white/80'
+      : 'bg-gray-50 border-gray-200 text-gray-700';
+  const mutedText = inverted
+    ? 'text-blue-100/70'
+    : isDarkMode
+      ? 'text-white/40'
+      : 'text-gray-500';
+
+  return (
+    <ul className={`flex flex-wrap gap-1.5 ${className}`}>
+      {attachments.map((attachment) => (
+        <li
+          key={attachment.id}
+          className={`flex items-center gap-1.5 max-w-[14rem] ps-1 pe-2 py-1 rounded-lg border text-[10px] sm:text-xs ${chipClass}`}
+          title={attachment.name}
+        >
+          {attachment.kind === 'image' ? (
+            <img
+              src={attachment.content}
+              alt=""
+              className="w-7 h-7 rounded object-cover flex-shrink-0"
+            />
+          ) : (
+            <span className="w-7 h-7 rounded flex items-center justify-center flex-shrink-0 bg-blue-500/10 text-blue-500">
+              <MdInsertDriveFile className="w-4 h-4" />
+            </span>
+          )}
+          <span className="min-w-0">
+            <span className="block truncate font-medium" dir="auto">
+              {attachment.name}
+            </span>
+            <span className={`block text-[9px] ${mutedText}`}>
+              {attachment.kind === 'image'
+                ? t('attachments.image')
+                : t('attachments.text')}{' '}
+              · {formatBytes(attachment.size)}
+            </span>
+          </span>
+          {onRemove && (
+            <button
+              onClick={() => onRemove(attachment.id)}
+              className={`p-0.5 rounded flex-shrink-0 ${
+                isDarkMode
+                  ? 'hover:bg-white/[0.1] text-white/50 hover:text-white'
+                  : 'hover:bg-gray-200 text-gray-400 hover:text-gray-700'
+              }`}
+              title={t('attachments.remove', { name: attachment.name })}
+              aria-label={t('attachments.remove', { name: attachment.name })}
+            >
+              <MdClose className="w-3.5 h-3.5" />
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default AttachmentChips;
@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from 'react';
+import { diffLines, diffStats, sideBySide } from '../utils/codeDiff';
+import { useI18n } from '../i18n';
+
+const LINE_STYLES = {
+  dark: {
+    added: 'bg-emerald-500/10 text-emerald-200',
+    removed: 'bg-red-500/10 text-red-200',
+    same: 'text-white/70',
+    empty: 'bg-white/[0.02]',
+    number: 'text-white/25',
+  },
+  light: {
+    added: 'bg-emerald-50 text-emerald-900',
+    removed: 'bg-red-50 text-red-900',
+    same: 'text-gray-700',
+    empty: 'bg-gray-100/60',
+    number: 'text-gray-400',
+  },
+};
+const MARKERS = { added: '+', removed: '-', same: ' ' };
+
+// Unified or side-by-side line diff of two versions of a code block
+const CodeDiff = ({
+  before,
+  after,
+  beforeLabel,
+  afterLabel,
+  isDarkMode = true,
+  className = '',
+}) => {
+  const { t } = useI18n();
+  const [layout, setLayout] = useState('unified');
+  const lines = useMemo(() => diffLines(before, after), [before, after]);
+  const rows = useMemo(
+    () => (layout === 'split' ? sideBySide(lines) : null),
+    [layout, lines],
+  );
+  const { added, removed } = diffStats(lines);
+  const styles = LINE_STYLES[isDarkMode ? 'dark' : 'light'];
+
+  const cell = (line, number, key) =>
+    line ? (
+      <div key={key} className={`flex ${styles[line.type]}`}>
+        <span
+          className={`w-10 flex-shrink-0 pe-2 text-end select-none ${styles.number}`}
+        >
+          {number}
+        </span>
+        <span className="w-4 flex-shrink-0 select-none">
+          {MARKERS[line.type]}
+        </span>
+        <span className="whitespace-pre">{line.text || ' '}</span>
+      </div>
+    ) : (
+      <div key={key} className={`${styles.empty}`}>
+        {' '}
+      </div>
+    );
+
+  const tabClass = (value) =>
+    `px-2 py-0.5 rounded-md text-[10px] sm:text-xs transition-all duration-200 ${
+      layout === value
+        ? isDarkMode
+          ? 'bg-white/[0.1] text-white/90'
+          : 'bg-white text-gray-900 shadow-sm'
+        : isDarkMode
+          ? 'text-white/50 hover:text-white/80'
+          : 'text-gray-500 hover:text-gray-800'
+    }`;
+
+  return (
+    <div
+      className={`flex flex-col min-h-0 border rounded-lg sm:rounded-xl overflow-hidden ${
+        isDarkMode
+          ? 'bg-[#141414] border-white/[0.05]'
+          : 'bg-white border-gray-200'
+      } ${className}`}
+      dir="ltr"
+    >
+      <div
+        className={`flex flex-wrap items-center justify-between gap-2 px-3 py-1.5 border-b text-[10px] sm:text-xs ${
+          isDarkMode
+            ? 'border-white/[0.05] text-white/60'
+            : 'border-gray-200 text-gray-600'
+        }`}
+      >
+        <span className="truncate">
+          {beforeLabel} → {afterLabel}
+          <span className="ms-2 text-emerald-500">+{added}</span>
+          <span className="ms-1 text-red-500">−{removed}</span>
+        </span>
+        <div
+          className={`flex items-center gap-0.5 p-0.5 rounded-lg ${
+            isDarkMode ? 'bg-white/[0.04]' : 'bg-gray-100'
+          }`}
+          role="group"
+          aria-label={t('code.diff.layout')}
+        >
+          <button
+            onClick={() => setLayout('unified')}
+            className={tabClass('unified')}
+            aria-pressed={layout === 'unified'}
+          >
+            {t('code.diff.unified')}
+          </button>
+          <button
+            onClick={() => setLayout('split')}
+            className={tabClass('split')}
+            aria-pressed={layout === 'split'}
+          >
+            {t('code.diff.split')}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-[18rem] overflow-auto py-2 font-mono text-[11px] sm:text-xs leading-5">
+        {added === 0 && removed === 0 && (
+          <p className={`px-3 pb-2 font-sans ${styles.number}`}>
+            {t('code.diff.identical')}
+          </p>
+        )}
+        {layout === 'unified' ? (
+          <div className="min-w-max">
+            {lines.map((line, index) =>
+              cell(line, line.newLine ?? line.oldLine, index),
+            )}
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 min-w-max">
+            <div
+              className={`border-e ${
+                isDarkMode ? 'border-white/[0.05]' : 'border-gray-200'
+              }`}
+            >
+              {rows.map(([left], index) => cell(left, left?.oldLine, index))}
+            </div>
+            <div>
+              {rows.map(([, right], index) =>
+                cell(right, right?.newLine, index),
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodeDiff;
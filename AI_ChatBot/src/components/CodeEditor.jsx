@@ -0,0 +1,558 @@
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+} from 'react';
+import {
+  MdArrowDownward,
+  MdArrowUpward,
+  MdClose,
+  MdFindReplace,
+  MdRestore,
+} from 'react-icons/md';
+import { useI18n } from '../i18n';
+
+// Indentation per language; everything else uses two spaces
+const INDENT_UNITS = {
+  python: '    ',
+  py: '    ',
+  java: '    ',
+  kotlin: '    ',
+  c: '    ',
+  cpp: '    ',
+  'c++': '    ',
+  cs: '    ',
+  csharp: '    ',
+  'c#': '    ',
+  php: '    ',
+  rust: '    ',
+  rs: '    ',
+  swift: '    ',
+  go: '\t',
+  golang: '\t',
+  makefile: '\t',
+  make: '\t',
+};
+const COLON_BLOCK_LANGUAGES = ['python', 'py', 'yaml', 'yml'];
+const BRACKETS = { '{': '}', '[': ']', '(': ')' };
+const TAB_SIZE = 4;
+
+const indentUnit = (language = '') =>
+  INDENT_UNITS[language.toLowerCase()] || '  ';
+
+const lineStartOf = (text, index) => text.lastIndexOf('\n', index - 1) + 1;
+
+const findMatches = (text, query, matchCase) => {
+  if (!query) return [];
+  const haystack = matchCase ? text : text.toLowerCase();
+  const needle = matchCase ? query : query.toLowerCase();
+  const matches = [];
+  let index = haystack.indexOf(needle);
+  while (index !== -1 && matches.length < 10000) {
+    matches.push(index);
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return matches;
+};
+
+// Plain-textarea code editor with line numbers, find/replace and
+// indentation that follows the language. Edits go through the browser's
+// own undo stack where it supports `insertText`.
+const CodeEditor = ({
+  value,
+  onChange,
+  language,
+  onRevert,
+  isDarkMode = true,
+  className = '',
+}) => {
+  const { t } = useI18n();
+  const [findMode, setFindMode] = useState(null); // null | 'find' | 'replace'
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [currentMatch, setCurrentMatch] = useState(0);
+  const [cursor, setCursor] = useState({ line: 1, column: 1 });
+  const textareaRef = useRef(null);
+  const scrollRef = useRef(null);
+  const findInputRef = useRef(null);
+  const pendingSelectionRef = useRef(null);
+
+  const lines = useMemo(() => value.split('\n'), [value]);
+  const widestLine = useMemo(
+    () =>
+      lines.reduce(
+        (widest, line) =>
+          Math.max(widest, line.replace(/\t/g, ' '.repeat(TAB_SIZE)).length),
+        0,
+      ),
+    [lines],
+  );
+  const matches = useMemo(
+    () => findMatches(value, query, matchCase),
+    [value, query, matchCase],
+  );
+  const activeMatch = matches.length
+    ? Math.min(currentMatch, matches.length - 1)
+    : -1;
+
+  // Selections requested by edits that had to bypass `insertText`
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current;
+    if (!selection) return;
+    pendingSelectionRef.current = null;
+    textareaRef.current?.setSelectionRange(...selection);
+  }, [value]);
+
+  useEffect(() => {
+    if (findMode) findInputRef.current?.select();
+  }, [findMode]);
+
+  const updateCursor = () => {
+    const el = textareaRef.current;
+    if (!el) return;
+    const before = el.value.slice(0, el.selectionStart);
+    const line = before.split('\n').length;
+    setCursor({
+      line,
+      column: el.selectionStart - lineStartOf(el.value, el.selectionStart) + 1,
+    });
+  };
+
+  // Replace [start, end) with `text`, then select `selection` (defaults to
+  // a caret after the inserted text)
+  const replaceRange = (start, end, text, selection) => {
+    const el = textareaRef.current;
+    const nextSelection = selection || [
+      start + text.length,
+      start + text.length,
+    ];
+    el.focus();
+    el.setSelectionRange(start, end);
+
+    let inserted = false;
+    try {
+      inserted = document.execCommand('insertText', false, text);
+    } catch {
+      inserted = false;
+    }
+    if (
+      inserted &&
+      el.value === value.slice(0, start) + text + value.slice(end)
+    ) {
+      el.setSelectionRange(...nextSelection);
+      return;
+    }
+    pendingSelectionRef.current = nextSelection;
+    onChange(value.slice(0, start) + text + value.slice(end));
+  };
+
+  const indentLines = (outdent) => {
+    const el = textareaRef.current;
+    const unit = indentUnit(language);
+    const { selectionStart, selectionEnd } = el;
+
+    // A caret or a selection within one line just gets a unit inserted
+    if (!outdent && !value.slice(selectionStart, selectionEnd).includes('\n')) {
+      replaceRange(selectionStart, selectionEnd, unit);
+      return;
+    }
+
+    const blockStart = lineStartOf(value, selectionStart);
+    const blockEnd =
+      selectionEnd > selectionStart && value[selectionEnd - 1] === '\n'
+        ? selectionEnd - 1
+        : selectionEnd;
+    const block = value.slice(blockStart, blockEnd);
+    const changed = block
+      .split('\n')
+      .map((line) => {
+        if (!outdent) return unit + line;
+        if (line.startsWith('\t')) return line.slice(1);
+        const spaces = /^ */.exec(line)[0].length;
+        return line.slice(
+          Math.min(spaces, unit === '\t' ? TAB_SIZE : unit.length),
+        );
+      })
+      .join('\n');
+    if (changed === block) return;
+    replaceRange(blockStart, blockEnd, changed, [
+      blockStart,
+      blockStart + changed.length,
+    ]);
+  };
+
+  const insertNewline = () => {
+    const el = textareaRef.current;
+    const { selectionStart, selectionEnd } = el;
+    const lineStart = lineStartOf(value, selectionStart);
+    const currentLine = value.slice(lineStart, selectionStart);
+    const indent = /^[ \t]*/.exec(currentLine)[0];
+    const unit = indentUnit(language);
+    const before = currentLine.trimEnd().slice(-1);
+    const after = value[selectionEnd];
+
+    const opensBlock =
+      Boolean(BRACKETS[before]) ||
+      (before === ':' &&
+        COLON_BLOCK_LANGUAGES.includes((language || '').toLowerCase()));
+
+    if (opensBlock && BRACKETS[before] && after === BRACKETS[before]) {
+      // Put the closing bracket on its own line under the opener
+      const text = `\n${indent}${unit}\n${indent}`;
+      const caret = selectionStart + 1 + indent.length + unit.length;
+      replaceRange(selectionStart, selectionEnd, text, [caret, caret]);
+      return;
+    }
+    replaceRange(
+      selectionStart,
+      selectionEnd,
+      `\n${indent}${opensBlock ? unit : ''}`,
+    );
+  };
+
+  const openFind = (mode) => {
+    const el = textareaRef.current;
+    const selected = el?.value.slice(el.selectionStart, el.selectionEnd);
+    if (selected && !selected.includes('\n')) setQuery(selected);
+    setFindMode(mode);
+  };
+
+  const closeFind = () => {
+    setFindMode(null);
+    textareaRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    const mod = (e.metaKey || e.ctrlKey) && !e.shiftKey;
+    if (mod && (e.key === 'f' || e.key === 'F')) {
+      e.preventDefault();
+      openFind('find');
+    } else if (mod && (e.key === 'h' || e.key === 'H')) {
+      e.preventDefault();
+      openFind('replace');
+    } else if (e.key === 'Tab' && !e.metaKey && !e.ctrlKey && !e.altKey) {
+      e.preventDefault();
+      indentLines(e.shiftKey);
+    } else if (
+      e.key === 'Enter' &&
+      !e.metaKey &&
+      !e.ctrlKey &&
+      !e.shiftKey &&
+      !e.altKey
+    ) {
+      e.preventDefault();
+      insertNewline();
+    } else if (e.key === 'Escape' && findMode) {
+      e.preventDefault();
+      closeFind();
+    }
+  };
+
+  // Scroll the match into view without taking focus from the find field
+  const revealMatch = (index) => {
+    setCurrentMatch(index);
+    const container = scrollRef.current;
+    const el = textareaRef.current;
+    if (!container || !el || matches[index] === undefined) return;
+
+    const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || 20;
+    const line = value.slice(0, matches[index]).split('\n').length - 1;
+    container.scrollTop = Math.max(
+      0,
+      line * lineHeight - container.clientHeight / 2,
+    );
+  };
+
+  const stepMatch = (step) => {
+    if (matches.length === 0) return;
+    revealMatch((activeMatch + step + matches.length) % matches.length);
+  };
+
+  const replaceCurrent = () => {
+    if (activeMatch < 0) return;
+    const start = matches[activeMatch];
+    replaceRange(start, start + query.length, replacement);
+    findInputRef.current?.focus();
+  };
+
+  const replaceAll = () => {
+    if (matches.length === 0) return;
+    let result = '';
+    let last = 0;
+    matches.forEach((start) => {
+      result += value.slice(last, start) + replacement;
+      last = start + query.length;
+    });
+    result += value.slice(last);
+    replaceRange(0, value.length, result, [0, 0]);
+    setCurrentMatch(0);
+    findInputRef.current?.focus();
+  };
+
+  // Underlay that paints find matches behind the transparent textarea
+  const highlighted = useMemo(() => {
+    if (matches.length === 0) return value;
+    const parts = [];
+    let last = 0;
+    matches.forEach((start, index) => {
+      parts.push(value.slice(last, start));
+      parts.push(
+        <mark
+          key={start}
+          className={`rounded-sm text-transparent ${
+            index === activeMatch ? 'bg-orange-400/70' : 'bg-yellow-300/40'
+          }`}
+        >
+          {value.slice(start, start + query.length)}
+        </mark>,
+      );
+      last = start + query.length;
+    });
+    parts.push(value.slice(last));
+    return parts;
+  }, [value, matches, activeMatch, query.length]);
+
+  const textMetrics = 'font-mono text-xs sm:text-sm leading-5 whitespace-pre';
+  const fieldClass = `min-w-0 flex-1 text-xs px-2 py-1 rounded-md border focus:outline-none ${
+    isDarkMode
+      ? 'bg-white/[0.04] border-white/[0.08] text-white/80 focus:border-blue-500/40'
+      : 'bg-white border-gray-200 text-gray-800 focus:border-blue-400'
+  }`;
+  const iconButtonClass = `p-1 rounded-md transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'text-white/50 hover:text-white/90 hover:bg-white/[0.08]'
+      : 'text-gray-500 hover:text-gray-900 hover:bg-gray-200'
+  }`;
+  const textButtonClass = `px-2 py-1 rounded-md text-[10px] sm:text-xs transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-white/[0.04] hover:bg-white/[0.08] text-white/70'
+      : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`;
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  const gutterWidth = `${String(lines.length).length + 2}ch`;
+
+  return (
+    <div
+      className={`flex flex-col min-h-0 border rounded-lg sm:rounded-xl overflow-hidden ${
+        isDarkMode
+          ? 'bg-gradient-to-b from-[#1E1E1E] to-[#1A1A1A] border-white/[0.05]'
+          : 'bg-gradient-to-b from-white to-gray-50 border-gray-200'
+      } ${className}`}
+      dir="ltr"
+    >
+      <div
+        className={`flex items-center justify-between gap-2 px-2 py-1 border-b text-[10px] ${
+          isDarkMode ? 'border-white/[0.05]' : 'border-gray-200'
+        } ${mutedText}`}
+      >
+        <span>
+          {t('code.editor.position', {
+            line: cursor.line,
+            column: cursor.column,
+          })}
+          {' · '}
+          {indentUnit(language) === '\t'
+            ? t('code.editor.tabs')
+            : t('code.editor.spaces', { count: indentUnit(language).length })}
+        </span>
+        <div className="flex items-center gap-0.5">
+          <button
+            onClick={() => (findMode ? closeFind() : openFind('replace'))}
+            className={iconButtonClass}
+            title={t('code.editor.findTitle')}
+            aria-label={t('code.editor.findTitle')}
+            aria-pressed={Boolean(findMode)}
+          >
+            <MdFindReplace className="w-3.5 h-3.5" />
+          </button>
+          {onRevert && (
+            <button
+              onClick={onRevert}
+              className={iconButtonClass}
+              title={t('code.editor.revert')}
+              aria-label={t('code.editor.revert')}
+            >
+              <MdRestore className="w-3.5 h-3.5" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {findMode && (
+        <div
+          className={`flex flex-col gap-1.5 px-2 py-1.5 border-b ${
+            isDarkMode
+              ? 'border-white/[0.05] bg-white/[0.02]'
+              : 'border-gray-200 bg-gray-50'
+          }`}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              e.preventDefault();
+              e.stopPropagation();
+              closeFind();
+            }
+          }}
+        >
+          <div className="flex items-center gap-1">
+            <input
+              ref={findInputRef}
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setCurrentMatch(0);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  stepMatch(e.shiftKey ? -1 : 1);
+                }
+              }}
+              placeholder={t('code.editor.find')}
+              aria-label={t('code.editor.find')}
+              className={fieldClass}
+            />
+            <span
+              className={`text-[10px] tabular-nums min-w-[3.5rem] text-center ${mutedText}`}
+            >
+              {query
+                ? t('code.editor.matches', {
+                    current: activeMatch + 1,
+                    count: matches.length,
+                  })
+                : ''}
+            </span>
+            <button
+              onClick={() => setMatchCase((on) => !on)}
+              className={`${iconButtonClass} font-mono text-[10px] ${
+                matchCase ? (isDarkMode ? 'bg-white/[0.1]' : 'bg-gray-200') : ''
+              }`}
+              title={t('code.editor.matchCase')}
+              aria-label={t('code.editor.matchCase')}
+              aria-pressed={matchCase}
+            >
+              Aa
+            </button>
+            <button
+              onClick={() => stepMatch(-1)}
+              disabled={matches.length === 0}
+              className={iconButtonClass}
+              title={t('code.editor.previous')}
+              aria-label={t('code.editor.previous')}
+            >
+              <MdArrowUpward className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => stepMatch(1)}
+              disabled={matches.length === 0}
+              className={iconButtonClass}
+              title={t('code.editor.next')}
+              aria-label={t('code.editor.next')}
+            >
+              <MdArrowDownward className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={closeFind}
+              className={iconButtonClass}
+              title={t('code.editor.closeFind')}
+              aria-label={t('code.editor.closeFind')}
+            >
+              <MdClose className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          {findMode === 'replace' && (
+            <div className="flex items-center gap-1">
+              <input
+                value={replacement}
+                onChange={(e) => setReplacement(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    replaceCurrent();
+                  }
+                }}
+                placeholder={t('code.editor.replace')}
+                aria-label={t('code.editor.replace')}
+                className={fieldClass}
+              />
+              <button
+                onClick={replaceCurrent}
+                disabled={activeMatch < 0}
+                className={textButtonClass}
+              >
+                {t('code.editor.replaceOne')}
+              </button>
+              <button
+                onClick={replaceAll}
+                disabled={matches.length === 0}
+                className={textButtonClass}
+              >
+                {t('code.editor.replaceAll')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div
+        ref={scrollRef}
+        className="flex-1 min-h-[18rem] sm:min-h-[24rem] overflow-auto"
+      >
+        <div className="relative flex min-w-full w-max">
+          <pre
+            aria-hidden="true"
+            className={`sticky start-0 z-10 m-0 py-3 px-2 text-end select-none border-e ${textMetrics} ${
+              isDarkMode
+                ? 'bg-[#1A1A1A] border-white/[0.05] text-white/25'
+                : 'bg-gray-50 border-gray-200 text-gray-400'
+            }`}
+            style={{ minWidth: gutterWidth }}
+          >
+            {lines.map((_, index) => index + 1).join('\n')}
+          </pre>
+          <div className="relative flex-1">
+            <pre
+              aria-hidden="true"
+              className={`absolute inset-0 m-0 px-3 py-3 text-transparent pointer-events-none ${textMetrics}`}
+              style={{ tabSize: TAB_SIZE }}
+            >
+              {highlighted}
+            </pre>
+            <textarea
+              ref={textareaRef}
+              value={value}
+              onChange={(e) => {
+                onChange(e.target.value);
+                updateCursor();
+              }}
+              onKeyDown={handleKeyDown}
+              onKeyUp={updateCursor}
+              onClick={updateCursor}
+              onSelect={updateCursor}
+              wrap="off"
+              spellCheck={false}
+              autoCapitalize="off"
+              autoComplete="off"
+              autoCorrect="off"
+              aria-label={t('code.editorLabel')}
+              className={`relative block w-full m-0 px-3 py-3 resize-none overflow-hidden bg-transparent border-0 focus:outline-none ${textMetrics} ${
+                isDarkMode
+                  ? 'text-white/80 caret-white'
+                  : 'text-gray-800 caret-gray-900'
+              }`}
+              style={{
+                tabSize: TAB_SIZE,
+                minWidth: `calc(${widestLine + 2}ch + 1.5rem)`,
+                height: `calc(${lines.length} * 1.25rem + 1.5rem)`,
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodeEditor;
@@ -0,0 +1,62 @@
+import React, { memo } from 'react';
+import { PrismAsyncLight as SyntaxHighlighter } from 'react-syntax-highlighter';
+
+// Fence names models commonly use that Prism knows under another name
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  rb: 'ruby',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  html: 'markup',
+  xml: 'markup',
+  svg: 'markup',
+  vue: 'markup',
+  yml: 'yaml',
+  md: 'markdown',
+  'c++': 'cpp',
+  cs: 'csharp',
+  'c#': 'csharp',
+  kt: 'kotlin',
+  rs: 'rust',
+  golang: 'go',
+  ps1: 'powershell',
+  dockerfile: 'docker',
+};
+
+export const toPrismLanguage = (language = '') => {
+  const name = language.toLowerCase();
+  return LANGUAGE_ALIASES[name] || name || 'text';
+};
+
+// Tokenized code using the Prism token classes styled in App.css, so the
+// colours follow the light/dark theme. Grammars are fetched on first use.
+const CodeHighlighter = ({
+  code,
+  language,
+  showLineNumbers = true,
+  wrapLongLines = false,
+  className = '',
+}) => {
+  const prismLanguage = toPrismLanguage(language);
+
+  return (
+    <SyntaxHighlighter
+      language={prismLanguage}
+      useInlineStyles={false}
+      showLineNumbers={showLineNumbers && code.includes('\n')}
+      wrapLongLines={wrapLongLines}
+      className={className}
+      codeTagProps={{ className: `language-${prismLanguage} font-mono` }}
+    >
+      {code}
+    </SyntaxHighlighter>
+  );
+};
+
+export default memo(CodeHighlighter);
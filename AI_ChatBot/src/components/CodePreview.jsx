@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MdDeleteSweep, MdRefresh } from 'react-icons/md';
+import {
+  PREVIEW_MESSAGE_SOURCE,
+  buildPreviewDocument,
+} from '../utils/codePreview';
+import { useI18n } from '../i18n';
+
+// Edits settle for this long before the preview is rebuilt
+const RENDER_DELAY = 400;
+const MAX_LOGS = 200;
+
+// Sandboxed live preview of HTML, CSS or a React component, with the
+// console output of the page underneath
+const CodePreview = ({ code, language, isDarkMode = true, className = '' }) => {
+  const { t } = useI18n();
+  const [srcDoc, setSrcDoc] = useState('');
+  const [buildError, setBuildError] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [reloadCount, setReloadCount] = useState(0);
+  const iframeRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timeoutId = setTimeout(() => {
+      buildPreviewDocument(code, language)
+        .then((doc) => {
+          if (cancelled) return;
+          setBuildError(null);
+          setLogs([]);
+          setSrcDoc(doc || '');
+        })
+        .catch((err) => {
+          if (!cancelled) setBuildError(err.message);
+        });
+    }, RENDER_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [code, language]);
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (
+        event.source !== iframeRef.current?.contentWindow ||
+        event.data?.source !== PREVIEW_MESSAGE_SOURCE
+      ) {
+        return;
+      }
+      const { level, text } = event.data;
+      setLogs((prev) => [...prev, { level, text }].slice(-MAX_LOGS));
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  const reload = () => {
+    setLogs([]);
+    setReloadCount((count) => count + 1);
+  };
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  const buttonClass = `p-1 rounded-md transition-all duration-200 ${
+    isDarkMode
+      ? 'text-white/50 hover:text-white/90 hover:bg-white/[0.08]'
+      : 'text-gray-500 hover:text-gray-900 hover:bg-gray-200'
+  }`;
+  const errorCount = logs.filter((log) => log.level === 'error').length;
+
+  return (
+    <div
+      className={`flex flex-col min-h-0 border rounded-lg sm:rounded-xl overflow-hidden ${
+        isDarkMode ? 'border-white/[0.05]' : 'border-gray-200'
+      } ${className}`}
+    >
+      <div
+        className={`flex items-center justify-between px-3 py-1.5 border-b text-[10px] sm:text-xs ${
+          isDarkMode
+            ? 'bg-[#141414] border-white/[0.05] text-white/60'
+            : 'bg-gray-100 border-gray-200 text-gray-600'
+        }`}
+      >
+        <span className="font-medium">{t('code.livePreview.title')}</span>
+        <button
+          onClick={reload}
+          className={buttonClass}
+          title={t('code.livePreview.reload')}
+          aria-label={t('code.livePreview.reload')}
+        >
+          <MdRefresh className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="relative flex-1 min-h-[16rem] bg-white">
+        <iframe
+          key={reloadCount}
+          ref={iframeRef}
+          title={t('code.livePreview.title')}
+          sandbox="allow-scripts allow-modals"
+          srcDoc={srcDoc}
+          className="absolute inset-0 w-full h-full border-0"
+        />
+        {buildError && (
+          <pre
+            className="absolute inset-x-0 bottom-0 m-0 max-h-[50%] overflow-auto px-3 py-2 text-[11px] font-mono whitespace-pre-wrap bg-red-50 text-red-700 border-t border-red-200"
+            dir="ltr"
+          >
+            {buildError}
+          </pre>
+        )}
+      </div>
+
+      <div
+        className={`border-t ${
+          isDarkMode
+            ? 'bg-[#070707] border-white/[0.05]'
+            : 'bg-gray-50 border-gray-200'
+        }`}
+      >
+        <div
+          className={`flex items-center justify-between px-3 py-1 text-[10px] ${mutedText}`}
+        >
+          <span>
+            {t('code.livePreview.console')}
+            {errorCount > 0 && (
+              <span
+                className={`ms-2 ${isDarkMode ? 'text-red-400' : 'text-red-600'}`}
+              >
+                {t('code.livePreview.errors', { count: errorCount })}
+              </span>
+            )}
+          </span>
+          <button
+            onClick={() => setLogs([])}
+            disabled={logs.length === 0}
+            className={`${buttonClass} disabled:opacity-30`}
+            title={t('code.livePreview.clearConsole')}
+            aria-label={t('code.livePreview.clearConsole')}
+          >
+            <MdDeleteSweep className="w-3.5 h-3.5" />
+          </button>
+        </div>
+        <div
+          className="max-h-28 overflow-y-auto px-3 pb-2 font-mono text-[11px] leading-relaxed"
+          dir="ltr"
+          aria-live="polite"
+        >
+          {logs.length === 0 ? (
+            <p className={mutedText}>{t('code.livePreview.noLogs')}</p>
+          ) : (
+            logs.map((log, index) => (
+              <pre
+                key={index}
+                className={`whitespace-pre-wrap break-words ${
+                  log.level === 'error'
+                    ? isDarkMode
+                      ? 'text-red-400'
+                      : 'text-red-600'
+                    : log.level === 'warn'
+                      ? isDarkMode
+                        ? 'text-yellow-300'
+                        : 'text-yellow-700'
+                      : isDarkMode
+                        ? 'text-white/70'
+                        : 'text-gray-700'
+                }`}
+              >
+                {log.text}
+              </pre>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodePreview;
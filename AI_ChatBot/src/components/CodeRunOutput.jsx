@@ -0,0 +1,159 @@
+import React from 'react';
+import { MdClose, MdRefresh, MdReply, MdStop } from 'react-icons/md';
+import { useI18n } from '../i18n';
+
+const LOG_COLORS = {
+  dark: {
+    warn: 'text-yellow-300',
+    error: 'text-red-400',
+    debug: 'text-white/40',
+  },
+  light: {
+    warn: 'text-yellow-700',
+    error: 'text-red-600',
+    debug: 'text-gray-400',
+  },
+};
+
+// Console output, result and errors of a snippet run, shown under the
+// code block it came from
+const CodeRunOutput = ({
+  run,
+  onRerun,
+  onStop,
+  onDismiss,
+  onSend,
+  canSend = true,
+  isDarkMode = true,
+  className = '',
+}) => {
+  const { t } = useI18n();
+  const isRunning = run.status === 'running';
+  const logColors = LOG_COLORS[isDarkMode ? 'dark' : 'light'];
+  const isEmpty =
+    !isRunning &&
+    run.logs.length === 0 &&
+    run.result === undefined &&
+    !run.error;
+
+  const buttonClass = `flex items-center gap-1 px-2 py-1 rounded-md text-[10px] sm:text-xs transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'text-white/60 hover:text-white/90 hover:bg-white/[0.08]'
+      : 'text-gray-600 hover:text-gray-900 hover:bg-gray-200'
+  }`;
+
+  const statusClass = {
+    running: isDarkMode ? 'text-blue-400' : 'text-blue-600',
+    done: isDarkMode ? 'text-emerald-400' : 'text-emerald-600',
+    error: isDarkMode ? 'text-red-400' : 'text-red-600',
+    timeout: isDarkMode ? 'text-yellow-400' : 'text-yellow-700',
+    stopped: isDarkMode ? 'text-white/50' : 'text-gray-500',
+  }[run.status];
+
+  return (
+    <div
+      className={`border rounded-xl overflow-hidden text-start ${
+        isDarkMode
+          ? 'bg-[#070707] border-white/[0.08]'
+          : 'bg-gray-50 border-gray-200'
+      } ${className}`}
+      role="region"
+      aria-label={t('code.run.output')}
+      aria-live="polite"
+    >
+      <div
+        className={`flex flex-wrap items-center justify-between gap-2 px-3 py-1.5 border-b ${
+          isDarkMode ? 'border-white/[0.06]' : 'border-gray-200'
+        }`}
+      >
+        <div className="flex items-center gap-2 text-[10px] sm:text-xs">
+          <span
+            className={`font-medium ${isDarkMode ? 'text-white/70' : 'text-gray-700'}`}
+          >
+            {t('code.run.output')}
+          </span>
+          <span className={statusClass}>
+            {isRunning && (
+              <span className="inline-block w-1.5 h-1.5 me-1 rounded-full bg-current animate-pulse" />
+            )}
+            {t(`code.run.status.${run.status}`, {
+              seconds: (run.duration / 1000).toFixed(1),
+            })}
+          </span>
+        </div>
+        <div className="flex items-center gap-0.5">
+          {isRunning ? (
+            <button onClick={onStop} className={buttonClass}>
+              <MdStop className="w-3.5 h-3.5" />
+              {t('code.run.stop')}
+            </button>
+          ) : (
+            <button onClick={onRerun} className={buttonClass}>
+              <MdRefresh className="w-3.5 h-3.5" />
+              {t('code.run.again')}
+            </button>
+          )}
+          <button
+            onClick={onSend}
+            disabled={isRunning || !canSend}
+            className={buttonClass}
+            title={t('code.run.sendTitle')}
+          >
+            <MdReply className="w-3.5 h-3.5 rtl:-scale-x-100" />
+            {t('code.run.send')}
+          </button>
+          <button
+            onClick={onDismiss}
+            className={buttonClass}
+            title={t('code.run.close')}
+            aria-label={t('code.run.close')}
+          >
+            <MdClose className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+
+      <div
+        className="max-h-64 overflow-y-auto px-3 py-2 font-mono text-[11px] sm:text-xs leading-relaxed"
+        dir="ltr"
+      >
+        {run.logs.map((log, index) => (
+          <pre
+            key={index}
+            className={`whitespace-pre-wrap break-words ${
+              logColors[log.level] ||
+              (isDarkMode ? 'text-white/80' : 'text-gray-800')
+            }`}
+          >
+            {log.text}
+          </pre>
+        ))}
+        {run.result !== undefined && (
+          <pre
+            className={`whitespace-pre-wrap break-words ${
+              isDarkMode ? 'text-blue-300' : 'text-blue-700'
+            }`}
+          >
+            {`=> ${run.result}`}
+          </pre>
+        )}
+        {run.error && (
+          <pre
+            className={`whitespace-pre-wrap break-words ${
+              isDarkMode ? 'text-red-400' : 'text-red-600'
+            }`}
+          >
+            {run.error}
+          </pre>
+        )}
+        {isEmpty && (
+          <p className={isDarkMode ? 'text-white/40' : 'text-gray-500'}>
+            {t('code.run.noOutput')}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodeRunOutput;
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MdKeyboardCommandKey } from 'react-icons/md';
+import { useI18n } from '../i18n';
+
+// Keyboard launcher for app actions. Each action is
+// { id, label, shortcut?, disabled?, run }.
+const CommandPalette = ({ actions, onClose, isDarkMode = true }) => {
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  const matches = useMemo(() => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return actions.filter(
+      (action) =>
+        !action.disabled &&
+        terms.every((term) => action.label.toLowerCase().includes(term)),
+    );
+  }, [actions, query]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-action="${activeIndex}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const run = (action) => {
+    if (!action) return;
+    onClose();
+    action.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % Math.max(matches.length, 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(
+        (i) => (i - 1 + matches.length) % Math.max(matches.length, 1),
+      );
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(matches[activeIndex]);
+    }
+  };
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-start justify-center p-2 sm:p-4 pt-[12vh] animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className={`border rounded-xl sm:rounded-2xl w-full max-w-lg max-h-[70vh] flex flex-col animate-slideUp ${
+          isDarkMode
+            ? 'bg-gradient-to-b from-[#0C0C0C] to-[#0A0A0A] border-white/[0.08] text-white'
+            : 'bg-gradient-to-b from-white to-gray-50 border-gray-200 text-gray-900 shadow-xl'
+        }`}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+        role="dialog"
+        aria-label={t('commands.title')}
+      >
+        <div
+          className={`flex items-center gap-2 px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <MdKeyboardCommandKey className="w-5 h-5 text-blue-500 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('commands.placeholder')}
+            className={`flex-1 min-w-0 bg-transparent text-sm focus:outline-none ${
+              isDarkMode ? 'placeholder-white/30' : 'placeholder-gray-400'
+            }`}
+            role="combobox"
+            aria-expanded={matches.length > 0}
+            aria-controls="command-palette-actions"
+            aria-activedescendant={
+              matches[activeIndex] ? `command-${activeIndex}` : undefined
+            }
+          />
+        </div>
+
+        <ul
+          id="command-palette-actions"
+          ref={listRef}
+          role="listbox"
+          className="flex-1 overflow-y-auto p-2"
+        >
+          {matches.map((action, i) => (
+            <li
+              key={action.id}
+              id={`command-${i}`}
+              data-action={i}
+              role="option"
+              aria-selected={i === activeIndex}
+              onClick={() => run(action)}
+              onMouseMove={() => setActiveIndex(i)}
+              className={`flex items-center justify-between gap-3 px-3 py-2 rounded-lg cursor-pointer text-xs ${
+                i === activeIndex
+                  ? isDarkMode
+                    ? 'bg-blue-500/10 text-white'
+                    : 'bg-blue-50 text-gray-900'
+                  : ''
+              }`}
+            >
+              <span className="truncate">{action.label}</span>
+              {action.shortcut && (
+                <kbd
+                  className={`flex-shrink-0 px-1.5 py-0.5 rounded border font-mono text-[10px] ${
+                    isDarkMode
+                      ? 'border-white/[0.1] text-white/40'
+                      : 'border-gray-200 text-gray-500'
+                  }`}
+                >
+                  {action.shortcut}
+                </kbd>
+              )}
+            </li>
+          ))}
+          {matches.length === 0 && (
+            <li className={`px-3 py-6 text-center text-xs ${mutedText}`}>
+              {t('commands.noMatches')}
+            </li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
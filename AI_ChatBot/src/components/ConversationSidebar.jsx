@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MdAdd,
+  MdCheck,
+  MdClose,
+  MdDelete,
+  MdEdit,
+  MdChatBubbleOutline,
+  MdFileUpload,
+} from 'react-icons/md';
+import { DEFAULT_CONVERSATION_TITLE } from '../hooks/useConversations';
+import { useI18n } from '../i18n';
+
+const formatUpdatedAt = (timestamp, locale) => {
+  const date = new Date(timestamp);
+  const today = new Date();
+
+  if (date.toDateString() === today.toDateString()) {
+    return date.toLocaleTimeString(locale, {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  }
+
+  return date.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+};
+
+const ConversationSidebar = ({
+  conversations,
+  activeConversationId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onImport,
+  onClose,
+  isOpen = false,
+  disabled = false,
+  isDarkMode = true,
+  storageError = null,
+}) => {
+  const { t, locale } = useI18n();
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const editInputRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    if (editingId) {
+      editInputRef.current?.focus();
+      editInputRef.current?.select();
+    }
+  }, [editingId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && !editingId) onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, editingId, onClose]);
+
+  // The placeholder title is stored in English; show it in the interface language
+  const displayTitle = (conversation) =>
+    conversation.title === DEFAULT_CONVERSATION_TITLE
+      ? t('sidebar.untitled')
+      : conversation.title;
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const commitRename = () => {
+    if (editingId && draftTitle.trim()) {
+      onRename(editingId, draftTitle);
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (conversation) => {
+    if (
+      window.confirm(
+        t('sidebar.confirmDelete', { title: displayTitle(conversation) }),
+      )
+    ) {
+      onDelete(conversation.id);
+    }
+  };
+
+  const itemButtonClass = isDarkMode
+    ? 'text-white/40 hover:text-white/80 hover:bg-white/[0.08]'
+    : 'text-gray-400 hover:text-gray-700 hover:bg-gray-200';
+
+  return (
+    <>
+      {isOpen && (
+        <div
+          className="fixed inset-0 z-40 bg-black/40 backdrop-blur-sm animate-fadeIn"
+          onClick={onClose}
+        ></div>
+      )}
+
+      <aside
+        className={`fixed top-0 start-0 z-50 h-full w-72 max-w-[85vw] flex flex-col border-e backdrop-blur-2xl transform transition-transform duration-300 ${
+          isOpen ? 'translate-x-0' : '-translate-x-full rtl:translate-x-full'
+        } ${
+          isDarkMode
+            ? 'bg-[#0C0C0C]/95 border-white/[0.05] text-white'
+            : 'bg-white/95 border-gray-200 text-gray-900'
+        }`}
+        aria-hidden={!isOpen}
+      >
+        <div
+          className={`flex items-center justify-between px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.05]' : 'border-gray-200'
+          }`}
+        >
+          <span className="text-sm font-medium">{t('sidebar.title')}</span>
+          <button
+            onClick={onClose}
+            className={`p-1.5 rounded-lg ${itemButtonClass}`}
+            title={t('sidebar.close')}
+          >
+            <MdClose className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex gap-2 px-3 py-3">
+          <button
+            onClick={onCreate}
+            disabled={disabled}
+            className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-xs font-medium transition-all duration-200 ${
+              disabled
+                ? isDarkMode
+                  ? 'bg-white/[0.03] text-white/20 cursor-not-allowed'
+                  : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                : 'bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700'
+            }`}
+            title={t('sidebar.newChatTitle')}
+          >
+            <MdAdd className="w-4 h-4" />
+            {t('sidebar.newChat')}
+          </button>
+          {onImport && (
+            <>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                disabled={disabled}
+                className={`flex items-center justify-center px-2.5 rounded-xl border transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+                  isDarkMode
+                    ? 'border-white/[0.08] text-white/60 hover:text-white hover:bg-white/[0.06]'
+                    : 'border-gray-200 text-gray-500 hover:text-gray-800 hover:bg-gray-100'
+                }`}
+                title={t('sidebar.importTitle')}
+                aria-label={t('sidebar.import')}
+              >
+                <MdFileUpload className="w-4 h-4" />
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={(e) => {
+                  const [file] = e.target.files;
+                  e.target.value = '';
+                  if (file) onImport(file);
+                }}
+                className="hidden"
+              />
+            </>
+          )}
+        </div>
+
+        {storageError && (
+          <p
+            className={`mx-3 mb-2 px-3 py-2 rounded-lg text-[10px] ${
+              isDarkMode
+                ? 'bg-yellow-500/10 text-yellow-400'
+                : 'bg-yellow-100 text-yellow-700'
+            }`}
+          >
+            {t(`sidebar.storageErrors.${storageError}`)}
+          </p>
+        )}
+
+        <nav className="flex-1 overflow-y-auto px-2 pb-3 space-y-0.5">
+          {conversations.map((conversation) => {
+            const isActive = conversation.id === activeConversationId;
+            const isEditing = conversation.id === editingId;
+            const queuedCount = conversation.messages.filter(
+              (msg) => msg.queued,
+            ).length;
+
+            return (
+              <div
+                key={conversation.id}
+                className={`group flex items-center gap-2 px-2.5 py-2 rounded-lg transition-all duration-200 ${
+                  isActive
+                    ? isDarkMode
+                      ? 'bg-blue-500/10 border border-blue-500/20'
+                      : 'bg-blue-50 border border-blue-200'
+                    : isDarkMode
+                      ? 'border border-transparent hover:bg-white/[0.04]'
+                      : 'border border-transparent hover:bg-gray-100'
+                } ${disabled && !isActive ? 'opacity-50' : ''}`}
+              >
+                <MdChatBubbleOutline
+                  className={`w-3.5 h-3.5 flex-shrink-0 ${
+                    isActive
+                      ? isDarkMode
+                        ? 'text-blue-400'
+                        : 'text-blue-600'
+                      : isDarkMode
+                        ? 'text-white/30'
+                        : 'text-gray-400'
+                  }`}
+                />
+
+                {isEditing ? (
+                  <input
+                    ref={editInputRef}
+                    value={draftTitle}
+                    onChange={(e) => setDraftTitle(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className={`flex-1 min-w-0 bg-transparent text-xs focus:outline-none border-b ${
+                      isDarkMode ? 'border-blue-500/40' : 'border-blue-400'
+                    }`}
+                    maxLength={80}
+                  />
+                ) : (
+                  <button
+                    onClick={() => onSelect(conversation.id)}
+                    disabled={disabled && !isActive}
+                    className="flex-1 min-w-0 text-start"
+                    title={displayTitle(conversation)}
+                  >
+                    <span
+                      className={`block truncate text-xs ${
+                        isActive
+                          ? isDarkMode
+                            ? 'text-white/90'
+                            : 'text-gray-900'
+                          : isDarkMode
+                            ? 'text-white/60'
+                            : 'text-gray-600'
+                      }`}
+                    >
+                      {displayTitle(conversation)}
+                    </span>
+                    <span
+                      className={`block text-[9px] ${isDarkMode ? 'text-white/25' : 'text-gray-400'}`}
+                    >
+                      {formatUpdatedAt(conversation.updatedAt, locale)} ·{' '}
+                      {t('sidebar.messages', {
+                        count: conversation.messages.length,
+                      })}
+                      {!isActive && queuedCount > 0 && (
+                        <span
+                          className={
+                            isDarkMode ? 'text-amber-300/70' : 'text-amber-600'
+                          }
+                          title={t('sidebar.queuedTitle')}
+                        >
+                          {' '}
+                          · {t('offline.queued', { count: queuedCount })}
+                        </span>
+                      )}
+                    </span>
+                  </button>
+                )}
+
+                <div
+                  className={`flex items-center gap-0.5 ${
+                    isEditing
+                      ? ''
+                      : 'opacity-0 group-hover:opacity-100 focus-within:opacity-100'
+                  }`}
+                >
+                  {isEditing ? (
+                    <button
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={commitRename}
+                      className={`p-1 rounded ${itemButtonClass}`}
+                      title={t('sidebar.saveTitle')}
+                    >
+                      <MdCheck className="w-3.5 h-3.5" />
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => startRename(conversation)}
+                        className={`p-1 rounded ${itemButtonClass}`}
+                        title={t('sidebar.rename')}
+                      >
+                        <MdEdit className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(conversation)}
+                        disabled={disabled && isActive}
+                        className={`p-1 rounded ${
+                          isDarkMode
+                            ? 'text-white/40 hover:text-red-400 hover:bg-red-500/10'
+                            : 'text-gray-400 hover:text-red-600 hover:bg-red-50'
+                        }`}
+                        title={t('sidebar.delete')}
+                      >
+                        <MdDelete className="w-3.5 h-3.5" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </nav>
+      </aside>
+    </>
+  );
+};
+
+export default ConversationSidebar;
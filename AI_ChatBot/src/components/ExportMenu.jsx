@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MdExpandMore } from 'react-icons/md';
+import { useI18n } from '../i18n';
+
+export const EXPORT_CHOICES = ['markdown', 'html', 'text', 'pdf', 'json'];
+
+// Header dropdown listing the export formats; `onExport` gets the format key
+const ExportMenu = ({ onExport, isDarkMode = true }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointer = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointer);
+    window.addEventListener('keydown', handleEscape);
+    return () => {
+      document.removeEventListener('mousedown', handlePointer);
+      window.removeEventListener('keydown', handleEscape);
+    };
+  }, [isOpen]);
+
+  const choose = (format) => {
+    setIsOpen(false);
+    onExport(format);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className={`flex items-center gap-0.5 px-2 sm:px-3 py-1 sm:py-1.5 rounded-lg text-[10px] sm:text-xs font-medium transition-all duration-200 ${
+          isDarkMode
+            ? 'bg-white/[0.03] hover:bg-white/[0.06] text-white/60 hover:text-white/80'
+            : 'bg-gray-100 hover:bg-gray-200 text-gray-600 hover:text-gray-800'
+        }`}
+        title={t('header.exportTitle')}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        {t('header.export')}
+        <MdExpandMore
+          className={`w-3.5 h-3.5 transition-transform ${
+            isOpen ? 'rotate-180' : ''
+          }`}
+        />
+      </button>
+
+      {isOpen && (
+        <ul
+          role="menu"
+          className={`absolute end-0 top-full mt-1.5 z-30 min-w-[11rem] py-1 rounded-xl border shadow-xl backdrop-blur-2xl animate-fadeIn ${
+            isDarkMode
+              ? 'bg-[#111]/95 border-white/[0.08] text-white/80'
+              : 'bg-white/95 border-gray-200 text-gray-700'
+          }`}
+        >
+          {EXPORT_CHOICES.map((format) => (
+            <li key={format} role="none">
+              <button
+                role="menuitem"
+                onClick={() => choose(format)}
+                className={`w-full text-start px-3 py-1.5 text-xs ${
+                  isDarkMode ? 'hover:bg-white/[0.06]' : 'hover:bg-gray-100'
+                }`}
+              >
+                {t(`export.formats.${format}`)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,86 @@
+import React from 'react';
+import ProviderPicker from './ProviderPicker';
+import { GENERATION_LIMITS } from '../utils/generationSettings';
+import { useI18n } from '../i18n';
+
+// Labels and hints live under `settings.<key>` in the locale files
+const SLIDERS = [
+  'temperature',
+  'top_p',
+  'max_tokens',
+  'presence_penalty',
+  'frequency_penalty',
+];
+
+const formatValue = (key, value) =>
+  key === 'max_tokens' ? String(value) : value.toFixed(2);
+
+// Provider, model and sampling controls shared by the settings drawer and
+// the persona editor
+const GenerationSettingsFields = ({
+  settings,
+  onChange,
+  disabled = false,
+  isDarkMode = true,
+  idPrefix = 'setting',
+}) => {
+  const { t } = useI18n();
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+
+  return (
+    <div className="space-y-5">
+      <section className="space-y-2">
+        <span className={`block text-xs font-medium ${mutedText}`}>
+          {t('settings.providerAndModel')}
+        </span>
+        <ProviderPicker
+          providerId={settings.providerId}
+          model={settings.model}
+          onProviderChange={(providerId) => onChange({ providerId })}
+          onModelChange={(model) => onChange({ model })}
+          disabled={disabled}
+          isDarkMode={isDarkMode}
+          stacked
+        />
+      </section>
+
+      {SLIDERS.map((key) => {
+        const { min, max, step } = GENERATION_LIMITS[key];
+
+        return (
+          <section key={key} className="space-y-1.5">
+            <label
+              htmlFor={`${idPrefix}-${key}`}
+              className="flex items-center justify-between text-xs font-medium"
+            >
+              <span>{t(`settings.${key}.label`)}</span>
+              <span
+                className={`font-mono text-[11px] ${
+                  isDarkMode ? 'text-blue-400' : 'text-blue-600'
+                }`}
+              >
+                {formatValue(key, settings[key])}
+              </span>
+            </label>
+            <input
+              id={`${idPrefix}-${key}`}
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[key]}
+              onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+              disabled={disabled}
+              className="w-full accent-blue-500 disabled:opacity-50"
+            />
+            <p className={`text-[10px] ${mutedText}`}>
+              {t(`settings.${key}.hint`)}
+            </p>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default GenerationSettingsFields;
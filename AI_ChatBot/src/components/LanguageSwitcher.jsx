@@ -0,0 +1,48 @@
+import React from 'react';
+import { MdTranslate } from 'react-icons/md';
+import { LOCALES, useI18n } from '../i18n';
+
+// Interface language picker. Each language is listed in its own script so
+// it can be found whatever the current language is.
+const LanguageSwitcher = ({
+  locale,
+  onChange,
+  isDarkMode = true,
+  compact = false,
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <label
+      className={`flex items-center gap-1 px-1.5 sm:px-2 py-1 rounded-lg border ${
+        isDarkMode
+          ? 'bg-white/[0.03] border-white/[0.05] text-white/60'
+          : 'bg-gray-100 border-gray-200 text-gray-600'
+      }`}
+      title={t('header.language')}
+    >
+      <MdTranslate className="w-3.5 h-3.5 sm:w-4 sm:h-4 flex-shrink-0" />
+      <select
+        value={locale}
+        onChange={(e) => onChange(e.target.value)}
+        className={`bg-transparent text-[10px] sm:text-xs focus:outline-none cursor-pointer ${
+          compact ? 'w-12' : ''
+        }`}
+        aria-label={t('header.language')}
+      >
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <option
+            key={code}
+            value={code}
+            lang={code}
+            className={isDarkMode ? 'bg-gray-900' : ''}
+          >
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
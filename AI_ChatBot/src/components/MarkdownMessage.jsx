@@ -0,0 +1,94 @@
+import React, { Children, memo, useEffect, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+
+// Raw HTML from the model is parsed so harmless tags like <kbd> or <details>
+// render, then everything is run through the default GitHub sanitize schema.
+// rehype-raw carries a whole HTML parser, so it is only fetched the first
+// time a message contains a tag; until then the tags are left out.
+const remarkPlugins = [remarkGfm];
+const rehypePlugins = [rehypeSanitize];
+const HTML_TAG = /<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>/i;
+
+let rehypeRaw = null;
+let rehypeRawLoading = null;
+
+const loadRehypeRaw = () => {
+  if (!rehypeRawLoading) {
+    rehypeRawLoading = import('rehype-raw')
+      .then(({ default: plugin }) => {
+        rehypeRaw = plugin;
+        return plugin;
+      })
+      .catch((error) => {
+        // Try again with the next message
+        rehypeRawLoading = null;
+        throw error;
+      });
+  }
+  return rehypeRawLoading;
+};
+
+const languageFromClassName = (className = '') =>
+  /language-([\w+#.-]+)/.exec(className)?.[1] || '';
+
+// Renders GFM Markdown; fenced code blocks are handed to `renderCodeBlock`
+// so they keep the app's own code-block chrome. Blocks without a language
+// tag get an empty language and are shown as plain text.
+const MarkdownMessage = ({ text, renderCodeBlock }) => {
+  const hasHtml = HTML_TAG.test(text);
+  const [rawPlugin, setRawPlugin] = useState(() => rehypeRaw);
+
+  useEffect(() => {
+    if (!hasHtml || rawPlugin) return undefined;
+    let active = true;
+    loadRehypeRaw()
+      .then((plugin) => {
+        if (active) setRawPlugin(() => plugin);
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, [hasHtml, rawPlugin]);
+
+  const components = {
+    pre: ({ children }) => {
+      const codeElement = Children.toArray(children)[0];
+      const { className, children: code } = codeElement?.props || {};
+
+      return renderCodeBlock(
+        String(code ?? '').replace(/\n$/, ''),
+        languageFromClassName(className),
+      );
+    },
+    a: ({ node, children, ...props }) => (
+      <a {...props} target="_blank" rel="noopener noreferrer nofollow">
+        {children}
+      </a>
+    ),
+    table: ({ node, children, ...props }) => (
+      <div className="markdown-table-wrapper">
+        <table {...props}>{children}</table>
+      </div>
+    ),
+  };
+
+  return (
+    <div className="markdown-body">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={
+          hasHtml && rawPlugin ? [rawPlugin, ...rehypePlugins] : rehypePlugins
+        }
+        skipHtml={hasHtml && !rawPlugin}
+        components={components}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default memo(MarkdownMessage);
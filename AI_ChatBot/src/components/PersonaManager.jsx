@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MdAdd,
+  MdClose,
+  MdDelete,
+  MdFileDownload,
+  MdFileUpload,
+  MdPersonOutline,
+} from 'react-icons/md';
+import GenerationSettingsFields from './GenerationSettingsFields';
+import { normalizeSettings } from '../utils/generationSettings';
+import { useI18n } from '../i18n';
+
+const emptyDraft = (settings) => ({
+  id: null,
+  name: '',
+  systemPrompt: '',
+  settings,
+});
+
+const PersonaManager = ({
+  personas,
+  activePersonaId = null,
+  currentSettings,
+  onSave,
+  onDelete,
+  onImport,
+  onExport,
+  onUse,
+  onClose,
+  storageError = null,
+  isDarkMode = true,
+}) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(() => {
+    const active = personas.find((p) => p.id === activePersonaId);
+    return active || emptyDraft(currentSettings);
+  });
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+  const nameInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const saved = personas.find((p) => p.id === draft.id);
+  const isDirty =
+    !saved ||
+    saved.name !== draft.name.trim() ||
+    saved.systemPrompt !== draft.systemPrompt ||
+    JSON.stringify(saved.settings) !== JSON.stringify(draft.settings);
+
+  const startNew = () => {
+    setDraft(emptyDraft(currentSettings));
+    setNotice(null);
+    nameInputRef.current?.focus();
+  };
+
+  const select = (persona) => {
+    setDraft(persona);
+    setNotice(null);
+  };
+
+  const handleSave = () => {
+    if (!draft.name.trim()) {
+      setNotice({ type: 'error', text: t('personas.nameRequired') });
+      nameInputRef.current?.focus();
+      return;
+    }
+    const persona = onSave(draft);
+    if (persona) {
+      setDraft(persona);
+      setNotice({
+        type: 'success',
+        text: t('personas.saved', { name: persona.name }),
+      });
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      saved &&
+      window.confirm(t('personas.confirmDelete', { name: saved.name }))
+    ) {
+      onDelete(saved.id);
+      startNew();
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([onExport()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `personas-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = onImport(await file.text());
+      setNotice({
+        type: 'success',
+        text: t('personas.imported', { count }),
+      });
+    } catch (err) {
+      setNotice({
+        type: 'error',
+        text: t(`personas.importErrors.${err.type || 'invalid'}`),
+      });
+    }
+  };
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  const fieldClass = `w-full text-xs px-3 py-2 rounded-lg border focus:outline-none ${
+    isDarkMode
+      ? 'bg-white/[0.03] border-white/[0.05] text-white/80 focus:border-blue-500/40'
+      : 'bg-gray-50 border-gray-200 text-gray-800 focus:border-blue-400'
+  }`;
+  const secondaryButtonClass = `flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-xs transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-white/[0.03] hover:bg-white/[0.06] text-white/60'
+      : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-xl z-50 flex items-center justify-center p-2 sm:p-4 animate-fadeIn">
+      <div
+        className={`border rounded-xl sm:rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col animate-slideUp ${
+          isDarkMode
+            ? 'bg-gradient-to-b from-[#0C0C0C] to-[#0A0A0A] border-white/[0.08] text-white'
+            : 'bg-gradient-to-b from-white to-gray-50 border-gray-200 text-gray-900 shadow-xl'
+        }`}
+        role="dialog"
+        aria-label={t('personas.title')}
+      >
+        <div
+          className={`flex items-center justify-between px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <div className="flex items-center gap-2">
+            <MdPersonOutline className="w-5 h-5 text-blue-500" />
+            <div>
+              <span className="block text-sm font-medium">
+                {t('personas.title')}
+              </span>
+              <span className={`block text-[10px] ${mutedText}`}>
+                {t('personas.subtitle')}
+              </span>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-1.5 rounded-lg ${
+              isDarkMode
+                ? 'text-white/40 hover:text-white/80 hover:bg-white/[0.08]'
+                : 'text-gray-400 hover:text-gray-700 hover:bg-gray-200'
+            }`}
+            title={t('personas.close')}
+          >
+            <MdClose className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 flex flex-col sm:flex-row">
+          <div
+            className={`sm:w-56 flex-shrink-0 flex flex-col border-b sm:border-b-0 sm:border-e ${
+              isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+            }`}
+          >
+            <div className="p-3 space-y-2">
+              <button
+                onClick={startNew}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-xs font-medium bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700 transition-all duration-200"
+              >
+                <MdAdd className="w-4 h-4" />
+                {t('personas.new')}
+              </button>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className={secondaryButtonClass}
+                  title={t('personas.importTitle')}
+                >
+                  <MdFileUpload className="w-3.5 h-3.5" />
+                  {t('personas.import')}
+                </button>
+                <button
+                  onClick={handleExport}
+                  disabled={personas.length === 0}
+                  className={secondaryButtonClass}
+                  title={t('personas.exportTitle')}
+                >
+                  <MdFileDownload className="w-3.5 h-3.5" />
+                  {t('personas.export')}
+                </button>
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                className="hidden"
+              />
+            </div>
+
+            <nav className="flex-1 overflow-y-auto max-h-40 sm:max-h-none px-2 pb-3 space-y-0.5">
+              {personas.length === 0 && (
+                <p className={`px-2 py-1 text-[11px] ${mutedText}`}>
+                  {t('personas.empty')}
+                </p>
+              )}
+              {personas.map((persona) => {
+                const isSelected = persona.id === draft.id;
+                return (
+                  <button
+                    key={persona.id}
+                    onClick={() => select(persona)}
+                    className={`w-full text-start px-2.5 py-2 rounded-lg border transition-all duration-200 ${
+                      isSelected
+                        ? isDarkMode
+                          ? 'bg-blue-500/10 border-blue-500/20'
+                          : 'bg-blue-50 border-blue-200'
+                        : isDarkMode
+                          ? 'border-transparent hover:bg-white/[0.04]'
+                          : 'border-transparent hover:bg-gray-100'
+                    }`}
+                  >
+                    <span className="block truncate text-xs">
+                      {persona.name}
+                    </span>
+                    <span className={`block truncate text-[9px] ${mutedText}`}>
+                      {persona.id === activePersonaId
+                        ? t('personas.inUse')
+                        : persona.settings.model}
+                    </span>
+                  </button>
+                );
+              })}
+            </nav>
+          </div>
+
+          <div className="flex-1 min-h-0 overflow-y-auto p-4 space-y-4">
+            {(notice || storageError) && (
+              <p
+                className={`px-3 py-2 rounded-lg text-[11px] ${
+                  notice?.type === 'success'
+                    ? isDarkMode
+                      ? 'bg-emerald-500/10 text-emerald-400'
+                      : 'bg-emerald-50 text-emerald-700'
+                    : isDarkMode
+                      ? 'bg-yellow-500/10 text-yellow-400'
+                      : 'bg-yellow-100 text-yellow-700'
+                }`}
+              >
+                {notice?.text || t(`personas.storageErrors.${storageError}`)}
+              </p>
+            )}
+
+            <div className="space-y-1.5">
+              <label
+                htmlFor="persona-name"
+                className={`block text-xs font-medium ${mutedText}`}
+              >
+                {t('personas.name')}
+              </label>
+              <input
+                id="persona-name"
+                ref={nameInputRef}
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder={t('personas.namePlaceholder')}
+                maxLength={60}
+                className={fieldClass}
+              />
+            </div>
+
+            <div className="space-y-1.5">
+              <label
+                htmlFor="persona-prompt"
+                className={`block text-xs font-medium ${mutedText}`}
+              >
+                {t('personas.systemPrompt')}
+              </label>
+              <textarea
+                id="persona-prompt"
+                value={draft.systemPrompt}
+                onChange={(e) =>
+                  setDraft({ ...draft, systemPrompt: e.target.value })
+                }
+                placeholder={t('personas.systemPromptPlaceholder')}
+                rows={6}
+                className={`${fieldClass} resize-y leading-relaxed`}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <span className={`block text-xs font-medium ${mutedText}`}>
+                {t('personas.defaults')}
+              </span>
+              <GenerationSettingsFields
+                settings={draft.settings}
+                onChange={(changes) =>
+                  setDraft({
+                    ...draft,
+                    settings: normalizeSettings({
+                      ...draft.settings,
+                      ...changes,
+                    }),
+                  })
+                }
+                isDarkMode={isDarkMode}
+                idPrefix="persona"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div
+          className={`flex flex-wrap items-center justify-between gap-2 px-4 py-3 border-t ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <button
+            onClick={handleDelete}
+            disabled={!saved}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed ${
+              isDarkMode
+                ? 'text-red-400 hover:bg-red-500/10'
+                : 'text-red-600 hover:bg-red-50'
+            }`}
+          >
+            <MdDelete className="w-3.5 h-3.5" />
+            {t('personas.delete')}
+          </button>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onUse(saved.id)}
+              disabled={!saved || isDirty || saved.id === activePersonaId}
+              className={secondaryButtonClass}
+              title={t('personas.useTitle')}
+            >
+              {t('personas.use')}
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!isDirty}
+              className="px-4 py-1.5 rounded-lg text-xs font-medium bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {saved ? t('personas.save') : t('personas.create')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonaManager;
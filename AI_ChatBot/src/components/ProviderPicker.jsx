@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { getProvider, listProviders } from '../providers';
+import { useI18n } from '../i18n';
+
+const ProviderPicker = ({
+  providerId,
+  model,
+  onProviderChange,
+  onModelChange,
+  disabled = false,
+  isDarkMode = true,
+  stacked = false,
+  className = '',
+}) => {
+  const { t } = useI18n();
+  const [models, setModels] = useState(() => getProvider(providerId).models);
+  const [draftModel, setDraftModel] = useState(model);
+
+  useEffect(() => {
+    setDraftModel(model);
+  }, [model]);
+
+  // Ask the provider which models it has (e.g. the ones pulled into Ollama)
+  useEffect(() => {
+    let cancelled = false;
+    const provider = getProvider(providerId);
+
+    setModels(provider.models);
+    provider
+      .listModels()
+      .then((available) => {
+        if (!cancelled) setModels(available);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [providerId]);
+
+  const commitModel = () => {
+    const trimmed = draftModel.trim();
+    if (trimmed && trimmed !== model) {
+      onModelChange(trimmed);
+    } else {
+      setDraftModel(model);
+    }
+  };
+
+  const fieldClass = `${stacked ? 'text-xs px-3 py-2 w-full' : 'text-[10px] px-2 py-1'} rounded-lg border ${
+    isDarkMode
+      ? 'bg-white/[0.03] border-white/[0.05] text-white/60'
+      : 'bg-gray-100 border-gray-200 text-gray-600'
+  } disabled:opacity-50`;
+
+  const datalistId = `models-${providerId}`;
+
+  return (
+    <div
+      className={`flex ${stacked ? 'flex-col gap-2' : 'items-center gap-1.5'} ${className}`}
+    >
+      <select
+        value={providerId}
+        onChange={(e) => onProviderChange(e.target.value)}
+        disabled={disabled}
+        className={fieldClass}
+        title={t('settings.provider')}
+      >
+        {listProviders().map((provider) => (
+          <option key={provider.id} value={provider.id}>
+            {provider.label}
+          </option>
+        ))}
+      </select>
+
+      <input
+        value={draftModel}
+        onChange={(e) => setDraftModel(e.target.value)}
+        onBlur={commitModel}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+        }}
+        list={datalistId}
+        disabled={disabled}
+        className={`${fieldClass} ${stacked ? '' : 'w-32'} focus:outline-none`}
+        title={t('settings.model')}
+        placeholder={t('settings.model')}
+        spellCheck={false}
+      />
+      <datalist id={datalistId}>
+        {models.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default ProviderPicker;
@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MdClose, MdCode, MdSearch } from 'react-icons/md';
+import {
+  DEFAULT_SEARCH_FILTERS,
+  buildSearchIndex,
+  indexedLanguages,
+  searchMessages,
+} from '../utils/messageSearch';
+import { DEFAULT_CONVERSATION_TITLE } from '../hooks/useConversations';
+import { useI18n } from '../i18n';
+
+const Highlighted = ({ snippet }) => {
+  const parts = [];
+  let cursor = 0;
+  snippet.ranges.forEach(([from, to]) => {
+    if (from > cursor) parts.push(snippet.text.slice(cursor, from));
+    parts.push(
+      <mark
+        key={from}
+        className="bg-yellow-300/40 text-inherit rounded-sm px-0.5 -mx-0.5"
+      >
+        {snippet.text.slice(from, to)}
+      </mark>,
+    );
+    cursor = to;
+  });
+  parts.push(snippet.text.slice(cursor));
+
+  return (
+    <>
+      {snippet.clippedStart && '…'}
+      {parts}
+      {snippet.clippedEnd && '…'}
+    </>
+  );
+};
+
+// Search palette over every saved conversation. `onSelect` gets the hit's
+// { conversationId, index } to jump to. Without `canSwitch`, e.g. while a
+// reply is being generated, only hits in `activeConversationId` open.
+const SearchPalette = ({
+  conversations,
+  activeConversationId,
+  canSwitch = true,
+  onSelect,
+  onClose,
+  isDarkMode,
+}) => {
+  const { t, locale } = useI18n();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_SEARCH_FILTERS);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  const index = useMemo(() => buildSearchIndex(conversations), [conversations]);
+  const languages = useMemo(() => indexedLanguages(index), [index]);
+  const results = useMemo(
+    () => searchMessages(index, query, filters),
+    [index, query, filters],
+  );
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query, filters]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-result="${activeIndex}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const changeFilter = (changes) =>
+    setFilters((prev) => ({ ...prev, ...changes }));
+
+  const isLocked = (result) =>
+    !canSwitch && result.conversationId !== activeConversationId;
+
+  const choose = (result) => {
+    if (!result || isLocked(result)) return;
+    onSelect({ conversationId: result.conversationId, index: result.index });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(results[activeIndex]);
+    }
+  };
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  const fieldClass = `text-[11px] px-2 py-1 rounded-lg border focus:outline-none ${
+    isDarkMode
+      ? 'bg-white/[0.03] border-white/[0.08] text-white/70 focus:border-blue-500/40'
+      : 'bg-gray-50 border-gray-200 text-gray-700 focus:border-blue-400'
+  }`;
+  const hasFilters = Object.entries(DEFAULT_SEARCH_FILTERS).some(
+    ([key, value]) => filters[key] !== value,
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-start justify-center p-2 sm:p-4 pt-[8vh] animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className={`border rounded-xl sm:rounded-2xl w-full max-w-2xl max-h-[80vh] flex flex-col animate-slideUp ${
+          isDarkMode
+            ? 'bg-gradient-to-b from-[#0C0C0C] to-[#0A0A0A] border-white/[0.08] text-white'
+            : 'bg-gradient-to-b from-white to-gray-50 border-gray-200 text-gray-900 shadow-xl'
+        }`}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+        role="dialog"
+        aria-label={t('search.title')}
+      >
+        <div
+          className={`flex items-center gap-2 px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <MdSearch className="w-5 h-5 text-blue-500 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('search.placeholder')}
+            className={`flex-1 min-w-0 bg-transparent text-sm focus:outline-none ${
+              isDarkMode ? 'placeholder-white/30' : 'placeholder-gray-400'
+            }`}
+            dir="auto"
+            role="combobox"
+            aria-expanded={results.length > 0}
+            aria-controls="search-results"
+            aria-activedescendant={
+              results[activeIndex] ? `search-result-${activeIndex}` : undefined
+            }
+          />
+          <button
+            onClick={onClose}
+            className={`p-1.5 rounded-lg ${
+              isDarkMode
+                ? 'text-white/40 hover:text-white/80 hover:bg-white/[0.08]'
+                : 'text-gray-400 hover:text-gray-700 hover:bg-gray-200'
+            }`}
+            title={t('search.close')}
+          >
+            <MdClose className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div
+          className={`flex flex-wrap items-center gap-2 px-4 py-2 border-b text-[11px] ${mutedText} ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <select
+            value={filters.sender}
+            onChange={(e) => changeFilter({ sender: e.target.value })}
+            className={fieldClass}
+            aria-label={t('search.sender')}
+          >
+            <option value="all">{t('search.senders.all')}</option>
+            <option value="user">{t('search.senders.user')}</option>
+            <option value="ai">{t('search.senders.ai')}</option>
+          </select>
+          <label className="flex items-center gap-1">
+            {t('search.from')}
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => changeFilter({ from: e.target.value })}
+              className={fieldClass}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            {t('search.to')}
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => changeFilter({ to: e.target.value })}
+              className={fieldClass}
+            />
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.hasCode}
+              onChange={(e) => changeFilter({ hasCode: e.target.checked })}
+              className="accent-blue-500"
+            />
+            {t('search.hasCode')}
+          </label>
+          <select
+            value={filters.language}
+            onChange={(e) => changeFilter({ language: e.target.value })}
+            disabled={languages.length === 0}
+            className={`${fieldClass} disabled:opacity-40`}
+            aria-label={t('search.language')}
+          >
+            <option value="">{t('search.anyLanguage')}</option>
+            {languages.map((language) => (
+              <option key={language} value={language}>
+                {language}
+              </option>
+            ))}
+          </select>
+          {hasFilters && (
+            <button
+              onClick={() => setFilters(DEFAULT_SEARCH_FILTERS)}
+              className="underline underline-offset-2 hover:opacity-80"
+            >
+              {t('search.resetFilters')}
+            </button>
+          )}
+        </div>
+
+        <ul
+          id="search-results"
+          ref={listRef}
+          role="listbox"
+          className="flex-1 overflow-y-auto p-2 space-y-1"
+        >
+          {results.map((result, i) => (
+            <li
+              key={result.id}
+              id={`search-result-${i}`}
+              data-result={i}
+              role="option"
+              aria-selected={i === activeIndex}
+              aria-disabled={isLocked(result)}
+              onClick={() => choose(result)}
+              onMouseMove={() => setActiveIndex(i)}
+              className={`px-3 py-2 rounded-lg border ${
+                isLocked(result)
+                  ? 'opacity-40 cursor-not-allowed'
+                  : 'cursor-pointer'
+              } ${
+                i === activeIndex
+                  ? isDarkMode
+                    ? 'bg-blue-500/10 border-blue-500/20'
+                    : 'bg-blue-50 border-blue-200'
+                  : 'border-transparent'
+              }`}
+            >
+              <div
+                className={`flex items-center gap-1.5 text-[10px] ${mutedText}`}
+              >
+                <span className="truncate font-medium">
+                  {result.conversationTitle === DEFAULT_CONVERSATION_TITLE
+                    ? t('sidebar.untitled')
+                    : result.conversationTitle}
+                </span>
+                <span>·</span>
+                <span className="flex-shrink-0">
+                  {t(`search.senders.${result.sender}`)}
+                </span>
+                {result.timestamp && (
+                  <>
+                    <span>·</span>
+                    <span className="flex-shrink-0">
+                      {new Date(result.timestamp).toLocaleDateString(locale, {
+                        month: 'short',
+                        day: 'numeric',
+                        year: 'numeric',
+                      })}
+                    </span>
+                  </>
+                )}
+                {result.hasCode && (
+                  <span className="ms-auto flex items-center gap-0.5 flex-shrink-0">
+                    <MdCode className="w-3 h-3" />
+                    {result.languages.join(', ')}
+                  </span>
+                )}
+              </div>
+              <p
+                className="mt-0.5 text-xs leading-relaxed break-words"
+                dir="auto"
+              >
+                <Highlighted snippet={result.snippet} />
+              </p>
+            </li>
+          ))}
+        </ul>
+
+        <p
+          className={`px-4 py-2 border-t text-[10px] ${mutedText} ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+          role="status"
+        >
+          {query.trim() || hasFilters
+            ? t('search.results', { count: results.length })
+            : t('search.hint')}
+          {!canSwitch && ` · ${t('search.busy')}`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPalette;
@@ -0,0 +1,205 @@
+import React, { useEffect } from 'react';
+import {
+  MdClose,
+  MdDeleteSweep,
+  MdPersonOutline,
+  MdRestartAlt,
+} from 'react-icons/md';
+import GenerationSettingsFields from './GenerationSettingsFields';
+import { GENERATION_DEFAULTS } from '../utils/generationSettings';
+import { formatBytes } from '../utils/attachments';
+import { useI18n } from '../i18n';
+
+const SettingsDrawer = ({
+  settings,
+  onChange,
+  personas = [],
+  persona = null,
+  onPersonaChange,
+  onManagePersonas,
+  responseCache,
+  onClose,
+  isOpen = false,
+  disabled = false,
+  isDarkMode = true,
+}) => {
+  const { t } = useI18n();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  // Reset goes back to the persona's own defaults when one is selected
+  const defaults = persona?.settings || GENERATION_DEFAULTS;
+  const isDefault = Object.entries(defaults).every(
+    ([key, value]) => settings[key] === value,
+  );
+  const fieldClass = `text-xs px-3 py-2 rounded-lg border ${
+    isDarkMode
+      ? 'bg-white/[0.03] border-white/[0.05] text-white/60'
+      : 'bg-gray-100 border-gray-200 text-gray-600'
+  } disabled:opacity-50`;
+
+  return (
+    <>
+      {isOpen && (
+        <div
+          className="fixed inset-0 z-40 bg-black/40 backdrop-blur-sm animate-fadeIn"
+          onClick={onClose}
+        ></div>
+      )}
+
+      <aside
+        className={`fixed top-0 end-0 z-50 h-full w-80 max-w-[90vw] flex flex-col border-s backdrop-blur-2xl transform transition-transform duration-300 ${
+          isOpen ? 'translate-x-0' : 'translate-x-full rtl:-translate-x-full'
+        } ${
+          isDarkMode
+            ? 'bg-[#0C0C0C]/95 border-white/[0.05] text-white'
+            : 'bg-white/95 border-gray-200 text-gray-900'
+        }`}
+        aria-hidden={!isOpen}
+      >
+        <div
+          className={`flex items-center justify-between px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.05]' : 'border-gray-200'
+          }`}
+        >
+          <div>
+            <span className="block text-sm font-medium">
+              {t('settings.title')}
+            </span>
+            <span className={`block text-[10px] ${mutedText}`}>
+              {t('settings.subtitle')}
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-1.5 rounded-lg ${
+              isDarkMode
+                ? 'text-white/40 hover:text-white/80 hover:bg-white/[0.08]'
+                : 'text-gray-400 hover:text-gray-700 hover:bg-gray-200'
+            }`}
+            title={t('settings.close')}
+          >
+            <MdClose className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-4 space-y-5">
+          <section className="space-y-2">
+            <label
+              htmlFor="setting-persona"
+              className={`block text-xs font-medium ${mutedText}`}
+            >
+              {t('settings.persona')}
+            </label>
+            <div className="flex items-center gap-2">
+              <select
+                id="setting-persona"
+                value={persona?.id || ''}
+                onChange={(e) => onPersonaChange(e.target.value || null)}
+                disabled={disabled}
+                className={`${fieldClass} flex-1 min-w-0`}
+              >
+                <option value="">{t('settings.defaultPersona')}</option>
+                {personas.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={onManagePersonas}
+                className={`${fieldClass} flex items-center gap-1 flex-shrink-0 hover:opacity-80`}
+                title={t('settings.manageTitle')}
+              >
+                <MdPersonOutline className="w-4 h-4" />
+                {t('settings.manage')}
+              </button>
+            </div>
+            {persona?.systemPrompt && (
+              <p
+                className={`text-[10px] line-clamp-3 whitespace-pre-wrap ${mutedText}`}
+                title={persona.systemPrompt}
+              >
+                {persona.systemPrompt}
+              </p>
+            )}
+          </section>
+
+          <GenerationSettingsFields
+            settings={settings}
+            onChange={onChange}
+            disabled={disabled}
+            isDarkMode={isDarkMode}
+          />
+
+          {responseCache && (
+            <section className="space-y-2">
+              <label className="flex items-start gap-2 text-xs cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={responseCache.enabled}
+                  onChange={(e) => responseCache.setEnabled(e.target.checked)}
+                  className="mt-0.5 accent-blue-500"
+                />
+                <span>
+                  <span className="block font-medium">
+                    {t('settings.cache.enabled')}
+                  </span>
+                  <span className={`block text-[10px] ${mutedText}`}>
+                    {t('settings.cache.hint')}
+                  </span>
+                </span>
+              </label>
+              <div className="flex items-center justify-between gap-2">
+                <span className={`text-[10px] ${mutedText}`}>
+                  {t('settings.cache.stats', {
+                    count: responseCache.stats.count,
+                    size: formatBytes(responseCache.stats.bytes),
+                  })}
+                </span>
+                <button
+                  onClick={responseCache.clear}
+                  disabled={responseCache.stats.count === 0}
+                  className={`${fieldClass} flex items-center gap-1 flex-shrink-0 hover:opacity-80 py-1`}
+                >
+                  <MdDeleteSweep className="w-4 h-4" />
+                  {t('settings.cache.clear')}
+                </button>
+              </div>
+            </section>
+          )}
+        </div>
+
+        <div
+          className={`px-4 py-3 border-t ${
+            isDarkMode ? 'border-white/[0.05]' : 'border-gray-200'
+          }`}
+        >
+          <button
+            onClick={() => onChange(defaults)}
+            disabled={disabled || isDefault}
+            className={`w-full flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-xs font-medium transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+              isDarkMode
+                ? 'bg-white/[0.03] hover:bg-white/[0.06] text-white/60'
+                : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+            }`}
+          >
+            <MdRestartAlt className="w-4 h-4" />
+            {persona ? t('settings.resetPersona') : t('settings.reset')}
+          </button>
+        </div>
+      </aside>
+    </>
+  );
+};
+
+export default SettingsDrawer;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Autocomplete list shown above the composer while a slash command is typed
+const SlashCommandMenu = ({
+  suggestions,
+  activeIndex,
+  onHover,
+  onChoose,
+  isDarkMode = true,
+}) => {
+  const { t } = useI18n();
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div
+      className={`absolute bottom-full start-0 end-0 mb-2 z-20 rounded-xl border shadow-xl backdrop-blur-2xl overflow-hidden animate-fadeIn ${
+        isDarkMode
+          ? 'bg-[#111]/95 border-white/[0.08] text-white/80'
+          : 'bg-white/95 border-gray-200 text-gray-700'
+      }`}
+    >
+      <ul
+        id="slash-commands"
+        role="listbox"
+        aria-label={t('commands.slashTitle')}
+        className="max-h-60 overflow-y-auto py-1"
+      >
+        {suggestions.map((suggestion, i) => (
+          <li
+            key={suggestion.key}
+            id={`slash-command-${i}`}
+            role="option"
+            aria-selected={i === activeIndex}
+            // Keep focus in the composer
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onChoose(suggestion)}
+            onMouseMove={() => onHover(i)}
+            className={`flex items-baseline gap-3 px-3 py-1.5 cursor-pointer text-xs ${
+              i === activeIndex
+                ? isDarkMode
+                  ? 'bg-blue-500/15 text-white'
+                  : 'bg-blue-50 text-gray-900'
+                : ''
+            }`}
+          >
+            <span className="font-mono font-medium flex-shrink-0">
+              {suggestion.label}
+            </span>
+            <span
+              className={`truncate text-[11px] ${
+                isDarkMode ? 'text-white/40' : 'text-gray-500'
+              }`}
+            >
+              {suggestion.description}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p
+        className={`px-3 py-1 border-t text-[10px] ${
+          isDarkMode
+            ? 'border-white/[0.06] text-white/30'
+            : 'border-gray-100 text-gray-400'
+        }`}
+      >
+        {t('commands.slashHint')}
+      </p>
+    </div>
+  );
+};
+
+export default SlashCommandMenu;
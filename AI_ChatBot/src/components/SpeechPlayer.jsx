@@ -0,0 +1,83 @@
+import React from 'react';
+import { MdPause, MdPlayArrow, MdSkipNext, MdStop } from 'react-icons/md';
+import { ReaderStatus } from '../hooks/useSpeechReader';
+import { useI18n } from '../i18n';
+
+// Controls for the sentence-by-sentence reader, with the sentence being
+// spoken and how far through the response it is
+const SpeechPlayer = ({
+  status,
+  index,
+  total,
+  sentence,
+  onPause,
+  onResume,
+  onSkip,
+  onStop,
+  isDarkMode = true,
+}) => {
+  const { t } = useI18n();
+  if (status === ReaderStatus.IDLE) return null;
+
+  const isPaused = status === ReaderStatus.PAUSED;
+  const buttonClass = `p-1 rounded-md transition-all duration-200 ${
+    isDarkMode
+      ? 'hover:bg-white/[0.08] text-white/70 hover:text-white'
+      : 'hover:bg-white text-gray-600 hover:text-gray-900'
+  }`;
+
+  return (
+    <div
+      className={`flex items-center gap-2 mb-1.5 sm:mb-2 px-2.5 py-1.5 rounded-lg border text-[10px] sm:text-xs ${
+        isDarkMode
+          ? 'bg-green-500/10 text-green-300 border-green-500/20'
+          : 'bg-green-50 text-green-700 border-green-200'
+      }`}
+    >
+      <div className="flex items-center gap-0.5 flex-shrink-0">
+        <button
+          onClick={isPaused ? onResume : onPause}
+          className={buttonClass}
+          title={isPaused ? t('voice.player.resume') : t('voice.player.pause')}
+        >
+          {isPaused ? (
+            <MdPlayArrow className="w-4 h-4" />
+          ) : (
+            <MdPause className="w-4 h-4" />
+          )}
+        </button>
+        <button
+          onClick={onSkip}
+          className={buttonClass}
+          title={t('voice.player.skip')}
+        >
+          <MdSkipNext className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onStop}
+          className={buttonClass}
+          title={t('voice.player.stop')}
+        >
+          <MdStop className="w-4 h-4" />
+        </button>
+      </div>
+
+      <span
+        className="flex-1 min-w-0 truncate"
+        role="status"
+        aria-live="polite"
+      >
+        {sentence || t('voice.player.waiting')}
+      </span>
+
+      {total > 0 && (
+        <span className="flex-shrink-0 tabular-nums opacity-70">
+          {isPaused ? t('voice.player.paused') : ''}
+          {Math.min(index + 1, total)}/{total}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SpeechPlayer;
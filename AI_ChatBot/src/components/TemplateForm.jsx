@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MdClose } from 'react-icons/md';
+import TemplateIcon from './TemplateIcon';
+import { fillTemplate, templateFields } from '../utils/promptTemplates';
+import { useI18n } from '../i18n';
+
+// Fill-in form for a template's placeholders. `onSubmit(prompt, send)`
+// gets the completed prompt and whether to send it right away or only put
+// it in the composer.
+const TemplateForm = ({ template, onSubmit, onClose, isDarkMode = true }) => {
+  const { t } = useI18n();
+  const fields = templateFields(template.prompt);
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(
+      fields.map((field) => [field.name, field.options[0] || '']),
+    ),
+  );
+  const firstFieldRef = useRef(null);
+
+  useEffect(() => {
+    firstFieldRef.current?.focus();
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const isComplete = fields.every((field) => values[field.name].trim());
+
+  const submit = (send) => {
+    if (!isComplete) return;
+    onSubmit(fillTemplate(template.prompt, values).trim(), send);
+  };
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  const fieldClass = `w-full text-xs px-3 py-2 rounded-lg border focus:outline-none ${
+    isDarkMode
+      ? 'bg-white/[0.03] border-white/[0.05] text-white/80 focus:border-blue-500/40'
+      : 'bg-gray-50 border-gray-200 text-gray-800 focus:border-blue-400'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-xl z-50 flex items-center justify-center p-2 sm:p-4 animate-fadeIn">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit(true);
+        }}
+        className={`border rounded-xl sm:rounded-2xl w-full max-w-xl max-h-[90vh] flex flex-col animate-slideUp ${
+          isDarkMode
+            ? 'bg-gradient-to-b from-[#0C0C0C] to-[#0A0A0A] border-white/[0.08] text-white'
+            : 'bg-gradient-to-b from-white to-gray-50 border-gray-200 text-gray-900 shadow-xl'
+        }`}
+        role="dialog"
+        aria-label={template.title}
+      >
+        <div
+          className={`flex items-center justify-between px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <div className="flex items-center gap-2 min-w-0">
+            <span
+              className={`w-7 h-7 rounded-lg flex items-center justify-center flex-shrink-0 ${
+                isDarkMode
+                  ? `bg-${template.color}-500/10 text-${template.color}-400`
+                  : `bg-${template.color}-100 text-${template.color}-600`
+              }`}
+            >
+              <TemplateIcon icon={template.icon} />
+            </span>
+            <div className="min-w-0">
+              <span className="block text-sm font-medium truncate">
+                {template.title}
+              </span>
+              <span className={`block text-[10px] truncate ${mutedText}`}>
+                {template.description || t('templates.fillIn')}
+              </span>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className={`p-1.5 rounded-lg ${
+              isDarkMode
+                ? 'text-white/40 hover:text-white/80 hover:bg-white/[0.08]'
+                : 'text-gray-400 hover:text-gray-700 hover:bg-gray-200'
+            }`}
+            title={t('templates.close')}
+          >
+            <MdClose className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-y-auto p-4 space-y-4">
+          {fields.map((field, index) => {
+            const id = `template-field-${index}`;
+            const common = {
+              id,
+              ref: index === 0 ? firstFieldRef : undefined,
+              value: values[field.name],
+              onChange: (e) =>
+                setValues((prev) => ({
+                  ...prev,
+                  [field.name]: e.target.value,
+                })),
+              className: fieldClass,
+            };
+
+            return (
+              <div key={field.name} className="space-y-1.5">
+                <label
+                  htmlFor={id}
+                  className={`block text-xs font-medium capitalize ${mutedText}`}
+                >
+                  {field.name}
+                </label>
+                {field.kind === 'select' ? (
+                  <select {...common}>
+                    {field.options.map((option) => (
+                      <option
+                        key={option}
+                        value={option}
+                        className={isDarkMode ? 'bg-gray-900' : ''}
+                      >
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                ) : field.kind === 'long' ? (
+                  <textarea
+                    {...common}
+                    rows={8}
+                    dir="auto"
+                    spellCheck={false}
+                    className={`${fieldClass} resize-y font-mono leading-relaxed`}
+                  />
+                ) : (
+                  <input {...common} dir="auto" />
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div
+          className={`flex items-center justify-end gap-2 px-4 py-3 border-t ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <button
+            type="button"
+            onClick={() => submit(false)}
+            disabled={!isComplete}
+            className={`px-3 py-1.5 rounded-lg text-xs transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+              isDarkMode
+                ? 'bg-white/[0.03] hover:bg-white/[0.06] text-white/60'
+                : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+            }`}
+            title={t('templates.insertTitle')}
+          >
+            {t('templates.insert')}
+          </button>
+          <button
+            type="submit"
+            disabled={!isComplete}
+            className="px-4 py-1.5 rounded-lg text-xs font-medium bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {t('templates.send')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TemplateForm;
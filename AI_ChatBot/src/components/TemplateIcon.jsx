@@ -0,0 +1,39 @@
+import React from 'react';
+import {
+  SiReact,
+  SiPython,
+  SiJavascript,
+  SiTypescript,
+  SiCss3,
+} from 'react-icons/si';
+import { AiOutlineApi, AiOutlineBug, AiOutlineRocket } from 'react-icons/ai';
+import {
+  MdCode,
+  MdEditNote,
+  MdInfo,
+  MdLightbulbOutline,
+  MdTranslate,
+} from 'react-icons/md';
+
+export const TEMPLATE_ICONS = {
+  text: MdEditNote,
+  code: MdCode,
+  idea: MdLightbulbOutline,
+  translate: MdTranslate,
+  info: MdInfo,
+  bug: AiOutlineBug,
+  rocket: AiOutlineRocket,
+  api: AiOutlineApi,
+  react: SiReact,
+  python: SiPython,
+  javascript: SiJavascript,
+  typescript: SiTypescript,
+  css: SiCss3,
+};
+
+const TemplateIcon = ({ icon, className = 'w-4 h-4' }) => {
+  const Icon = TEMPLATE_ICONS[icon] || TEMPLATE_ICONS.text;
+  return <Icon className={className} />;
+};
+
+export default TemplateIcon;
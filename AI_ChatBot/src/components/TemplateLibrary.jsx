@@ -0,0 +1,517 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MdAdd,
+  MdClose,
+  MdDelete,
+  MdFileDownload,
+  MdFileUpload,
+  MdLibraryBooks,
+} from 'react-icons/md';
+import TemplateIcon, { TEMPLATE_ICONS } from './TemplateIcon';
+import {
+  TEMPLATE_COLORS,
+  serializeTemplates,
+  templateFields,
+} from '../utils/promptTemplates';
+import { useI18n } from '../i18n';
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'icon',
+  'color',
+  'prompt',
+];
+
+// Spelled out so the Tailwind build keeps every swatch colour
+const SWATCH_CLASSES = {
+  blue: 'bg-blue-500',
+  purple: 'bg-purple-500',
+  yellow: 'bg-yellow-500',
+  green: 'bg-green-500',
+  pink: 'bg-pink-500',
+  indigo: 'bg-indigo-500',
+  red: 'bg-red-500',
+  amber: 'bg-amber-500',
+};
+
+const emptyDraft = (category = '') => ({
+  id: null,
+  title: '',
+  description: '',
+  category,
+  icon: 'text',
+  color: 'blue',
+  prompt: '',
+});
+
+const TemplateLibrary = ({
+  templates,
+  onSave,
+  onDelete,
+  onImport,
+  onUse,
+  onClose,
+  storageError = null,
+  isDarkMode = true,
+}) => {
+  const { t } = useI18n();
+  const [category, setCategory] = useState('');
+  const [draft, setDraft] = useState(() => templates[0] || emptyDraft());
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+  const titleInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const categories = [
+    ...new Set(templates.map((tpl) => tpl.category).filter(Boolean)),
+  ];
+  const listed = category
+    ? templates.filter((tpl) => tpl.category === category)
+    : templates;
+
+  const saved = templates.find((tpl) => tpl.id === draft.id);
+  const isDirty =
+    !saved ||
+    EDITABLE_FIELDS.some((field) => saved[field] !== draft[field].trim());
+  const fields = templateFields(draft.prompt);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const startNew = () => {
+    setDraft(emptyDraft(category));
+    setNotice(null);
+    titleInputRef.current?.focus();
+  };
+
+  const select = (template) => {
+    setDraft(template);
+    setNotice(null);
+  };
+
+  const handleSave = () => {
+    if (!draft.title.trim() || !draft.prompt.trim()) {
+      setNotice({ type: 'error', text: t('templates.required') });
+      titleInputRef.current?.focus();
+      return;
+    }
+    const template = onSave(draft);
+    if (template) {
+      setDraft(template);
+      setNotice({
+        type: 'success',
+        text: t('templates.saved', { title: template.title }),
+      });
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      saved &&
+      window.confirm(t('templates.confirmDelete', { title: saved.title }))
+    ) {
+      onDelete(saved.id);
+      startNew();
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeTemplates(listed)], {
+      type: 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `templates-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = onImport(await file.text());
+      setCategory('');
+      setNotice({
+        type: 'success',
+        text: t('templates.imported', { count }),
+      });
+    } catch (err) {
+      setNotice({
+        type: 'error',
+        text: t(`templates.importErrors.${err.type || 'invalid'}`),
+      });
+    }
+  };
+
+  const mutedText = isDarkMode ? 'text-white/40' : 'text-gray-500';
+  const fieldClass = `w-full text-xs px-3 py-2 rounded-lg border focus:outline-none ${
+    isDarkMode
+      ? 'bg-white/[0.03] border-white/[0.05] text-white/80 focus:border-blue-500/40'
+      : 'bg-gray-50 border-gray-200 text-gray-800 focus:border-blue-400'
+  }`;
+  const secondaryButtonClass = `flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-xs transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-white/[0.03] hover:bg-white/[0.06] text-white/60'
+      : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+  }`;
+  const iconTileClass = (color) =>
+    isDarkMode
+      ? `bg-${color}-500/10 text-${color}-400`
+      : `bg-${color}-100 text-${color}-600`;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-xl z-50 flex items-center justify-center p-2 sm:p-4 animate-fadeIn">
+      <div
+        className={`border rounded-xl sm:rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col animate-slideUp ${
+          isDarkMode
+            ? 'bg-gradient-to-b from-[#0C0C0C] to-[#0A0A0A] border-white/[0.08] text-white'
+            : 'bg-gradient-to-b from-white to-gray-50 border-gray-200 text-gray-900 shadow-xl'
+        }`}
+        role="dialog"
+        aria-label={t('templates.title')}
+      >
+        <div
+          className={`flex items-center justify-between px-4 py-3 border-b ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <div className="flex items-center gap-2">
+            <MdLibraryBooks className="w-5 h-5 text-blue-500" />
+            <div>
+              <span className="block text-sm font-medium">
+                {t('templates.title')}
+              </span>
+              <span className={`block text-[10px] ${mutedText}`}>
+                {t('templates.subtitle')}
+              </span>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-1.5 rounded-lg ${
+              isDarkMode
+                ? 'text-white/40 hover:text-white/80 hover:bg-white/[0.08]'
+                : 'text-gray-400 hover:text-gray-700 hover:bg-gray-200'
+            }`}
+            title={t('templates.close')}
+          >
+            <MdClose className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 flex flex-col sm:flex-row">
+          <div
+            className={`sm:w-56 flex-shrink-0 flex flex-col border-b sm:border-b-0 sm:border-e ${
+              isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+            }`}
+          >
+            <div className="p-3 space-y-2">
+              <button
+                onClick={startNew}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-xs font-medium bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700 transition-all duration-200"
+              >
+                <MdAdd className="w-4 h-4" />
+                {t('templates.new')}
+              </button>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className={secondaryButtonClass}
+                  title={t('templates.importTitle')}
+                >
+                  <MdFileUpload className="w-3.5 h-3.5" />
+                  {t('templates.import')}
+                </button>
+                <button
+                  onClick={handleExport}
+                  disabled={listed.length === 0}
+                  className={secondaryButtonClass}
+                  title={t('templates.exportTitle')}
+                >
+                  <MdFileDownload className="w-3.5 h-3.5" />
+                  {t('templates.export')}
+                </button>
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                className="hidden"
+              />
+              {categories.length > 0 && (
+                <select
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                  className={fieldClass}
+                  aria-label={t('templates.filterCategory')}
+                >
+                  <option value="" className={isDarkMode ? 'bg-gray-900' : ''}>
+                    {t('templates.allCategories')}
+                  </option>
+                  {categories.map((name) => (
+                    <option
+                      key={name}
+                      value={name}
+                      className={isDarkMode ? 'bg-gray-900' : ''}
+                    >
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            <nav className="flex-1 overflow-y-auto max-h-40 sm:max-h-none px-2 pb-3 space-y-0.5">
+              {listed.length === 0 && (
+                <p className={`px-2 py-1 text-[11px] ${mutedText}`}>
+                  {t('templates.empty')}
+                </p>
+              )}
+              {listed.map((template) => {
+                const isSelected = template.id === draft.id;
+                return (
+                  <button
+                    key={template.id}
+                    onClick={() => select(template)}
+                    className={`w-full flex items-center gap-2 text-start px-2.5 py-2 rounded-lg border transition-all duration-200 ${
+                      isSelected
+                        ? isDarkMode
+                          ? 'bg-blue-500/10 border-blue-500/20'
+                          : 'bg-blue-50 border-blue-200'
+                        : isDarkMode
+                          ? 'border-transparent hover:bg-white/[0.04]'
+                          : 'border-transparent hover:bg-gray-100'
+                    }`}
+                  >
+                    <span
+                      className={`w-6 h-6 rounded-md flex items-center justify-center flex-shrink-0 ${iconTileClass(
+                        template.color,
+                      )}`}
+                    >
+                      <TemplateIcon
+                        icon={template.icon}
+                        className="w-3.5 h-3.5"
+                      />
+                    </span>
+                    <span className="min-w-0">
+                      <span className="block truncate text-xs">
+                        {template.title}
+                      </span>
+                      <span
+                        className={`block truncate text-[9px] ${mutedText}`}
+                      >
+                        {template.category || t('templates.uncategorized')}
+                      </span>
+                    </span>
+                  </button>
+                );
+              })}
+            </nav>
+          </div>
+
+          <div className="flex-1 min-h-0 overflow-y-auto p-4 space-y-4">
+            {(notice || storageError) && (
+              <p
+                className={`px-3 py-2 rounded-lg text-[11px] ${
+                  notice?.type === 'success'
+                    ? isDarkMode
+                      ? 'bg-emerald-500/10 text-emerald-400'
+                      : 'bg-emerald-50 text-emerald-700'
+                    : isDarkMode
+                      ? 'bg-yellow-500/10 text-yellow-400'
+                      : 'bg-yellow-100 text-yellow-700'
+                }`}
+              >
+                {notice?.text || t(`templates.storageErrors.${storageError}`)}
+              </p>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div className="space-y-1.5">
+                <label
+                  htmlFor="template-title"
+                  className={`block text-xs font-medium ${mutedText}`}
+                >
+                  {t('templates.name')}
+                </label>
+                <input
+                  id="template-title"
+                  ref={titleInputRef}
+                  value={draft.title}
+                  onChange={(e) => update({ title: e.target.value })}
+                  placeholder={t('templates.namePlaceholder')}
+                  maxLength={60}
+                  className={fieldClass}
+                />
+              </div>
+              <div className="space-y-1.5">
+                <label
+                  htmlFor="template-category"
+                  className={`block text-xs font-medium ${mutedText}`}
+                >
+                  {t('templates.category')}
+                </label>
+                <input
+                  id="template-category"
+                  list="template-categories"
+                  value={draft.category}
+                  onChange={(e) => update({ category: e.target.value })}
+                  placeholder={t('templates.categoryPlaceholder')}
+                  maxLength={40}
+                  className={fieldClass}
+                />
+                <datalist id="template-categories">
+                  {categories.map((name) => (
+                    <option key={name} value={name} />
+                  ))}
+                </datalist>
+              </div>
+            </div>
+
+            <div className="space-y-1.5">
+              <label
+                htmlFor="template-description"
+                className={`block text-xs font-medium ${mutedText}`}
+              >
+                {t('templates.description')}
+              </label>
+              <input
+                id="template-description"
+                value={draft.description}
+                onChange={(e) => update({ description: e.target.value })}
+                placeholder={t('templates.descriptionPlaceholder')}
+                maxLength={120}
+                className={fieldClass}
+              />
+            </div>
+
+            <div className="space-y-1.5">
+              <span className={`block text-xs font-medium ${mutedText}`}>
+                {t('templates.appearance')}
+              </span>
+              <div className="flex flex-wrap gap-1.5">
+                {Object.keys(TEMPLATE_ICONS).map((icon) => (
+                  <button
+                    key={icon}
+                    onClick={() => update({ icon })}
+                    className={`w-7 h-7 rounded-lg flex items-center justify-center border transition-all duration-200 ${
+                      draft.icon === icon
+                        ? `${iconTileClass(draft.color)} border-current`
+                        : isDarkMode
+                          ? 'border-white/[0.05] text-white/50 hover:bg-white/[0.06]'
+                          : 'border-gray-200 text-gray-500 hover:bg-gray-100'
+                    }`}
+                    aria-pressed={draft.icon === icon}
+                    aria-label={icon}
+                  >
+                    <TemplateIcon icon={icon} className="w-3.5 h-3.5" />
+                  </button>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-1.5 pt-1">
+                {TEMPLATE_COLORS.map((color) => (
+                  <button
+                    key={color}
+                    onClick={() => update({ color })}
+                    className={`w-5 h-5 rounded-full ${SWATCH_CLASSES[color]} transition-transform duration-200 ${
+                      draft.color === color
+                        ? `ring-2 ring-offset-2 ${
+                            isDarkMode
+                              ? 'ring-white/60 ring-offset-[#0C0C0C]'
+                              : 'ring-gray-400 ring-offset-white'
+                          }`
+                        : 'hover:scale-110'
+                    }`}
+                    aria-pressed={draft.color === color}
+                    aria-label={color}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-1.5">
+              <label
+                htmlFor="template-prompt"
+                className={`block text-xs font-medium ${mutedText}`}
+              >
+                {t('templates.prompt')}
+              </label>
+              <textarea
+                id="template-prompt"
+                value={draft.prompt}
+                onChange={(e) => update({ prompt: e.target.value })}
+                placeholder={t('templates.promptPlaceholder')}
+                rows={7}
+                dir="auto"
+                spellCheck={false}
+                className={`${fieldClass} resize-y font-mono leading-relaxed`}
+              />
+              <p className={`text-[10px] leading-relaxed ${mutedText}`}>
+                {t('templates.placeholderHelp')}
+              </p>
+              {fields.length > 0 && (
+                <p className={`text-[10px] ${mutedText}`}>
+                  {t('templates.fields', {
+                    fields: fields.map((field) => field.name).join(', '),
+                  })}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div
+          className={`flex flex-wrap items-center justify-between gap-2 px-4 py-3 border-t ${
+            isDarkMode ? 'border-white/[0.08]' : 'border-gray-200'
+          }`}
+        >
+          <button
+            onClick={handleDelete}
+            disabled={!saved}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed ${
+              isDarkMode
+                ? 'text-red-400 hover:bg-red-500/10'
+                : 'text-red-600 hover:bg-red-50'
+            }`}
+          >
+            <MdDelete className="w-3.5 h-3.5" />
+            {t('templates.delete')}
+          </button>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onUse(draft)}
+              disabled={!draft.prompt.trim()}
+              className={secondaryButtonClass}
+              title={t('templates.useTitle')}
+            >
+              {t('templates.use')}
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!isDirty}
+              className="px-4 py-1.5 rounded-lg text-xs font-medium bg-gradient-to-r from-blue-500 to-indigo-600 text-white hover:from-blue-600 hover:to-indigo-700 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {saved ? t('templates.save') : t('templates.create')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateLibrary;
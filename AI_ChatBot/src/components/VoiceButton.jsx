@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { MdMic, MdMicOff, MdVolumeUp, MdError } from 'react-icons/md';
+import { useI18n } from '../i18n';
 
 const VoiceButton = ({
   onVoiceInput,
@@ -17,6 +18,7 @@ const VoiceButton = ({
   permissionStatus = 'prompt',
   isAudioLevelDetected = false,
 }) => {
+  const { t } = useI18n();
   const [showTooltip, setShowTooltip] = useState(false);
 
   const sizeClasses = {
@@ -95,11 +97,11 @@ const VoiceButton = ({
   };
 
   const getTooltipText = () => {
-    if (error) return `Error: ${error}`;
-    if (permissionStatus === 'denied') return 'Microphone access denied. Click to request permission.';
-    if (isListening) return 'Listening... Click to stop';
-    if (isSpeaking) return 'Speaking... Click to stop';
-    return 'Click to start voice input';
+    if (error) return t('voice.button.error', { error });
+    if (permissionStatus === 'denied') return t('voice.button.permissionDenied');
+    if (isListening) return t('voice.button.listening');
+    if (isSpeaking) return t('voice.button.speaking');
+    return t('voice.button.start');
   };
 
   const getIcon = () => {
@@ -159,7 +161,7 @@ const VoiceButton = ({
 
         {/* Error Indicator */}
         {error && (
-          <span className="absolute -top-1 -right-1 w-2 h-2">
+          <span className="absolute -top-1 -end-1 w-2 h-2">
             <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-75"></span>
             <span className="relative inline-flex rounded-full h-2 w-2 bg-red-500"></span>
           </span>
@@ -178,7 +180,7 @@ const VoiceButton = ({
               ? 'bg-white/[0.05] hover:bg-white/[0.1] text-white/40 hover:text-white/60 border-white/[0.05]'
               : 'bg-gray-100 hover:bg-gray-200 text-gray-400 hover:text-gray-600 border-gray-200'
           }`}
-          title="Read last response aloud"
+          title={t('voice.button.readLast')}
         >
           <MdVolumeUp className={iconSizes[size]} />
         </button>
@@ -194,13 +196,13 @@ const VoiceButton = ({
               : 'bg-white text-gray-600 border border-gray-200 shadow-lg'
         }`}>
           {getTooltipText()}
-          {isAudioLevelDetected && isListening && ' (Audio detected)'}
+          {isAudioLevelDetected && isListening && t('voice.button.audioDetected')}
         </div>
       )}
 
       {/* Permission Status Indicator */}
       {permissionStatus === 'denied' && !error && (
-        <div className="absolute -top-1 -right-1 w-2 h-2">
+        <div className="absolute -top-1 -end-1 w-2 h-2">
           <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-yellow-400 opacity-75"></span>
           <span className="relative inline-flex rounded-full h-2 w-2 bg-yellow-500"></span>
         </div>
@@ -0,0 +1,113 @@
+import React from 'react';
+import {
+  MdClose,
+  MdHearing,
+  MdHourglassTop,
+  MdMic,
+  MdVolumeUp,
+} from 'react-icons/md';
+import { VoicePhase } from '../hooks/useVoiceConversation';
+import { useI18n } from '../i18n';
+
+const PHASES = {
+  [VoicePhase.IDLE]: {
+    key: 'idle',
+    icon: MdMic,
+    dark: 'bg-white/[0.05] text-white/70 border-white/[0.08]',
+    light: 'bg-gray-100 text-gray-700 border-gray-200',
+  },
+  [VoicePhase.LISTENING]: {
+    key: 'listening',
+    icon: MdHearing,
+    dark: 'bg-red-500/10 text-red-300 border-red-500/20',
+    light: 'bg-red-50 text-red-700 border-red-200',
+  },
+  [VoicePhase.THINKING]: {
+    key: 'thinking',
+    icon: MdHourglassTop,
+    dark: 'bg-blue-500/10 text-blue-300 border-blue-500/20',
+    light: 'bg-blue-50 text-blue-700 border-blue-200',
+  },
+  [VoicePhase.SPEAKING]: {
+    key: 'speaking',
+    icon: MdVolumeUp,
+    dark: 'bg-green-500/10 text-green-300 border-green-500/20',
+    light: 'bg-green-50 text-green-700 border-green-200',
+  },
+};
+
+// Shows where the hands-free voice loop is, so it can be followed without
+// looking at the chat
+const VoiceConversationBar = ({
+  phase,
+  transcript = '',
+  onTalk,
+  onEnd,
+  isDarkMode = true,
+  isMobile = false,
+}) => {
+  const { t } = useI18n();
+  const current = PHASES[phase];
+  if (!current) return null;
+
+  const Icon = current.icon;
+  const label = t(`voice.conversation.phases.${current.key}.label`);
+  const hint = t(`voice.conversation.phases.${current.key}.hint`);
+  const buttonClass = `flex-shrink-0 px-2.5 py-1 rounded-lg border text-[10px] sm:text-xs font-medium transition-all duration-200 ${
+    isDarkMode
+      ? 'border-white/[0.1] hover:bg-white/[0.08]'
+      : 'border-gray-300 hover:bg-white'
+  }`;
+
+  return (
+    <div
+      className={`flex items-center gap-2 sm:gap-3 mb-1.5 sm:mb-2 px-2.5 sm:px-3 py-2 rounded-xl border ${
+        isDarkMode ? current.dark : current.light
+      }`}
+    >
+      <span
+        className={`relative flex items-center justify-center w-7 h-7 rounded-full flex-shrink-0 ${
+          isDarkMode ? 'bg-white/[0.06]' : 'bg-white'
+        }`}
+        aria-hidden="true"
+      >
+        {phase === VoicePhase.LISTENING && (
+          <span className="absolute inset-0 rounded-full voice-ring"></span>
+        )}
+        <Icon
+          className={`w-4 h-4 ${
+            phase === VoicePhase.THINKING ? 'animate-spin-slow' : ''
+          } ${phase === VoicePhase.SPEAKING ? 'voice-wave' : ''}`}
+        />
+      </span>
+
+      <div className="flex-1 min-w-0" role="status" aria-live="polite">
+        <span className="block text-xs sm:text-sm font-medium">
+          {t('voice.conversation.title', { phase: label })}
+        </span>
+        <span className="block truncate text-[10px] sm:text-xs opacity-70">
+          {transcript || hint}
+        </span>
+      </div>
+
+      {phase === VoicePhase.IDLE || phase === VoicePhase.SPEAKING ? (
+        <button onClick={onTalk} className={buttonClass}>
+          {phase === VoicePhase.SPEAKING
+            ? t('voice.conversation.interrupt')
+            : t('voice.conversation.talk')}
+        </button>
+      ) : null}
+
+      <button
+        onClick={onEnd}
+        className={`${buttonClass} flex items-center gap-1`}
+        title={t('voice.endConversation')}
+      >
+        <MdClose className="w-3.5 h-3.5" />
+        {!isMobile && t('voice.conversation.end')}
+      </button>
+    </div>
+  );
+};
+
+export default VoiceConversationBar;
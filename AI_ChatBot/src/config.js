@@ -0,0 +1,55 @@
+// Production-ready API Configuration from environment variables
+export const ENV_CONFIG = {
+  PUTER_API_KEY: process.env.REACT_APP_PUTER_API_KEY,
+  PUTER_API_URL:
+    process.env.REACT_APP_PUTER_API_URL || 'https://api.puter.com/v2',
+  PUTER_MODEL: process.env.REACT_APP_PUTER_MODEL || 'gpt-4.1-nano',
+  PUTER_SCRIPT_URL: process.env.REACT_APP_API_URL || 'https://js.puter.com/v2/',
+  PUTER_TIMEOUT: parseInt(process.env.REACT_APP_PUTER_TIMEOUT) || 30000,
+  PUTER_MAX_RETRIES: parseInt(process.env.REACT_APP_PUTER_MAX_RETRIES) || 3,
+  PUTER_RETRY_DELAY: parseInt(process.env.REACT_APP_PUTER_RETRY_DELAY) || 1000,
+  USE_DIRECT_API: process.env.REACT_APP_USE_DIRECT_API === 'true',
+
+  // Model providers: "puter", "openai" (any OpenAI-compatible server) or "ollama"
+  AI_PROVIDER: process.env.REACT_APP_AI_PROVIDER || 'puter',
+  OPENAI_API_URL:
+    process.env.REACT_APP_OPENAI_API_URL || 'https://api.openai.com/v1',
+  OPENAI_API_KEY: process.env.REACT_APP_OPENAI_API_KEY,
+  OPENAI_MODEL: process.env.REACT_APP_OPENAI_MODEL || 'gpt-4o-mini',
+  OLLAMA_URL: process.env.REACT_APP_OLLAMA_URL || 'http://localhost:11434',
+  OLLAMA_MODEL: process.env.REACT_APP_OLLAMA_MODEL || 'llama3.2',
+
+  MAX_INPUT_LENGTH: parseInt(process.env.REACT_APP_MAX_INPUT_LENGTH) || 4000,
+  CONTEXT_WINDOW: parseInt(process.env.REACT_APP_CONTEXT_WINDOW) || 8192,
+  // Attachments: images are sent as-is, so their size is capped separately
+  MAX_ATTACHMENTS: parseInt(process.env.REACT_APP_MAX_ATTACHMENTS) || 5,
+  MAX_IMAGE_SIZE:
+    parseInt(process.env.REACT_APP_MAX_IMAGE_SIZE) || 4 * 1024 * 1024,
+  // Local answer cache: entries expire after the TTL (ms) and the least
+  // recently used are dropped above the size cap (bytes of answer text)
+  RESPONSE_CACHE_TTL:
+    parseInt(process.env.REACT_APP_RESPONSE_CACHE_TTL) ||
+    7 * 24 * 60 * 60 * 1000,
+  RESPONSE_CACHE_MAX_BYTES:
+    parseInt(process.env.REACT_APP_RESPONSE_CACHE_MAX_BYTES) || 5 * 1024 * 1024,
+  STREAMING_DELAY: parseInt(process.env.REACT_APP_STREAMING_DELAY) || 30,
+  ENABLE_ANALYTICS: process.env.REACT_APP_ENABLE_ANALYTICS === 'true',
+  ENVIRONMENT: process.env.REACT_APP_ENVIRONMENT || 'Live',
+
+  VOICE_LANGUAGE: process.env.REACT_APP_VOICE_LANGUAGE || 'en-US',
+  VOICE_RATE: parseFloat(process.env.REACT_APP_VOICE_RATE) || 1,
+  VOICE_PITCH: parseFloat(process.env.REACT_APP_VOICE_PITCH) || 1,
+  VOICE_VOLUME: parseFloat(process.env.REACT_APP_VOICE_VOLUME) || 1,
+};
+
+// Error types for better error handling
+export const ErrorTypes = {
+  NETWORK: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT_ERROR',
+  AUTH: 'AUTHENTICATION_ERROR',
+  RATE_LIMIT: 'RATE_LIMIT_ERROR',
+  SERVER: 'SERVER_ERROR',
+  MODEL_NOT_FOUND: 'MODEL_NOT_FOUND_ERROR',
+  ABORTED: 'ABORTED_ERROR',
+  UNKNOWN: 'UNKNOWN_ERROR',
+};
@@ -0,0 +1,227 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ENV_CONFIG, ErrorTypes } from '../config';
+import { getProvider } from '../providers';
+import { abortedError } from '../providers/http';
+import { GENERATION_DEFAULTS } from '../utils/generationSettings';
+
+const RETRYABLE_ERRORS = [
+  ErrorTypes.TIMEOUT,
+  ErrorTypes.NETWORK,
+  ErrorTypes.SERVER,
+  ErrorTypes.RATE_LIMIT,
+];
+
+// Loads the Puter.ai browser SDK once, retrying a few times on failure
+const usePuterScript = (enabled) => {
+  const [isPuterLoaded, setIsPuterLoaded] = useState(false);
+  const [scriptLoadAttempted, setScriptLoadAttempted] = useState(false);
+  const [scriptHealth, setScriptHealth] = useState('checking');
+
+  useEffect(() => {
+    if (!enabled || scriptLoadAttempted) return;
+
+    let retryCount = 0;
+    const maxRetries = 3;
+
+    const loadPuterScript = () => {
+      return new Promise((resolve, reject) => {
+        if (document.querySelector('script[src*="puter.com"]')) {
+          console.log('✅ Puter.ai script already loaded');
+          setIsPuterLoaded(true);
+          setScriptHealth('healthy');
+          resolve(true);
+          return;
+        }
+
+        const script = document.createElement('script');
+        script.src = ENV_CONFIG.PUTER_SCRIPT_URL;
+        script.async = true;
+
+        script.onload = () => {
+          console.log('✅ Puter.ai script loaded successfully');
+          setIsPuterLoaded(true);
+          setScriptHealth('healthy');
+          resolve(true);
+        };
+
+        script.onerror = (error) => {
+          console.error(
+            `❌ Failed to load Puter.ai script (attempt ${retryCount + 1}/${maxRetries}):`,
+            error,
+          );
+
+          if (retryCount < maxRetries) {
+            retryCount++;
+            console.log(
+              `🔄 Retrying script load... (${retryCount}/${maxRetries})`,
+            );
+            setTimeout(() => {
+              document.body.removeChild(script);
+              loadPuterScript().then(resolve).catch(reject);
+            }, ENV_CONFIG.PUTER_RETRY_DELAY * retryCount);
+          } else {
+            // Leave no failed tag behind, or a later attempt would take it
+            // for a loaded script
+            document.body.removeChild(script);
+            setScriptHealth('unhealthy');
+            reject(
+              new Error(
+                'Failed to load Puter.ai script after multiple attempts',
+              ),
+            );
+          }
+        };
+
+        document.body.appendChild(script);
+        setScriptLoadAttempted(true);
+      });
+    };
+
+    loadPuterScript().catch((err) => {
+      console.warn(
+        '⚠️ Using fallback API due to script load failure:',
+        err.message,
+      );
+      setScriptHealth('unhealthy');
+    });
+  }, [enabled, scriptLoadAttempted]);
+
+  // A load that failed while offline is tried again once the connection
+  // comes back
+  useEffect(() => {
+    if (!enabled || scriptHealth !== 'unhealthy') return;
+
+    const retry = () => {
+      setScriptHealth('checking');
+      setScriptLoadAttempted(false);
+    };
+    window.addEventListener('online', retry);
+    return () => window.removeEventListener('online', retry);
+  }, [enabled, scriptHealth]);
+
+  return { isPuterLoaded, scriptHealth };
+};
+
+// Custom hook for calling the selected model provider with retries,
+// cancellation and user-friendly error messages
+const useAIProvider = (providerId) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [providerHealth, setProviderHealth] = useState('checking');
+
+  const provider = getProvider(providerId);
+  const usesPuterSDK = provider.id === 'puter' && provider.usesSDK;
+  const { isPuterLoaded, scriptHealth } = usePuterScript(usesPuterSDK);
+
+  const checkHealth = useCallback(async () => {
+    try {
+      const healthy = await provider.checkHealth();
+      setProviderHealth(healthy ? 'healthy' : 'unhealthy');
+      return healthy;
+    } catch {
+      setProviderHealth('unhealthy');
+      return false;
+    }
+  }, [provider]);
+
+  // The Puter SDK reports health through its script loader; other
+  // providers are probed whenever they are selected
+  useEffect(() => {
+    if (usesPuterSDK) return;
+    setProviderHealth('checking');
+    checkHealth();
+
+    // and again whenever the connection comes back
+    window.addEventListener('online', checkHealth);
+    return () => window.removeEventListener('online', checkHealth);
+  }, [usesPuterSDK, checkHealth]);
+
+  const apiHealth = usesPuterSDK ? scriptHealth : providerHealth;
+
+  const callAI = useCallback(
+    async (messages, options = {}) => {
+      const {
+        retries = ENV_CONFIG.PUTER_MAX_RETRIES,
+        timeout = ENV_CONFIG.PUTER_TIMEOUT,
+        model = provider.defaultModel,
+        temperature = GENERATION_DEFAULTS.temperature,
+        top_p = GENERATION_DEFAULTS.top_p,
+        max_tokens = GENERATION_DEFAULTS.max_tokens,
+        presence_penalty = GENERATION_DEFAULTS.presence_penalty,
+        frequency_penalty = GENERATION_DEFAULTS.frequency_penalty,
+        onToken,
+        onStreamReset,
+        onMockResponse,
+        signal,
+      } = options;
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        return await provider.chat(messages, {
+          model,
+          timeout,
+          temperature,
+          top_p,
+          max_tokens,
+          presence_penalty,
+          frequency_penalty,
+          onToken,
+          onStreamReset,
+          onMockResponse,
+          signal,
+        });
+      } catch (error) {
+        // A cancelled request is never retried or reported as a failure
+        if (error.type === ErrorTypes.ABORTED || signal?.aborted) {
+          console.log('⏹️ Request cancelled by user');
+          throw abortedError();
+        }
+
+        console.error('❌ API Error:', error);
+
+        const errorType = error.type || ErrorTypes.UNKNOWN;
+
+        if (retries > 0 && RETRYABLE_ERRORS.includes(errorType)) {
+          console.log(`🔄 Retrying... (${retries} attempts left)`);
+          onStreamReset?.();
+          await new Promise((resolve) =>
+            setTimeout(resolve, ENV_CONFIG.PUTER_RETRY_DELAY),
+          );
+          if (signal?.aborted) {
+            throw abortedError();
+          }
+          return callAI(messages, { ...options, retries: retries - 1 });
+        }
+
+        // `code` names the message to show, `errors.<code>` in the locale
+        // files: the provider's own, or the one for the error type
+        const described = provider.describeError?.(error);
+        const apiError = {
+          type: errorType,
+          code: described?.code || errorType,
+          values: described?.values,
+          message: error.message,
+        };
+        setError(apiError);
+        throw apiError;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [provider],
+  );
+
+  return {
+    callAI,
+    provider,
+    isLoading,
+    error,
+    isPuterLoaded,
+    apiHealth,
+    checkHealth,
+  };
+};
+
+export default useAIProvider;
@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+
+export const APP_UPDATE_EVENT = 'appupdate';
+
+// A new service worker that has installed and is waiting for the old one
+// to let go. `applyUpdate` activates it and reloads once it has taken over.
+const useAppUpdate = () => {
+  const [registration, setRegistration] = useState(null);
+
+  useEffect(() => {
+    const handleUpdate = (event) => setRegistration(event.detail);
+    window.addEventListener(APP_UPDATE_EVENT, handleUpdate);
+    return () => window.removeEventListener(APP_UPDATE_EVENT, handleUpdate);
+  }, []);
+
+  const applyUpdate = useCallback(() => {
+    const waiting = registration?.waiting;
+    if (!waiting) return;
+
+    navigator.serviceWorker.addEventListener(
+      'controllerchange',
+      () => window.location.reload(),
+      { once: true },
+    );
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+  }, [registration]);
+
+  return { updateAvailable: registration !== null, applyUpdate };
+};
+
+export default useAppUpdate;
@@ -0,0 +1,101 @@
+import { useState, useCallback, useRef } from 'react';
+import { ENV_CONFIG } from '../config';
+import {
+  AttachmentErrors,
+  attachmentError,
+  promptLength,
+  readAttachment,
+} from '../utils/attachments';
+
+// Files waiting to be sent with the next prompt. `addFiles` reads dropped,
+// pasted or picked files and keeps the ones that fit; the rest are reported
+// in `errors` as { type, message, name } so the UI can explain each one.
+const useAttachments = ({ supportsImages = true } = {}) => {
+  const [attachments, setAttachments] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const attachmentsRef = useRef(attachments);
+  attachmentsRef.current = attachments;
+
+  // `promptText` is the composer text the files will be sent with; text
+  // files may only use what is left of MAX_INPUT_LENGTH
+  const addFiles = useCallback(
+    async (files, promptText = '') => {
+      const added = [];
+      const failed = [];
+
+      for (const file of files) {
+        const current = [...attachmentsRef.current, ...added];
+        if (current.length >= ENV_CONFIG.MAX_ATTACHMENTS) {
+          failed.push(
+            attachmentError(
+              AttachmentErrors.TOO_MANY,
+              `Only ${ENV_CONFIG.MAX_ATTACHMENTS} files can be attached`,
+              file.name,
+            ),
+          );
+          break;
+        }
+
+        try {
+          const attachment = await readAttachment(file);
+
+          if (attachment.kind === 'image' && !supportsImages) {
+            failed.push(
+              attachmentError(
+                AttachmentErrors.NO_VISION,
+                `The selected model cannot read images`,
+                attachment.name,
+              ),
+            );
+          } else if (
+            attachment.kind === 'text' &&
+            promptLength(promptText, [...current, attachment]) >
+              ENV_CONFIG.MAX_INPUT_LENGTH
+          ) {
+            failed.push(
+              attachmentError(
+                AttachmentErrors.OVER_LIMIT,
+                `${attachment.name} does not fit in the prompt`,
+                attachment.name,
+              ),
+            );
+          } else {
+            added.push(attachment);
+          }
+        } catch (error) {
+          failed.push(error);
+        }
+      }
+
+      if (added.length > 0) {
+        setAttachments((prev) => [...prev, ...added]);
+      }
+      setErrors(failed);
+    },
+    [supportsImages],
+  );
+
+  const removeAttachment = useCallback((id) => {
+    setAttachments((prev) => prev.filter((attachment) => attachment.id !== id));
+  }, []);
+
+  const clearAttachments = useCallback(() => {
+    setAttachments([]);
+    setErrors([]);
+  }, []);
+
+  const clearErrors = useCallback(() => {
+    setErrors([]);
+  }, []);
+
+  return {
+    attachments,
+    errors,
+    addFiles,
+    removeAttachment,
+    clearAttachments,
+    clearErrors,
+  };
+};
+
+export default useAttachments;
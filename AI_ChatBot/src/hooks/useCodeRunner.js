@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { runCode } from '../utils/codeRunner';
+
+// Snippet runs keyed by the caller (one per code block). Starting a run
+// for a key that is still running stops the old one first; only the
+// latest run of a key reports back.
+const useCodeRunner = () => {
+  const [runs, setRuns] = useState({});
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach((controller) => controller.abort());
+  }, []);
+
+  const stop = useCallback((key) => {
+    controllersRef.current.get(key)?.abort();
+  }, []);
+
+  const run = useCallback(
+    async (key, code, language) => {
+      stop(key);
+      const controller = new AbortController();
+      controllersRef.current.set(key, controller);
+
+      await runCode(code, language, {
+        signal: controller.signal,
+        onUpdate: (result) => {
+          if (controllersRef.current.get(key) !== controller) return;
+          setRuns((prev) => ({
+            ...prev,
+            [key]: { ...result, code, language },
+          }));
+        },
+      });
+
+      if (controllersRef.current.get(key) === controller) {
+        controllersRef.current.delete(key);
+      }
+    },
+    [stop],
+  );
+
+  const dismiss = useCallback(
+    (key) => {
+      stop(key);
+      controllersRef.current.delete(key);
+      setRuns(({ [key]: removed, ...rest }) => rest);
+    },
+    [stop],
+  );
+
+  return { runs, run, stop, dismiss };
+};
+
+export default useCodeRunner;
@@ -0,0 +1,278 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  STORES,
+  StorageErrors,
+  getAll,
+  putItem,
+  deleteItem,
+  createId,
+} from '../utils/db';
+
+export const DEFAULT_CONVERSATION_TITLE = 'New chat';
+
+const TITLE_MAX_LENGTH = 48;
+const ACTIVE_CONVERSATION_KEY = 'activeConversationId';
+
+// Derive a short title from the first prompt of a conversation
+export const titleFromPrompt = (text = '') => {
+  const firstLine = text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .split('\n')
+    .map((line) => line.trim())
+    .find(Boolean);
+
+  if (!firstLine) return DEFAULT_CONVERSATION_TITLE;
+
+  return firstLine.length > TITLE_MAX_LENGTH
+    ? `${firstLine.slice(0, TITLE_MAX_LENGTH - 1).trim()}…`
+    : firstLine;
+};
+
+const sortByRecent = (list) =>
+  [...list].sort((a, b) => b.updatedAt - a.updatedAt);
+
+const createConversationRecord = (settings = null) => {
+  const now = Date.now();
+  return {
+    id: createId(),
+    title: DEFAULT_CONVERSATION_TITLE,
+    titleEdited: false,
+    messages: [],
+    settings,
+    personaId: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// `newConversationSettings` seeds the generation settings of every
+// conversation created from now on
+const useConversations = ({ newConversationSettings = null } = {}) => {
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+
+  // Mirror of the latest list so rapid successive updates never read stale state
+  const conversationsRef = useRef([]);
+  const newSettingsRef = useRef(newConversationSettings);
+  newSettingsRef.current = newConversationSettings;
+
+  const commit = useCallback((next) => {
+    conversationsRef.current = sortByRecent(next);
+    setConversations(conversationsRef.current);
+  }, []);
+
+  const persist = useCallback((conversation) => {
+    putItem(STORES.CONVERSATIONS, conversation).catch((err) => {
+      console.error('Failed to save conversation:', err);
+      setStorageError(StorageErrors.SAVE_FAILED);
+    });
+  }, []);
+
+  const activate = useCallback((id) => {
+    setActiveConversationId(id);
+    localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+  }, []);
+
+  // Load saved conversations once
+  useEffect(() => {
+    let cancelled = false;
+
+    getAll(STORES.CONVERSATIONS)
+      .catch((err) => {
+        console.warn(
+          '⚠️ Chat history unavailable, using memory only:',
+          err.message,
+        );
+        setStorageError(StorageErrors.UNAVAILABLE);
+        return [];
+      })
+      .then((saved) => {
+        if (cancelled) return;
+
+        let list = saved;
+        if (list.length === 0) {
+          const first = createConversationRecord(newSettingsRef.current);
+          persist(first);
+          list = [first];
+        }
+
+        commit(list);
+        const lastActiveId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+        const initial =
+          list.find((c) => c.id === lastActiveId) ||
+          conversationsRef.current[0];
+        activate(initial.id);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [commit, persist, activate]);
+
+  const updateConversation = useCallback(
+    (id, update) => {
+      const current = conversationsRef.current.find((c) => c.id === id);
+      if (!current) return;
+
+      const updated = update(current);
+      if (updated === current) return;
+
+      persist(updated);
+      commit(conversationsRef.current.map((c) => (c.id === id ? updated : c)));
+    },
+    [commit, persist],
+  );
+
+  const createConversation = useCallback(() => {
+    // Reuse the current conversation if nothing has been said in it yet
+    const active = conversationsRef.current.find(
+      (c) => c.id === activeConversationId,
+    );
+    if (active && active.messages.length === 0) return active.id;
+
+    const conversation = createConversationRecord(newSettingsRef.current);
+    persist(conversation);
+    commit([conversation, ...conversationsRef.current]);
+    activate(conversation.id);
+    return conversation.id;
+  }, [activeConversationId, commit, persist, activate]);
+
+  // Add a conversation restored from an export and open it
+  const importConversation = useCallback(
+    ({ title, settings, messages }) => {
+      const firstPrompt = messages.find((msg) => msg.sender === 'user');
+      const named = Boolean(title) && title !== DEFAULT_CONVERSATION_TITLE;
+      const conversation = {
+        ...createConversationRecord(settings || newSettingsRef.current),
+        title: named
+          ? title
+          : titleFromPrompt(
+              firstPrompt?.text || firstPrompt?.attachments?.[0]?.name,
+            ),
+        titleEdited: named,
+        messages,
+      };
+
+      persist(conversation);
+      commit([conversation, ...conversationsRef.current]);
+      activate(conversation.id);
+      return conversation.id;
+    },
+    [commit, persist, activate],
+  );
+
+  const selectConversation = useCallback(
+    (id) => {
+      if (conversationsRef.current.some((c) => c.id === id)) {
+        activate(id);
+      }
+    },
+    [activate],
+  );
+
+  const renameConversation = useCallback(
+    (id, title) => {
+      const trimmed = title.trim();
+      if (!trimmed) return;
+
+      updateConversation(id, (conversation) => ({
+        ...conversation,
+        title: trimmed,
+        titleEdited: true,
+      }));
+    },
+    [updateConversation],
+  );
+
+  const deleteConversation = useCallback(
+    (id) => {
+      deleteItem(STORES.CONVERSATIONS, id).catch((err) => {
+        console.error('Failed to delete conversation:', err);
+      });
+
+      const remaining = conversationsRef.current.filter((c) => c.id !== id);
+
+      if (remaining.length === 0) {
+        const conversation = createConversationRecord(newSettingsRef.current);
+        persist(conversation);
+        commit([conversation]);
+        activate(conversation.id);
+        return;
+      }
+
+      commit(remaining);
+      if (id === activeConversationId) {
+        activate(conversationsRef.current[0].id);
+      }
+    },
+    [activeConversationId, commit, persist, activate],
+  );
+
+  // Settings are metadata, so changing them does not reorder the list
+  const saveSettings = useCallback(
+    (id, settings) => {
+      updateConversation(id, (conversation) => ({
+        ...conversation,
+        settings,
+      }));
+    },
+    [updateConversation],
+  );
+
+  // Switch persona, starting from its default settings
+  const assignPersona = useCallback(
+    (id, personaId, settings) => {
+      updateConversation(id, (conversation) => ({
+        ...conversation,
+        personaId,
+        settings: settings || conversation.settings,
+      }));
+    },
+    [updateConversation],
+  );
+
+  // Store the message list of a conversation, titling it from the first prompt
+  const saveMessages = useCallback(
+    (id, messages) => {
+      updateConversation(id, (conversation) => {
+        if (conversation.messages === messages) return conversation;
+
+        const firstPrompt = messages.find((msg) => msg.sender === 'user');
+        const title = conversation.titleEdited
+          ? conversation.title
+          : titleFromPrompt(
+              firstPrompt?.text || firstPrompt?.attachments?.[0]?.name,
+            );
+
+        return {
+          ...conversation,
+          title,
+          messages,
+          updatedAt: Date.now(),
+        };
+      });
+    },
+    [updateConversation],
+  );
+
+  const activeConversation =
+    conversations.find((c) => c.id === activeConversationId) || null;
+
+  return {
+    conversations,
+    activeConversation,
+    activeConversationId,
+    storageError,
+    createConversation,
+    importConversation,
+    selectConversation,
+    renameConversation,
+    deleteConversation,
+    saveMessages,
+    saveSettings,
+    assignPersona,
+  };
+};
+
+export default useConversations;
@@ -0,0 +1,32 @@
+import {
+  DEFAULT_CONVERSATION_TITLE,
+  titleFromPrompt,
+} from './useConversations';
+
+describe('titleFromPrompt', () => {
+  it('uses the first non-empty line', () => {
+    expect(titleFromPrompt('\n   \n  Plan a trip  \nto Chennai')).toBe(
+      'Plan a trip',
+    );
+  });
+
+  it('skips code blocks', () => {
+    expect(titleFromPrompt('```js\nconst a = 1;\n```\nWhy is this slow?')).toBe(
+      'Why is this slow?',
+    );
+  });
+
+  it('shortens long lines with an ellipsis', () => {
+    const title = titleFromPrompt('word '.repeat(30));
+    expect(title).toHaveLength(48);
+    expect(title.endsWith('…')).toBe(true);
+  });
+
+  it('falls back to the default title', () => {
+    expect(titleFromPrompt('')).toBe(DEFAULT_CONVERSATION_TITLE);
+    expect(titleFromPrompt('```\ncode only\n```')).toBe(
+      DEFAULT_CONVERSATION_TITLE,
+    );
+    expect(titleFromPrompt()).toBe(DEFAULT_CONVERSATION_TITLE);
+  });
+});
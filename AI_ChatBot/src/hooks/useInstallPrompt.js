@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// The browser's "install app" prompt, which can only be shown from a user
+// action after the page has received `beforeinstallprompt`. Browsers that
+// install through their own menu (Safari, Firefox) never fire it.
+const useInstallPrompt = () => {
+  const [promptEvent, setPromptEvent] = useState(null);
+
+  useEffect(() => {
+    const handlePrompt = (event) => {
+      event.preventDefault();
+      setPromptEvent(event);
+    };
+    const handleInstalled = () => setPromptEvent(null);
+
+    window.addEventListener('beforeinstallprompt', handlePrompt);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', handlePrompt);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  // Resolves to true when the user accepted
+  const install = useCallback(async () => {
+    if (!promptEvent) return false;
+    promptEvent.prompt();
+    const { outcome } = await promptEvent.userChoice;
+    // A prompt can only be used once
+    setPromptEvent(null);
+    return outcome === 'accepted';
+  }, [promptEvent]);
+
+  return { canInstall: promptEvent !== null, install };
+};
+
+export default useInstallPrompt;
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+// Whether the browser reports a network connection. `navigator.onLine`
+// can be true without internet access, so failed requests still have to
+// be handled; false is reliable.
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  STORES,
+  StorageErrors,
+  getAll,
+  putItem,
+  deleteItem,
+  createId,
+} from '../utils/db';
+import { normalizeSettings } from '../utils/generationSettings';
+
+const EXPORT_FORMAT = 'ai-assistant-personas';
+const EXPORT_VERSION = 1;
+const NAME_MAX_LENGTH = 60;
+
+export const PersonaImportErrors = {
+  INVALID: 'invalid',
+  EMPTY: 'empty',
+};
+
+const importError = (type, message) => ({ type, message });
+
+const sortByName = (list) =>
+  [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+// Validate one persona from storage or an imported file
+const toPersona = (value, now = Date.now()) => {
+  if (!value || typeof value !== 'object') return null;
+
+  const name = typeof value.name === 'string' ? value.name.trim() : '';
+  if (!name) return null;
+
+  return {
+    id: typeof value.id === 'string' && value.id ? value.id : createId(),
+    name: name.slice(0, NAME_MAX_LENGTH),
+    systemPrompt:
+      typeof value.systemPrompt === 'string' ? value.systemPrompt : '',
+    settings: normalizeSettings(value.settings),
+    createdAt: Number(value.createdAt) || now,
+    updatedAt: now,
+  };
+};
+
+export const serializePersonas = (personas) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      personas: personas.map(({ id, name, systemPrompt, settings }) => ({
+        id,
+        name,
+        systemPrompt,
+        settings,
+      })),
+    },
+    null,
+    2,
+  );
+
+// Accepts an export file, a bare array of personas or a single persona
+export const parsePersonas = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw importError(
+      PersonaImportErrors.INVALID,
+      'The file is not valid JSON.',
+    );
+  }
+
+  const entries = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.personas)
+      ? data.personas
+      : [data];
+
+  const personas = entries.map((entry) => toPersona(entry)).filter(Boolean);
+  if (personas.length === 0) {
+    throw importError(
+      PersonaImportErrors.EMPTY,
+      'No personas with a name were found in the file.',
+    );
+  }
+  return personas;
+};
+
+// Named assistants: a system prompt plus default generation settings
+const usePersonas = () => {
+  const [personas, setPersonas] = useState([]);
+  const [storageError, setStorageError] = useState(null);
+
+  const personasRef = useRef([]);
+
+  const commit = useCallback((next) => {
+    personasRef.current = sortByName(next);
+    setPersonas(personasRef.current);
+  }, []);
+
+  const persist = useCallback((persona) => {
+    putItem(STORES.PERSONAS, persona).catch((err) => {
+      console.error('Failed to save persona:', err);
+      setStorageError(StorageErrors.SAVE_FAILED);
+    });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getAll(STORES.PERSONAS)
+      .catch((err) => {
+        console.warn(
+          '⚠️ Personas unavailable, using memory only:',
+          err.message,
+        );
+        setStorageError(StorageErrors.UNAVAILABLE);
+        return [];
+      })
+      .then((saved) => {
+        if (!cancelled) commit(saved);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [commit]);
+
+  // Create or update a persona, returning the stored record
+  const savePersona = useCallback(
+    (draft) => {
+      const existing = personasRef.current.find((p) => p.id === draft.id);
+      const persona = toPersona({ ...existing, ...draft });
+      if (!persona) return null;
+
+      persist(persona);
+      commit([
+        ...personasRef.current.filter((p) => p.id !== persona.id),
+        persona,
+      ]);
+      return persona;
+    },
+    [commit, persist],
+  );
+
+  const deletePersona = useCallback(
+    (id) => {
+      deleteItem(STORES.PERSONAS, id).catch((err) => {
+        console.error('Failed to delete persona:', err);
+      });
+      commit(personasRef.current.filter((p) => p.id !== id));
+    },
+    [commit],
+  );
+
+  // Personas with a known id are replaced, so re-importing a file updates
+  // them instead of creating duplicates
+  const importPersonas = useCallback(
+    (text) => {
+      const imported = parsePersonas(text);
+      imported.forEach(persist);
+
+      const importedIds = new Set(imported.map((p) => p.id));
+      commit([
+        ...personasRef.current.filter((p) => !importedIds.has(p.id)),
+        ...imported,
+      ]);
+      return imported.length;
+    },
+    [commit, persist],
+  );
+
+  const exportPersonas = useCallback(
+    () => serializePersonas(personasRef.current),
+    [],
+  );
+
+  return {
+    personas,
+    storageError,
+    savePersona,
+    deletePersona,
+    importPersonas,
+    exportPersonas,
+  };
+};
+
+export default usePersonas;
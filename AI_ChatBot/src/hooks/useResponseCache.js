@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  clearResponseCache,
+  getCachedResponse,
+  putCachedResponse,
+  responseCacheKey,
+  responseCacheStats,
+} from '../utils/responseCache';
+
+const ENABLED_KEY = 'responseCache';
+
+// The local answer cache. A request is
+// { provider, model, params, messages }; lookups and stores are skipped
+// while the cache is turned off, and storage failures only cost a cache miss.
+const useResponseCache = () => {
+  const [enabled, setEnabled] = useState(
+    () => localStorage.getItem(ENABLED_KEY) !== 'false',
+  );
+  const [stats, setStats] = useState({ count: 0, bytes: 0 });
+
+  useEffect(() => {
+    localStorage.setItem(ENABLED_KEY, String(enabled));
+  }, [enabled]);
+
+  const refreshStats = useCallback(() => {
+    responseCacheStats()
+      .then(setStats)
+      .catch(() => setStats({ count: 0, bytes: 0 }));
+  }, []);
+
+  useEffect(() => {
+    refreshStats();
+  }, [refreshStats]);
+
+  const lookup = useCallback(
+    async (request) => {
+      if (!enabled) return null;
+      try {
+        return await getCachedResponse(await responseCacheKey(request));
+      } catch (err) {
+        console.warn('⚠️ Response cache unavailable:', err.message);
+        return null;
+      }
+    },
+    [enabled],
+  );
+
+  const store = useCallback(
+    async (request, text) => {
+      if (!enabled || !text) return;
+      try {
+        await putCachedResponse(await responseCacheKey(request), text, request);
+        refreshStats();
+      } catch (err) {
+        console.warn('⚠️ Failed to cache response:', err.message);
+      }
+    },
+    [enabled, refreshStats],
+  );
+
+  const clear = useCallback(async () => {
+    try {
+      await clearResponseCache();
+    } catch (err) {
+      console.warn('⚠️ Failed to clear response cache:', err.message);
+    }
+    refreshStats();
+  }, [refreshStats]);
+
+  return { enabled, setEnabled, stats, lookup, store, clear };
+};
+
+export default useResponseCache;
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { slashSuggestions } from '../utils/slashCommands';
+
+// Keyboard-driven autocomplete for slash commands in the composer.
+// `onInsert(text)` puts a completion into the composer and `onRun(text)`
+// runs a complete command. `handleKeyDown` returns true when it used the key.
+const useSlashCommands = ({ input, commands, onInsert, onRun }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Escape hides the menu until the input changes
+  const [dismissedInput, setDismissedInput] = useState(null);
+
+  const suggestions =
+    dismissedInput === input ? [] : slashSuggestions(input, commands);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [input]);
+
+  const choose = (suggestion) => {
+    if (suggestion.final) {
+      onRun(suggestion.text);
+    } else {
+      onInsert(suggestion.text);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return false;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        setActiveIndex((i) => (i + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        setActiveIndex(
+          (i) => (i - 1 + suggestions.length) % suggestions.length,
+        );
+        break;
+      case 'Tab':
+        onInsert(suggestions[activeIndex].text);
+        break;
+      case 'Enter':
+        if (e.shiftKey) return false;
+        choose(suggestions[activeIndex]);
+        break;
+      case 'Escape':
+        setDismissedInput(input);
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  return { suggestions, activeIndex, setActiveIndex, choose, handleKeyDown };
+};
+
+export default useSlashCommands;
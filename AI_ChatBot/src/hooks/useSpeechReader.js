@@ -0,0 +1,239 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createSentenceSplitter, detectLanguage } from '../utils/speechText';
+import {
+  highlightSentence,
+  clearSpeechHighlight,
+} from '../utils/speechHighlight';
+
+export const ReaderStatus = {
+  IDLE: 'idle',
+  SPEAKING: 'speaking',
+  PAUSED: 'paused',
+};
+
+const IDLE_STATE = {
+  status: ReaderStatus.IDLE,
+  sourceId: null,
+  index: 0,
+  total: 0,
+  sentence: '',
+};
+
+// Reads a response aloud one sentence at a time. Text can be appended while
+// it is still streaming in; each completed sentence is queued as its own
+// utterance, which is what makes pause, skip and the on-screen highlight
+// possible. `sourceId` names the message being read: its bubble carries a
+// matching `data-speech-source` attribute so the sentence can be highlighted.
+//
+// `resolveVoice(lang)` picks the voice for a sentence; `lang` is the language
+// guessed from the sentence's script, or null for Latin text.
+const useSpeechReader = ({ resolveVoice, rate = 1, pitch = 1, volume = 1 }) => {
+  const [state, setState] = useState(IDLE_STATE);
+
+  const synthesis = typeof window !== 'undefined' && window.speechSynthesis;
+  const supported = Boolean(synthesis);
+
+  const sessionRef = useRef(null);
+  const utteranceRef = useRef(null);
+  const resolveVoiceRef = useRef(resolveVoice);
+  resolveVoiceRef.current = resolveVoice;
+  const optionsRef = useRef({ rate, pitch, volume });
+  optionsRef.current = { rate, pitch, volume };
+
+  const finish = useCallback(() => {
+    sessionRef.current = null;
+    utteranceRef.current = null;
+    clearSpeechHighlight();
+    setState(IDLE_STATE);
+  }, []);
+
+  const speakNext = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || session.paused || utteranceRef.current) return;
+
+    if (session.index >= session.queue.length) {
+      // Wait for more text unless the response is complete
+      if (session.complete) finish();
+      return;
+    }
+
+    const index = session.index++;
+    const sentence = session.queue[index];
+    const utterance = new SpeechSynthesisUtterance(sentence);
+    const lang = detectLanguage(sentence);
+    const voice = resolveVoiceRef.current?.(lang);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else if (lang) {
+      // No installed voice for it; the browser may still find one
+      utterance.lang = lang;
+    }
+    Object.assign(utterance, optionsRef.current);
+
+    utterance.onstart = () => {
+      if (utteranceRef.current !== utterance) return;
+      const container = document.querySelector(
+        `[data-speech-source="${session.sourceId}"]`,
+      );
+      session.highlightFrom = highlightSentence(
+        container,
+        sentence,
+        session.highlightFrom,
+      );
+      setState({
+        status: ReaderStatus.SPEAKING,
+        sourceId: session.sourceId,
+        index,
+        total: session.queue.length,
+        sentence,
+      });
+    };
+
+    utterance.onend = () => {
+      if (utteranceRef.current !== utterance) return;
+      utteranceRef.current = null;
+      speakNext();
+    };
+
+    utterance.onerror = (event) => {
+      if (utteranceRef.current !== utterance) return;
+      // Speech cancelled from elsewhere (e.g. another reply being read)
+      if (event.error === 'interrupted' || event.error === 'canceled') {
+        finish();
+        return;
+      }
+      console.error('Speech synthesis error:', event.error);
+      utteranceRef.current = null;
+      speakNext();
+    };
+
+    utteranceRef.current = utterance;
+    synthesis.speak(utterance);
+  }, [synthesis, finish]);
+
+  // Drop the current utterance without the cancel counting as an error
+  const cancelCurrent = useCallback(() => {
+    utteranceRef.current = null;
+    synthesis?.cancel();
+  }, [synthesis]);
+
+  // Start reading a new response, replacing anything being read
+  const begin = useCallback(
+    (sourceId) => {
+      if (!supported) return;
+      cancelCurrent();
+      clearSpeechHighlight();
+      sessionRef.current = {
+        sourceId,
+        splitter: createSentenceSplitter(),
+        queue: [],
+        index: 0,
+        complete: false,
+        paused: false,
+        highlightFrom: 0,
+      };
+      setState({ ...IDLE_STATE, status: ReaderStatus.SPEAKING, sourceId });
+    },
+    [supported, cancelCurrent],
+  );
+
+  const enqueue = useCallback(
+    (sentences) => {
+      const session = sessionRef.current;
+      if (!session || sentences.length === 0) return;
+      session.queue.push(...sentences);
+      setState((prev) => ({ ...prev, total: session.queue.length }));
+      speakNext();
+    },
+    [speakNext],
+  );
+
+  const append = useCallback(
+    (text) => {
+      const session = sessionRef.current;
+      if (session) enqueue(session.splitter.push(text));
+    },
+    [enqueue],
+  );
+
+  // No more text is coming for this response
+  const end = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    session.complete = true;
+    enqueue(session.splitter.flush());
+    speakNext();
+  }, [enqueue, speakNext]);
+
+  const read = useCallback(
+    (sourceId, text) => {
+      begin(sourceId);
+      append(text);
+      end();
+    },
+    [begin, append, end],
+  );
+
+  const pause = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || session.paused) return;
+    session.paused = true;
+    synthesis.pause();
+    setState((prev) => ({ ...prev, status: ReaderStatus.PAUSED }));
+  }, [synthesis]);
+
+  const resume = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || !session.paused) return;
+    session.paused = false;
+    synthesis.resume();
+    setState((prev) => ({ ...prev, status: ReaderStatus.SPEAKING }));
+    speakNext();
+  }, [synthesis, speakNext]);
+
+  const skip = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    cancelCurrent();
+    if (session.paused) {
+      session.paused = false;
+      synthesis.resume();
+      setState((prev) => ({ ...prev, status: ReaderStatus.SPEAKING }));
+    }
+    speakNext();
+  }, [synthesis, cancelCurrent, speakNext]);
+
+  const stop = useCallback(() => {
+    if (!sessionRef.current) return;
+    cancelCurrent();
+    finish();
+  }, [cancelCurrent, finish]);
+
+  useEffect(
+    () => () => {
+      if (sessionRef.current) {
+        utteranceRef.current = null;
+        window.speechSynthesis?.cancel();
+        clearSpeechHighlight();
+      }
+    },
+    [],
+  );
+
+  return {
+    ...state,
+    isActive: state.status !== ReaderStatus.IDLE,
+    supported,
+    begin,
+    append,
+    end,
+    read,
+    pause,
+    resume,
+    skip,
+    stop,
+  };
+};
+
+export default useSpeechReader;
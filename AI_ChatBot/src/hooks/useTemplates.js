@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  STORES,
+  StorageErrors,
+  getAll,
+  putItem,
+  deleteItem,
+} from '../utils/db';
+import {
+  SEED_TEMPLATES,
+  parseTemplates,
+  toTemplate,
+} from '../utils/promptTemplates';
+
+// Set once the built-in templates have been stored, so deleting them sticks
+const SEEDED_KEY = 'templatesSeeded';
+
+const sortByCreation = (list) =>
+  [...list].sort((a, b) => a.createdAt - b.createdAt);
+
+// The prompt template library, stored locally and seeded with the
+// built-in suggestions on first use
+const useTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [storageError, setStorageError] = useState(null);
+
+  const templatesRef = useRef([]);
+
+  const commit = useCallback((next) => {
+    templatesRef.current = sortByCreation(next);
+    setTemplates(templatesRef.current);
+  }, []);
+
+  const persist = useCallback((template) => {
+    putItem(STORES.TEMPLATES, template).catch((err) => {
+      console.error('Failed to save template:', err);
+      setStorageError(StorageErrors.SAVE_FAILED);
+    });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getAll(STORES.TEMPLATES)
+      .catch((err) => {
+        console.warn(
+          '⚠️ Templates unavailable, using built-in ones only:',
+          err.message,
+        );
+        setStorageError(StorageErrors.UNAVAILABLE);
+        return null;
+      })
+      .then((saved) => {
+        if (cancelled) return;
+
+        if (saved === null) {
+          commit(SEED_TEMPLATES);
+          return;
+        }
+        if (localStorage.getItem(SEEDED_KEY) !== 'true') {
+          const missing = SEED_TEMPLATES.filter(
+            (seed) => !saved.some((template) => template.id === seed.id),
+          );
+          missing.forEach(persist);
+          localStorage.setItem(SEEDED_KEY, 'true');
+          commit([...saved, ...missing]);
+          return;
+        }
+        commit(saved);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [commit, persist]);
+
+  // Create or update a template. Saving a built-in one turns it into an
+  // ordinary template with the text as edited.
+  const saveTemplate = useCallback(
+    (draft) => {
+      const existing = templatesRef.current.find((t) => t.id === draft.id);
+      const template = toTemplate({ ...existing, ...draft, seed: null });
+      if (!template) return null;
+
+      persist(template);
+      commit([
+        ...templatesRef.current.filter((t) => t.id !== template.id),
+        template,
+      ]);
+      return template;
+    },
+    [commit, persist],
+  );
+
+  const deleteTemplate = useCallback(
+    (id) => {
+      deleteItem(STORES.TEMPLATES, id).catch((err) => {
+        console.error('Failed to delete template:', err);
+      });
+      commit(templatesRef.current.filter((t) => t.id !== id));
+    },
+    [commit],
+  );
+
+  // Templates with a known id are replaced, so re-importing a shared file
+  // updates them instead of creating duplicates
+  const importTemplates = useCallback(
+    (text) => {
+      const imported = parseTemplates(text);
+      imported.forEach(persist);
+
+      const importedIds = new Set(imported.map((t) => t.id));
+      commit([
+        ...templatesRef.current.filter((t) => !importedIds.has(t.id)),
+        ...imported,
+      ]);
+      return imported.length;
+    },
+    [commit, persist],
+  );
+
+  return {
+    templates,
+    storageError,
+    saveTemplate,
+    deleteTemplate,
+    importTemplates,
+  };
+};
+
+export default useTemplates;
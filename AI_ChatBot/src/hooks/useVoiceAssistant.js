@@ -13,10 +13,16 @@ const useVoiceAssistant = (options = {}) => {
   const [isListening, setIsListening] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [transcript, setTranscript] = useState('');
+  const [isFinalTranscript, setIsFinalTranscript] = useState(false);
+  const [recognitionSupported, setRecognitionSupported] = useState(true);
   const [voiceSupported, setVoiceSupported] = useState(true);
   const [voices, setVoices] = useState([]);
   const [selectedVoice, setSelectedVoice] = useState(null);
   const [error, setError] = useState(null);
+  // `error` is an English message; `errorCode` and `errorDetail` let the UI
+  // show it in the interface language instead
+  const [errorCode, setErrorCode] = useState(null);
+  const [errorDetail, setErrorDetail] = useState(null);
   const [permissionStatus, setPermissionStatus] = useState('prompt');
 
   const recognitionRef = useRef(null);
@@ -24,6 +30,12 @@ const useVoiceAssistant = (options = {}) => {
   const utteranceRef = useRef(null);
   const timeoutRef = useRef(null);
 
+  const reportError = useCallback((code, message, detail = null) => {
+    setError(message);
+    setErrorCode(code);
+    setErrorDetail(detail);
+  }, []);
+
   // Check for browser support
   useEffect(() => {
     const isSpeechSupported = 'SpeechRecognition' in window || 
@@ -32,9 +44,10 @@ const useVoiceAssistant = (options = {}) => {
     const isSynthesisSupported = 'speechSynthesis' in window;
     
     setVoiceSupported(isSpeechSupported && isSynthesisSupported);
+    setRecognitionSupported(isSpeechSupported);
     
     if (!isSpeechSupported) {
-      setError('Speech recognition is not supported in this browser. Please use Chrome, Edge, or Safari.');
+      reportError('unsupported', 'Speech recognition is not supported in this browser. Please use Chrome, Edge, or Safari.');
     }
 
     // Check microphone permission
@@ -50,7 +63,12 @@ const useVoiceAssistant = (options = {}) => {
           setPermissionStatus('prompt');
         });
     }
-  }, []);
+  }, [reportError]);
+
+  // A voice picked for the previous language would read the new one badly
+  useEffect(() => {
+    setSelectedVoice(null);
+  }, [language]);
 
   // Load available voices
   useEffect(() => {
@@ -59,7 +77,11 @@ const useVoiceAssistant = (options = {}) => {
       setVoices(availableVoices);
       
       if (availableVoices.length > 0 && !selectedVoice) {
-        const defaultVoice = availableVoices.find(v => v.lang.includes(language)) || availableVoices[0];
+        // Prefer the exact region, then any voice for the same language
+        const base = language.split('-')[0].toLowerCase();
+        const defaultVoice = availableVoices.find(v => v.lang === language) ||
+                             availableVoices.find(v => v.lang.split(/[-_]/)[0].toLowerCase() === base) ||
+                             availableVoices[0];
         setSelectedVoice(defaultVoice);
       }
     };
@@ -97,10 +119,10 @@ const useVoiceAssistant = (options = {}) => {
     } catch (error) {
       console.error('Microphone permission error:', error);
       setPermissionStatus('denied');
-      setError('Microphone access is required for voice input. Please allow microphone access in your browser settings.');
+      reportError('permission', 'Microphone access is required for voice input. Please allow microphone access in your browser settings.');
       return false;
     }
-  }, []);
+  }, [reportError]);
 
   // Initialize speech recognition
   const initRecognition = useCallback(() => {
@@ -109,7 +131,7 @@ const useVoiceAssistant = (options = {}) => {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 
     if (!SpeechRecognition) {
-      setError('Speech recognition not supported');
+      reportError('unsupported', 'Speech recognition not supported');
       return null;
     }
 
@@ -132,7 +154,7 @@ const useVoiceAssistant = (options = {}) => {
       timeoutRef.current = setTimeout(() => {
         if (isListening) {
           console.log('No speech detected - stopping');
-          setError('No speech detected. Please speak into your microphone and try again.');
+          reportError('no-speech', 'No speech detected. Please speak into your microphone and try again.');
           recognition.stop();
         }
       }, 5000);
@@ -152,6 +174,7 @@ const useVoiceAssistant = (options = {}) => {
       console.error('Speech recognition error:', event.error);
       
       let errorMessage = '';
+      let errorCode = event.error;
       
       switch (event.error) {
         case 'no-speech':
@@ -168,10 +191,11 @@ const useVoiceAssistant = (options = {}) => {
           errorMessage = 'Network error occurred. Please check your internet connection.';
           break;
         default:
+          errorCode = 'recognition';
           errorMessage = `Speech recognition error: ${event.error}`;
       }
       
-      setError(errorMessage);
+      reportError(errorCode, errorMessage, event.error);
     };
 
     recognition.onresult = (event) => {
@@ -196,7 +220,8 @@ const useVoiceAssistant = (options = {}) => {
         }
       }
       
-      setTranscript(finalTranscript || interimTranscript);
+      setTranscript(finalTranscript + interimTranscript);
+      setIsFinalTranscript(Boolean(finalTranscript) && !interimTranscript);
       
       // If this is a final result, stop listening
       if (finalTranscript && !continuous) {
@@ -207,12 +232,12 @@ const useVoiceAssistant = (options = {}) => {
     };
 
     return recognition;
-  }, [voiceSupported, continuous, interimResults, language, isListening]);
+  }, [voiceSupported, continuous, interimResults, language, isListening, reportError]);
 
   // Start listening
   const startListening = useCallback(async () => {
     if (!voiceSupported) {
-      setError('Voice recognition not supported');
+      reportError('unsupported', 'Voice recognition not supported');
       return;
     }
 
@@ -227,7 +252,7 @@ const useVoiceAssistant = (options = {}) => {
     // Check if microphone is available
     const hasMicrophone = await checkMicrophoneAvailability();
     if (!hasMicrophone) {
-      setError('No microphone found. Please connect a microphone and try again.');
+      reportError('no-microphone', 'No microphone found. Please connect a microphone and try again.');
       return;
     }
 
@@ -246,13 +271,14 @@ const useVoiceAssistant = (options = {}) => {
         recognitionRef.current = recognition;
         recognition.start();
         setTranscript('');
+        setIsFinalTranscript(false);
         setError(null);
       }
     } catch (err) {
       console.error('Failed to start listening:', err);
-      setError('Failed to start voice recognition. Please try again.');
+      reportError('start-failed', 'Failed to start voice recognition. Please try again.');
     }
-  }, [voiceSupported, permissionStatus, requestMicrophonePermission, checkMicrophoneAvailability, initRecognition]);
+  }, [voiceSupported, permissionStatus, requestMicrophonePermission, checkMicrophoneAvailability, initRecognition, reportError]);
 
   // Stop listening
   const stopListening = useCallback(() => {
@@ -276,7 +302,7 @@ const useVoiceAssistant = (options = {}) => {
   // Speak text
   const speak = useCallback((text, options = {}) => {
     if (!voiceSupported || !synthesisRef.current) {
-      setError('Text-to-speech not supported');
+      reportError('tts-unsupported', 'Text-to-speech not supported');
       return;
     }
 
@@ -302,22 +328,27 @@ const useVoiceAssistant = (options = {}) => {
       utterance.onend = () => {
         setIsSpeaking(false);
         utteranceRef.current = null;
+        options.onEnd?.();
       };
 
       utterance.onerror = (event) => {
-        console.error('Speech synthesis error:', event);
-        setError(`Speech error: ${event.error}`);
+        // Cancelling speech (stop button, barge-in) is not a failure
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+          console.error('Speech synthesis error:', event);
+          reportError('speech', `Speech error: ${event.error}`, event.error);
+        }
         setIsSpeaking(false);
         utteranceRef.current = null;
+        options.onEnd?.();
       };
 
       utteranceRef.current = utterance;
       synthesisRef.current.speak(utterance);
     } catch (err) {
       console.error('Failed to speak:', err);
-      setError('Failed to start text-to-speech');
+      reportError('tts-failed', 'Failed to start text-to-speech');
     }
-  }, [voiceSupported, selectedVoice, voices, rate, pitch, volume, language]);
+  }, [voiceSupported, selectedVoice, voices, rate, pitch, volume, language, reportError]);
 
   // Stop speaking
   const stopSpeaking = useCallback(() => {
@@ -336,6 +367,14 @@ const useVoiceAssistant = (options = {}) => {
   // Clear transcript
   const clearTranscript = useCallback(() => {
     setTranscript('');
+    setIsFinalTranscript(false);
+  }, []);
+
+  // Clear error
+  const clearError = useCallback(() => {
+    setError(null);
+    setErrorCode(null);
+    setErrorDetail(null);
   }, []);
 
   // Cleanup
@@ -363,11 +402,15 @@ const useVoiceAssistant = (options = {}) => {
     isListening,
     isSpeaking,
     transcript,
+    isFinalTranscript,
     voiceSupported,
+    recognitionSupported,
     voices,
     selectedVoice,
     setSelectedVoice,
     error,
+    errorCode,
+    errorDetail,
     permissionStatus,
     startListening,
     stopListening,
@@ -375,6 +418,7 @@ const useVoiceAssistant = (options = {}) => {
     stopSpeaking,
     getTranscript,
     clearTranscript,
+    clearError,
     checkMicrophoneAvailability,
     requestMicrophonePermission,
   };
@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toSpeechText } from '../utils/speechText';
+import { monitorVoiceActivity } from '../utils/voiceActivity';
+
+export const VoicePhase = {
+  OFF: 'off',
+  IDLE: 'idle',
+  LISTENING: 'listening',
+  THINKING: 'thinking',
+  SPEAKING: 'speaking',
+};
+
+const PUSH_TO_TALK_KEY = ' ';
+// How long to wait for the final result after push-to-talk is released
+const RELEASE_GRACE_MS = 1500;
+
+const isEditableTarget = (target) =>
+  target?.isContentEditable ||
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+
+// Hands-free conversation on top of useVoiceAssistant:
+//   listening -> (final transcript) -> thinking -> (reply) -> speaking
+//   -> listening again.
+// Talking over the reply (barge-in) or holding Space (push-to-talk) cuts the
+// speech short and starts listening. `onSend(prompt)` must resolve to the
+// reply text, or to nothing when the request failed or was stopped.
+const useVoiceConversation = ({ voice, onSend }) => {
+  const {
+    isListening,
+    transcript,
+    isFinalTranscript,
+    startListening,
+    stopListening,
+    speak,
+    stopSpeaking,
+    clearTranscript,
+  } = voice;
+
+  const [phase, setPhase] = useState(VoicePhase.OFF);
+
+  // Callbacks from recognition and speech read the phase through this ref
+  const phaseRef = useRef(VoicePhase.OFF);
+  const onSendRef = useRef(onSend);
+  onSendRef.current = onSend;
+  const wasListeningRef = useRef(false);
+  const pushToTalkRef = useRef(false);
+  const releaseTimerRef = useRef(null);
+
+  const updatePhase = useCallback((next) => {
+    clearTimeout(releaseTimerRef.current);
+    releaseTimerRef.current = null;
+    phaseRef.current = next;
+    setPhase(next);
+  }, []);
+
+  const listen = useCallback(() => {
+    stopSpeaking();
+    clearTranscript();
+    updatePhase(VoicePhase.LISTENING);
+    startListening();
+  }, [stopSpeaking, clearTranscript, startListening, updatePhase]);
+
+  const start = useCallback(() => {
+    if (phaseRef.current === VoicePhase.OFF) listen();
+  }, [listen]);
+
+  const stop = useCallback(() => {
+    updatePhase(VoicePhase.OFF);
+    pushToTalkRef.current = false;
+    stopListening();
+    stopSpeaking();
+  }, [stopListening, stopSpeaking, updatePhase]);
+
+  // A final transcript is sent straight away; the reply is read aloud
+  useEffect(() => {
+    if (
+      phaseRef.current !== VoicePhase.LISTENING ||
+      !isFinalTranscript ||
+      !transcript.trim()
+    ) {
+      return;
+    }
+
+    const prompt = transcript.trim();
+    clearTranscript();
+    updatePhase(VoicePhase.THINKING);
+
+    Promise.resolve(onSendRef.current(prompt)).then((reply) => {
+      if (phaseRef.current !== VoicePhase.THINKING) return;
+      if (!reply) {
+        updatePhase(VoicePhase.IDLE);
+        return;
+      }
+
+      updatePhase(VoicePhase.SPEAKING);
+      speak(toSpeechText(reply), {
+        onEnd: () => {
+          if (phaseRef.current === VoicePhase.SPEAKING) listen();
+        },
+      });
+    });
+  }, [
+    transcript,
+    isFinalTranscript,
+    clearTranscript,
+    speak,
+    listen,
+    updatePhase,
+  ]);
+
+  // Recognition that ends without a result (silence or an error) pauses the
+  // loop until the user asks to talk
+  useEffect(() => {
+    if (
+      wasListeningRef.current &&
+      !isListening &&
+      phaseRef.current === VoicePhase.LISTENING &&
+      !isFinalTranscript &&
+      !releaseTimerRef.current
+    ) {
+      updatePhase(VoicePhase.IDLE);
+    }
+    wasListeningRef.current = isListening;
+  }, [isListening, isFinalTranscript, updatePhase]);
+
+  // Barge-in: stop reading the reply as soon as the user starts talking
+  useEffect(() => {
+    if (phase !== VoicePhase.SPEAKING) return;
+
+    let release = null;
+    let cancelled = false;
+
+    monitorVoiceActivity({
+      onSpeech: () => {
+        if (phaseRef.current === VoicePhase.SPEAKING) listen();
+      },
+    })
+      .then((stopMonitoring) => {
+        if (cancelled) stopMonitoring();
+        else release = stopMonitoring;
+      })
+      .catch((err) => {
+        console.warn('⚠️ Barge-in unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      release?.();
+    };
+  }, [phase, listen]);
+
+  // Push-to-talk: hold Space outside text fields; Escape ends the mode
+  useEffect(() => {
+    if (phase === VoicePhase.OFF) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        stop();
+        return;
+      }
+      if (
+        e.key !== PUSH_TO_TALK_KEY ||
+        e.repeat ||
+        isEditableTarget(e.target) ||
+        phaseRef.current === VoicePhase.THINKING
+      ) {
+        return;
+      }
+      e.preventDefault();
+      pushToTalkRef.current = true;
+      if (!isListening) listen();
+    };
+
+    const handleKeyUp = (e) => {
+      if (e.key !== PUSH_TO_TALK_KEY || !pushToTalkRef.current) return;
+      e.preventDefault();
+      pushToTalkRef.current = false;
+      // Stopping makes the recogniser deliver its final result, which can
+      // arrive after it already reports that it stopped listening
+      releaseTimerRef.current = setTimeout(() => {
+        releaseTimerRef.current = null;
+        if (phaseRef.current === VoicePhase.LISTENING) {
+          updatePhase(VoicePhase.IDLE);
+        }
+      }, RELEASE_GRACE_MS);
+      stopListening();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [phase, isListening, listen, stop, stopListening, updatePhase]);
+
+  useEffect(() => () => clearTimeout(releaseTimerRef.current), []);
+
+  return {
+    phase,
+    isActive: phase !== VoicePhase.OFF,
+    transcript: phase === VoicePhase.LISTENING ? transcript : '',
+    start,
+    stop,
+    listen,
+  };
+};
+
+export default useVoiceConversation;
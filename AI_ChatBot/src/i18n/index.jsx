@@ -0,0 +1,137 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from 'react';
+import { ENV_CONFIG } from '../config';
+import en from './locales/en.json';
+
+// `speechLanguage` is the BCP 47 tag used for speech recognition and
+// synthesis while the interface is in that language. Only English is
+// bundled; the other catalogs are fetched when they are first picked.
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', speechLanguage: 'en-US' },
+  ta: {
+    label: 'தமிழ்',
+    dir: 'ltr',
+    speechLanguage: 'ta-IN',
+    load: () => import('./locales/ta.json'),
+  },
+  ar: {
+    label: 'العربية',
+    dir: 'rtl',
+    speechLanguage: 'ar-SA',
+    load: () => import('./locales/ar.json'),
+  },
+  hi: {
+    label: 'हिन्दी',
+    dir: 'ltr',
+    speechLanguage: 'hi-IN',
+    load: () => import('./locales/hi.json'),
+  },
+};
+
+export const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'locale';
+
+// Messages of every locale loaded so far
+const catalogs = { en };
+
+const loadCatalog = async (locale) => {
+  if (!catalogs[locale]) {
+    catalogs[locale] = (await LOCALES[locale].load()).default;
+  }
+  return catalogs[locale];
+};
+
+const baseOf = (tag = '') => tag.split(/[-_]/)[0].toLowerCase();
+
+// The saved choice, else the first browser language we have, else English
+const initialLocale = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (LOCALES[saved]) return saved;
+
+  const preferred = navigator.languages || [navigator.language];
+  return preferred.map(baseOf).find((lang) => LOCALES[lang]) || DEFAULT_LOCALE;
+};
+
+// REACT_APP_VOICE_LANGUAGE still picks the regional variant (e.g. en-GB)
+// when it matches the interface language
+export const speechLanguageFor = (locale) =>
+  baseOf(ENV_CONFIG.VOICE_LANGUAGE) === locale
+    ? ENV_CONFIG.VOICE_LANGUAGE
+    : LOCALES[locale].speechLanguage;
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => node?.[part], messages);
+
+// `t('sidebar.messages', { count: 3 })` tries `messages_<plural form>` first,
+// then `messages_other`, then `messages`; `{{name}}` is replaced from `vars`.
+// Missing translations, and locales that have not loaded yet, fall back to
+// English, then to the key itself.
+export const translate = (locale, key, vars = {}) => {
+  const candidates = [key];
+  if (typeof vars.count === 'number') {
+    const form = new Intl.PluralRules(locale).select(vars.count);
+    candidates.unshift(`${key}_${form}`, `${key}_other`);
+  }
+
+  let text;
+  for (const messages of [catalogs[locale], en]) {
+    text = candidates
+      .map((candidate) => lookup(messages, candidate))
+      .find((value) => typeof value === 'string');
+    if (text !== undefined) break;
+  }
+  if (text === undefined) return key;
+
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    vars[name] === undefined ? match : String(vars[name]),
+  );
+};
+
+const contextFor = (locale, setLocale) => ({
+  locale,
+  setLocale,
+  dir: LOCALES[locale].dir,
+  speechLanguage: speechLanguageFor(locale),
+  t: (key, vars) => translate(locale, key, vars),
+});
+
+const I18nContext = createContext(contextFor(DEFAULT_LOCALE, () => {}));
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(initialLocale);
+  // The interface only switches once the picked locale's messages are in
+  const [shownLocale, setShownLocale] = useState(DEFAULT_LOCALE);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, locale);
+
+    let active = true;
+    loadCatalog(locale)
+      .then(() => {
+        if (active) setShownLocale(locale);
+      })
+      .catch((error) => console.error('Failed to load locale:', error));
+    return () => {
+      active = false;
+    };
+  }, [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = shownLocale;
+    document.documentElement.dir = LOCALES[shownLocale].dir;
+  }, [shownLocale]);
+
+  const value = useMemo(
+    () => contextFor(shownLocale, setLocale),
+    [shownLocale],
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
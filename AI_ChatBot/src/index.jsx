@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { I18nProvider } from './i18n'
+import { APP_UPDATE_EVENT } from './hooks/useAppUpdate'
+import * as serviceWorkerRegistration from './serviceWorkerRegistration'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </StrictMode>,
 )
+
+// Cache the app shell so the app opens without a connection; the app offers
+// to reload when a new version has been installed
+serviceWorkerRegistration.register({
+  onUpdate: (registration) =>
+    window.dispatchEvent(
+      new CustomEvent(APP_UPDATE_EVENT, { detail: registration }),
+    ),
+})
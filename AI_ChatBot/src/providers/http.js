@@ -0,0 +1,155 @@
+import { ErrorTypes } from '../config';
+import { readTextStream } from '../utils/streaming';
+
+// Errors are thrown as plain { type, message, status } objects so the retry
+// logic in useAIProvider can switch on `type` regardless of the provider.
+export const providerError = (type, message, status = 0) => ({
+  type,
+  message,
+  status,
+});
+
+export const abortedError = () =>
+  providerError(ErrorTypes.ABORTED, 'Request cancelled');
+
+// Sampling parameters in the OpenAI-style shape most chat APIs accept
+export const generationParams = ({
+  temperature,
+  top_p,
+  max_tokens,
+  presence_penalty,
+  frequency_penalty,
+}) => ({
+  temperature,
+  top_p,
+  max_tokens,
+  presence_penalty,
+  frequency_penalty,
+});
+
+// Chat messages carry attached images as `images` (data URLs); OpenAI-style
+// APIs want them as content parts next to the text instead
+export const toOpenAIMessages = (messages) =>
+  messages.map(({ images, ...message }) =>
+    images?.length
+      ? {
+          ...message,
+          content: [
+            { type: 'text', text: message.content },
+            ...images.map((url) => ({ type: 'image_url', image_url: { url } })),
+          ],
+        }
+      : message,
+  );
+
+// Default HTTP status mapping shared by the REST providers
+export const errorFromStatus = (status, detail) => {
+  switch (status) {
+    case 401:
+    case 403:
+      return providerError(ErrorTypes.AUTH, 'Invalid API key', status);
+    case 429:
+      return providerError(
+        ErrorTypes.RATE_LIMIT,
+        'Rate limit exceeded',
+        status,
+      );
+    case 500:
+    case 502:
+    case 503:
+    case 504:
+      return providerError(ErrorTypes.SERVER, 'Service unavailable', status);
+    default:
+      return providerError(
+        ErrorTypes.UNKNOWN,
+        detail || `API Error: ${status}`,
+        status,
+      );
+  }
+};
+
+const readErrorDetail = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return typeof data.error === 'string' ? data.error : data.error?.message;
+};
+
+// POST a chat request and return the reply text.
+//
+// Streams through onToken when given and the server answers with a stream,
+// otherwise parses the JSON body with parseResponse. Aborts after `timeout`
+// or when the caller's signal fires, and maps failures to ErrorTypes.
+export const postChat = async ({
+  url,
+  headers = {},
+  body,
+  timeout,
+  signal,
+  onToken,
+  parseResponse,
+  mapError = errorFromStatus,
+}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    if (signal?.aborted) controller.abort();
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw mapError(response.status, await readErrorDetail(response));
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (onToken && response.body && !contentType.includes('application/json')) {
+      const text = await readTextStream(response, onToken);
+      return text || 'No response generated';
+    }
+
+    return parseResponse(await response.json()) || 'No response generated';
+  } catch (error) {
+    clearTimeout(timeoutId);
+
+    if (signal?.aborted) throw abortedError();
+
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw providerError(ErrorTypes.TIMEOUT, 'Request timeout', 408);
+    }
+
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw providerError(ErrorTypes.NETWORK, 'Network connection failed', 0);
+    }
+
+    if (error.isStreamError) {
+      throw providerError(ErrorTypes.UNKNOWN, error.message);
+    }
+
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+// GET helper for health checks and model lists; resolves null on failure
+export const getJSON = async (url, { headers = {}, timeout = 5000 } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
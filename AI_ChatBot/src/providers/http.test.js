@@ -0,0 +1,153 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { ErrorTypes } from '../config';
+import { errorFromStatus, postChat } from './http';
+
+// jsdom has no text codecs
+global.TextDecoder = TextDecoder;
+
+const encoder = new TextEncoder();
+
+// A fetch Response stand-in; `chunks` become a readable body
+const responseOf = ({
+  status = 200,
+  json = {},
+  contentType = 'application/json',
+  chunks = null,
+}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => contentType },
+  json: async () => json,
+  body: chunks && {
+    getReader: () => {
+      const queue = chunks.map((chunk) => encoder.encode(chunk));
+      return {
+        read: async () =>
+          queue.length > 0
+            ? { value: queue.shift(), done: false }
+            : { value: undefined, done: true },
+        releaseLock: () => {},
+      };
+    },
+  },
+});
+
+// Rejects like fetch does when its signal is aborted
+const hangingFetch = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      const error = new Error('The operation was aborted.');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  });
+
+const request = (options) =>
+  postChat({
+    url: 'https://api.example.com/chat',
+    body: { prompt: 'Hi' },
+    timeout: 1000,
+    parseResponse: (data) => data.text,
+    ...options,
+  });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('errorFromStatus', () => {
+  it('maps HTTP statuses to error types', () => {
+    expect(errorFromStatus(401).type).toBe(ErrorTypes.AUTH);
+    expect(errorFromStatus(403).type).toBe(ErrorTypes.AUTH);
+    expect(errorFromStatus(429).type).toBe(ErrorTypes.RATE_LIMIT);
+    [500, 502, 503, 504].forEach((status) =>
+      expect(errorFromStatus(status).type).toBe(ErrorTypes.SERVER),
+    );
+  });
+
+  it("keeps the server's detail for other statuses", () => {
+    expect(errorFromStatus(400, 'Bad model')).toEqual({
+      type: ErrorTypes.UNKNOWN,
+      message: 'Bad model',
+      status: 400,
+    });
+    expect(errorFromStatus(418).message).toBe('API Error: 418');
+  });
+});
+
+describe('postChat', () => {
+  it('posts the body as JSON and parses the reply', async () => {
+    fetch.mockResolvedValue(responseOf({ json: { text: 'Hello' } }));
+    await expect(
+      request({ headers: { Authorization: 'Bearer key' } }),
+    ).resolves.toBe('Hello');
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.example.com/chat');
+    expect(init.method).toBe('POST');
+    expect(init.headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer key',
+    });
+    expect(JSON.parse(init.body)).toEqual({ prompt: 'Hi' });
+  });
+
+  it('streams through onToken when the server sends a stream', async () => {
+    fetch.mockResolvedValue(
+      responseOf({
+        contentType: 'text/event-stream',
+        chunks: ['data: {"text":"Hel"}\n\n', 'data: {"text":"lo"}\n\n'],
+      }),
+    );
+    const tokens = [];
+    await expect(
+      request({ onToken: (token) => tokens.push(token) }),
+    ).resolves.toBe('Hello');
+    expect(tokens).toEqual(['Hel', 'lo']);
+  });
+
+  it('maps failed responses with the error detail from the body', async () => {
+    fetch.mockResolvedValue(
+      responseOf({ status: 400, json: { error: { message: 'Bad model' } } }),
+    );
+    await expect(request()).rejects.toMatchObject({
+      type: ErrorTypes.UNKNOWN,
+      message: 'Bad model',
+      status: 400,
+    });
+
+    const mapError = jest.fn(() => ({ type: 'CUSTOM' }));
+    fetch.mockResolvedValue(
+      responseOf({ status: 404, json: { error: 'missing' } }),
+    );
+    await expect(request({ mapError })).rejects.toEqual({ type: 'CUSTOM' });
+    expect(mapError).toHaveBeenCalledWith(404, 'missing');
+  });
+
+  it('reports network failures', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(request()).rejects.toMatchObject({
+      type: ErrorTypes.NETWORK,
+    });
+  });
+
+  it('times out', async () => {
+    fetch.mockImplementation(hangingFetch);
+    await expect(request({ timeout: 10 })).rejects.toMatchObject({
+      type: ErrorTypes.TIMEOUT,
+      status: 408,
+    });
+  });
+
+  it("reports a cancel through the caller's signal as aborted", async () => {
+    fetch.mockImplementation(hangingFetch);
+    const controller = new AbortController();
+    const reply = request({ signal: controller.signal });
+    controller.abort();
+    await expect(reply).rejects.toMatchObject({ type: ErrorTypes.ABORTED });
+  });
+});
@@ -0,0 +1,31 @@
+import { ENV_CONFIG } from '../config';
+import puterProvider from './puter';
+import openAIProvider from './openai';
+import ollamaProvider from './ollama';
+
+// Every provider implements:
+//   id, label, defaultModel, models
+//   chat(messages, { model, temperature, top_p, max_tokens,
+//                    presence_penalty, frequency_penalty, timeout, signal,
+//                    onToken, onStreamReset, onMockResponse }) -> Promise<string>
+//     onMockResponse is called when the reply is a stand-in rather than a
+//     model's answer, so it is never cached
+//   listModels() -> Promise<string[]>
+//   checkHealth() -> Promise<boolean>
+//   describeError?(error) -> { code, values } of a provider-specific message
+//                            or null; `errors.<code>` is its translation
+//   supportsImages(model) -> whether `images` on chat messages can be sent
+export const PROVIDERS = {
+  [puterProvider.id]: puterProvider,
+  [openAIProvider.id]: openAIProvider,
+  [ollamaProvider.id]: ollamaProvider,
+};
+
+export const DEFAULT_PROVIDER_ID = PROVIDERS[ENV_CONFIG.AI_PROVIDER]
+  ? ENV_CONFIG.AI_PROVIDER
+  : puterProvider.id;
+
+export const getProvider = (id) =>
+  PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER_ID];
+
+export const listProviders = () => Object.values(PROVIDERS);
@@ -0,0 +1,103 @@
+import { ENV_CONFIG, ErrorTypes } from '../config';
+import { postChat, getJSON, errorFromStatus, providerError } from './http';
+
+const baseUrl = () => ENV_CONFIG.OLLAMA_URL.replace(/\/+$/, '');
+
+// Families that accept images; other models silently ignore them
+const VISION_MODELS =
+  /llava|vision|bakllava|moondream|minicpm-v|gemma3|qwen2\.5vl|granite3\.2-vision/i;
+
+// Ollama takes images as bare base64 next to the text
+const toOllamaMessages = (messages) =>
+  messages.map(({ images, ...message }) =>
+    images?.length
+      ? {
+          ...message,
+          images: images.map((url) => url.slice(url.indexOf(',') + 1)),
+        }
+      : message,
+  );
+
+// Ollama's local HTTP API (https://github.com/ollama/ollama/blob/main/docs/api.md)
+const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama (local)',
+  defaultModel: ENV_CONFIG.OLLAMA_MODEL,
+  models: [ENV_CONFIG.OLLAMA_MODEL],
+
+  async listModels() {
+    const data = await getJSON(`${baseUrl()}/api/tags`);
+    const names = data?.models?.map((model) => model.name) || [];
+    return names.length > 0 ? names : this.models;
+  },
+
+  async checkHealth() {
+    return (await getJSON(`${baseUrl()}/api/tags`)) !== null;
+  },
+
+  supportsImages(model = '') {
+    return VISION_MODELS.test(model);
+  },
+
+  describeError(error) {
+    if (error.type === ErrorTypes.NETWORK) {
+      return { code: 'ollamaUnreachable', values: { url: baseUrl() } };
+    }
+    if (error.type === ErrorTypes.MODEL_NOT_FOUND) {
+      return { code: error.type, values: { model: error.model } };
+    }
+    if (error.type === ErrorTypes.UNKNOWN && error.status) {
+      return { code: 'serverMessage', values: { message: error.message } };
+    }
+    return null;
+  },
+
+  chat(messages, options = {}) {
+    const {
+      model,
+      timeout,
+      temperature,
+      top_p,
+      max_tokens,
+      presence_penalty,
+      frequency_penalty,
+      signal,
+      onToken,
+    } = options;
+
+    console.log(`🤖 Using Ollama at ${baseUrl()}`);
+
+    return postChat({
+      url: `${baseUrl()}/api/chat`,
+      body: {
+        model,
+        messages: toOllamaMessages(messages),
+        stream: Boolean(onToken),
+        options: {
+          temperature,
+          top_p,
+          num_predict: max_tokens,
+          presence_penalty,
+          frequency_penalty,
+        },
+      },
+      timeout,
+      signal,
+      onToken,
+      parseResponse: (data) => data.message?.content,
+      mapError: (status, detail) =>
+        status === 404
+          ? {
+              ...providerError(
+                ErrorTypes.MODEL_NOT_FOUND,
+                `Model "${model}" is not installed`,
+                status,
+              ),
+              model,
+            }
+          : errorFromStatus(status, detail),
+    });
+  },
+};
+
+export default ollamaProvider;
@@ -0,0 +1,93 @@
+import { ENV_CONFIG, ErrorTypes } from '../config';
+import {
+  postChat,
+  getJSON,
+  errorFromStatus,
+  providerError,
+  generationParams,
+  toOpenAIMessages,
+} from './http';
+
+const baseUrl = () => ENV_CONFIG.OPENAI_API_URL.replace(/\/+$/, '');
+
+// Local servers (LM Studio, vLLM, llama.cpp) usually need no key
+const authHeaders = () =>
+  ENV_CONFIG.OPENAI_API_KEY
+    ? { Authorization: `Bearer ${ENV_CONFIG.OPENAI_API_KEY}` }
+    : {};
+
+const mapError = (status, detail) => {
+  if (status === 404) {
+    return providerError(
+      ErrorTypes.UNKNOWN,
+      detail || 'Model or endpoint not found',
+      status,
+    );
+  }
+  if (status === 400 && detail) {
+    return providerError(ErrorTypes.UNKNOWN, detail, status);
+  }
+  return errorFromStatus(status, detail);
+};
+
+// Any server implementing the OpenAI chat completions API
+const openAIProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: ENV_CONFIG.OPENAI_MODEL,
+  models: [ENV_CONFIG.OPENAI_MODEL],
+
+  async listModels() {
+    const data = await getJSON(`${baseUrl()}/models`, {
+      headers: authHeaders(),
+    });
+    const ids = data?.data?.map((model) => model.id) || [];
+    return ids.length > 0 ? ids.sort() : this.models;
+  },
+
+  async checkHealth() {
+    return (
+      (await getJSON(`${baseUrl()}/models`, { headers: authHeaders() })) !==
+      null
+    );
+  },
+
+  // The server rejects images itself if the model has no vision support
+  supportsImages() {
+    return true;
+  },
+
+  describeError(error) {
+    if (error.type === ErrorTypes.NETWORK) {
+      return { code: 'serverUnreachable', values: { url: baseUrl() } };
+    }
+    if (error.type === ErrorTypes.UNKNOWN && error.status) {
+      return { code: 'serverMessage', values: { message: error.message } };
+    }
+    return null;
+  },
+
+  chat(messages, options = {}) {
+    const { model, timeout, signal, onToken } = options;
+
+    console.log(`🤖 Using OpenAI-compatible API at ${baseUrl()}`);
+
+    return postChat({
+      url: `${baseUrl()}/chat/completions`,
+      headers: authHeaders(),
+      body: {
+        model,
+        messages: toOpenAIMessages(messages),
+        stream: Boolean(onToken),
+        ...generationParams(options),
+      },
+      timeout,
+      signal,
+      onToken,
+      parseResponse: (data) => data.choices?.[0]?.message?.content,
+      mapError,
+    });
+  },
+};
+
+export default openAIProvider;
@@ -0,0 +1,155 @@
+import { ENV_CONFIG, ErrorTypes } from '../config';
+import { readIterableStream, withAbort } from '../utils/streaming';
+import {
+  postChat,
+  getJSON,
+  providerError,
+  abortedError,
+  generationParams,
+  toOpenAIMessages,
+} from './http';
+
+const extractSDKText = (response) => {
+  if (typeof response === 'string') return response;
+  if (response?.message?.content) {
+    if (Array.isArray(response.message.content)) {
+      return response.message.content[0]?.text || '';
+    }
+    return response.message.content;
+  }
+  throw new Error('Invalid SDK response format');
+};
+
+const chatWithSDK = async (messages, options) => {
+  const { model, timeout, signal, onToken } = options;
+  const params = generationParams(options);
+  const startTime = Date.now();
+
+  console.log('🤖 Using Puter.ai SDK');
+
+  if (onToken) {
+    const stream = await withAbort(
+      window.puter.ai.chat(toOpenAIMessages(messages), {
+        model,
+        ...params,
+        stream: true,
+      }),
+      signal,
+    );
+    const text = await readIterableStream(stream, onToken, signal);
+    if (!text) throw new Error('Empty SDK stream');
+
+    console.log(`✅ SDK stream finished in ${Date.now() - startTime}ms`);
+    return text;
+  }
+
+  const response = await withAbort(
+    window.puter.ai.chat(toOpenAIMessages(messages), {
+      model,
+      timeout,
+      ...params,
+    }),
+    signal,
+  );
+
+  console.log(`✅ SDK response received in ${Date.now() - startTime}ms`);
+  return extractSDKText(response);
+};
+
+const chatWithREST = async (messages, options) => {
+  const { model, timeout, signal, onToken } = options;
+
+  if (!ENV_CONFIG.PUTER_API_KEY) {
+    throw providerError(ErrorTypes.AUTH, 'API key is not configured');
+  }
+
+  return postChat({
+    url: `${ENV_CONFIG.PUTER_API_URL}/ai/chat`,
+    headers: {
+      Authorization: `Bearer ${ENV_CONFIG.PUTER_API_KEY}`,
+      'X-Environment': ENV_CONFIG.ENVIRONMENT,
+      'X-SDK-Version': 'react-1.0.0',
+    },
+    body: {
+      messages: toOpenAIMessages(messages),
+      model,
+      stream: Boolean(onToken),
+      ...generationParams(options),
+    },
+    timeout,
+    signal,
+    onToken,
+    parseResponse: (data) =>
+      data.message?.content || data.response || data.text,
+  });
+};
+
+const mockResponse = async (messages, { signal, onMockResponse }) => {
+  console.warn('⚠️ No API key configured, using mock response');
+  onMockResponse?.();
+  await withAbort(new Promise((resolve) => setTimeout(resolve, 1000)), signal);
+  const prompt = messages[messages.length - 1]?.content || '';
+  return `This is a mock response from the AI assistant in development mode.\n\nYour prompt was: "${prompt}" (${messages.length} messages of context)\n\nTo use the real API, please add your Puter.ai API key to the .env file.`;
+};
+
+// Puter.ai through the browser SDK, falling back to its REST API
+const puterProvider = {
+  id: 'puter',
+  label: 'Puter.ai',
+  defaultModel: ENV_CONFIG.PUTER_MODEL,
+  models: [
+    ENV_CONFIG.PUTER_MODEL,
+    'gpt-4.1-nano',
+    'gpt-4o-mini',
+    'gpt-4.1',
+    'claude-sonnet-4',
+    'gemini-2.0-flash',
+  ].filter((model, index, list) => list.indexOf(model) === index),
+  usesSDK: !ENV_CONFIG.USE_DIRECT_API,
+
+  async listModels() {
+    return this.models;
+  },
+
+  // Every model offered here reads images
+  supportsImages() {
+    return true;
+  },
+
+  async checkHealth() {
+    if (window.puter?.ai?.chat) return true;
+    if (!ENV_CONFIG.PUTER_API_KEY) return false;
+    return (await getJSON(`${ENV_CONFIG.PUTER_API_URL}/health`)) !== null;
+  },
+
+  async chat(messages, options = {}) {
+    const { signal, onStreamReset } = options;
+
+    if (!ENV_CONFIG.USE_DIRECT_API && window.puter?.ai?.chat) {
+      try {
+        return await chatWithSDK(messages, options);
+      } catch (sdkError) {
+        if (signal?.aborted) throw abortedError();
+        console.warn(
+          '⚠️ SDK failed, falling back to direct API:',
+          sdkError.message,
+        );
+        onStreamReset?.();
+        return await chatWithREST(messages, options);
+      }
+    }
+
+    if (ENV_CONFIG.PUTER_API_KEY) {
+      console.log('🤖 Using direct Puter.ai API');
+      return chatWithREST(messages, options);
+    }
+
+    if (ENV_CONFIG.ENVIRONMENT === 'development') {
+      return mockResponse(messages, options);
+    }
+
+    throw providerError(ErrorTypes.AUTH, 'API key is not configured');
+  },
+};
+
+export default puterProvider;
@@ -0,0 +1,68 @@
+/* eslint-disable no-restricted-globals */
+
+// App-shell service worker. react-scripts builds this file with Workbox's
+// InjectManifest, which fills in `self.__WB_MANIFEST` with every bundled
+// asset; all but the syntax highlighting grammars are precached so the app
+// starts without a connection. Conversations and cached answers live in
+// IndexedDB and need nothing from here.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// One chunk per highlighter language, loaded the first time a code block
+// in that language is shown
+const grammarChunkRegexp =
+  /\/static\/js\/react-syntax-highlighter_languages_[^/]*\.js$/;
+
+precacheAndRoute(
+  self.__WB_MANIFEST.filter((entry) => !grammarChunkRegexp.test(entry.url)),
+);
+
+// Page loads are answered with the precached index.html; URLs with a file
+// extension or starting with /_ are real files
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+);
+
+// Files from public/ (the logo and the manifest) are not part of the
+// bundle, so they are cached the first time they are requested
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    /\.(?:png|svg|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'public-files',
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  }),
+);
+
+// Grammars are cached as they are used. Their names carry a content hash,
+// so a cached copy never needs revalidating.
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    grammarChunkRegexp.test(url.pathname),
+  new CacheFirst({
+    cacheName: 'grammars',
+    plugins: [new ExpirationPlugin({ maxEntries: 60 })],
+  }),
+);
+
+// Lets the page activate an updated worker without closing every tab
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
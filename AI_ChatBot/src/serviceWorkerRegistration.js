@@ -0,0 +1,49 @@
+// Registers the service worker built from src/service-worker.js. It only
+// exists in production builds; the dev server never serves one.
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+export const register = ({ onUpdate } = {}) => {
+  if (process.env.NODE_ENV !== 'production') return;
+  if (!('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .then((registration) => {
+        // An update installed by an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          onUpdate?.(registration);
+        }
+
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+
+          installing.onstatechange = () => {
+            if (installing.state !== 'installed') return;
+            // With an existing controller this is an update that waits
+            // until every tab of the old version is closed, or until the
+            // page asks it to take over
+            if (navigator.serviceWorker.controller) {
+              console.log('🔄 New version available');
+              onUpdate?.(registration);
+            } else {
+              console.log('✅ App shell cached for offline use');
+            }
+          };
+        };
+      })
+      .catch((err) => {
+        console.error('❌ Service worker registration failed:', err);
+      });
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((err) => console.error(err.message));
+};
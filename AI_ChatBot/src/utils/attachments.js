@@ -0,0 +1,190 @@
+import { ENV_CONFIG } from '../config';
+import { createId } from './db';
+
+// Files attached to a prompt. Text and source files are inlined into the
+// prompt under a filename header; images travel separately as data URLs so
+// providers can send them as multimodal content.
+//
+// An attachment is { id, name, kind: 'text' | 'image', mimeType, size, content }
+// where `content` is the file text or the image data URL.
+
+export const AttachmentErrors = {
+  UNSUPPORTED: 'unsupported',
+  TOO_LARGE: 'tooLarge',
+  OVER_LIMIT: 'overLimit',
+  TOO_MANY: 'tooMany',
+  NO_VISION: 'noVision',
+  READ_FAILED: 'readFailed',
+};
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Extension -> fence language for files the browser reports without a
+// useful MIME type
+const SOURCE_LANGUAGES = {
+  js: 'javascript',
+  jsx: 'jsx',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'tsx',
+  py: 'python',
+  rb: 'ruby',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  kt: 'kotlin',
+  swift: 'swift',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  php: 'php',
+  sh: 'bash',
+  bash: 'bash',
+  sql: 'sql',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  json: 'json',
+  yml: 'yaml',
+  yaml: 'yaml',
+  toml: 'toml',
+  xml: 'xml',
+  md: 'markdown',
+  txt: '',
+  csv: '',
+  log: '',
+  env: '',
+};
+
+const extensionOf = (name = '') => {
+  const match = /\.([^./]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+const isImageFile = (file) => IMAGE_TYPES.includes(file.type);
+
+const isTextFile = (file) =>
+  file.type.startsWith('text/') ||
+  /json|xml|javascript|typescript|x-sh|x-python|yaml/.test(file.type) ||
+  extensionOf(file.name) in SOURCE_LANGUAGES;
+
+export const attachmentError = (type, message, name) => ({
+  type,
+  message,
+  name,
+});
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const readAs = (file, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+
+// Read a dropped, pasted or picked file into an attachment. Rejects with
+// { type, message, name } when the file cannot be attached.
+export const readAttachment = async (file) => {
+  const name = file.name || (isImageFile(file) ? 'pasted-image' : 'pasted.txt');
+
+  if (isImageFile(file)) {
+    if (file.size > ENV_CONFIG.MAX_IMAGE_SIZE) {
+      throw attachmentError(
+        AttachmentErrors.TOO_LARGE,
+        `${name} is larger than ${formatBytes(ENV_CONFIG.MAX_IMAGE_SIZE)}`,
+        name,
+      );
+    }
+    try {
+      return {
+        id: createId(),
+        name,
+        kind: 'image',
+        mimeType: file.type,
+        size: file.size,
+        content: await readAs(file, 'readAsDataURL'),
+      };
+    } catch {
+      throw attachmentError(
+        AttachmentErrors.READ_FAILED,
+        `Could not read ${name}`,
+        name,
+      );
+    }
+  }
+
+  if (!isTextFile(file)) {
+    throw attachmentError(
+      AttachmentErrors.UNSUPPORTED,
+      `${name} is not a text, source or image file`,
+      name,
+    );
+  }
+
+  // Anything bigger could never fit in the prompt anyway
+  if (file.size > ENV_CONFIG.MAX_INPUT_LENGTH * 4) {
+    throw attachmentError(
+      AttachmentErrors.TOO_LARGE,
+      `${name} is too large to inline`,
+      name,
+    );
+  }
+
+  try {
+    return {
+      id: createId(),
+      name,
+      kind: 'text',
+      mimeType: file.type || 'text/plain',
+      size: file.size,
+      content: await readAs(file, 'readAsText'),
+    };
+  } catch {
+    throw attachmentError(
+      AttachmentErrors.READ_FAILED,
+      `Could not read ${name}`,
+      name,
+    );
+  }
+};
+
+// A fence longer than any backtick run in the file keeps it intact
+const fenceFor = (content) => {
+  const longest = Math.max(
+    2,
+    ...(content.match(/`+/g) || []).map((run) => run.length),
+  );
+  return '`'.repeat(longest + 1);
+};
+
+const inlineFile = ({ name, content }) => {
+  const fence = fenceFor(content);
+  const language = SOURCE_LANGUAGES[extensionOf(name)] || '';
+  return `File: ${name}\n${fence}${language}\n${content.replace(/\n$/, '')}\n${fence}`;
+};
+
+// The prompt as sent to the model: the typed text followed by each text
+// attachment under its filename
+export const inlineAttachments = (text = '', attachments = []) => {
+  const files = attachments.filter((attachment) => attachment.kind === 'text');
+  if (files.length === 0) return text;
+
+  return [text.trim(), ...files.map(inlineFile)].filter(Boolean).join('\n\n');
+};
+
+// Characters the attachments add to the prompt, checked against
+// MAX_INPUT_LENGTH together with the typed text
+export const promptLength = (text = '', attachments = []) =>
+  inlineAttachments(text, attachments).length;
+
+export const imageAttachments = (attachments = []) =>
+  attachments.filter((attachment) => attachment.kind === 'image');
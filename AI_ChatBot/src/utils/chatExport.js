@@ -0,0 +1,330 @@
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import MarkdownMessage from '../components/MarkdownMessage';
+import { createId } from './db';
+import { inlineAttachments } from './attachments';
+import { normalizeSettings } from './generationSettings';
+
+// Conversation export and import. JSON is the lossless format that can be
+// imported again; Markdown, HTML and plain text are for reading and sharing.
+// PDF is the HTML document sent through the browser's print dialog.
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  text: { extension: 'txt', mimeType: 'text/plain' },
+  json: { extension: 'json', mimeType: 'application/json' },
+};
+
+export const ImportErrors = {
+  INVALID: 'invalid',
+  EMPTY: 'empty',
+};
+
+const EXPORT_FORMAT_NAME = 'ai-chat-export';
+const EXPORT_VERSION = 1;
+
+const importError = (type, message) => ({ type, message });
+
+// `options.t` supplies the speaker labels and `options.locale` the date
+// format, so exports read in the interface language
+const speakerOf = (msg, { t }) =>
+  msg.sender === 'user' ? t('export.you') : t('export.assistant');
+
+const formatTime = (timestamp, { locale }) =>
+  timestamp
+    ? new Date(timestamp).toLocaleString(locale, {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      })
+    : '';
+
+const headingOf = (msg, options) =>
+  [speakerOf(msg, options), formatTime(msg.timestamp, options)]
+    .filter(Boolean)
+    .join(' · ');
+
+const imageNames = (msg) =>
+  (msg.attachments || [])
+    .filter((attachment) => attachment.kind === 'image')
+    .map((attachment) => attachment.name);
+
+const exportableMessages = (messages) =>
+  messages.filter((msg) => msg.text || msg.attachments?.length);
+
+const toMarkdown = (title, messages, options) => {
+  const sections = exportableMessages(messages).map((msg) => {
+    const images = imageNames(msg).map(
+      (name) => `_${options.t('export.image', { name })}_`,
+    );
+    return [
+      `### ${headingOf(msg, options)}`,
+      ...images,
+      inlineAttachments(msg.text, msg.attachments),
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+  });
+
+  return `# ${title}\n\n${sections.join('\n\n---\n\n')}\n`;
+};
+
+const toText = (title, messages, options) => {
+  const sections = exportableMessages(messages).map((msg) => {
+    const images = imageNames(msg).map(
+      (name) => `[${options.t('export.image', { name })}]`,
+    );
+    return [
+      `${headingOf(msg, options)}`,
+      ...images,
+      inlineAttachments(msg.text, msg.attachments),
+    ]
+      .filter(Boolean)
+      .join('\n');
+  });
+
+  return `${title}\n${'='.repeat(title.length)}\n\n${sections.join('\n\n')}\n`;
+};
+
+const escapeHtml = (text = '') =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const renderCodeBlock = (code, language) =>
+  createElement(
+    'figure',
+    { className: 'code-block' },
+    createElement('figcaption', null, language),
+    createElement('pre', null, createElement('code', null, code)),
+  );
+
+const renderMarkdown = (text) =>
+  renderToStaticMarkup(
+    createElement(MarkdownMessage, { text, renderCodeBlock }),
+  );
+
+// Print styles turn the same document into the PDF export
+const HTML_STYLES = `
+  :root { color-scheme: light; }
+  body { margin: 0; background: #f8fafc; color: #111827; font: 15px/1.6 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+  main { max-width: 780px; margin: 0 auto; padding: 32px 20px; }
+  h1 { font-size: 1.6em; margin: 0 0 4px; }
+  .exported { color: #6b7280; font-size: 0.85em; margin: 0 0 28px; }
+  .message { margin: 0 0 18px; padding: 14px 18px; border-radius: 14px; border: 1px solid #e5e7eb; background: #fff; break-inside: avoid-page; }
+  .message.user { background: #eff6ff; border-color: #bfdbfe; }
+  .message.error { border-color: #fecaca; background: #fef2f2; }
+  .meta { font-size: 0.75em; letter-spacing: 0.04em; text-transform: uppercase; color: #6b7280; margin-bottom: 8px; }
+  .images { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+  .images img { max-width: 220px; max-height: 220px; border-radius: 8px; border: 1px solid #e5e7eb; }
+  .markdown-body > :first-child { margin-top: 0; }
+  .markdown-body > :last-child { margin-bottom: 0; }
+  .markdown-body p, .markdown-body ul, .markdown-body ol, .markdown-body blockquote { margin: 0.6em 0; }
+  .markdown-body blockquote { padding-inline-start: 0.9em; border-inline-start: 3px solid #93c5fd; color: #4b5563; }
+  .markdown-body :not(pre) > code { padding: 0.1em 0.35em; border-radius: 4px; background: #f1f5f9; font-size: 0.88em; }
+  .markdown-body table { border-collapse: collapse; }
+  .markdown-body th, .markdown-body td { padding: 0.4em 0.75em; border: 1px solid #e5e7eb; text-align: start; }
+  .markdown-body img { max-width: 100%; }
+  .code-block { margin: 0.8em 0; border-radius: 10px; overflow: hidden; background: #0f172a; direction: ltr; text-align: left; }
+  .code-block figcaption { padding: 6px 14px; font: 600 11px/1.4 ui-monospace, monospace; text-transform: uppercase; letter-spacing: 0.06em; color: #94a3b8; background: #1e293b; }
+  .code-block pre { margin: 0; padding: 14px; overflow-x: auto; }
+  .code-block code { color: #e2e8f0; font: 13px/1.6 'SF Mono', Menlo, Monaco, Consolas, monospace; }
+  @media print {
+    body { background: #fff; font-size: 12px; }
+    main { max-width: none; padding: 0; }
+    .message { border-color: #d1d5db; }
+    .code-block { break-inside: avoid; }
+    .code-block pre { white-space: pre-wrap; overflow-wrap: anywhere; }
+    @page { margin: 16mm; }
+  }
+`;
+
+const toHtml = (title, messages, options) => {
+  const sections = exportableMessages(messages).map((msg) => {
+    const images = (msg.attachments || [])
+      .filter((attachment) => attachment.kind === 'image')
+      .map(
+        (image) =>
+          `<img src="${escapeHtml(image.content)}" alt="${escapeHtml(image.name)}">`,
+      );
+    const classes = ['message', msg.sender, msg.isError && 'error']
+      .filter(Boolean)
+      .join(' ');
+
+    return `<article class="${classes}" dir="auto">
+<div class="meta">${escapeHtml(headingOf(msg, options))}</div>
+${images.length > 0 ? `<div class="images">${images.join('')}</div>\n` : ''}${renderMarkdown(
+      inlineAttachments(msg.text, msg.attachments),
+    )}
+</article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(options.locale)}" dir="${escapeHtml(options.dir || 'ltr')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="exported">${escapeHtml(
+    options.t('export.exportedOn', {
+      date: formatTime(Date.now(), options),
+    }),
+  )}</p>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+};
+
+const toIsoTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toISOString() : null;
+
+const toJson = (conversation, messages) => {
+  const data = {
+    format: EXPORT_FORMAT_NAME,
+    version: EXPORT_VERSION,
+    title: conversation.title,
+    exportedAt: new Date().toISOString(),
+    settings: conversation.settings || null,
+    messages: messages.map((msg) => ({
+      role: msg.sender === 'user' ? 'user' : 'assistant',
+      content: msg.text,
+      timestamp: toIsoTime(msg.timestamp),
+      ...(msg.attachments?.length > 0 && { attachments: msg.attachments }),
+      ...(msg.stopped && { stopped: true }),
+      ...(msg.isError && { isError: true }),
+      ...(msg.variants?.length > 1 && {
+        variants: msg.variants.map((variant) => ({
+          content: variant.text,
+          timestamp: toIsoTime(variant.timestamp),
+          ...(variant.stopped && { stopped: true }),
+        })),
+        variantIndex: msg.variantIndex,
+      }),
+    })),
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+};
+
+// The file contents of `conversation` (with its current `messages`) in
+// one of EXPORT_FORMATS
+export const exportConversation = (conversation, messages, format, options) => {
+  const title = conversation.title;
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(title, messages, options);
+    case 'html':
+      return toHtml(title, messages, options);
+    case 'text':
+      return toText(title, messages, options);
+    default:
+      return toJson(conversation, messages);
+  }
+};
+
+// Open the print dialog for the HTML export, from which it can be saved as
+// a PDF. A hidden frame avoids popup blockers.
+export const printConversation = (conversation, messages, options) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText =
+    'position:fixed;width:0;height:0;border:0;visibility:hidden';
+  frame.srcdoc = toHtml(conversation.title, messages, options);
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  document.body.appendChild(frame);
+};
+
+const parseTime = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const parseAttachments = (attachments) =>
+  (Array.isArray(attachments) ? attachments : [])
+    .filter(
+      (attachment) =>
+        ['text', 'image'].includes(attachment?.kind) &&
+        typeof attachment.name === 'string' &&
+        typeof attachment.content === 'string',
+    )
+    .map((attachment) => ({
+      id: createId(),
+      name: attachment.name,
+      kind: attachment.kind,
+      mimeType: String(attachment.mimeType || ''),
+      size: Number(attachment.size) || attachment.content.length,
+      content: attachment.content,
+    }));
+
+const parseMessage = (entry) => {
+  if (!entry || typeof entry.content !== 'string') return null;
+
+  const message = {
+    sender: entry.role === 'user' ? 'user' : 'ai',
+    text: entry.content,
+    timestamp: parseTime(entry.timestamp),
+  };
+  const attachments = parseAttachments(entry.attachments);
+  if (attachments.length > 0) message.attachments = attachments;
+  if (entry.stopped) message.stopped = true;
+  if (entry.isError) message.isError = true;
+
+  const variants = Array.isArray(entry.variants)
+    ? entry.variants
+        .filter((variant) => typeof variant?.content === 'string')
+        .map((variant) => ({
+          text: variant.content,
+          timestamp: parseTime(variant.timestamp),
+          ...(variant.stopped && { stopped: true }),
+        }))
+    : [];
+  if (message.sender === 'ai' && variants.length > 1) {
+    message.variants = variants;
+    message.variantIndex = Math.min(
+      Math.max(Number(entry.variantIndex) || 0, 0),
+      variants.length - 1,
+    );
+  }
+
+  return message;
+};
+
+// Read a JSON export back into { title, settings, messages }. Exports made
+// before titles and settings were included (a bare array of
+// { role, content, timestamp }) are accepted too. Throws { type, message }.
+export const parseConversationImport = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw importError(ImportErrors.INVALID, 'The file is not valid JSON');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.messages;
+  if (!Array.isArray(entries)) {
+    throw importError(ImportErrors.INVALID, 'The file is not a chat export');
+  }
+
+  const messages = entries.map(parseMessage).filter(Boolean);
+  if (messages.length === 0) {
+    throw importError(ImportErrors.EMPTY, 'The export has no messages');
+  }
+
+  return {
+    title: typeof data.title === 'string' ? data.title.trim() : '',
+    settings: data.settings ? normalizeSettings(data.settings) : null,
+    messages,
+  };
+};
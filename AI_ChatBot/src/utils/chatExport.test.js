@@ -0,0 +1,115 @@
+import {
+  exportConversation,
+  ImportErrors,
+  parseConversationImport,
+} from './chatExport';
+
+// react-markdown ships as ES modules; only the HTML export renders it
+jest.mock('../components/MarkdownMessage', () => () => null);
+
+const importErrorOf = (json) => {
+  try {
+    parseConversationImport(json);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('parseConversationImport', () => {
+  it('reads back a JSON export', () => {
+    const messages = [
+      { sender: 'user', text: 'Hi', timestamp: Date.UTC(2024, 0, 1) },
+      {
+        sender: 'ai',
+        text: 'Hello again',
+        timestamp: Date.UTC(2024, 0, 1, 0, 1),
+        stopped: true,
+        variants: [
+          { text: 'Hello', timestamp: Date.UTC(2024, 0, 1, 0, 0, 30) },
+          { text: 'Hello again', timestamp: Date.UTC(2024, 0, 1, 0, 1) },
+        ],
+        variantIndex: 1,
+      },
+    ];
+    const json = exportConversation(
+      { title: 'Greetings', settings: { temperature: 0.2 } },
+      messages,
+      'json',
+    );
+
+    const imported = parseConversationImport(json);
+    expect(imported.title).toBe('Greetings');
+    expect(imported.settings.temperature).toBe(0.2);
+    expect(imported.messages).toEqual(messages);
+  });
+
+  it('accepts the older bare array of messages', () => {
+    const imported = parseConversationImport(
+      JSON.stringify([
+        { role: 'user', content: 'Hi', timestamp: 'not a date' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'assistant' },
+      ]),
+    );
+    expect(imported).toEqual({
+      title: '',
+      settings: null,
+      messages: [
+        { sender: 'user', text: 'Hi', timestamp: null },
+        { sender: 'ai', text: 'Hello', timestamp: null },
+      ],
+    });
+  });
+
+  it('keeps only well-formed attachments', () => {
+    const [message] = parseConversationImport(
+      JSON.stringify({
+        messages: [
+          {
+            role: 'user',
+            content: 'See file',
+            attachments: [
+              { kind: 'text', name: 'a.txt', content: 'abc' },
+              { kind: 'video', name: 'b.mp4', content: '' },
+              { kind: 'image', name: 'c.png' },
+            ],
+          },
+        ],
+      }),
+    ).messages;
+    expect(message.attachments).toHaveLength(1);
+    expect(message.attachments[0]).toMatchObject({
+      kind: 'text',
+      name: 'a.txt',
+      content: 'abc',
+      size: 3,
+    });
+  });
+
+  it('clamps the selected variant', () => {
+    const [message] = parseConversationImport(
+      JSON.stringify([
+        {
+          role: 'assistant',
+          content: 'b',
+          variants: [{ content: 'a' }, { content: 'b' }],
+          variantIndex: 9,
+        },
+      ]),
+    ).messages;
+    expect(message.variantIndex).toBe(1);
+  });
+
+  it('rejects files that are not chat exports', () => {
+    expect(importErrorOf('{oops')).toMatchObject({
+      type: ImportErrors.INVALID,
+    });
+    expect(importErrorOf('{"title":"x"}')).toMatchObject({
+      type: ImportErrors.INVALID,
+    });
+    expect(importErrorOf('[{"role":"user"}]')).toMatchObject({
+      type: ImportErrors.EMPTY,
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// Helpers for turning the UI message list into a role-tagged chat history
+// that fits inside the model's context window.
+
+import { imageAttachments, inlineAttachments } from './attachments';
+
+// Rough heuristic: ~4 characters per token for English text and code
+const CHARS_PER_TOKEN = 4;
+
+// Per-message overhead for role tags and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Share of the history budget the summary of dropped turns may use
+const SUMMARY_BUDGET_RATIO = 0.25;
+
+// Characters kept from each dropped turn inside the summary
+const SUMMARY_SNIPPET_LENGTH = 160;
+
+// Rough cost of one attached image; vision models bill images in tiles
+const IMAGE_TOKENS = 800;
+
+// Tokens always left for the conversation, however many the reply reserves
+const MIN_PROMPT_TOKENS = 256;
+
+export const HistoryErrors = {
+  PROMPT_TOO_LONG: 'promptTooLong',
+};
+
+const historyError = (type, message) => ({ type, message });
+
+export const estimateTokens = (text = '') =>
+  Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const messageTokens = (message) =>
+  estimateTokens(message.content) +
+  (message.images?.length || 0) * IMAGE_TOKENS +
+  MESSAGE_OVERHEAD_TOKENS;
+
+// Map UI messages ({ sender, text, attachments }) to chat messages
+// ({ role, content, images }). Text attachments are inlined into `content`;
+// `images` holds image data URLs and is only present when there are any.
+// Error bubbles are UI-only and never sent back to the model.
+export const toChatMessages = (messages = []) =>
+  messages
+    .filter((msg) => (msg.text || msg.attachments?.length) && !msg.isError)
+    .map((msg) => {
+      const images = imageAttachments(msg.attachments).map(
+        (image) => image.content,
+      );
+      return {
+        role: msg.sender === 'user' ? 'user' : 'assistant',
+        content: inlineAttachments(msg.text, msg.attachments),
+        ...(images.length > 0 && { images }),
+      };
+    });
+
+const truncate = (text, maxLength) => {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength
+    ? `${singleLine.slice(0, maxLength - 1)}…`
+    : singleLine;
+};
+
+// Condense dropped turns into a single system message, newest last,
+// keeping only as many lines as fit in the given token budget
+const summarizeTurns = (turns, budget) => {
+  const header =
+    'Summary of earlier conversation (older turns were trimmed to fit the context window):';
+  const lines = [];
+  let used = estimateTokens(header) + MESSAGE_OVERHEAD_TOKENS;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const line = `- ${turns[i].role === 'user' ? 'User' : 'Assistant'}: ${truncate(turns[i].content, SUMMARY_SNIPPET_LENGTH)}`;
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > budget) break;
+    lines.unshift(line);
+    used += cost;
+  }
+
+  if (lines.length === 0) return null;
+
+  return { role: 'system', content: `${header}\n${lines.join('\n')}` };
+};
+
+// Build the history to send to the model.
+//
+// Turns are kept newest-first until the token budget (context window minus
+// the tokens reserved for the reply) is spent. Older turns that no longer fit
+// are folded into a short system summary so follow-ups keep their context.
+// The latest prompt is never sent empty: the system prompt gives way to it
+// first, and a prompt that cannot fit at all throws PROMPT_TOO_LONG.
+export const buildChatHistory = (messages, options = {}) => {
+  const {
+    systemPrompt = '',
+    contextWindow = 8192,
+    reservedTokens = 2000,
+  } = options;
+
+  const chatMessages = toChatMessages(messages);
+  const latest = chatMessages[chatMessages.length - 1];
+
+  let budget = Math.max(
+    contextWindow - reservedTokens,
+    Math.min(MIN_PROMPT_TOKENS, contextWindow),
+  );
+  const summaryBudget = Math.floor(budget * SUMMARY_BUDGET_RATIO);
+
+  // Cut the system prompt down, or leave it out, when it would crowd out
+  // the latest prompt
+  let systemContent = systemPrompt.trim();
+  const systemRoom =
+    budget - (latest ? messageTokens(latest) : 0) - MESSAGE_OVERHEAD_TOKENS;
+  if (estimateTokens(systemContent) > systemRoom) {
+    systemContent = systemContent
+      .slice(0, Math.max(systemRoom, 0) * CHARS_PER_TOKEN)
+      .trim();
+  }
+  const system = systemContent
+    ? [{ role: 'system', content: systemContent }]
+    : [];
+  budget -= system.reduce((sum, msg) => sum + messageTokens(msg), 0);
+
+  const kept = [];
+  let index = chatMessages.length - 1;
+
+  for (; index >= 0; index--) {
+    const cost = messageTokens(chatMessages[index]);
+    if (cost > budget) break;
+    kept.unshift(chatMessages[index]);
+    budget -= cost;
+  }
+
+  // The latest prompt must always be sent, even if it has to be cut down
+  if (kept.length === 0 && latest) {
+    const maxChars =
+      Math.max(
+        budget -
+          MESSAGE_OVERHEAD_TOKENS -
+          (latest.images?.length || 0) * IMAGE_TOKENS,
+        0,
+      ) * CHARS_PER_TOKEN;
+    // Nothing of it fits, e.g. its images alone are over the budget
+    if (maxChars === 0) {
+      throw historyError(
+        HistoryErrors.PROMPT_TOO_LONG,
+        'The message does not fit in the context window',
+      );
+    }
+    kept.push({ ...latest, content: latest.content.slice(0, maxChars) });
+    budget = 0;
+    index = chatMessages.length - 2;
+  }
+
+  const dropped = chatMessages.slice(0, index + 1);
+
+  // Make room for the summary by evicting the oldest kept turns if needed,
+  // but never the latest prompt
+  let summary = null;
+  if (dropped.length > 0) {
+    while (budget < summaryBudget && kept.length > 1) {
+      const evicted = kept.shift();
+      dropped.push(evicted);
+      budget += messageTokens(evicted);
+    }
+    summary = summarizeTurns(dropped, Math.min(budget, summaryBudget));
+  }
+
+  return [...system, ...(summary ? [summary] : []), ...kept];
+};
@@ -0,0 +1,142 @@
+import {
+  buildChatHistory,
+  estimateTokens,
+  HistoryErrors,
+  toChatMessages,
+} from './chatHistory';
+
+const user = (text, extra) => ({ sender: 'user', text, ...extra });
+const ai = (text, extra) => ({ sender: 'ai', text, ...extra });
+
+// 100 characters, 25 tokens
+const words = (label) => `${label} `.padEnd(100, 'x');
+
+const totalTokens = (history) =>
+  history.reduce((sum, msg) => sum + estimateTokens(msg.content) + 4, 0);
+
+describe('toChatMessages', () => {
+  it('tags roles and leaves out error bubbles and empty turns', () => {
+    expect(
+      toChatMessages([
+        user('Hi'),
+        ai('Hello'),
+        ai('Network error', { isError: true }),
+        user(''),
+      ]),
+    ).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' },
+    ]);
+  });
+
+  it('inlines text attachments and collects images', () => {
+    const [message] = toChatMessages([
+      user('Look', {
+        attachments: [
+          { kind: 'text', name: 'a.txt', content: 'file body' },
+          { kind: 'image', name: 'b.png', content: 'data:image/png;base64,AA' },
+        ],
+      }),
+    ]);
+    expect(message.content).toContain('file body');
+    expect(message.images).toEqual(['data:image/png;base64,AA']);
+  });
+});
+
+describe('buildChatHistory', () => {
+  it('sends the whole conversation when it fits', () => {
+    const history = buildChatHistory([user('one'), ai('two'), user('three')], {
+      systemPrompt: '  Be brief.  ',
+    });
+    expect(history).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'one' },
+      { role: 'assistant', content: 'two' },
+      { role: 'user', content: 'three' },
+    ]);
+  });
+
+  it('keeps the newest turns inside the budget and summarizes the rest', () => {
+    const messages = Array.from({ length: 20 }, (_, i) =>
+      i % 2 === 0 ? user(words(`q${i}`)) : ai(words(`a${i}`)),
+    );
+    const history = buildChatHistory(messages, {
+      contextWindow: 600,
+      reservedTokens: 200,
+    });
+
+    const [summary, ...kept] = history;
+    expect(summary.role).toBe('system');
+    expect(summary.content).toMatch(/^Summary of earlier conversation/);
+    expect(summary.content).toMatch(/\n- (User|Assistant): /);
+    expect(kept[kept.length - 1].content).toBe(messages[19].text);
+    expect(kept.length).toBeLessThan(20);
+    expect(totalTokens(history)).toBeLessThanOrEqual(400);
+  });
+
+  it('leaves the summary within its share of the budget', () => {
+    const messages = Array.from({ length: 40 }, (_, i) =>
+      i % 2 === 0 ? user(words(`q${i}`)) : ai(words(`a${i}`)),
+    );
+    const [summary] = buildChatHistory(messages, {
+      contextWindow: 1200,
+      reservedTokens: 400,
+    });
+    expect(estimateTokens(summary.content) + 4).toBeLessThanOrEqual(200);
+  });
+
+  it('cuts a prompt that is longer than the whole budget', () => {
+    const history = buildChatHistory([user('x'.repeat(10000))], {
+      contextWindow: 1000,
+      reservedTokens: 500,
+    });
+    expect(history).toHaveLength(1);
+    expect(history[0].content.length).toBeGreaterThan(0);
+    expect(history[0].content.length).toBeLessThan(10000);
+    expect(totalTokens(history)).toBeLessThanOrEqual(500);
+  });
+
+  it('keeps room for the prompt when the reply reserves the whole window', () => {
+    const history = buildChatHistory([user('Hello there')], {
+      contextWindow: 8192,
+      reservedTokens: 8192,
+    });
+    expect(history).toEqual([{ role: 'user', content: 'Hello there' }]);
+  });
+
+  it('trims the system prompt before the latest prompt', () => {
+    const prompt = 'p'.repeat(800);
+    const history = buildChatHistory([user(prompt)], {
+      systemPrompt: 's'.repeat(4000),
+      contextWindow: 1000,
+      reservedTokens: 500,
+    });
+    expect(history[0].role).toBe('system');
+    expect(history[0].content.length).toBeLessThan(4000);
+    expect(history[1]).toEqual({ role: 'user', content: prompt });
+    expect(totalTokens(history)).toBeLessThanOrEqual(500);
+  });
+
+  it('leaves out a system prompt there is no room for', () => {
+    const history = buildChatHistory([user('x'.repeat(10000))], {
+      systemPrompt: 'Be brief.',
+      contextWindow: 1000,
+      reservedTokens: 500,
+    });
+    expect(history.map((msg) => msg.role)).toEqual(['user']);
+  });
+
+  it('throws instead of sending a prompt that cannot fit at all', () => {
+    const image = { kind: 'image', name: 'a.png', content: 'data:,' };
+    let error;
+    try {
+      buildChatHistory([user('What is this?', { attachments: [image] })], {
+        contextWindow: 1000,
+        reservedTokens: 500,
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.type).toBe(HistoryErrors.PROMPT_TOO_LONG);
+  });
+});
@@ -0,0 +1,239 @@
+// Fenced code blocks in message text: every block of an answer with the
+// file it belongs to, and earlier versions of a snippet elsewhere in the
+// conversation
+
+const FENCE_PATTERN = /```([^\n`]*)\n([\s\S]*?)```/g;
+
+const EXTENSIONS = {
+  javascript: 'js',
+  js: 'js',
+  jsx: 'jsx',
+  typescript: 'ts',
+  ts: 'ts',
+  tsx: 'tsx',
+  python: 'py',
+  py: 'py',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  json: 'json',
+  yaml: 'yml',
+  yml: 'yml',
+  markdown: 'md',
+  md: 'md',
+  bash: 'sh',
+  sh: 'sh',
+  shell: 'sh',
+  zsh: 'sh',
+  powershell: 'ps1',
+  sql: 'sql',
+  java: 'java',
+  kotlin: 'kt',
+  c: 'c',
+  cpp: 'cpp',
+  'c++': 'cpp',
+  csharp: 'cs',
+  'c#': 'cs',
+  cs: 'cs',
+  go: 'go',
+  rust: 'rs',
+  ruby: 'rb',
+  php: 'php',
+  swift: 'swift',
+  xml: 'xml',
+  toml: 'toml',
+};
+
+const LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  htm: 'html',
+  yml: 'yaml',
+  md: 'markdown',
+  sh: 'bash',
+  rb: 'ruby',
+  rs: 'rust',
+  kt: 'kotlin',
+  cs: 'csharp',
+};
+
+// A relative path with an extension, or a well-known extensionless file
+const PATH = String.raw`(?:[\w@.-]+\/)*(?:[\w@-][\w@.-]*\.[A-Za-z0-9]+|Dockerfile|Makefile|Procfile)`;
+const PATH_PATTERN = new RegExp(`^(?:\\.{0,2}\\/)?${PATH}$`);
+// `js title="src/app.js"`, `js filename=app.js`, `js:src/app.js`
+const INFO_FILENAME = new RegExp(
+  `(?:(?:title|file(?:name)?|path)=["']?|:)(?:\\.\\/)?(${PATH})`,
+);
+// `// src/app.js`, `# File: app.py`, `<!-- index.html -->`, `/* a.css */`
+const COMMENT_FILENAME = new RegExp(
+  `^\\s*(?:\\/\\/|#|--|;|\\/\\*|<!--)\\s*(?:(?:file(?:name)?|path)\\s*:\\s*)?(?:\\.\\/)?(${PATH})\\s*(?:\\*\\/|-->)?\\s*$`,
+  'i',
+);
+// A line above the block that is only a path, e.g. `**src/app.js**` or
+// `### 2. src/app.js`, or that ends in one, e.g. ``Create `app.py`:``
+const HEADING_FILENAME = new RegExp(
+  `^\\s*(?:#{1,6}\\s*)?(?:\\d+\\.\\s*)?[*_\`]*(?:\\.\\/)?(${PATH})[*_\`]*:?\\s*$`,
+);
+const TRAILING_FILENAME = new RegExp(
+  `\`(?:\\.\\/)?(${PATH})\`[*_]*\\s*[:：]\\s*$`,
+);
+
+const TREE_LINE = /^[\s│|]*(?:[├└]──|[|`+]--)/;
+
+export const extensionFor = (language) =>
+  EXTENSIONS[language.toLowerCase()] || 'txt';
+
+const languageForPath = (path) => {
+  const name = path.split('/').pop();
+  if (!name.includes('.')) return name.toLowerCase();
+  const extension = name.split('.').pop().toLowerCase();
+  return LANGUAGES[extension] || extension;
+};
+
+// Keeps paths inside the project folder
+const cleanPath = (path) =>
+  path
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((part) => part && part !== '.' && part !== '..')
+    .join('/');
+
+const inferFilename = (info, code, before) => {
+  const word = info.split(/\s/)[0];
+  if (word.includes('/') && PATH_PATTERN.test(word)) return word;
+  const fromInfo = INFO_FILENAME.exec(info)?.[1];
+  if (fromInfo) return fromInfo;
+  const fromComment = COMMENT_FILENAME.exec(code.split('\n', 1)[0])?.[1];
+  if (fromComment) return fromComment;
+  const lastLine = before.trimEnd().split('\n').pop();
+  return (
+    HEADING_FILENAME.exec(lastLine)?.[1] ||
+    TRAILING_FILENAME.exec(lastLine)?.[1] ||
+    null
+  );
+};
+
+// A `tree`-style listing of a proposed project layout
+export const isFileTree = (code) =>
+  code.split('\n').filter((line) => TREE_LINE.test(line)).length >= 2;
+
+// Paths of the files in a file tree listing. Entries with children or a
+// trailing slash are folders.
+export const parseFileTree = (code) => {
+  const entries = [];
+  const stack = [];
+  code.split('\n').forEach((line) => {
+    const withoutComment = line.replace(/\s+(?:#|\/\/|<-|←).*$/, '');
+    const match = /^([\s│|├└─`+-]*)(\S.*?)\s*$/.exec(withoutComment);
+    if (!match) return;
+    const column = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].column >= column) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    if (parent) parent.isFolder = true;
+    const name = match[2].replace(/\/$/, '');
+    const entry = {
+      column,
+      path: cleanPath(parent ? `${parent.path}/${name}` : name),
+      isFolder: match[2].endsWith('/'),
+    };
+    stack.push(entry);
+    entries.push(entry);
+  });
+  return entries.filter((entry) => !entry.isFolder).map((entry) => entry.path);
+};
+
+// Every fenced block in `text`: { language, code, filename, named, isTree }
+// The filename comes from the fence, a leading comment or a line just
+// above the block, and is moved into the folders of a file tree in the
+// same message that lists it. Blocks without one are `snippet-<n>.<ext>`.
+export const extractCodeBlocks = (text = '') => {
+  const matches = [...text.matchAll(FENCE_PATTERN)];
+  const blocks = matches.map((match, index) => {
+    const info = match[1].trim();
+    const code = match[2].replace(/\n$/, '');
+    const previous = matches[index - 1];
+    const filename = inferFilename(
+      info,
+      code,
+      text.slice(
+        previous ? previous.index + previous[0].length : 0,
+        match.index,
+      ),
+    );
+    const word = info.split(/[\s:]/)[0].toLowerCase();
+    return {
+      language:
+        (!word.includes('/') && word) ||
+        (filename && languageForPath(filename)) ||
+        '',
+      code,
+      filename: filename && cleanPath(filename),
+      isTree: isFileTree(code),
+    };
+  });
+
+  const treePaths = blocks
+    .filter((block) => block.isTree)
+    .flatMap((block) => parseFileTree(block.code));
+  const placed = (filename) => {
+    const candidates = treePaths.filter(
+      (path) => path === filename || path.endsWith(`/${filename}`),
+    );
+    return candidates.length === 1 ? candidates[0] : filename;
+  };
+
+  return blocks.map((block, index) => ({
+    ...block,
+    filename: block.filename
+      ? placed(block.filename)
+      : `snippet-${index + 1}.${extensionFor(block.language)}`,
+    named: Boolean(block.filename),
+  }));
+};
+
+// Files for a project download as [{ path, content }]. File tree listings
+// are left out, and a later block for the same path replaces an earlier one.
+export const projectFiles = (blocks) => {
+  const files = new Map();
+  blocks
+    .filter((block) => !block.isTree)
+    .forEach((block) => files.set(block.filename, block.code));
+  return [...files].map(([path, content]) => ({ path, content }));
+};
+
+// The last block in the same language before the message that contains
+// `code`, e.g. the code that was sent with an "Ask AI to modify" request.
+// { language, code, sender, messageIndex } or null
+export const findPreviousVersion = (messages, code, language) => {
+  const target = code.trim();
+  const lang = language.toLowerCase();
+  const isTarget = (block) => block.code.trim() === target;
+
+  let index = messages.length - 1;
+  while (
+    index >= 0 &&
+    !extractCodeBlocks(messages[index].text).some(isTarget)
+  ) {
+    index -= 1;
+  }
+
+  for (let i = index - 1; i >= 0; i -= 1) {
+    const earlier = extractCodeBlocks(messages[i].text).filter(
+      (block) => block.language === lang && !isTarget(block),
+    );
+    if (earlier.length > 0) {
+      return {
+        language: lang,
+        code: earlier[earlier.length - 1].code,
+        sender: messages[i].sender,
+        messageIndex: i,
+      };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,143 @@
+// Line diffs between two versions of a code block.
+//
+// diffLines returns one entry per line:
+//   { type: 'same' | 'added' | 'removed', text, oldLine, newLine }
+// with 1-based line numbers (null on the side the line is missing from).
+
+// Above this many line pairs the middle of the diff is shown as a plain
+// replacement instead of being aligned line by line
+const MAX_ALIGNED_CELLS = 4_000_000;
+
+const splitLines = (text) => text.replace(/\r\n?/g, '\n').split('\n');
+
+// Longest common subsequence of the changed middle section
+const alignLines = (before, after) => {
+  const rows = before.length;
+  const cols = after.length;
+  const lengths = Array.from(
+    { length: rows + 1 },
+    () => new Uint32Array(cols + 1),
+  );
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      ops.push({ type: 'same', oldIndex: i++, newIndex: j++ });
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'removed', oldIndex: i++ });
+    } else {
+      ops.push({ type: 'added', newIndex: j++ });
+    }
+  }
+  while (i < rows) ops.push({ type: 'removed', oldIndex: i++ });
+  while (j < cols) ops.push({ type: 'added', newIndex: j++ });
+  return ops;
+};
+
+export const diffLines = (beforeText, afterText) => {
+  const before = splitLines(beforeText);
+  const after = splitLines(afterText);
+
+  // Unchanged lines at either end don't need aligning
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  ) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  const oldMiddle = before.slice(start, before.length - end);
+  const newMiddle = after.slice(start, after.length - end);
+  const middle =
+    oldMiddle.length * newMiddle.length > MAX_ALIGNED_CELLS
+      ? [
+          ...oldMiddle.map((_, index) => ({
+            type: 'removed',
+            oldIndex: index,
+          })),
+          ...newMiddle.map((_, index) => ({ type: 'added', newIndex: index })),
+        ]
+      : alignLines(oldMiddle, newMiddle);
+
+  const lines = [];
+  for (let index = 0; index < start; index += 1) {
+    lines.push({
+      type: 'same',
+      text: before[index],
+      oldLine: index + 1,
+      newLine: index + 1,
+    });
+  }
+  middle.forEach(({ type, oldIndex, newIndex }) => {
+    lines.push({
+      type,
+      text: type === 'added' ? newMiddle[newIndex] : oldMiddle[oldIndex],
+      oldLine: type === 'added' ? null : start + oldIndex + 1,
+      newLine: type === 'removed' ? null : start + newIndex + 1,
+    });
+  });
+  for (let index = end; index > 0; index -= 1) {
+    lines.push({
+      type: 'same',
+      text: before[before.length - index],
+      oldLine: before.length - index + 1,
+      newLine: after.length - index + 1,
+    });
+  }
+  return lines;
+};
+
+export const diffStats = (lines) => ({
+  added: lines.filter((line) => line.type === 'added').length,
+  removed: lines.filter((line) => line.type === 'removed').length,
+});
+
+// Rows of [left, right] for a side-by-side view. Removed and added lines
+// in the same run are paired up so replacements sit next to each other.
+export const sideBySide = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let index = 0; index < count; index += 1) {
+      rows.push([removed[index] || null, added[index] || null]);
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.type === 'removed') {
+      removed.push(line);
+    } else if (line.type === 'added') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push([line, line]);
+    }
+  });
+  flush();
+  return rows;
+};
@@ -0,0 +1,83 @@
+import { diffLines, diffStats, sideBySide } from './codeDiff';
+
+const summary = (lines) =>
+  lines.map(({ type, text, oldLine, newLine }) => [
+    type,
+    text,
+    oldLine,
+    newLine,
+  ]);
+
+describe('diffLines', () => {
+  it('marks identical text as unchanged', () => {
+    expect(summary(diffLines('a\nb', 'a\nb'))).toEqual([
+      ['same', 'a', 1, 1],
+      ['same', 'b', 2, 2],
+    ]);
+  });
+
+  it('numbers added and removed lines on their own side', () => {
+    expect(summary(diffLines('a\nb\nc', 'a\nB\nc\nd'))).toEqual([
+      ['same', 'a', 1, 1],
+      ['removed', 'b', 2, null],
+      ['added', 'B', null, 2],
+      ['same', 'c', 3, 3],
+      ['added', 'd', null, 4],
+    ]);
+  });
+
+  it('aligns unchanged lines inside a changed section', () => {
+    const lines = diffLines('start\nx\nkeep\ny\nend', 'start\nkeep\nnew\nend');
+    expect(summary(lines)).toEqual([
+      ['same', 'start', 1, 1],
+      ['removed', 'x', 2, null],
+      ['same', 'keep', 3, 2],
+      ['removed', 'y', 4, null],
+      ['added', 'new', null, 3],
+      ['same', 'end', 5, 4],
+    ]);
+  });
+
+  it('treats Windows line endings like Unix ones', () => {
+    expect(diffStats(diffLines('a\r\nb\r\n', 'a\nb\n'))).toEqual({
+      added: 0,
+      removed: 0,
+    });
+  });
+
+  it('handles an empty side', () => {
+    expect(summary(diffLines('', 'a'))).toEqual([
+      ['removed', '', 1, null],
+      ['added', 'a', null, 1],
+    ]);
+  });
+});
+
+describe('diffStats', () => {
+  it('counts added and removed lines', () => {
+    expect(diffStats(diffLines('a\nb\nc', 'a\nx\ny\nc'))).toEqual({
+      added: 2,
+      removed: 1,
+    });
+  });
+});
+
+describe('sideBySide', () => {
+  it('pairs removed lines with the added lines that replace them', () => {
+    const rows = sideBySide(diffLines('a\nb\nc\nd', 'a\nB\nd'));
+    expect(
+      rows.map(([left, right]) => [left?.text ?? null, right?.text ?? null]),
+    ).toEqual([
+      ['a', 'a'],
+      ['b', 'B'],
+      ['c', null],
+      ['d', 'd'],
+    ]);
+  });
+
+  it('leaves the left side empty for pure additions', () => {
+    const rows = sideBySide(diffLines('a', 'a\nb'));
+    expect(rows[1][0]).toBeNull();
+    expect(rows[1][1]).toMatchObject({ type: 'added', text: 'b' });
+  });
+});
@@ -0,0 +1,233 @@
+// Live previews of generated UI code. HTML, CSS and single-file React
+// components are turned into a standalone document for a sandboxed iframe
+// that reports console output and errors back with postMessage:
+//
+//   { source: PREVIEW_MESSAGE_SOURCE, level, text }
+
+export const PREVIEW_MESSAGE_SOURCE = 'code-preview';
+
+// The sandbox has no access to the app bundle, so React comes from a CDN
+// at the version the app uses
+const REACT_SCRIPTS = [
+  'https://unpkg.com/react@18.3.1/umd/react.production.min.js',
+  'https://unpkg.com/react-dom@18.3.1/umd/react-dom.production.min.js',
+];
+
+const HTML_LANGUAGES = ['html', 'htm', 'xhtml', 'svg'];
+const CSS_LANGUAGES = ['css'];
+const REACT_LANGUAGES = ['jsx', 'tsx', 'react'];
+const SCRIPT_LANGUAGES = ['javascript', 'js', 'typescript', 'ts'];
+const TYPESCRIPT_LANGUAGES = ['tsx', 'typescript', 'ts'];
+
+const JSX_PATTERN = /<([A-Z][\w.]*|[a-z]+)(\s[^<>]*)?\/?>|<>/;
+
+// 'html' | 'css' | 'react' | null
+export const previewKind = (code, language = '') => {
+  const lang = language.toLowerCase();
+  if (HTML_LANGUAGES.includes(lang)) return 'html';
+  if (CSS_LANGUAGES.includes(lang)) return 'css';
+  if (REACT_LANGUAGES.includes(lang)) return 'react';
+  // Plain JS/TS blocks are often components too
+  if (
+    SCRIPT_LANGUAGES.includes(lang) &&
+    /\breact\b/i.test(code) &&
+    JSX_PATTERN.test(code)
+  ) {
+    return 'react';
+  }
+  return null;
+};
+
+// Forwards console calls and uncaught errors to the app. Runs first in
+// every preview document.
+const BRIDGE_SCRIPT = `
+(() => {
+  const send = (level, args) => {
+    const text = args.map((value) => {
+      if (value instanceof Error) return value.stack || String(value);
+      if (typeof value === 'string') return value;
+      try { return JSON.stringify(value); } catch { return String(value); }
+    }).join(' ');
+    parent.postMessage({ source: '${PREVIEW_MESSAGE_SOURCE}', level, text }, '*');
+  };
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[level];
+    console[level] = (...args) => {
+      send(level, args);
+      original.apply(console, args);
+    };
+  }
+  window.addEventListener('error', (event) => {
+    send('error', [event.error || event.message]);
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    send('error', ['Uncaught (in promise)', event.reason]);
+  });
+})();
+`;
+
+const escapeScript = (code) => code.replace(/<\/script/gi, '<\\/script');
+
+const BASE_STYLE = `
+  html, body { margin: 0; min-height: 100%; }
+  body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; }
+`;
+
+const documentWith = ({ head = '', body = '' }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<script>${BRIDGE_SCRIPT}</script>
+<style>${BASE_STYLE}</style>
+${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const htmlDocument = (code) => {
+  const bridge = `<script>${BRIDGE_SCRIPT}</script>`;
+  if (/<html[\s>]/i.test(code)) {
+    // Full documents keep their own structure; the bridge goes first
+    return /<head[^>]*>/i.test(code)
+      ? code.replace(/<head[^>]*>/i, (head) => `${head}${bridge}`)
+      : code.replace(/<html[^>]*>/i, (html) => `${html}<head>${bridge}</head>`);
+  }
+  return documentWith({ body: code });
+};
+
+// CSS on its own has nothing to style, so every top-level class selector
+// gets a sample element on a colourful background (glass effects need
+// something behind them)
+const cssDocument = (code) => {
+  const classNames = [
+    ...new Set(
+      [...code.matchAll(/(?:^|[\s}])\.([A-Za-z_-][\w-]*)[^{}]*\{/g)].map(
+        ([, name]) => name,
+      ),
+    ),
+  ].slice(0, 12);
+
+  const samples = classNames.length
+    ? classNames
+        .map(
+          (name) =>
+            `<div class="${name}"><h3>${name}</h3><p>Sample content for .${name}</p><button>Button</button></div>`,
+        )
+        .join('\n')
+    : '<h1>Heading</h1><p>Paragraph text</p><button>Button</button>';
+
+  return documentWith({
+    head: `<style>
+  .preview-stage {
+    min-height: 100vh; box-sizing: border-box; padding: 24px;
+    display: flex; flex-wrap: wrap; gap: 24px; align-items: center; justify-content: center;
+    background: linear-gradient(135deg, #6366f1 0%, #ec4899 50%, #f59e0b 100%);
+  }
+</style>
+<style>${code}</style>`,
+    body: `<div class="preview-stage">${samples}</div>`,
+  });
+};
+
+// Names a component could be declared under when nothing is exported
+const componentCandidates = (code) => [
+  ...new Set(
+    [
+      ...code.matchAll(
+        /(?:function|class|const|let|var)\s+([A-Z][A-Za-z0-9_]*)/g,
+      ),
+    ].map(([, name]) => name),
+  ),
+];
+
+const reactDocument = async (code, language) => {
+  const { transform } = await import('sucrase');
+  const candidates = componentCandidates(code);
+  const compiled = transform(code, {
+    transforms: [
+      'jsx',
+      'imports',
+      ...(TYPESCRIPT_LANGUAGES.includes(language.toLowerCase())
+        ? ['typescript']
+        : []),
+    ],
+    production: true,
+  }).code;
+  const rendersItself = /\b(createRoot|ReactDOM\.render|hydrateRoot)\s*\(/.test(
+    code,
+  );
+
+  // Runs the module with a small require() and renders its default export,
+  // or else the last component declared in the file
+  const runner = `
+(() => {
+  const modules = {
+    react: window.React,
+    'react-dom': window.ReactDOM,
+    'react-dom/client': window.ReactDOM,
+  };
+  const require = (name) => {
+    if (name in modules) return modules[name];
+    if (/\\.(css|scss|sass|less)$/.test(name)) return {};
+    throw new Error('Only react and react-dom can be imported in the preview (tried "' + name + '")');
+  };
+  const module = { exports: {} };
+  const declared = (function (exports, module, require, React) {
+${compiled}
+    return { ${candidates
+      .map(
+        (name) =>
+          `${name}: typeof ${name} !== 'undefined' ? ${name} : undefined`,
+      )
+      .join(', ')} };
+  })(module.exports, module, require, window.React);
+  if (${rendersItself}) return;
+
+  const exported = module.exports;
+  const isComponent = (value) => typeof value === 'function';
+  const Component =
+    (isComponent(exported.default) && exported.default) ||
+    (isComponent(exported) && exported) ||
+    Object.keys(exported).map((key) => exported[key]).find(isComponent) ||
+    Object.values(declared).filter(isComponent).pop();
+  if (!Component) {
+    console.warn('Nothing to render: export a React component to preview it.');
+    return;
+  }
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    React.createElement(Component),
+  );
+})();
+`;
+
+  return documentWith({
+    head: REACT_SCRIPTS.map(
+      (src) =>
+        `<script src="${src}" crossorigin onerror="console.error('Could not load ' + this.src + ' — previews of React code need a connection.')"></script>`,
+    ).join('\n'),
+    body: `<div id="root"></div>
+<script>
+if (window.React && window.ReactDOM) {
+${escapeScript(runner)}
+}
+</script>`,
+  });
+};
+
+// Standalone document for the preview iframe. Rejects when the code can't
+// be compiled, with the compiler's message.
+export const buildPreviewDocument = async (code, language) => {
+  switch (previewKind(code, language)) {
+    case 'html':
+      return htmlDocument(code);
+    case 'css':
+      return cssDocument(code);
+    case 'react':
+      return reactDocument(code, language);
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,290 @@
+// Runs JavaScript and TypeScript snippets from responses in a Web Worker
+// inside a hidden sandboxed iframe. The iframe has an opaque origin, so
+// snippets can't reach the page or the storage holding conversations, and
+// removing it kills a snippet that runs too long. Console calls, the
+// completion value of the script and uncaught errors are collected into a
+// run result:
+//
+//   { status: 'running' | 'done' | 'error' | 'timeout' | 'stopped',
+//     logs: [{ level, text }], result, error, duration }
+
+export const RUN_TIMEOUT = 5000;
+const MAX_LOGS = 500;
+const MAX_TEXT_LENGTH = 20000;
+
+const RUNNABLE = {
+  javascript: 'javascript',
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  typescript: 'typescript',
+  ts: 'typescript',
+};
+
+export const isRunnable = (language = '') =>
+  Boolean(RUNNABLE[language.toLowerCase()]);
+
+// Kept as a string so the build doesn't rewrite it with helpers that only
+// exist in the app bundle. The helpers live in a closure so snippets can
+// declare the same names.
+const WORKER_SOURCE = `
+(() => {
+'use strict';
+const MAX_LOGS = ${MAX_LOGS};
+const MAX_TEXT_LENGTH = ${MAX_TEXT_LENGTH};
+const post = self.postMessage.bind(self);
+let logCount = 0;
+
+const clip = (text) =>
+  text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) + ' …' : text;
+
+const describe = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+  if (typeof value === 'bigint') return value + 'n';
+  if (typeof value === 'symbol' || value === undefined || value === null) return String(value);
+  if (typeof value !== 'object') return String(value);
+  if (value instanceof Error) return value.stack || value.name + ': ' + value.message;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Map) {
+    return 'Map(' + value.size + ') {' +
+      [...value].map(([k, v]) => describe(k, seen) + ' => ' + describe(v, seen)).join(', ') + '}';
+  }
+  if (value instanceof Set) {
+    return 'Set(' + value.size + ') {' + [...value].map((v) => describe(v, seen)).join(', ') + '}';
+  }
+  if (typeof value.then === 'function') return 'Promise {…}';
+  if (Array.isArray(value)) return '[' + value.map((v) => describe(v, seen)).join(', ') + ']';
+  const name = value.constructor && value.constructor !== Object ? value.constructor.name + ' ' : '';
+  return name + '{' +
+    Object.keys(value).map((k) => k + ': ' + describe(value[k], seen)).join(', ') + '}';
+};
+
+// Strings are logged as they are, like the browser console
+const show = (value) => (typeof value === 'string' ? value : describe(value));
+
+for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+  console[level] = (...args) => {
+    logCount += 1;
+    if (logCount > MAX_LOGS) return;
+    const text = logCount === MAX_LOGS
+      ? '… further output was dropped'
+      : clip(args.map(show).join(' '));
+    post({ type: 'log', level, text });
+  };
+}
+console.table = console.log;
+console.dir = console.log;
+
+// Count pending timers so the run can finish once nothing is left to do
+let pendingTimers = 0;
+let finished = false;
+let result;
+const timers = new Set();
+const realSetTimeout = self.setTimeout.bind(self);
+const realClearTimeout = self.clearTimeout.bind(self);
+
+const finishWhenIdle = () => {
+  realSetTimeout(() => {
+    if (finished && pendingTimers === 0) {
+      post({ type: 'done', result });
+    }
+  }, 0);
+};
+
+self.setTimeout = (callback, delay, ...args) => {
+  const id = realSetTimeout(() => {
+    timers.delete(id);
+    pendingTimers -= 1;
+    try {
+      if (typeof callback === 'function') callback(...args);
+    } finally {
+      finishWhenIdle();
+    }
+  }, delay);
+  timers.add(id);
+  pendingTimers += 1;
+  return id;
+};
+self.clearTimeout = (id) => {
+  if (timers.delete(id)) {
+    pendingTimers -= 1;
+    finishWhenIdle();
+  }
+  realClearTimeout(id);
+};
+const realSetInterval = self.setInterval.bind(self);
+const realClearInterval = self.clearInterval.bind(self);
+const intervals = new Set();
+self.setInterval = (...args) => {
+  const id = realSetInterval(...args);
+  intervals.add(id);
+  pendingTimers += 1;
+  return id;
+};
+self.clearInterval = (id) => {
+  if (intervals.delete(id)) {
+    pendingTimers -= 1;
+    finishWhenIdle();
+  }
+  realClearInterval(id);
+};
+
+const fail = (error) => {
+  post({ type: 'error', error: clip(describe(error)) });
+};
+
+self.addEventListener('error', (event) => {
+  event.preventDefault();
+  fail(event.error || event.message);
+});
+self.addEventListener('unhandledrejection', (event) => {
+  event.preventDefault();
+  fail(event.reason);
+});
+
+self.onmessage = async ({ data: code }) => {
+  try {
+    let value;
+    try {
+      value = (0, eval)(code);
+    } catch (error) {
+      // Top-level await only parses inside an async function
+      if (!(error instanceof SyntaxError) || !/await/.test(error.message)) throw error;
+      const AsyncFunction = (async () => {}).constructor;
+      value = await new AsyncFunction(code)();
+    }
+    if (value && typeof value.then === 'function') value = await value;
+    result = value === undefined ? undefined : clip(describe(value));
+    finished = true;
+    finishWhenIdle();
+  } catch (error) {
+    fail(error);
+  }
+};
+})();
+`;
+
+// The iframe page starts the worker and relays messages both ways. `<` is
+// escaped so nothing in the worker source can close the script element.
+const HOST_DOCUMENT = `<!DOCTYPE html>
+<script>
+try {
+  const source = ${JSON.stringify(WORKER_SOURCE).replace(/</g, '\\u003c')};
+  const worker = new Worker(
+    URL.createObjectURL(new Blob([source], { type: 'text/javascript' })),
+  );
+  worker.onmessage = ({ data }) => parent.postMessage(data, '*');
+  worker.onerror = (event) => {
+    event.preventDefault();
+    parent.postMessage({ type: 'error', error: event.message }, '*');
+  };
+  addEventListener('message', ({ data }) => worker.postMessage(data));
+} catch (error) {
+  parent.postMessage({ type: 'error', error: String(error) }, '*');
+}
+</script>`;
+
+const createSandbox = () => {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('sandbox', 'allow-scripts');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.style.display = 'none';
+  iframe.srcdoc = HOST_DOCUMENT;
+  document.body.appendChild(iframe);
+  return iframe;
+};
+
+const toJavaScript = async (code, language) => {
+  if (RUNNABLE[language.toLowerCase()] !== 'typescript') return code;
+
+  // Only type annotations are removed; nothing is type-checked
+  const { transform } = await import('sucrase');
+  return transform(code, {
+    transforms: ['typescript'],
+    disableESTransforms: true,
+  }).code;
+};
+
+// Run a snippet. `onUpdate` gets the run result every time it changes;
+// the returned promise resolves with the final one. Aborting `signal`
+// stops the snippet.
+export const runCode = async (
+  code,
+  language,
+  { timeout = RUN_TIMEOUT, signal, onUpdate = () => {} } = {},
+) => {
+  const startedAt = performance.now();
+  let run = { status: 'running', logs: [], result: undefined, error: null };
+  const update = (changes) => {
+    run = {
+      ...run,
+      ...changes,
+      duration: Math.round(performance.now() - startedAt),
+    };
+    onUpdate(run);
+  };
+
+  update({});
+
+  let source;
+  try {
+    source = await toJavaScript(code, language);
+  } catch (error) {
+    update({ status: 'error', error: error.message });
+    return run;
+  }
+
+  return new Promise((resolve) => {
+    const sandbox = createSandbox();
+    let timeoutId;
+    let settled = false;
+
+    const finish = (changes) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', stop);
+      window.removeEventListener('message', onMessage);
+      sandbox.remove();
+      update(changes);
+      resolve(run);
+    };
+    const stop = () => finish({ status: 'stopped' });
+
+    if (signal?.aborted) {
+      stop();
+      return;
+    }
+    signal?.addEventListener('abort', stop, { once: true });
+    timeoutId = setTimeout(() => finish({ status: 'timeout' }), timeout);
+
+    const onMessage = ({ source: sender, data }) => {
+      if (sender !== sandbox.contentWindow || !data) return;
+      if (data.type === 'log') {
+        update({ logs: [...run.logs, { level: data.level, text: data.text }] });
+      } else if (data.type === 'done') {
+        finish({ status: 'done', result: data.result });
+      } else if (data.type === 'error') {
+        finish({ status: 'error', error: data.error });
+      }
+    };
+    window.addEventListener('message', onMessage);
+    sandbox.addEventListener('load', () =>
+      sandbox.contentWindow.postMessage(source, '*'),
+    );
+  });
+};
+
+// Plain-text report of a run, for sending back to the assistant
+export const describeRun = (run) => {
+  const lines = run.logs.map(({ level, text }) =>
+    level === 'log' || level === 'info' ? text : `[${level}] ${text}`,
+  );
+  if (run.result !== undefined) lines.push(`=> ${run.result}`);
+  if (run.error) lines.push(run.error);
+  return lines.join('\n');
+};
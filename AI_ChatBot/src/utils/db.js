@@ -0,0 +1,95 @@
+// Minimal promise wrapper around IndexedDB for the app's local data.
+//
+// Each object store is keyed by `id`. Adding a store means appending it to
+// STORES and bumping DB_VERSION so existing databases are upgraded.
+
+const DB_NAME = 'ai-assistant';
+const DB_VERSION = 4;
+
+export const STORES = {
+  CONVERSATIONS: 'conversations',
+  PERSONAS: 'personas',
+  TEMPLATES: 'templates',
+  RESPONSES: 'responses',
+};
+
+// Codes the storage hooks report in `storageError`, translated where shown
+export const StorageErrors = {
+  SAVE_FAILED: 'saveFailed',
+  UNAVAILABLE: 'unavailable',
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach((store) => {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version opened in another tab take over
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error('Database upgrade blocked by another open tab'));
+  }).catch((err) => {
+    // Allow a later call to try again
+    dbPromise = null;
+    throw err;
+  });
+
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getAll = (storeName) =>
+  runRequest(storeName, 'readonly', (store) => store.getAll());
+
+export const getItem = (storeName, id) =>
+  runRequest(storeName, 'readonly', (store) => store.get(id));
+
+export const putItem = (storeName, value) =>
+  runRequest(storeName, 'readwrite', (store) => store.put(value));
+
+export const deleteItem = (storeName, id) =>
+  runRequest(storeName, 'readwrite', (store) => store.delete(id));
+
+export const clearStore = (storeName) =>
+  runRequest(storeName, 'readwrite', (store) => store.clear());
+
+export const createId = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
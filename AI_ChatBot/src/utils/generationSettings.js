@@ -0,0 +1,75 @@
+import { ENV_CONFIG } from '../config';
+import { DEFAULT_PROVIDER_ID, getProvider, PROVIDERS } from '../providers';
+
+const STORAGE_KEY = 'generationSettings';
+
+export const GENERATION_DEFAULTS = {
+  temperature: 0.7,
+  top_p: 0.95,
+  max_tokens: 2000,
+  presence_penalty: 0,
+  frequency_penalty: 0,
+};
+
+// A reply may take at most half the context window, so the conversation
+// being answered always has room
+const MAX_REPLY_TOKENS = Math.max(
+  Math.min(8192, Math.floor(ENV_CONFIG.CONTEXT_WINDOW / 2 / 64) * 64),
+  64,
+);
+
+// Slider ranges for the settings drawer
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  top_p: { min: 0, max: 1, step: 0.05 },
+  max_tokens: { min: 64, max: MAX_REPLY_TOKENS, step: 64 },
+  presence_penalty: { min: -2, max: 2, step: 0.1 },
+  frequency_penalty: { min: -2, max: 2, step: 0.1 },
+};
+
+// Blank values fall back too: Number(null) and Number('') are 0, which
+// would quietly send a temperature or token limit of zero
+const clamp = (value, { min, max }, fallback) => {
+  const isBlank =
+    value === null ||
+    value === undefined ||
+    (typeof value === 'string' && value.trim() === '');
+  const number = isBlank ? NaN : Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
+};
+
+// Fill in missing fields and keep every value inside its allowed range
+export const normalizeSettings = (settings = {}) => {
+  const providerId = PROVIDERS[settings.providerId]
+    ? settings.providerId
+    : DEFAULT_PROVIDER_ID;
+
+  const normalized = {
+    providerId,
+    model: settings.model || getProvider(providerId).defaultModel,
+  };
+
+  Object.entries(GENERATION_LIMITS).forEach(([key, limits]) => {
+    normalized[key] = clamp(settings[key], limits, GENERATION_DEFAULTS[key]);
+  });
+  normalized.max_tokens = Math.round(normalized.max_tokens);
+
+  return normalized;
+};
+
+export const defaultSettings = () => normalizeSettings(GENERATION_DEFAULTS);
+
+// Settings last used, applied to new conversations
+export const loadLastUsedSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return normalizeSettings({ ...GENERATION_DEFAULTS, ...saved });
+  } catch {
+    return defaultSettings();
+  }
+};
+
+export const saveLastUsedSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,51 @@
+import {
+  GENERATION_DEFAULTS,
+  GENERATION_LIMITS,
+  normalizeSettings,
+} from './generationSettings';
+
+describe('normalizeSettings', () => {
+  it('falls back to the defaults for missing or blank values', () => {
+    const normalized = normalizeSettings({
+      temperature: null,
+      top_p: '',
+      max_tokens: '  ',
+      presence_penalty: NaN,
+      frequency_penalty: 'abc',
+    });
+    expect(normalized).toMatchObject({
+      temperature: GENERATION_DEFAULTS.temperature,
+      top_p: GENERATION_DEFAULTS.top_p,
+      presence_penalty: GENERATION_DEFAULTS.presence_penalty,
+      frequency_penalty: GENERATION_DEFAULTS.frequency_penalty,
+    });
+    expect(normalized.max_tokens).toBe(
+      normalizeSettings(GENERATION_DEFAULTS).max_tokens,
+    );
+    expect(normalized.max_tokens).toBeGreaterThan(0);
+  });
+
+  it('keeps a real zero', () => {
+    expect(normalizeSettings({ temperature: 0 }).temperature).toBe(0);
+    expect(normalizeSettings({ temperature: '0' }).temperature).toBe(0);
+  });
+
+  it('clamps values into their range and rounds max_tokens', () => {
+    const { max_tokens } = GENERATION_LIMITS;
+    expect(normalizeSettings({ temperature: 5 }).temperature).toBe(2);
+    expect(normalizeSettings({ top_p: -1 }).top_p).toBe(0);
+    expect(normalizeSettings({ max_tokens: 1 }).max_tokens).toBe(
+      max_tokens.min,
+    );
+    expect(normalizeSettings({ max_tokens: 1e9 }).max_tokens).toBe(
+      max_tokens.max,
+    );
+    expect(normalizeSettings({ max_tokens: 100.4 }).max_tokens).toBe(100);
+  });
+
+  it('replaces an unknown provider with the default one', () => {
+    const normalized = normalizeSettings({ providerId: 'nope' });
+    expect(normalized.providerId).not.toBe('nope');
+    expect(normalized.model).toBeTruthy();
+  });
+});
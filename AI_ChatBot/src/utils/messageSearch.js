@@ -0,0 +1,155 @@
+import { toPrismLanguage } from '../components/CodeHighlighter';
+
+// Local full-text search over every saved conversation. The index is a flat
+// list of messages with their code-block languages pre-extracted; queries
+// match when every word appears in the message, in any order.
+
+const SNIPPET_LENGTH = 180;
+const MAX_RESULTS = 60;
+
+export const DEFAULT_SEARCH_FILTERS = {
+  sender: 'all',
+  from: '',
+  to: '',
+  hasCode: false,
+  language: '',
+};
+
+const FENCE_PATTERN = /^ {0,3}(?:`{3,}|~{3,})[ \t]*([\w+#.-]*)/gm;
+
+// Languages of the fenced code blocks in `text`; '' for an unlabeled block.
+// Opening and closing fences alternate, so every other match is skipped.
+const codeLanguagesOf = (text) => {
+  const fences = [...text.matchAll(FENCE_PATTERN)];
+  return fences
+    .filter((_, index) => index % 2 === 0)
+    .map(([, language]) => (language ? toPrismLanguage(language) : ''));
+};
+
+export const buildSearchIndex = (conversations) =>
+  conversations.flatMap((conversation) =>
+    conversation.messages
+      .map((msg, index) => ({ msg, index }))
+      .filter(({ msg }) => msg.text && !msg.isError)
+      .map(({ msg, index }) => {
+        const languages = codeLanguagesOf(msg.text);
+        return {
+          id: `${conversation.id}:${index}`,
+          conversationId: conversation.id,
+          conversationTitle: conversation.title,
+          conversationUpdatedAt: conversation.updatedAt,
+          index,
+          sender: msg.sender,
+          text: msg.text,
+          lowerText: msg.text.toLowerCase(),
+          timestamp: msg.timestamp || null,
+          hasCode: languages.length > 0,
+          languages: [...new Set(languages.filter(Boolean))],
+        };
+      }),
+  );
+
+// Every code language used anywhere, for the language filter
+export const indexedLanguages = (index) =>
+  [...new Set(index.flatMap((entry) => entry.languages))].sort();
+
+const startOfDay = (date) => new Date(`${date}T00:00:00`).getTime();
+const endOfDay = (date) => new Date(`${date}T23:59:59.999`).getTime();
+
+const matchesFilters = (entry, filters) => {
+  if (filters.sender !== 'all' && entry.sender !== filters.sender) {
+    return false;
+  }
+  if (filters.hasCode && !entry.hasCode) return false;
+  if (filters.language && !entry.languages.includes(filters.language)) {
+    return false;
+  }
+  // Messages saved before timestamps were recorded have no date to match
+  if (filters.from || filters.to) {
+    if (!entry.timestamp) return false;
+    if (filters.from && entry.timestamp < startOfDay(filters.from)) {
+      return false;
+    }
+    if (filters.to && entry.timestamp > endOfDay(filters.to)) return false;
+  }
+  return true;
+};
+
+// [start, end) ranges of every occurrence of every term, merged
+const matchRanges = (lowerText, terms) => {
+  const ranges = [];
+  terms.forEach((term) => {
+    let from = lowerText.indexOf(term);
+    while (from !== -1) {
+      ranges.push([from, from + term.length]);
+      from = lowerText.indexOf(term, from + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+// A window of the message around its first match, with the match ranges
+// shifted into it. Whitespace becomes spaces so the snippet stays one line.
+const snippetOf = (text, ranges) => {
+  const anchor = ranges[0]?.[0] ?? 0;
+  const start = Math.max(
+    0,
+    Math.min(anchor - SNIPPET_LENGTH / 3, text.length - SNIPPET_LENGTH),
+  );
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return {
+    text: text.slice(start, end).replace(/\s/g, ' '),
+    ranges: ranges
+      .filter(([from, to]) => to > start && from < end)
+      .map(([from, to]) => [
+        Math.max(from, start) - start,
+        Math.min(to, end) - start,
+      ]),
+    clippedStart: start > 0,
+    clippedEnd: end < text.length,
+  };
+};
+
+// Newest first; undated messages fall back to their conversation's age
+const byRecency = (a, b) =>
+  (b.timestamp || b.conversationUpdatedAt) -
+  (a.timestamp || a.conversationUpdatedAt);
+
+export const searchMessages = (
+  index,
+  query,
+  filters = DEFAULT_SEARCH_FILTERS,
+) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const isFiltered =
+    filters.sender !== 'all' ||
+    filters.from ||
+    filters.to ||
+    filters.hasCode ||
+    filters.language;
+  if (terms.length === 0 && !isFiltered) return [];
+
+  return index
+    .filter(
+      (entry) =>
+        matchesFilters(entry, filters) &&
+        terms.every((term) => entry.lowerText.includes(term)),
+    )
+    .sort(byRecency)
+    .slice(0, MAX_RESULTS)
+    .map((entry) => ({
+      ...entry,
+      snippet: snippetOf(entry.text, matchRanges(entry.lowerText, terms)),
+    }));
+};
@@ -0,0 +1,101 @@
+import {
+  buildSearchIndex,
+  DEFAULT_SEARCH_FILTERS,
+  indexedLanguages,
+  searchMessages,
+} from './messageSearch';
+
+const at = (date) => new Date(`${date}T12:00:00`).getTime();
+
+const index = buildSearchIndex([
+  {
+    id: 'c1',
+    title: 'Sorting',
+    updatedAt: at('2024-03-02'),
+    messages: [
+      {
+        sender: 'user',
+        text: 'How do I sort an array?',
+        timestamp: at('2024-03-01'),
+      },
+      {
+        sender: 'ai',
+        text: 'Use sort:\n```JS\n[3, 1].sort();\n```',
+        timestamp: at('2024-03-02'),
+      },
+      { sender: 'ai', text: 'Network error', isError: true },
+    ],
+  },
+  {
+    id: 'c2',
+    title: 'Python',
+    updatedAt: at('2024-04-01'),
+    messages: [
+      { sender: 'user', text: 'Sort a list in Python' },
+      { sender: 'ai', text: '```python\nsorted(items)\n```\n```\nplain\n```' },
+    ],
+  },
+]);
+
+const search = (query, filters = {}) =>
+  searchMessages(index, query, { ...DEFAULT_SEARCH_FILTERS, ...filters }).map(
+    (result) => result.id,
+  );
+
+describe('buildSearchIndex', () => {
+  it('indexes every message but error bubbles, with its code languages', () => {
+    expect(index.map((entry) => entry.id)).toEqual([
+      'c1:0',
+      'c1:1',
+      'c2:0',
+      'c2:1',
+    ]);
+    expect(index[1]).toMatchObject({
+      hasCode: true,
+      languages: ['javascript'],
+    });
+    expect(index[3].languages).toEqual(['python']);
+    expect(indexedLanguages(index)).toEqual(['javascript', 'python']);
+  });
+});
+
+describe('searchMessages', () => {
+  it('matches every word in any order, ignoring case', () => {
+    expect(search('ARRAY sort')).toEqual(['c1:0']);
+    expect(search('sort missing')).toEqual([]);
+  });
+
+  it('returns nothing for an empty query without filters', () => {
+    expect(search('  ')).toEqual([]);
+  });
+
+  it('lists the newest first, using the conversation age for undated messages', () => {
+    expect(search('sort')).toEqual(['c2:0', 'c2:1', 'c1:1', 'c1:0']);
+  });
+
+  it('filters by sender, code and language', () => {
+    expect(search('sort', { sender: 'user' })).toEqual(['c2:0', 'c1:0']);
+    expect(search('', { hasCode: true })).toEqual(['c2:1', 'c1:1']);
+    expect(search('', { language: 'python' })).toEqual(['c2:1']);
+  });
+
+  it('filters by date, leaving out undated messages', () => {
+    expect(search('sort', { from: '2024-03-02' })).toEqual(['c1:1']);
+    expect(search('sort', { to: '2024-03-01' })).toEqual(['c1:0']);
+  });
+
+  it('highlights every match in a one-line snippet', () => {
+    const [result] = searchMessages(
+      index,
+      'sort',
+      DEFAULT_SEARCH_FILTERS,
+    ).filter((entry) => entry.id === 'c1:1');
+    expect(result.snippet.text).toBe('Use sort: ```JS [3, 1].sort(); ```');
+    expect(result.snippet.ranges).toEqual([
+      [4, 8],
+      [23, 27],
+    ]);
+    expect(result.snippet.clippedStart).toBe(false);
+    expect(result.snippet.clippedEnd).toBe(false);
+  });
+});
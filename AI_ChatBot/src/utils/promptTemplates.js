@@ -0,0 +1,187 @@
+import { createId } from './db';
+
+// Reusable prompts. `{{name}}` marks a placeholder that is filled in before
+// the prompt is sent:
+//   {{name}}          one line of text
+//   {{name:long}}     several lines, e.g. pasted code
+//   {{name:a|b|c}}    one of the listed choices
+//
+// A template is { id, title, description, category, icon, color, prompt,
+// seed, createdAt, updatedAt }. Built-in templates keep their `seed` key
+// until edited so they follow the interface language.
+
+const EXPORT_FORMAT = 'ai-assistant-templates';
+const EXPORT_VERSION = 1;
+const TITLE_MAX_LENGTH = 60;
+const CATEGORY_MAX_LENGTH = 40;
+
+// Colours with matching classes in App.css / the Tailwind build
+export const TEMPLATE_COLORS = [
+  'blue',
+  'purple',
+  'yellow',
+  'green',
+  'pink',
+  'indigo',
+  'red',
+  'amber',
+];
+
+// The original welcome-screen suggestions. Technology names are not
+// translated; everything else comes from `suggestions.<seed>` and
+// `templates.seedCategories.<category>`.
+export const SEED_TEMPLATES = [
+  { seed: 'reactHook', title: 'React Hook', icon: 'react', color: 'blue' },
+  { seed: 'python', title: 'Python', icon: 'python', color: 'purple' },
+  {
+    seed: 'javascript',
+    title: 'JavaScript',
+    icon: 'javascript',
+    color: 'yellow',
+  },
+  { seed: 'api', title: 'API', icon: 'api', color: 'green' },
+  {
+    seed: 'typescript',
+    title: 'TypeScript',
+    icon: 'typescript',
+    color: 'blue',
+  },
+  { seed: 'css', title: 'CSS', icon: 'css', color: 'pink' },
+  { seed: 'explain', icon: 'info', color: 'indigo', review: true },
+  { seed: 'debug', icon: 'bug', color: 'red', review: true },
+  { seed: 'optimize', icon: 'rocket', color: 'amber', review: true },
+].map(({ review, ...seed }, index) => ({
+  ...seed,
+  id: `seed-${seed.seed}`,
+  category: review ? 'review' : 'build',
+  // Keeps the seeds in their original order ahead of user templates
+  createdAt: index,
+  updatedAt: index,
+}));
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}:]+?)\s*(?::([^{}]*))?\}\}/g;
+
+// The distinct placeholders of a prompt as form fields
+// { name, kind: 'text' | 'long' | 'select', options }
+export const templateFields = (prompt = '') => {
+  const fields = new Map();
+  for (const [, name, spec = ''] of prompt.matchAll(PLACEHOLDER_PATTERN)) {
+    if (fields.has(name)) continue;
+
+    const type = spec.trim();
+    const options = type.includes('|')
+      ? type
+          .split('|')
+          .map((option) => option.trim())
+          .filter(Boolean)
+      : [];
+    fields.set(name, {
+      name,
+      kind: options.length > 0 ? 'select' : type === 'long' ? 'long' : 'text',
+      options,
+    });
+  }
+  return [...fields.values()];
+};
+
+export const fillTemplate = (prompt, values) =>
+  prompt.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? '');
+
+// Built-in templates in the interface language
+export const resolveTemplate = (template, t) => {
+  if (!template.seed) return template;
+
+  const key = `suggestions.${template.seed}`;
+  return {
+    ...template,
+    title: template.title || t(`${key}.title`),
+    description: t(`${key}.description`),
+    prompt: t(`${key}.prompt`),
+    category: t(`templates.seedCategories.${template.category}`),
+  };
+};
+
+const text = (value, maxLength) =>
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+
+// Validate one template from storage or an imported file
+export const toTemplate = (value, now = Date.now()) => {
+  if (!value || typeof value !== 'object') return null;
+
+  const title = text(value.title, TITLE_MAX_LENGTH);
+  const prompt = typeof value.prompt === 'string' ? value.prompt.trim() : '';
+  if (!value.seed && (!title || !prompt)) return null;
+
+  return {
+    id: typeof value.id === 'string' && value.id ? value.id : createId(),
+    title,
+    description: text(value.description, 120),
+    category: text(value.category, CATEGORY_MAX_LENGTH),
+    icon: typeof value.icon === 'string' ? value.icon : 'text',
+    color: TEMPLATE_COLORS.includes(value.color) ? value.color : 'blue',
+    prompt,
+    seed: typeof value.seed === 'string' ? value.seed : null,
+    createdAt: typeof value.createdAt === 'number' ? value.createdAt : now,
+    updatedAt: now,
+  };
+};
+
+// Templates are shared in their resolved form, so a built-in one arrives
+// in the sender's language as an ordinary template
+export const serializeTemplates = (templates) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      templates: templates.map(
+        ({ id, title, description, category, icon, color, prompt }) => ({
+          id,
+          title,
+          description,
+          category,
+          icon,
+          color,
+          prompt,
+        }),
+      ),
+    },
+    null,
+    2,
+  );
+
+export const TemplateImportErrors = {
+  INVALID: 'invalid',
+  EMPTY: 'empty',
+};
+
+const importError = (type, message) => ({ type, message });
+
+// Accepts an export file, a bare array of templates or a single template
+export const parseTemplates = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw importError(
+      TemplateImportErrors.INVALID,
+      'The file is not valid JSON.',
+    );
+  }
+
+  const entries = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.templates)
+      ? data.templates
+      : [data];
+
+  const templates = entries
+    .map((entry) => toTemplate({ ...entry, seed: null }))
+    .filter(Boolean);
+  if (templates.length === 0) {
+    throw importError(
+      TemplateImportErrors.EMPTY,
+      'No templates with a title and prompt were found.',
+    );
+  }
+  return templates;
+};
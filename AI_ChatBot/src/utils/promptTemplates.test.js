@@ -0,0 +1,61 @@
+import {
+  fillTemplate,
+  resolveTemplate,
+  SEED_TEMPLATES,
+  templateFields,
+} from './promptTemplates';
+
+describe('templateFields', () => {
+  it('reads each placeholder once, with its kind', () => {
+    expect(
+      templateFields(
+        'Write {{ language }} for {{task:long}} in {{style: terse | verbose |}}. Again: {{language}}',
+      ),
+    ).toEqual([
+      { name: 'language', kind: 'text', options: [] },
+      { name: 'task', kind: 'long', options: [] },
+      { name: 'style', kind: 'select', options: ['terse', 'verbose'] },
+    ]);
+  });
+
+  it('finds nothing in a prompt without placeholders', () => {
+    expect(templateFields('Explain closures { briefly }')).toEqual([]);
+    expect(templateFields()).toEqual([]);
+  });
+});
+
+describe('fillTemplate', () => {
+  it('replaces every placeholder, leaving unknown ones empty', () => {
+    expect(
+      fillTemplate('{{a}} and {{ a }} with {{b:long}} or {{c:x|y}}', {
+        a: '1',
+        b: '2',
+      }),
+    ).toBe('1 and 1 with 2 or ');
+  });
+});
+
+describe('resolveTemplate', () => {
+  const t = (key) => `<${key}>`;
+
+  it('translates built-in templates', () => {
+    const seed = SEED_TEMPLATES.find((template) => template.seed === 'debug');
+    expect(resolveTemplate(seed, t)).toMatchObject({
+      id: 'seed-debug',
+      title: '<suggestions.debug.title>',
+      description: '<suggestions.debug.description>',
+      prompt: '<suggestions.debug.prompt>',
+      category: '<templates.seedCategories.review>',
+    });
+  });
+
+  it('keeps the technology names of built-in titles', () => {
+    const seed = SEED_TEMPLATES.find((template) => template.seed === 'python');
+    expect(resolveTemplate(seed, t).title).toBe('Python');
+  });
+
+  it('leaves user templates as they are', () => {
+    const template = { id: 'x', title: 'Mine', prompt: 'Hi', seed: null };
+    expect(resolveTemplate(template, t)).toBe(template);
+  });
+});
@@ -0,0 +1,115 @@
+import { ENV_CONFIG } from '../config';
+import { STORES, clearStore, deleteItem, getAll, getItem, putItem } from './db';
+
+// Completed answers stored by a hash of everything that produced them:
+// provider, model, generation parameters and the exact message history
+// sent. Entries expire after RESPONSE_CACHE_TTL and the least recently
+// used ones are dropped once the texts add up to RESPONSE_CACHE_MAX_BYTES.
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+// crypto.subtle only exists in secure contexts; a non-cryptographic hash
+// is good enough to address a local cache
+const fallbackHash = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i += 1) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 =
+    Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+    Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 =
+    Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+    Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return `${(h2 >>> 0).toString(16)}${(h1 >>> 0).toString(16)}`;
+};
+
+// { provider, model, params, messages } -> cache key
+export const responseCacheKey = async ({
+  provider,
+  model,
+  params,
+  messages,
+}) => {
+  const source = JSON.stringify([provider, model, params, messages]);
+  if (!window.crypto?.subtle) return `hash:${fallbackHash(source)}`;
+  const digest = await window.crypto.subtle.digest(
+    'SHA-256',
+    encoder.encode(source),
+  );
+  return `sha256:${toHex(digest)}`;
+};
+
+const isExpired = (entry, now) =>
+  now - entry.createdAt > ENV_CONFIG.RESPONSE_CACHE_TTL;
+
+// The cached entry for `key` ({ id, text, provider, model, createdAt,
+// lastUsedAt, size }), or null when there is none or it has expired
+export const getCachedResponse = async (key) => {
+  const entry = await getItem(STORES.RESPONSES, key);
+  if (!entry) return null;
+
+  const now = Date.now();
+  if (isExpired(entry, now)) {
+    await deleteItem(STORES.RESPONSES, key);
+    return null;
+  }
+  await putItem(STORES.RESPONSES, { ...entry, lastUsedAt: now });
+  return entry;
+};
+
+// Drop expired entries, then the least recently used ones until the cache
+// fits its size cap
+export const pruneResponseCache = async () => {
+  const now = Date.now();
+  const entries = await getAll(STORES.RESPONSES);
+  const stale = entries.filter((entry) => isExpired(entry, now));
+  const kept = entries
+    .filter((entry) => !isExpired(entry, now))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  let total = 0;
+  kept.forEach((entry) => {
+    total += entry.size;
+    if (total > ENV_CONFIG.RESPONSE_CACHE_MAX_BYTES) stale.push(entry);
+  });
+  await Promise.all(
+    stale.map((entry) => deleteItem(STORES.RESPONSES, entry.id)),
+  );
+};
+
+export const putCachedResponse = async (key, text, { provider, model }) => {
+  const now = Date.now();
+  await putItem(STORES.RESPONSES, {
+    id: key,
+    text,
+    provider,
+    model,
+    createdAt: now,
+    lastUsedAt: now,
+    size: encoder.encode(text).length,
+  });
+  await pruneResponseCache();
+};
+
+export const clearResponseCache = () => clearStore(STORES.RESPONSES);
+
+// { count, bytes } of the live entries
+export const responseCacheStats = async () => {
+  const now = Date.now();
+  const entries = (await getAll(STORES.RESPONSES)).filter(
+    (entry) => !isExpired(entry, now),
+  );
+  return {
+    count: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+  };
+};
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import * as db from './db';
+import {
+  clearResponseCache,
+  getCachedResponse,
+  putCachedResponse,
+  responseCacheKey,
+  responseCacheStats,
+} from './responseCache';
+
+jest.mock('../config', () => ({
+  ENV_CONFIG: { RESPONSE_CACHE_TTL: 60_000, RESPONSE_CACHE_MAX_BYTES: 10 },
+}));
+
+// IndexedDB stand-in: one Map per store
+jest.mock('./db', () => {
+  const stores = new Map();
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    STORES: { RESPONSES: 'responses' },
+    getAll: async (name) => [...store(name).values()],
+    getItem: async (name, id) => store(name).get(id),
+    putItem: async (name, value) => {
+      store(name).set(value.id, value);
+    },
+    deleteItem: async (name, id) => {
+      store(name).delete(id);
+    },
+    clearStore: async (name) => store(name).clear(),
+    resetMockStores: () => stores.clear(),
+  };
+});
+
+const request = {
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  params: { temperature: 0.7 },
+  messages: [{ role: 'user', content: 'Hi' }],
+};
+
+let now;
+
+beforeEach(() => {
+  db.resetMockStores();
+  global.window = { crypto: webcrypto };
+  now = 1_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.window;
+});
+
+describe('responseCacheKey', () => {
+  it('hashes the whole request with SHA-256', async () => {
+    const key = await responseCacheKey(request);
+    expect(key).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(await responseCacheKey({ ...request })).toBe(key);
+  });
+
+  it('changes with anything that changes the answer', async () => {
+    const key = await responseCacheKey(request);
+    expect(await responseCacheKey({ ...request, model: 'other' })).not.toBe(
+      key,
+    );
+    expect(
+      await responseCacheKey({ ...request, params: { temperature: 1 } }),
+    ).not.toBe(key);
+    expect(
+      await responseCacheKey({
+        ...request,
+        messages: [{ role: 'user', content: 'Hi!' }],
+      }),
+    ).not.toBe(key);
+  });
+
+  it('falls back to a plain hash without crypto.subtle', async () => {
+    global.window = {};
+    const key = await responseCacheKey(request);
+    expect(key).toMatch(/^hash:[0-9a-f]+$/);
+    expect(await responseCacheKey(request)).toBe(key);
+  });
+});
+
+describe('cached responses', () => {
+  it('returns a stored answer', async () => {
+    await putCachedResponse('k', 'answer', { provider: 'p', model: 'm' });
+    expect(await getCachedResponse('k')).toMatchObject({
+      id: 'k',
+      text: 'answer',
+      provider: 'p',
+      model: 'm',
+      size: 6,
+    });
+    expect(await getCachedResponse('missing')).toBeNull();
+  });
+
+  it('drops answers older than the TTL', async () => {
+    await putCachedResponse('k', 'answer', {});
+    now += 60_001;
+    expect(await getCachedResponse('k')).toBeNull();
+    expect(await responseCacheStats()).toEqual({ count: 0, bytes: 0 });
+  });
+
+  it('evicts the least recently used answers over the size cap', async () => {
+    await putCachedResponse('a', 'aaaa', {});
+    now += 1;
+    await putCachedResponse('b', 'bbbb', {});
+    now += 1;
+    // Reading `a` makes `b` the least recently used
+    await getCachedResponse('a');
+    now += 1;
+    await putCachedResponse('c', 'cccc', {});
+
+    expect(await getCachedResponse('b')).toBeNull();
+    expect(await getCachedResponse('a')).not.toBeNull();
+    expect(await getCachedResponse('c')).not.toBeNull();
+  });
+
+  it('counts sizes in UTF-8 bytes', async () => {
+    await putCachedResponse('k', 'வ', {});
+    expect(await responseCacheStats()).toEqual({ count: 1, bytes: 3 });
+  });
+
+  it('can be cleared', async () => {
+    await putCachedResponse('k', 'answer', {});
+    await clearResponseCache();
+    expect(await responseCacheStats()).toEqual({ count: 0, bytes: 0 });
+  });
+});
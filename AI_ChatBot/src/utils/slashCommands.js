@@ -0,0 +1,64 @@
+// `/name argument` commands typed into the composer. A command is
+// { name, description, options?, takesText?, run(arg) } where `options`
+// lists the values its argument can take ({ value, label }) and `takesText`
+// marks commands whose argument is free text.
+
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+// { name, arg } for text that is a slash command, otherwise null
+export const parseSlashCommand = (text = '') => {
+  const match = COMMAND_PATTERN.exec(text.trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), arg: (match[2] || '').trim() };
+};
+
+export const findSlashCommand = (text, commands) => {
+  const parsed = parseSlashCommand(text);
+  const command =
+    parsed && commands.find((candidate) => candidate.name === parsed.name);
+  return command ? { command, arg: parsed.arg } : null;
+};
+
+// Autocomplete for the composer: command names while the first word is
+// being typed, then the options of that command. Each suggestion carries
+// the composer `text` it completes to and whether it is `final`, i.e. can
+// run as it is.
+export const slashSuggestions = (text, commands) => {
+  const match = /^\/(\S*)(\s[^\n]*)?$/.exec(text);
+  if (!match) return [];
+  const [, typedName, rest] = match;
+  const name = typedName.toLowerCase();
+
+  if (rest === undefined) {
+    return commands
+      .filter((command) => command.name.startsWith(name))
+      .map((command) => {
+        const needsArg = Boolean(command.options || command.takesText);
+        return {
+          key: command.name,
+          label: `/${command.name}`,
+          description: command.description,
+          text: `/${command.name}${needsArg ? ' ' : ''}`,
+          final: !needsArg,
+        };
+      });
+  }
+
+  const command = commands.find((candidate) => candidate.name === name);
+  if (!command?.options) return [];
+
+  const typedArg = rest.trim().toLowerCase();
+  return command.options
+    .filter(
+      (option) =>
+        option.value.toLowerCase().includes(typedArg) ||
+        option.label.toLowerCase().includes(typedArg),
+    )
+    .map((option) => ({
+      key: option.value,
+      label: option.label,
+      description: option.description || `/${command.name} ${option.value}`,
+      text: `/${command.name} ${option.value}`,
+      final: true,
+    }));
+};
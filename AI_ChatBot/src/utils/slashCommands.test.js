@@ -0,0 +1,86 @@
+import {
+  findSlashCommand,
+  parseSlashCommand,
+  slashSuggestions,
+} from './slashCommands';
+
+const commands = [
+  { name: 'clear', description: 'Clear the chat' },
+  { name: 'copy', description: 'Copy the last answer' },
+  { name: 'summarize', description: 'Summarize', takesText: true },
+  {
+    name: 'lang',
+    description: 'Switch language',
+    options: [
+      { value: 'en', label: 'English' },
+      { value: 'ta', label: 'தமிழ்' },
+      { value: 'hi', label: 'हिन्दी', description: 'Hindi' },
+    ],
+  },
+];
+
+describe('parseSlashCommand', () => {
+  it('splits the name from the argument', () => {
+    expect(parseSlashCommand('  /Lang   ta ')).toEqual({
+      name: 'lang',
+      arg: 'ta',
+    });
+    expect(parseSlashCommand('/summarize first\nsecond')).toEqual({
+      name: 'summarize',
+      arg: 'first\nsecond',
+    });
+  });
+
+  it('ignores text that is not a command', () => {
+    expect(parseSlashCommand('hello /clear')).toBeNull();
+    expect(parseSlashCommand('/')).toBeNull();
+    expect(parseSlashCommand('/path/to/file')).toBeNull();
+  });
+});
+
+describe('findSlashCommand', () => {
+  it('returns the matching command with its argument', () => {
+    const found = findSlashCommand('/lang hi', commands);
+    expect(found.command.name).toBe('lang');
+    expect(found.arg).toBe('hi');
+  });
+
+  it('returns null for unknown commands and plain text', () => {
+    expect(findSlashCommand('/unknown', commands)).toBeNull();
+    expect(findSlashCommand('clear', commands)).toBeNull();
+  });
+});
+
+describe('slashSuggestions', () => {
+  it('completes command names', () => {
+    expect(slashSuggestions('/c', commands)).toEqual([
+      expect.objectContaining({ key: 'clear', text: '/clear', final: true }),
+      expect.objectContaining({ key: 'copy', text: '/copy', final: true }),
+    ]);
+    expect(slashSuggestions('/su', commands)).toEqual([
+      expect.objectContaining({ text: '/summarize ', final: false }),
+    ]);
+  });
+
+  it('lists the options of a command by value or label', () => {
+    expect(
+      slashSuggestions('/lang ', commands).map((item) => item.key),
+    ).toEqual(['en', 'ta', 'hi']);
+    expect(slashSuggestions('/lang tam', commands)).toEqual([]);
+    expect(slashSuggestions('/lang eng', commands)).toEqual([
+      {
+        key: 'en',
+        label: 'English',
+        description: '/lang en',
+        text: '/lang en',
+        final: true,
+      },
+    ]);
+    expect(slashSuggestions('/lang hi', commands)[0].description).toBe('Hindi');
+  });
+
+  it('suggests nothing outside a command', () => {
+    expect(slashSuggestions('hello', commands)).toEqual([]);
+    expect(slashSuggestions('/summarize some text', commands)).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+const HIGHLIGHT_NAME = 'speech-sentence';
+
+const supported = () =>
+  typeof CSS !== 'undefined' &&
+  CSS.highlights &&
+  typeof window.Highlight !== 'undefined';
+
+const normalize = (text) =>
+  text
+    .replace(/\s+/g, ' ')
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .toLowerCase();
+
+// Flatten the text nodes under `container` into one whitespace-collapsed
+// string, remembering which node and offset each character came from
+const collectText = (container) => {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const positions = [];
+  let text = '';
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let i = 0; i < value.length; i++) {
+      const char = /\s/.test(value[i]) ? ' ' : value[i];
+      if (char === ' ' && text.endsWith(' ')) continue;
+      text += char;
+      positions.push([node, i]);
+    }
+  }
+
+  return { text: normalize(text), positions };
+};
+
+// Mark `sentence` inside `container` using the CSS Custom Highlight API,
+// which styles the text without touching the DOM React renders. Searching
+// starts at `from` so repeated phrases are found in reading order. Returns
+// the offset to continue from, or `from` when the sentence wasn't found.
+export const highlightSentence = (container, sentence, from = 0) => {
+  if (!supported() || !container) return from;
+
+  const { text, positions } = collectText(container);
+  const needle = normalize(sentence).trim();
+  const start = needle ? text.indexOf(needle, from) : -1;
+
+  if (start === -1) {
+    CSS.highlights.delete(HIGHLIGHT_NAME);
+    return from;
+  }
+
+  const end = start + needle.length - 1;
+  const range = document.createRange();
+  range.setStart(...positions[start]);
+  range.setEnd(positions[end][0], positions[end][1] + 1);
+  CSS.highlights.set(HIGHLIGHT_NAME, new window.Highlight(range));
+
+  return end + 1;
+};
+
+export const clearSpeechHighlight = () => {
+  if (supported()) CSS.highlights.delete(HIGHLIGHT_NAME);
+};
@@ -0,0 +1,104 @@
+const CODE_PLACEHOLDER = 'Code block omitted';
+
+// Turn a Markdown reply into plain text that reads well aloud
+export const toSpeechText = (text = '') =>
+  text
+    .replace(/```[\s\S]*?```/g, CODE_PLACEHOLDER)
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/#+\s/g, '')
+    .replace(/\*\*/g, '')
+    .replace(/\*/g, '')
+    .trim();
+
+const FENCE = '```';
+// Sentence-ending punctuation (including Devanagari, Arabic and CJK marks)
+// followed by whitespace, or a line break
+const SENTENCE_END = /[.!?…।॥؟。！？]+["'”’)\]]*\s+|\n+/;
+
+// Splits text that arrives in pieces into speakable sentences. `push` returns
+// the sentences completed by the new piece; `flush` returns whatever is left
+// once the text is complete. Code blocks are replaced by a short notice.
+export const createSentenceSplitter = () => {
+  let buffer = '';
+  let inCode = false;
+
+  const take = (final) => {
+    const sentences = [];
+    const add = (raw) => {
+      const sentence = toSpeechText(raw);
+      if (/[\p{L}\p{N}]/u.test(sentence)) sentences.push(sentence);
+    };
+
+    for (;;) {
+      if (inCode) {
+        const close = buffer.indexOf(FENCE);
+        if (close === -1) {
+          if (final) buffer = '';
+          break;
+        }
+        // Drop the closing fence together with the rest of its line
+        const lineEnd = buffer.indexOf('\n', close);
+        if (lineEnd === -1 && !final) break;
+        buffer = lineEnd === -1 ? '' : buffer.slice(lineEnd + 1);
+        inCode = false;
+        sentences.push(`${CODE_PLACEHOLDER}.`);
+        continue;
+      }
+
+      const fence = buffer.indexOf(FENCE);
+      const prose = fence === -1 ? buffer : buffer.slice(0, fence);
+      const match = SENTENCE_END.exec(prose);
+
+      if (match) {
+        const end = match.index + match[0].length;
+        add(prose.slice(0, end));
+        buffer = buffer.slice(end);
+      } else if (fence !== -1) {
+        add(prose);
+        buffer = buffer.slice(fence + FENCE.length);
+        inCode = true;
+      } else {
+        if (final) {
+          add(buffer);
+          buffer = '';
+        }
+        break;
+      }
+    }
+
+    return sentences;
+  };
+
+  return {
+    push: (text) => {
+      buffer += text;
+      return take(false);
+    },
+    flush: () => take(true),
+  };
+};
+
+// Scripts that identify a language well enough to pick a voice for it
+const SCRIPT_LANGUAGES = [
+  [/[\u0B80-\u0BFF]/, 'ta'],
+  [/[\u0900-\u097F]/, 'hi'],
+  [/[\u0980-\u09FF]/, 'bn'],
+  [/[\u0C00-\u0C7F]/, 'te'],
+  [/[\u0600-\u06FF]/, 'ar'],
+  [/[\u0590-\u05FF]/, 'he'],
+  [/[\u0E00-\u0E7F]/, 'th'],
+  [/[\u3040-\u30FF]/, 'ja'],
+  [/[\uAC00-\uD7AF]/, 'ko'],
+  [/[\u4E00-\u9FFF]/, 'zh'],
+  [/[\u0400-\u04FF]/, 'ru'],
+  [/[\u0370-\u03FF]/, 'el'],
+];
+
+// Best guess at the language of a sentence from its script, or null for
+// Latin text, which could be any of several languages
+export const detectLanguage = (text = '') =>
+  SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text))?.[1] || null;
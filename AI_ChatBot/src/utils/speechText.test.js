@@ -0,0 +1,81 @@
+import {
+  createSentenceSplitter,
+  detectLanguage,
+  toSpeechText,
+} from './speechText';
+
+// Feed `text` to a fresh splitter in pieces of `size` characters
+const split = (text, size = text.length) => {
+  const splitter = createSentenceSplitter();
+  const sentences = [];
+  for (let i = 0; i < text.length; i += size) {
+    sentences.push(...splitter.push(text.slice(i, i + size)));
+  }
+  return [...sentences, ...splitter.flush()];
+};
+
+describe('toSpeechText', () => {
+  it('removes Markdown syntax', () => {
+    expect(
+      toSpeechText(
+        '## Title\n- **Bold** item\n> quoted `code` and a [link](https://a.b)',
+      ),
+    ).toBe('Title\nBold item\nquoted code and a link');
+  });
+
+  it('replaces code blocks with a notice', () => {
+    expect(toSpeechText('Run:\n```js\nrun();\n```')).toBe(
+      'Run:\nCode block omitted',
+    );
+  });
+});
+
+describe('createSentenceSplitter', () => {
+  it('returns sentences as soon as they are complete', () => {
+    const splitter = createSentenceSplitter();
+    expect(splitter.push('First one. Sec')).toEqual(['First one.']);
+    expect(splitter.push('ond one! Third')).toEqual(['Second one!']);
+    expect(splitter.flush()).toEqual(['Third']);
+  });
+
+  it('gives the same sentences however the text is cut up', () => {
+    const text =
+      'Hello there. How are you?\nFine, thanks!\n\n```js\nconst a = 1;\n```\nDone.';
+    const whole = split(text);
+    expect(whole).toEqual([
+      'Hello there.',
+      'How are you?',
+      'Fine, thanks!',
+      'Code block omitted.',
+      'Done.',
+    ]);
+    expect(split(text, 1)).toEqual(whole);
+    expect(split(text, 5)).toEqual(whole);
+  });
+
+  it('ends sentences at Devanagari and CJK marks', () => {
+    expect(split('नमस्ते। आप कैसे हैं?')).toEqual(['नमस्ते।', 'आप कैसे हैं?']);
+    expect(split('你好。 再见')).toEqual(['你好。', '再见']);
+  });
+
+  it('drops an unfinished code block at the end', () => {
+    expect(split('Look:\n```py\nprint(1)')).toEqual(['Look:']);
+  });
+
+  it('skips pieces with nothing to say', () => {
+    expect(split('--- \n***\nWords.')).toEqual(['Words.']);
+  });
+});
+
+describe('detectLanguage', () => {
+  it('recognises scripts that belong to one language', () => {
+    expect(detectLanguage('வணக்கம்')).toBe('ta');
+    expect(detectLanguage('مرحبا')).toBe('ar');
+    expect(detectLanguage('नमस्ते')).toBe('hi');
+    expect(detectLanguage('こんにちは')).toBe('ja');
+  });
+
+  it('gives no guess for Latin text', () => {
+    expect(detectLanguage('Bonjour')).toBeNull();
+  });
+});
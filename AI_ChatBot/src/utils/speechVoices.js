@@ -0,0 +1,54 @@
+const STORAGE_KEY = 'speechVoices';
+
+// "en-US" -> "en"
+export const baseLanguage = (lang = '') => lang.split(/[-_]/)[0].toLowerCase();
+
+// Preferred voice name per base language, e.g. { en: 'Samantha' }
+export const loadVoicePreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveVoicePreferences = (preferences) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch {
+    // Storage full or unavailable; the choice just won't survive a reload
+  }
+};
+
+export const voiceLanguages = (voices) =>
+  [...new Set(voices.map((voice) => baseLanguage(voice.lang)))]
+    .filter(Boolean)
+    .sort();
+
+// `lang` spelled in `displayLocale`, e.g. "Tamil" or "தமிழ்"
+export const languageName = (lang, displayLocale = navigator.language) => {
+  try {
+    return (
+      new Intl.DisplayNames([displayLocale || 'en'], {
+        type: 'language',
+      }).of(lang) || lang
+    );
+  } catch {
+    return lang;
+  }
+};
+
+// The saved voice for a language, else the browser's default for it, else
+// any voice that speaks it
+export const pickVoice = (voices, preferences, lang) => {
+  const candidates = voices.filter(
+    (voice) => baseLanguage(voice.lang) === lang,
+  );
+  return (
+    candidates.find((voice) => voice.name === preferences[lang]) ||
+    candidates.find((voice) => voice.default) ||
+    candidates[0] ||
+    null
+  );
+};
@@ -0,0 +1,145 @@
+// Incremental parsing for streamed chat completions.
+//
+// Handles Server-Sent Events (`data: {...}` lines ending with `[DONE]`),
+// newline-delimited JSON and plain chunked text, so the same reader works
+// for the Puter REST API and OpenAI-compatible servers.
+
+// Pull the text delta out of a single decoded stream event
+export const extractChunkText = (data) => {
+  if (data == null) return '';
+  if (typeof data === 'string') return data;
+
+  return (
+    data.choices?.[0]?.delta?.content ??
+    data.choices?.[0]?.text ??
+    data.message?.content ??
+    data.delta?.text ??
+    data.response ??
+    data.text ??
+    ''
+  );
+};
+
+const parseLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith(':') || trimmed.startsWith('event:')) {
+    return { text: '' };
+  }
+
+  const isEvent = trimmed.startsWith('data:');
+  const payload = isEvent ? trimmed.slice(5).trim() : trimmed;
+
+  if (payload === '[DONE]') return { text: '', done: true };
+
+  try {
+    const data = JSON.parse(payload);
+    if (data.error) {
+      throw Object.assign(new Error(data.error.message || data.error), {
+        isStreamError: true,
+      });
+    }
+    return { text: extractChunkText(data), done: data.done === true };
+  } catch (err) {
+    if (err.isStreamError) throw err;
+    // Not JSON: treat the raw line as text, keeping the line break
+    return { text: isEvent ? payload : `${line}\n` };
+  }
+};
+
+// Read a fetch Response body as it arrives, calling onChunk with each text
+// delta. Resolves with the full text once the stream ends.
+export const readTextStream = async (response, onChunk) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const isPlainText = (response.headers.get('content-type') || '').includes(
+    'text/plain',
+  );
+  let buffer = '';
+  let fullText = '';
+
+  const emit = (text) => {
+    if (!text) return;
+    fullText += text;
+    onChunk?.(text);
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      if (isPlainText) {
+        emit(decoder.decode(value, { stream: true }));
+        continue;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const { text, done: finished } = parseLine(line);
+        emit(text);
+        if (finished) return fullText;
+      }
+    }
+
+    buffer += decoder.decode();
+    if (isPlainText) {
+      emit(buffer);
+    } else if (buffer) {
+      emit(parseLine(buffer).text.replace(/\n$/, ''));
+    }
+
+    return fullText;
+  } finally {
+    reader.releaseLock();
+  }
+};
+
+// Race a promise against an AbortSignal. SDK calls cannot be cancelled at
+// the source, so this lets callers stop waiting on them instead.
+export const withAbort = (promise, signal) => {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () =>
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+};
+
+// Consume an async iterable of SDK stream parts (e.g. Puter's
+// `puter.ai.chat(..., { stream: true })`), calling onChunk with each delta.
+// Stops reading as soon as the signal is aborted.
+export const readIterableStream = async (iterable, onChunk, signal) => {
+  const iterator = iterable[Symbol.asyncIterator]();
+  let fullText = '';
+
+  try {
+    while (true) {
+      const { value, done } = await withAbort(iterator.next(), signal);
+      if (done) break;
+
+      const text = extractChunkText(value);
+      if (text) {
+        fullText += text;
+        onChunk?.(text);
+      }
+    }
+  } catch (err) {
+    iterator.return?.();
+    throw err;
+  }
+
+  return fullText;
+};
@@ -0,0 +1,176 @@
+import { TextDecoder, TextEncoder } from 'util';
+import {
+  extractChunkText,
+  readIterableStream,
+  readTextStream,
+  withAbort,
+} from './streaming';
+
+// jsdom has no text codecs
+global.TextDecoder = TextDecoder;
+
+const encoder = new TextEncoder();
+
+// A fetch Response stand-in whose body yields `chunks` one read at a time
+const responseOf = (chunks, contentType = 'text/event-stream') => {
+  const queue = chunks.map((chunk) =>
+    typeof chunk === 'string' ? encoder.encode(chunk) : chunk,
+  );
+  return {
+    headers: { get: () => contentType },
+    body: {
+      getReader: () => ({
+        read: async () =>
+          queue.length > 0
+            ? { value: queue.shift(), done: false }
+            : { value: undefined, done: true },
+        releaseLock: () => {},
+      }),
+    },
+  };
+};
+
+const read = async (chunks, contentType) => {
+  const deltas = [];
+  const text = await readTextStream(responseOf(chunks, contentType), (delta) =>
+    deltas.push(delta),
+  );
+  return { text, deltas };
+};
+
+const sse = (content) =>
+  `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+describe('extractChunkText', () => {
+  it('reads the delta of each known payload shape', () => {
+    expect(extractChunkText({ choices: [{ delta: { content: 'a' } }] })).toBe(
+      'a',
+    );
+    expect(extractChunkText({ choices: [{ text: 'b' }] })).toBe('b');
+    expect(extractChunkText({ message: { content: 'c' } })).toBe('c');
+    expect(extractChunkText({ delta: { text: 'd' } })).toBe('d');
+    expect(extractChunkText({ response: 'e' })).toBe('e');
+    expect(extractChunkText('f')).toBe('f');
+    expect(extractChunkText(null)).toBe('');
+    expect(extractChunkText({ choices: [{ delta: {} }] })).toBe('');
+  });
+});
+
+describe('readTextStream', () => {
+  it('joins server-sent events and stops at [DONE]', async () => {
+    const { text, deltas } = await read([
+      sse('Hello'),
+      sse(', world'),
+      'data: [DONE]\n\n',
+      sse('ignored'),
+    ]);
+    expect(text).toBe('Hello, world');
+    expect(deltas).toEqual(['Hello', ', world']);
+  });
+
+  it('puts events back together across chunk boundaries', async () => {
+    const stream = `${sse('one')}${sse(' two')}data: [DONE]\n\n`;
+    const chunks = [];
+    for (let i = 0; i < stream.length; i += 7) {
+      chunks.push(stream.slice(i, i + 7));
+    }
+    const { text, deltas } = await read(chunks);
+    expect(text).toBe('one two');
+    expect(deltas).toEqual(['one', ' two']);
+  });
+
+  it('decodes characters split between chunks', async () => {
+    const bytes = encoder.encode(sse('வணக்கம் 👋'));
+    const { text } = await read([bytes.slice(0, 25), bytes.slice(25)]);
+    expect(text).toBe('வணக்கம் 👋');
+  });
+
+  it('skips comments and event names', async () => {
+    const { text } = await read([
+      ': keep-alive\n',
+      'event: message\n',
+      sse('kept'),
+    ]);
+    expect(text).toBe('kept');
+  });
+
+  it('reads newline-delimited JSON until done is set', async () => {
+    const line = (content, done = false) =>
+      `${JSON.stringify({ message: { content }, done })}\n`;
+    const { text } = await read(
+      [line('Hi'), line(' there'), line('', true), line('late')],
+      'application/x-ndjson',
+    );
+    expect(text).toBe('Hi there');
+  });
+
+  it('parses a last line that has no line break', async () => {
+    const { text } = await read([sse('start'), 'data: {"text":"end"}']);
+    expect(text).toBe('startend');
+  });
+
+  it('passes plain text through unchanged', async () => {
+    const { text, deltas } = await read(
+      ['line one\n', 'line two'],
+      'text/plain; charset=utf-8',
+    );
+    expect(text).toBe('line one\nline two');
+    expect(deltas).toEqual(['line one\n', 'line two']);
+  });
+
+  it('keeps lines that are not JSON as text', async () => {
+    const { text } = await read(['first\n', 'second']);
+    expect(text).toBe('first\nsecond');
+  });
+
+  it('throws the error a stream reports', async () => {
+    await expect(
+      read([sse('partial'), 'data: {"error":{"message":"overloaded"}}\n\n']),
+    ).rejects.toThrow('overloaded');
+  });
+});
+
+describe('readIterableStream', () => {
+  async function* parts(...texts) {
+    for (const text of texts) yield { text };
+  }
+
+  it('collects the text of every part', async () => {
+    const deltas = [];
+    const text = await readIterableStream(parts('a', '', 'b'), (delta) =>
+      deltas.push(delta),
+    );
+    expect(text).toBe('ab');
+    expect(deltas).toEqual(['a', 'b']);
+  });
+
+  it('stops reading when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const never = {
+      [Symbol.asyncIterator]: () => ({
+        next: () => new Promise(() => {}),
+        return: jest.fn(),
+      }),
+    };
+    const reading = readIterableStream(never, null, controller.signal);
+    controller.abort();
+    await expect(reading).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('withAbort', () => {
+  it('resolves like the promise when not aborted', async () => {
+    const controller = new AbortController();
+    await expect(
+      withAbort(Promise.resolve('done'), controller.signal),
+    ).resolves.toBe('done');
+  });
+
+  it('rejects straight away with an aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      withAbort(new Promise(() => {}), controller.signal),
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
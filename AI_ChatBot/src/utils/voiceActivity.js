@@ -0,0 +1,59 @@
+// Watch the microphone level and call `onSpeech` once the user has been
+// talking for `holdMs`. Echo cancellation keeps the assistant's own voice
+// coming out of the speakers from counting as speech.
+//
+// Resolves to a function that releases the microphone.
+export const monitorVoiceActivity = async ({
+  onSpeech,
+  threshold = 0.04,
+  holdMs = 250,
+}) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !navigator.mediaDevices?.getUserMedia) {
+    return () => {};
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true },
+  });
+  const context = new AudioContextClass();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  context.createMediaStreamSource(stream).connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let speakingSince = null;
+  let frame = null;
+  let stopped = false;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    cancelAnimationFrame(frame);
+    stream.getTracks().forEach((track) => track.stop());
+    context.close().catch(() => {});
+  };
+
+  const tick = () => {
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(
+      samples.reduce((sum, value) => sum + value * value, 0) / samples.length,
+    );
+    const now = performance.now();
+
+    if (rms < threshold) {
+      speakingSince = null;
+    } else if (speakingSince === null) {
+      speakingSince = now;
+    } else if (now - speakingSince >= holdMs) {
+      stop();
+      onSpeech();
+      return;
+    }
+
+    frame = requestAnimationFrame(tick);
+  };
+
+  frame = requestAnimationFrame(tick);
+  return stop;
+};
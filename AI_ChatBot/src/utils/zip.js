@@ -0,0 +1,89 @@
+// Minimal ZIP writer for downloading generated projects. Text files are
+// small, so entries are stored uncompressed; names are UTF-8.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const header = (size, fields) => {
+  const view = new DataView(new ArrayBuffer(size));
+  fields.forEach(([offset, value, bytes]) => {
+    if (bytes === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+  });
+  return new Uint8Array(view.buffer);
+};
+
+// A zip Blob of `files` ([{ path, content }]), with folders created from
+// the paths
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ path, content }) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+    // Version 2.0, UTF-8 names, stored
+    const common = [
+      [4, 20, 2],
+      [6, 0x0800, 2],
+      [8, 0, 2],
+      [10, time, 2],
+      [12, date, 2],
+      [14, crc, 4],
+      [18, data.length, 4],
+      [22, data.length, 4],
+      [26, name.length, 2],
+    ];
+
+    parts.push(header(30, [[0, 0x04034b50, 4], ...common]), name, data);
+    directory.push(
+      header(46, [
+        [0, 0x02014b50, 4],
+        [4, 20, 2],
+        ...common.map(([at, value, bytes]) => [at + 2, value, bytes]),
+        [42, offset, 4],
+      ]),
+      name,
+    );
+    offset += 30 + name.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, [
+    [0, 0x06054b50, 4],
+    [8, files.length, 2],
+    [10, files.length, 2],
+    [12, directorySize, 4],
+    [16, offset, 4],
+  ]);
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+};
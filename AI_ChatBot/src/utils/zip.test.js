@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { createZip } from './zip';
+
+// Node's Blob can be read back, unlike jsdom's
+global.Blob = Blob;
+
+const decoder = new TextDecoder();
+
+// The entries of a stored zip, read back through its central directory
+const readZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const flags = view.getUint16(at + 8, true);
+    const method = view.getUint16(at + 10, true);
+    const crc = view.getUint32(at + 16, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.slice(at + 46, at + 46 + nameLength));
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({
+      name,
+      flags,
+      method,
+      crc,
+      content: decoder.decode(bytes.slice(dataStart, dataStart + size)),
+    });
+    at += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('createZip', () => {
+  it('stores every file under its path', async () => {
+    const entries = await readZip(
+      createZip([
+        { path: 'package.json', content: '{ "name": "demo" }\n' },
+        { path: 'src/index.js', content: 'console.log("hi");\n' },
+      ]),
+    );
+    expect(entries.map(({ name, content }) => ({ name, content }))).toEqual([
+      { name: 'package.json', content: '{ "name": "demo" }\n' },
+      { name: 'src/index.js', content: 'console.log("hi");\n' },
+    ]);
+    entries.forEach((entry) => expect(entry.method).toBe(0));
+  });
+
+  it('writes the CRC-32 of each file', async () => {
+    const [entry] = await readZip(
+      createZip([{ path: 'a.txt', content: 'hello' }]),
+    );
+    expect(entry.crc).toBe(0x3610a686);
+  });
+
+  it('marks names as UTF-8', async () => {
+    const [entry] = await readZip(
+      createZip([{ path: 'docs/வணக்கம்.md', content: '# வணக்கம்' }]),
+    );
+    expect(entry.flags & 0x0800).toBe(0x0800);
+    expect(entry.name).toBe('docs/வணக்கம்.md');
+    expect(entry.content).toBe('# வணக்கம்');
+  });
+
+  it('records the modification time', async () => {
+    const blob = createZip(
+      [{ path: 'a.txt', content: '' }],
+      new Date(2024, 2, 15, 13, 45, 30),
+    );
+    const view = new DataView(await blob.arrayBuffer());
+    const time = view.getUint16(10, true);
+    const date = view.getUint16(12, true);
+    expect([time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2]).toEqual([
+      13, 45, 30,
+    ]);
+    expect([(date >> 9) + 1980, (date >> 5) & 0x0f, date & 0x1f]).toEqual([
+      2024, 3, 15,
+    ]);
+  });
+
+  it('makes an empty archive from no files', async () => {
+    const blob = createZip([]);
+    expect(blob.type).toBe('application/zip');
+    expect(await readZip(blob)).toEqual([]);
+  });
+});